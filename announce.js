@@ -0,0 +1,147 @@
+// announce.js
+// Works out what changed between two scrapes of one series, for the "standings updated" post.
+//
+// diffStandings(prevRows, rows) ->
+//   {
+//     leader:    { driver, previous, changed },          // previous = old P1 driver (or "")
+//     climbers:  [{ driver, from, to, delta }],          // biggest gains first
+//     fallers:   [{ driver, from, to, delta }],          // biggest losses first (delta < 0)
+//     newEntries:[{ driver, pos }],
+//     penalties: [{ driver, from, to }],                 // penalty points went up
+//     qualiBans: [{ driver, qualiBan }],                 // quali ban newly active
+//     pointsChanged,                                     // some driver's total/nett differs
+//   }
+// summaryLines(diff) -> short markdown lines for one embed field ([] when nothing worth saying).
+// previousRowLookup(prevRows) -> (row) => matching previous row or null (also used by stewards.js)
+
+const DEFAULT_LIMIT = 3;
+
+// Row fields that count as "the points moved" when nothing else changed.
+const POINTS_FIELDS = ["total", "nett"];
+
+function normalize(s) {
+  return String(s || "").replace(/\s+/g, " ").trim();
+}
+
+function toNumber(v) {
+  const n = Number(String(v || "").replace(/[^\d.-]/g, ""));
+  return Number.isFinite(n) ? n : 0;
+}
+
+function carKey(r) {
+  // Keep only digits to avoid mismatches like "#27" vs "27"
+  const t = normalize(r?.carNo);
+  return t.replace(/[^0-9]/g, "") || t;
+}
+
+function nameKey(r) {
+  return normalize(r?.driver).toLowerCase();
+}
+
+function isQbActive(r) {
+  if (typeof r?.qbActive === "boolean") return r.qbActive;
+  return !!(normalize(r?.qualiBan) && !normalize(r?.banServed));
+}
+
+// Same matching rule as the +/- markers: car number first, then driver name.
+function previousRowLookup(prevRows) {
+  const byCarNo = new Map();
+  const byName = new Map();
+  for (const p of prevRows || []) {
+    if (carKey(p)) byCarNo.set(carKey(p), p);
+    if (nameKey(p)) byName.set(nameKey(p), p);
+  }
+  return (r) => byCarNo.get(carKey(r)) || byName.get(nameKey(r)) || null;
+}
+
+function diffStandings(prevRows, rows, { limit = DEFAULT_LIMIT } = {}) {
+  const list = Array.isArray(rows) ? rows : [];
+  const prev = Array.isArray(prevRows) ? prevRows : [];
+  const findPrev = previousRowLookup(prev);
+
+  const leaderRow = list.find((r) => toNumber(r.pos) === 1) || list[0] || null;
+  const prevLeaderRow = prev.find((r) => toNumber(r.pos) === 1) || prev[0] || null;
+  const leader = leaderRow
+    ? {
+        driver: normalize(leaderRow.driver),
+        previous: normalize(prevLeaderRow?.driver),
+        changed: !!prevLeaderRow && findPrev(leaderRow) !== prevLeaderRow,
+      }
+    : null;
+
+  const moves = [];
+  const newEntries = [];
+  const penalties = [];
+  const qualiBans = [];
+  let pointsChanged = false;
+
+  for (const r of list) {
+    const before = findPrev(r);
+    const driver = normalize(r.driver);
+
+    if (!before) {
+      if (prev.length) newEntries.push({ driver, pos: toNumber(r.pos) });
+      continue;
+    }
+
+    if (POINTS_FIELDS.some((f) => toNumber(before[f]) !== toNumber(r[f]))) pointsChanged = true;
+
+    const from = toNumber(before.pos);
+    const to = toNumber(r.pos);
+    if (from > 0 && to > 0 && from !== to) moves.push({ driver, from, to, delta: from - to });
+
+    const penFrom = toNumber(before.penPoints);
+    const penTo = toNumber(r.penPoints);
+    if (penTo > penFrom) penalties.push({ driver, from: penFrom, to: penTo });
+
+    if (isQbActive(r) && !isQbActive(before)) qualiBans.push({ driver, qualiBan: normalize(r.qualiBan) });
+  }
+
+  const climbers = moves
+    .filter((m) => m.delta > 0)
+    .sort((a, b) => b.delta - a.delta || a.to - b.to)
+    .slice(0, limit);
+  const fallers = moves
+    .filter((m) => m.delta < 0)
+    .sort((a, b) => a.delta - b.delta || a.to - b.to)
+    .slice(0, limit);
+
+  return { leader, climbers, fallers, newEntries, penalties, qualiBans, pointsChanged };
+}
+
+function summaryLines(diff) {
+  if (!diff) return [];
+  const lines = [];
+
+  if (diff.leader?.changed) {
+    lines.push(`🏆 New leader: **${diff.leader.driver}** (takes over from ${diff.leader.previous})`);
+  }
+
+  const move = (m) => `${m.driver} ${m.delta > 0 ? "+" : ""}${m.delta} (P${m.from}→P${m.to})`;
+  if (diff.climbers.length) lines.push(`📈 Climbers: ${diff.climbers.map(move).join(", ")}`);
+  if (diff.fallers.length) lines.push(`📉 Fallers: ${diff.fallers.map(move).join(", ")}`);
+
+  if (diff.newEntries.length) {
+    lines.push(`🆕 New: ${diff.newEntries.map((e) => `${e.driver} (P${e.pos})`).join(", ")}`);
+  }
+  if (diff.penalties.length) {
+    lines.push(`⚠️ Penalty points: ${diff.penalties.map((p) => `${p.driver} ${p.from}→${p.to}`).join(", ")}`);
+  }
+  if (diff.qualiBans.length) {
+    lines.push(
+      `🚫 Quali ban now active: ${diff.qualiBans.map((q) => (q.qualiBan ? `${q.driver} (${q.qualiBan})` : q.driver)).join(", ")}`
+    );
+  }
+
+  // Points moved but nobody changed places: still worth a line so the post isn't empty. Anything else
+  // (a new flag or car icon URL, an extra column) isn't news, so no post at all.
+  if (!lines.length && diff.leader && diff.pointsChanged) lines.push(`Leader: **${diff.leader.driver}** — points updated, no position changes`);
+
+  return lines;
+}
+
+module.exports = {
+  diffStandings,
+  summaryLines,
+  previousRowLookup,
+};
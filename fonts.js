@@ -0,0 +1,106 @@
+// fonts.js
+// Font files in assets/fonts/, registered with the @napi-rs/canvas GlobalFonts API so renders don't depend on
+// what the host has installed (on a bare Linux box system-ui turns Cyrillic, CJK and emoji into tofu boxes).
+//
+// Families, tried glyph by glyph in this order before the host's own fonts:
+//   "OOR Sans"      DejaVuSans.ttf + DejaVuSans-Bold.ttf: Latin, Greek, Cyrillic, black-and-white emoji
+//   "OOR CJK"       NotoSansSC-Subset.ttf: GB 2312 Chinese + JIS X 0208 Japanese kanji, kana, CJK punctuation
+//   "OOR Hangul"    NotoSansKR-Subset.ttf: the 2,350 KS X 1001 Hangul syllables + jamo
+//   "OOR Emoji"     Twemoji.ttf (COLR): colour emoji the Sans font doesn't cover, flags, ZWJ sequences
+//   "OOR CJK Full"  NotoSansCJK-Regular.ttc (optional drop-in, ~20 MB): rarer CJK characters outside the subsets
+// See README_FONTS.txt for how the subsets were made and where to get the drop-in.
+//
+// Exports:
+// - FONTS_DIR / BUNDLED_FONTS    // [{ file, family, optional, covers }]
+// - FALLBACK_FAMILIES
+// - registerBundledFonts(dir)   // -> { registered: [file], missing: [file] }; files already registered are skipped
+// - fontStack(family)           // a theme's font.family followed by the fallback chain (no duplicates)
+
+const fs = require("fs");
+const path = require("path");
+const { GlobalFonts } = require("@napi-rs/canvas");
+
+const FONTS_DIR = path.join(__dirname, "assets", "fonts");
+
+// optional: a missing file only means those characters fall through to the host's fonts.
+const BUNDLED_FONTS = [
+  { file: "DejaVuSans.ttf", family: "OOR Sans", optional: false, covers: "Latin, Greek, Cyrillic" },
+  { file: "DejaVuSans-Bold.ttf", family: "OOR Sans", optional: false, covers: "Latin, Greek, Cyrillic (bold)" },
+  { file: "NotoSansSC-Subset.ttf", family: "OOR CJK", optional: false, covers: "Chinese, Japanese" },
+  { file: "NotoSansKR-Subset.ttf", family: "OOR Hangul", optional: false, covers: "Korean" },
+  { file: "Twemoji.ttf", family: "OOR Emoji", optional: false, covers: "colour emoji" },
+  { file: "NotoSansCJK-Regular.ttc", family: "OOR CJK Full", optional: true, covers: "rarer CJK characters" },
+];
+
+// Bundled families first, then whatever the host may have for the same scripts.
+const FALLBACK_FAMILIES = [
+  "OOR Sans",
+  "OOR CJK",
+  "OOR Hangul",
+  "OOR Emoji",
+  "OOR CJK Full",
+  "Noto Sans CJK SC",
+  "Noto Color Emoji",
+  "Apple Color Emoji",
+  "Segoe UI Emoji",
+  "system-ui",
+  "-apple-system",
+  "Segoe UI",
+  "Roboto",
+  "Arial",
+  "sans-serif",
+];
+
+const GENERIC_FAMILIES = new Set(["serif", "sans-serif", "monospace", "cursive", "fantasy", "system-ui", "-apple-system"]);
+
+const registered = new Set();
+
+function registerBundledFonts(dir = FONTS_DIR) {
+  const out = { registered: [], missing: [] };
+  for (const f of BUNDLED_FONTS) {
+    const abs = path.join(dir, f.file);
+    if (registered.has(abs)) continue;
+    if (!fs.existsSync(abs)) {
+      out.missing.push(f.file);
+      continue;
+    }
+    if (!GlobalFonts.registerFromPath(abs, f.family)) {
+      console.warn(`Font ${f.file} couldn't be loaded (non-fatal)`);
+      out.missing.push(f.file);
+      continue;
+    }
+    registered.add(abs);
+    out.registered.push(f.file);
+  }
+  return out;
+}
+
+function unquote(name) {
+  return String(name || "").trim().replace(/^(["'])(.*)\1$/, "$2").trim();
+}
+
+function quoteFamily(name) {
+  return GENERIC_FAMILIES.has(name) || !/\s/.test(name) ? name : `"${name}"`;
+}
+
+const stacks = new Map(); // family -> stack (themeFont asks for this on every text draw)
+
+function fontStack(family) {
+  const key = String(family || "");
+  if (!stacks.has(key)) {
+    const names = [];
+    for (const n of [...key.split(","), ...FALLBACK_FAMILIES].map(unquote)) {
+      if (n && !names.some((m) => m.toLowerCase() === n.toLowerCase())) names.push(n);
+    }
+    stacks.set(key, names.map(quoteFamily).join(", "));
+  }
+  return stacks.get(key);
+}
+
+module.exports = {
+  FONTS_DIR,
+  BUNDLED_FONTS,
+  FALLBACK_FAMILIES,
+  registerBundledFonts,
+  fontStack,
+};
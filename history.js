@@ -0,0 +1,221 @@
+// history.js
+// Append-only standings history (one JSONL file per series + season).
+//
+// Every time a series' scraped rows change we append a timestamped snapshot:
+//   cache/history/<seriesId>__s<season>.jsonl
+//   {"ts":"2026-01-14T09:15:41.000Z","series":"yellow","season":"24","hash":"…","title":"…","round":6,"rows":[…]}
+// ("round" = rounds run when the snapshot was taken, counted from the results pages; absent when unknown)
+//
+// Exports:
+// - rowsHash(rows) / hashableRows(rows)                // hash of the scraped columns (derived fields left out)
+// - recordSnapshot(seriesId, season, { title, rows, round }) // appends only when the rows hash changed
+// - readSnapshots(seriesId, season)                   // oldest -> newest
+// - latestSnapshot(seriesId, season)
+// - previousSnapshot(seriesId, season, currentHash)   // newest snapshot that differs from currentHash
+// - snapshotByHash(seriesId, season, hash)            // newest snapshot with exactly this rows hash
+// - snapshotAt(seriesId, season, date)                // table as it looked at a point in time
+// - listHistory()                                     // [{ series, season, file }]
+// - progressionFromSnapshots(snapshots, { top, key }) // nett points per round for the top N drivers
+// - pointsProgression(seriesId, season, { top, key }) // same, read from the series' history file
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const DEBUG_OOR = process.env.DEBUG_OOR === "1";
+
+const HISTORY_DIR = path.join(__dirname, "cache", "history");
+
+function sha1(s) {
+  return crypto.createHash("sha1").update(s).digest("hex");
+}
+
+function safeKey(s) {
+  // Keep file names portable (series ids / seasons come from config + URLs)
+  return String(s || "").trim().replace(/[^a-z0-9_-]+/gi, "_") || "unknown";
+}
+
+function historyFile(seriesId, season) {
+  return path.join(HISTORY_DIR, `${safeKey(seriesId)}__s${safeKey(season)}.jsonl`);
+}
+
+// Fields the bot derives from the scraped columns (assets/makes.json lookups). They stay out of the hash so a
+// catalogue change doesn't read as a standings change (new snapshot, repost, announcement).
+const DERIVED_ROW_FIELDS = ["carMakeKey"];
+
+function hashableRows(rows) {
+  return (rows || []).map((r) => {
+    const out = { ...r };
+    for (const f of DERIVED_ROW_FIELDS) delete out[f];
+    return out;
+  });
+}
+
+function rowsHash(rows) {
+  return sha1(JSON.stringify(hashableRows(rows)));
+}
+
+function readSnapshots(seriesId, season) {
+  const file = historyFile(seriesId, season);
+  if (!fs.existsSync(file)) return [];
+
+  const out = [];
+  const lines = fs.readFileSync(file, "utf8").split("\n");
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    try {
+      out.push(JSON.parse(line));
+    } catch {
+      // A crash mid-append can leave a partial last line; skip it.
+      if (DEBUG_OOR) console.warn(`HISTORY: skipping malformed line in ${file}`);
+    }
+  }
+  return out;
+}
+
+function latestSnapshot(seriesId, season) {
+  const all = readSnapshots(seriesId, season);
+  return all.length ? all[all.length - 1] : null;
+}
+
+function previousSnapshot(seriesId, season, currentHash) {
+  const all = readSnapshots(seriesId, season);
+  for (let i = all.length - 1; i >= 0; i--) {
+    if (all[i].hash !== currentHash) return all[i];
+  }
+  return null;
+}
+
+function snapshotByHash(seriesId, season, hash) {
+  const all = readSnapshots(seriesId, season);
+  for (let i = all.length - 1; i >= 0; i--) {
+    if (all[i].hash === hash) return all[i];
+  }
+  return null;
+}
+
+function snapshotAt(seriesId, season, date) {
+  const t = new Date(date).getTime();
+  if (!Number.isFinite(t)) return null;
+
+  let best = null;
+  for (const snap of readSnapshots(seriesId, season)) {
+    if (new Date(snap.ts).getTime() <= t) best = snap;
+  }
+  return best;
+}
+
+function recordSnapshot(seriesId, season, { title = "", rows = [], round = null } = {}, now = new Date()) {
+  const hash = rowsHash(rows);
+  const last = latestSnapshot(seriesId, season);
+  if (last && last.hash === hash) return { written: false, hash };
+
+  const snap = {
+    ts: now.toISOString(),
+    series: String(seriesId),
+    season: String(season),
+    hash,
+    title,
+    ...(Number.isInteger(round) && round >= 0 ? { round } : {}),
+    rows,
+  };
+
+  fs.mkdirSync(HISTORY_DIR, { recursive: true });
+  fs.appendFileSync(historyFile(seriesId, season), JSON.stringify(snap) + "\n", "utf8");
+
+  if (DEBUG_OOR) {
+    console.log(`HISTORY: recorded ${seriesId} season ${season} (${rows.length} rows, hash ${hash.slice(0, 8)})`);
+  }
+
+  return { written: true, hash };
+}
+
+// ---- Points progression (/chart) ----
+// The results sites only publish season totals, so rounds are reconstructed from snapshots:
+// - snapshots whose nett points are identical to the previous one (penalty/class edits) are skipped
+// - snapshots tagged with the same "round" (race night + corrections) collapse into the last one, labelled R<round>;
+//   round 0 (nothing run yet) isn't plotted
+// - untagged snapshots (no resultsUrl, or recorded before rounds were) collapse per UTC day instead and
+//   count on from the previous label, so a history started mid-season starts at R1
+// Drivers are matched with `key` (driver name -> identity; index.js passes identities.js key) so renames
+// and aliases stay one line.
+function nameKey(name) {
+  return String(name || "").replace(/\s+/g, " ").trim().toLowerCase();
+}
+
+function nettNumber(v) {
+  const n = Number(String(v ?? "").replace(/[^\d.-]/g, ""));
+  return Number.isFinite(n) ? n : 0;
+}
+
+function progressionFromSnapshots(snapshots, { top = 10, key = nameKey } = {}) {
+  const rounds = [];
+  let lastPoints = null;
+
+  for (const snap of snapshots || []) {
+    const rows = Array.isArray(snap?.rows) ? snap.rows : [];
+    if (!rows.length || snap.round === 0) continue;
+
+    const nett = new Map(rows.map((r) => [key(r.driver), nettNumber(r.nett)]));
+    const points = JSON.stringify([...nett].sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0)));
+    if (points === lastPoints) continue;
+    lastPoints = points;
+
+    const group = Number.isInteger(snap.round) ? `r${snap.round}` : `d${String(snap.ts || "").slice(0, 10)}`;
+    const round = { ts: snap.ts, group, number: snap.round, nett, rows };
+    if (rounds.length && rounds[rounds.length - 1].group === group) rounds[rounds.length - 1] = round;
+    else rounds.push(round);
+  }
+
+  if (!rounds.length) return { rounds: [], drivers: [] };
+
+  const latest = [...rounds[rounds.length - 1].rows].sort((a, b) => nettNumber(a.pos) - nettNumber(b.pos));
+  const drivers = latest.slice(0, Math.max(1, top)).map((r) => ({
+    driver: r.driver,
+    pos: r.pos,
+    carNo: r.carNo,
+    className: r.className || "",
+    carImg: r.carImg,
+    carMakeKey: r.carMakeKey,
+    countryImg: r.countryImg,
+    // null where the driver wasn't in the table yet
+    points: rounds.map((rd) => (rd.nett.has(key(r.driver)) ? rd.nett.get(key(r.driver)) : null)),
+  }));
+
+  let label = 0;
+  return {
+    rounds: rounds.map((rd) => {
+      label = Number.isInteger(rd.number) ? rd.number : label + 1;
+      return { label: `R${label}`, ts: rd.ts };
+    }),
+    drivers,
+  };
+}
+
+function pointsProgression(seriesId, season, opts = {}) {
+  return progressionFromSnapshots(readSnapshots(seriesId, season), opts);
+}
+
+function listHistory() {
+  if (!fs.existsSync(HISTORY_DIR)) return [];
+  return fs
+    .readdirSync(HISTORY_DIR)
+    .map((f) => f.match(/^(.+)__s(.+)\.jsonl$/))
+    .filter(Boolean)
+    .map((m) => ({ series: m[1], season: m[2], file: path.join(HISTORY_DIR, m[0]) }));
+}
+
+module.exports = {
+  HISTORY_DIR,
+  rowsHash,
+  hashableRows,
+  recordSnapshot,
+  readSnapshots,
+  latestSnapshot,
+  previousSnapshot,
+  snapshotByHash,
+  snapshotAt,
+  listHistory,
+  progressionFromSnapshots,
+  pointsProgression,
+};
@@ -0,0 +1,73 @@
+// identities.js
+// Driver identity registry: one person, several spellings.
+//
+// The same driver can appear as "Jürgen Köhler" on OOR, "Jurgen Kohler" on SimGrid and
+// "J. Köhler" on the penalty sheet. Names are folded first (case, accents, punctuation, a trailing
+// "(3 - QB)" suffix), then mapped through the aliases in config.json "identities":
+//   "identities": [
+//     { "name": "Jürgen Köhler", "aliases": ["J. Kohler", "jkohler"] }
+//   ]
+// Names without an entry are their own identity, so the registry is optional.
+// Discord account links (/link) live in state.json (see state.js) and store the identity's display name.
+//
+// Exports:
+// - foldName(s)
+// - createIdentityRegistry(entries) -> {
+//     key(name)          // stable identity key (folded canonical name)
+//     displayName(name)  // configured canonical spelling, or the name as given
+//     spellings(name)    // every known spelling of the identity (for fuzzy matching)
+//     entries
+//   }
+
+function foldName(s) {
+  return String(s || "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLowerCase()
+    .replace(/\s*\([^)]*\)\s*$/, "")
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "")
+    .replace(/[^\p{L}\p{N} ]+/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function createIdentityRegistry(raw = []) {
+  if (!Array.isArray(raw)) throw new Error("identities in config.json must be an array");
+
+  const byFolded = new Map(); // folded spelling -> entry
+  const entries = raw.map((e, i) => {
+    const name = String(e?.name || "").replace(/\s+/g, " ").trim();
+    if (!foldName(name)) throw new Error(`Missing name for identities[${i}] in config.json`);
+
+    const aliases = (Array.isArray(e.aliases) ? e.aliases : []).map((a) => String(a || "").trim()).filter(Boolean);
+    const entry = { key: foldName(name), name, aliases };
+
+    for (const spelling of [name, ...aliases]) {
+      const folded = foldName(spelling);
+      const other = byFolded.get(folded);
+      if (other && other !== entry) {
+        throw new Error(`'${spelling}' is listed for both '${other.name}' and '${name}' in config.json identities`);
+      }
+      byFolded.set(folded, entry);
+    }
+    return entry;
+  });
+
+  const lookup = (name) => byFolded.get(foldName(name)) || null;
+
+  return {
+    entries,
+    key: (name) => lookup(name)?.key || foldName(name),
+    displayName: (name) => lookup(name)?.name || String(name || "").trim(),
+    spellings: (name) => {
+      const e = lookup(name);
+      return e ? [e.name, ...e.aliases] : [String(name || "")];
+    },
+  };
+}
+
+module.exports = {
+  foldName,
+  createIdentityRegistry,
+};
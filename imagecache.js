@@ -0,0 +1,200 @@
+// imagecache.js
+// On-disk cache for remote images (flags, car/team icons, the UN flag, the OOR watermark) behind
+// render.js loadImageFromUrl, so restarts don't re-download everything and trip CDN/Wikimedia 429s.
+//
+// Layout (one pair per URL, sha1 of the URL as the name):
+//   cache/logos/<sha1>.img   raw image bytes (files from older versions without a sidecar are reused;
+//                            their file time counts as the fetch time)
+//   cache/logos/<sha1>.json  {"url":"…","fetchedAt":1768…,"etag":"\"abc\"","lastModified":"…","failedAt":0}
+//
+// Lookup: fresh bytes (younger than ttlMs) are served from disk; stale bytes are revalidated with
+// If-None-Match / If-Modified-Since (304 keeps them). A failed fetch is remembered for negativeTtlMs
+// (stale bytes, if any, keep being served meanwhile). After every write the oldest entries are evicted
+// until the .img files fit in maxBytes.
+//
+// config.json (optional):
+//   "imageCache": { "ttlHours": 168, "negativeTtlMinutes": 60, "maxMB": 50 }
+//
+// Exports:
+// - IMAGE_CACHE_DIR
+// - imageCacheOptionsFromConfig(raw)                           // -> { ttlMs, negativeTtlMs, maxBytes }
+// - createImageCache({ dir, ttlMs, negativeTtlMs, maxBytes, now })
+//     .get(url, fetcher) -> Buffer | null
+//        fetcher(url, headers) -> { status, body, etag, lastModified } (status 304 = not modified); throws on failure
+//     .prune()                                                 // evict down to maxBytes
+//     .ttlMs / .negativeTtlMs                                  // for in-memory layers on top
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const DEBUG_OOR = process.env.DEBUG_OOR === "1";
+
+const IMAGE_CACHE_DIR = path.join(__dirname, "cache", "logos");
+
+const DEFAULTS = {
+  ttlMs: 7 * 24 * 60 * 60 * 1000,
+  negativeTtlMs: 60 * 60 * 1000,
+  maxBytes: 50 * 1024 * 1024,
+};
+
+function imageCacheOptionsFromConfig(raw) {
+  if (raw === undefined || raw === null) return { ...DEFAULTS };
+  if (typeof raw !== "object" || Array.isArray(raw)) throw new Error("imageCache in config.json must be an object");
+
+  const positive = (v, name, dflt, scale) => {
+    if (v === undefined) return dflt;
+    const n = Number(v);
+    if (!Number.isFinite(n) || n <= 0) throw new Error(`imageCache.${name} in config.json must be a positive number`);
+    return Math.round(n * scale);
+  };
+
+  return {
+    ttlMs: positive(raw.ttlHours, "ttlHours", DEFAULTS.ttlMs, 60 * 60 * 1000),
+    negativeTtlMs: positive(raw.negativeTtlMinutes, "negativeTtlMinutes", DEFAULTS.negativeTtlMs, 60 * 1000),
+    maxBytes: positive(raw.maxMB, "maxMB", DEFAULTS.maxBytes, 1024 * 1024),
+  };
+}
+
+// Temp file + rename, so a crash mid-write never leaves a truncated image behind.
+function writeAtomic(file, data) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, data);
+  fs.renameSync(tmp, file);
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function createImageCache({
+  dir = IMAGE_CACHE_DIR,
+  ttlMs = DEFAULTS.ttlMs,
+  negativeTtlMs = DEFAULTS.negativeTtlMs,
+  maxBytes = DEFAULTS.maxBytes,
+  now = Date.now,
+} = {}) {
+  function paths(url) {
+    const name = crypto.createHash("sha1").update(String(url)).digest("hex");
+    return { img: path.join(dir, `${name}.img`), meta: path.join(dir, `${name}.json`) };
+  }
+
+  function readEntry(p) {
+    const meta = readJson(p.meta);
+    let mtimeMs = 0;
+    try {
+      mtimeMs = fs.statSync(p.img).mtimeMs;
+    } catch {
+      // no bytes on disk (never fetched, or only a failure recorded)
+    }
+    if (!meta && !mtimeMs) return null;
+    return { ...meta, fetchedAt: Number(meta?.fetchedAt) || mtimeMs, hasBody: mtimeMs > 0 };
+  }
+
+  function readBody(p) {
+    try {
+      return fs.readFileSync(p.img);
+    } catch {
+      return null;
+    }
+  }
+
+  function prune() {
+    let names = [];
+    try {
+      names = fs.readdirSync(dir);
+    } catch {
+      return;
+    }
+
+    const t = now();
+    const entries = [];
+    for (const name of names) {
+      const file = path.join(dir, name);
+      if (name.endsWith(".json") && !names.includes(name.replace(/\.json$/, ".img"))) {
+        // Failure-only sidecars go once their negative-cache window is over.
+        const meta = readJson(file);
+        if (!meta || t - (Number(meta.failedAt) || 0) >= negativeTtlMs) fs.rmSync(file, { force: true });
+        continue;
+      }
+      if (!name.endsWith(".img")) continue;
+      const stat = fs.statSync(file);
+      const meta = readJson(file.replace(/\.img$/, ".json"));
+      entries.push({ file, size: stat.size, at: Number(meta?.fetchedAt) || stat.mtimeMs });
+    }
+
+    let total = entries.reduce((a, e) => a + e.size, 0);
+    entries.sort((a, b) => a.at - b.at);
+    for (const e of entries) {
+      if (total <= maxBytes) break;
+      fs.rmSync(e.file, { force: true });
+      fs.rmSync(e.file.replace(/\.img$/, ".json"), { force: true });
+      total -= e.size;
+      if (DEBUG_OOR) console.log(`IMAGE CACHE: evicted ${path.basename(e.file)} (${e.size} bytes)`);
+    }
+  }
+
+  async function get(url, fetcher) {
+    if (!url) return null;
+    const p = paths(url);
+    const entry = readEntry(p);
+    const t = now();
+
+    if (entry?.hasBody && t - entry.fetchedAt < ttlMs) return readBody(p);
+    if (entry?.failedAt && t - entry.failedAt < negativeTtlMs) return entry.hasBody ? readBody(p) : null;
+
+    const headers = {};
+    if (entry?.hasBody && entry.etag) headers["If-None-Match"] = entry.etag;
+    if (entry?.hasBody && entry.lastModified) headers["If-Modified-Since"] = entry.lastModified;
+
+    let res;
+    try {
+      res = await fetcher(url, headers);
+      const notModified = res?.status === 304 && entry?.hasBody;
+      if (!notModified && !res?.body?.length) throw new Error(`empty response (HTTP ${res?.status})`);
+    } catch (e) {
+      if (DEBUG_OOR) console.warn(`IMAGE CACHE: fetch failed for ${url} → ${e?.message || e}${entry?.hasBody ? " (serving stale copy)" : ""}`);
+      store(p, null, {
+        url,
+        fetchedAt: entry?.hasBody ? entry.fetchedAt : 0,
+        etag: entry?.etag || "",
+        lastModified: entry?.lastModified || "",
+        failedAt: t,
+      });
+      return entry?.hasBody ? readBody(p) : null;
+    }
+
+    if (res.status === 304 && entry?.hasBody) {
+      store(p, null, { url, fetchedAt: t, etag: entry.etag || "", lastModified: entry.lastModified || "", failedAt: 0 });
+      return readBody(p);
+    }
+
+    const body = Buffer.from(res.body);
+    store(p, body, { url, fetchedAt: t, etag: res.etag || "", lastModified: res.lastModified || "", failedAt: 0 });
+    return body;
+  }
+
+  // A full disk or read-only cache dir only costs the cache, never the render.
+  function store(p, body, meta) {
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      if (body) writeAtomic(p.img, body);
+      writeAtomic(p.meta, JSON.stringify(meta));
+      if (body) prune();
+    } catch (e) {
+      console.warn(`Image cache write failed for ${meta.url} (non-fatal):`, e?.message || e);
+    }
+  }
+
+  return { dir, ttlMs, negativeTtlMs, maxBytes, get, prune };
+}
+
+module.exports = {
+  IMAGE_CACHE_DIR,
+  imageCacheOptionsFromConfig,
+  createImageCache,
+};
@@ -4,12 +4,34 @@
 // Discord.js v14 compatible.
 //
 // Features:
-// - Main standings message with 3 panels: Club50 | Split Yellow | Split Red
-// - Two buttons (grey) to render class-split 2x2 grid for Yellow or Red
+// - Series are declared in config.json "series" (source, URL, title, tint, pane); see "series registry" below
+// - Main standings message with 3 panels: Club50 | Split Yellow | Split Red (default registry)
+// - Grey buttons per series for series-only renders and class-split 2x2 grids
+// - Team / manufacturer standings per series (button row; see "teams" below and teams.js)
 // - Button interactions are ACK'd exactly once
 // - Class render posts as a new channel message and deletes after 5 minutes
 // - If interaction fails, ephemeral error is auto-deleted after 10 seconds
 // - Slash command: /refresh (forces immediate scrape+render)
+// - Slash command: /driver name:<text> (fuzzy-matched personal stat card across all cached series; defaults to your /link)
+// - Slash command: /link set|show|remove (bind your Discord account to a driver identity; see "identities")
+// - Slash command: /me notify:<bool> (your own stat card; opt in to DMs when your position/penalties/quali ban change)
+// - Slash command: /results round:<n> series:<id> (race classification for series with a resultsUrl)
+// - Slash command: /scoring series:<id> (points recomputed from round results + differences vs the site; see scoring.js)
+// - Slash command: /title-race series:<id> (who can still win, overall and per class; see titlerace.js)
+// - Clinched / eliminated drivers are marked on the board once the title race is decided for them
+// - Slash command: /compare driver1:<text> driver2:<text> (head-to-head card for every series both drivers are in)
+// - Slash command: /penalties driver:<text> split:<id> (penalty ledger: every recorded change with dates + running totals)
+// - Slash command: /chart series:<id> top:<n> (points progression from history; also a "Chart" button per series)
+// - Slash command: /logo set|list|reset (Manage Server: upload / remove make logo overrides; see logos.js)
+// - Render themes (dark / light / high-contrast / broadcast + custom) per board and per image command; see "themes"
+// - Each changed scrape is snapshotted per series/season to cache/history/ (see history.js)
+// - Penalty sheet changes per driver are logged to cache/penalties/ (see ledger.js)
+// - Remote images (flags, car icons, watermark) are cached on disk in cache/logos/ (see imagecache.js)
+// - Multiple boards (guild + channel + series selection + cron) from one process; see "boards" below
+// - Changed series get a summary embed (leader, climbers/fallers, penalties, quali bans); see "announce"
+// - Penalty sheet source is configurable (gviz / csv / xlsx / json, URL or local file); see "penalty sheet"
+// - Steward channel alerts (penalty thresholds, new quali bans, bans served) + optional daily digest; see "stewards"
+// - Runtime state (message ids, hashes, timestamps) lives in state.json (see state.js); config.json is only rewritten by one-off migrations
 
 // ------------------ imports ------------------
 const fs = require("fs");
@@ -23,22 +45,70 @@ const {
   ActionRowBuilder,
   ButtonBuilder,
   ButtonStyle,
+  EmbedBuilder,
   Events,
+  PermissionFlagsBits,
   REST,
   Routes,
   SlashCommandBuilder,
 } = require("discord.js");
 
 const cron = require("node-cron");
-const cheerio = require("cheerio");
 const {
-  renderTripleStandingsPng,
-  renderDoubleStandingsPng,
+  renderPaneStandingsPng,
   renderSeriesOnlyPng,
   renderClassGridPng,
+  renderDriverCardPng,
+  renderCompareCardPng,
+  renderRaceResultsPng,
+  renderPointsChartPng,
+  setImageCache,
+  clearLogoCache,
+  detectLogoKey,
 } = require("./render");
+const { createImageCache, imageCacheOptionsFromConfig } = require("./imagecache");
+const { normalizeLogoKey, checkLogoUpload, saveLogo, listLogos, removeLogo } = require("./logos");
+const { canonicalMakeKey } = require("./makes");
+const { themeRegistryFromConfig } = require("./themes");
 
-const { fetchSimgridStandings } = require("./standings");
+const {
+  fetchSimgridStandings,
+  parseStandingsTable,
+  validateRowsOrThrow,
+  parseRoundResultsHtml,
+} = require("./standings");
+const { fetchPenaltyIndex, attachPenaltiesToSprintRows, penaltySourceFromConfig } = require("./penalties");
+const {
+  recordSnapshot,
+  latestSnapshot,
+  previousSnapshot,
+  snapshotByHash,
+  rowsHash,
+  hashableRows,
+  pointsProgression,
+} = require("./history");
+const { diffStandings, summaryLines } = require("./announce");
+const { penaltySnapshot, stewardEvents, stewardAlertLines, stewardDigestLines } = require("./stewards");
+const { recordPenaltyChanges, readPenaltyLedger, ledgerRows } = require("./ledger");
+const { scoringFromConfig, computeStandings, standingsDiscrepancies } = require("./scoring");
+const { titleRaceFromConfig, titleRace, markTitleStatus, titleRaceLines } = require("./titlerace");
+const { createRoundsRunCounter } = require("./roundsrun");
+const { teamStandings } = require("./teams");
+const { foldName, createIdentityRegistry } = require("./identities");
+const {
+  LEGACY_BOARD_ID,
+  loadState,
+  saveState,
+  boardState,
+  paneState,
+  updatePaneState,
+  userLinks,
+  linkUser,
+  unlinkUser,
+  updateUserLink,
+  stewardState,
+  writeJsonAtomic,
+} = require("./state");
 
 // ------------------ config ------------------
 const configPath = path.join(__dirname, "config.json");
@@ -63,20 +133,9 @@ function getButtonCooldownSeconds(userId, buttonId) {
   return 0;
 }
 
-// ------------------ Sprint penalty sheet (v1.044+) ------------------
-// Public Google Sheet with two tabs: Split Yellow / Split Red
-// We scrape three columns and attach to Sprint standings rows:
-// - Total -> penPoints
-// - Qualifying Ban -> qualiBan
-// - Ban Served -> banServed
-const PENALTY_SHEET_ID = "1SJ3Sp-E-qFSxpR6caThRYBCH-Hm0YuOhT7jpINHTcKQ";
-const PENALTY_TABS = {
-  yellow: "Split Yellow",
-  red: "Split Red",
-};
-
+// Only used by one-off migrations; runtime state lives in state.json (see state.js).
 function saveConfig() {
-  fs.writeFileSync(configPath, JSON.stringify(config, null, 2), "utf8");
+  writeJsonAtomic(configPath, config);
 }
 
 function mustConfig(value, name) {
@@ -98,11 +157,468 @@ if (
 }
 
 mustConfig(config.token, "token");
-mustConfig(config.channelId, "channelId");
-mustConfig(config.standingsUrl, "standingsUrl");
-mustConfig(config.sprintSplitYellowStandingURL, "sprintSplitYellowStandingURL");
-mustConfig(config.sprintSplitRedStandingURL, "sprintSplitRedStandingURL");
-mustConfig(config.checkCron, "checkCron");
+
+// ------------------ series registry ------------------
+// Every standings table the bot scrapes is one entry in config.json "series":
+//   {
+//     "id": "yellow",                     // stable id (button ids, history files)
+//     "source": "oor",                    // "oor" (DevExpress results site) | "simgrid"
+//     "url": "https://results.octaneonlineracing.com/...&s=24",
+//     "name": "Sprints Split Yellow",     // used in the 'These results are for' line
+//     "title": "Split Yellow Sprint Standings — Season {season}",
+//     "buttonLabel": "Split Yellow",
+//     "emoji": "🟡",
+//     "tint": "#f6c343",
+//     "penaltyTab": "Split Yellow",       // optional: penalty sheet tab (sprint series)
+//     "classSplit": true,                 // optional: adds a "by Class" button
+//     "season": "",                       // optional: overrides the season taken from the URL
+//     "resultsUrl": "https://results.octaneonlineracing.com/...&r={round}", // optional (OOR only): per-round
+//                                         // results page for /results ({round}, {season} are filled in)
+//     "scoring": { "points": [25, 18, …], "drop": 2 }, // optional (needs resultsUrl): recompute total/nett; see scoring.js
+//     "titleRace": { "rounds": 12 },      // optional: clinch/elimination marks + /title-race; rounds run are counted
+//                                         // from resultsUrl unless "completed" is set; see titlerace.js
+//     "pane": "main"                      // which board message the series renders into (at most 5 series per
+//                                         // pane: each series adds a button to every button row)
+//   }
+// Without "series", the registry is built from the legacy standingsUrl / sprintSplit*URL /
+// simgrid*Url keys so existing config.json files keep working unchanged.
+// Legacy configs can still add round results pages via "resultsUrls": { "<seriesId>": "…{round}…" }.
+const SERIES_SOURCES = ["oor", "simgrid"];
+
+function legacySeriesRegistry() {
+  mustConfig(config.standingsUrl, "standingsUrl");
+  mustConfig(config.sprintSplitYellowStandingURL, "sprintSplitYellowStandingURL");
+  mustConfig(config.sprintSplitRedStandingURL, "sprintSplitRedStandingURL");
+
+  const list = [
+    {
+      id: "club50",
+      source: "oor",
+      url: config.standingsUrl,
+      name: "Club 50",
+      title: "Club 50 Standings — Season {season}",
+      buttonLabel: "Club 50",
+      emoji: "🔵",
+      tint: "#2b6cff",
+      pane: "main",
+    },
+    {
+      id: "yellow",
+      source: "oor",
+      url: config.sprintSplitYellowStandingURL,
+      name: "Sprints Split Yellow",
+      title: "Split Yellow Sprint Standings — Season {season}",
+      buttonLabel: "Split Yellow",
+      emoji: "🟡",
+      tint: "#f6c343",
+      penaltyTab: "Split Yellow",
+      classSplit: true,
+      pane: "main",
+    },
+    {
+      id: "red",
+      source: "oor",
+      url: config.sprintSplitRedStandingURL,
+      name: "Sprints Split Red",
+      title: "Split Red Sprint Standings — Season {season}",
+      buttonLabel: "Split Red",
+      emoji: "🔴",
+      tint: "#ff3b3b",
+      penaltyTab: "Split Red",
+      classSplit: true,
+      pane: "main",
+    },
+  ];
+
+  // Optional: SimGrid pane only when both URLs are configured
+  const hyperUrl = String(config.simgridHypercarUrl || "").trim();
+  const lmgt3Url = String(config.simgridLmgt3Url || "").trim();
+  if (hyperUrl && lmgt3Url) {
+    list.push(
+      {
+        id: "hypercar",
+        source: "simgrid",
+        url: hyperUrl,
+        name: "LMU Hypercar",
+        title: "OOR WEC SERIES 6 — Hypercar",
+        buttonLabel: "Hypercar",
+        emoji: "🔴",
+        tint: "#ff3b3b",
+        pane: "simgrid",
+      },
+      {
+        id: "lmgt3",
+        source: "simgrid",
+        url: lmgt3Url,
+        name: "LMU LMGT3",
+        title: "OOR WEC SERIES 6 — LMGT3",
+        buttonLabel: "LMGT3",
+        emoji: "🟢",
+        tint: "#34c759",
+        pane: "simgrid",
+      }
+    );
+  } else if (DEBUG_OOR) {
+    console.log("SimGrid URLs not configured (simgridHypercarUrl/simgridLmgt3Url) — skipping.");
+  }
+
+  return list;
+}
+
+function loadSeriesRegistry() {
+  const raw = Array.isArray(config.series) && config.series.length ? config.series : legacySeriesRegistry();
+  const seen = new Set();
+
+  return raw.map((s, i) => {
+    const id = normalize(s?.id).toLowerCase();
+    const source = normalize(s?.source || "oor").toLowerCase();
+
+    if (!id) throw new Error(`Missing id for series[${i}] in config.json`);
+    if (seen.has(id)) throw new Error(`Duplicate series id '${id}' in config.json`);
+    if (!/^[a-z0-9_-]+$/.test(id)) throw new Error(`Invalid series id '${id}' in config.json (use a-z, 0-9, _ or -)`);
+    if (!SERIES_SOURCES.includes(source)) {
+      throw new Error(`Unknown source '${s.source}' for series '${id}' in config.json`);
+    }
+    mustConfig(s.url, `url for series '${id}'`);
+    seen.add(id);
+
+    const resultsUrl = normalize(s.resultsUrl) || normalize(config.resultsUrls?.[id]);
+    if (resultsUrl && source !== "oor") {
+      throw new Error(`resultsUrl for series '${id}' is only supported for OOR series`);
+    }
+    if (resultsUrl && !/\{round\}/i.test(resultsUrl)) {
+      throw new Error(`resultsUrl for series '${id}' must contain {round}`);
+    }
+
+    const scoring = scoringFromConfig(s.scoring, `series '${id}'`);
+    if (scoring && !resultsUrl) throw new Error(`scoring for series '${id}' needs a resultsUrl in config.json`);
+
+    const titleRaceCfg = titleRaceFromConfig(s.titleRace, scoring, `series '${id}'`);
+    if (titleRaceCfg && titleRaceCfg.completed === null && !resultsUrl) {
+      throw new Error(`titleRace for series '${id}' needs "completed" or a resultsUrl in config.json`);
+    }
+
+    const name = normalize(s.name) || id;
+    return {
+      id,
+      source,
+      url: String(s.url).trim(),
+      name,
+      title: normalize(s.title) || name,
+      buttonLabel: normalize(s.buttonLabel) || name,
+      emoji: normalize(s.emoji),
+      tint: normalize(s.tint) || undefined,
+      penaltyTab: normalize(s.penaltyTab),
+      classSplit: !!s.classSplit,
+      classLabel: normalize(s.classLabel),
+      season: normalize(s.season),
+      resultsUrl,
+      scoring,
+      titleRace: titleRaceCfg,
+      pane: normalize(s.pane) || (source === "simgrid" ? "simgrid" : "main"),
+    };
+  });
+}
+
+// ------------------ panes ------------------
+// A pane is one board message; series declare which pane they render into.
+// Pane state lives in state.json under boards[boardId].panes[paneId].
+// statePrefix is only used to import the keys older versions kept in config.json:
+// - main:    messageId / lastHash / lastUpdated / lastChecked
+// - simgrid: simgridMessageId / simgridLastHash / simgridLastUpdated / simgridLastChecked
+// (for the legacy board on the config root, for other boards under config.boardState[boardId])
+const PANE_DEFAULTS = {
+  main: { statePrefix: "", fileName: "standings.png", resultsLink: true, repostOnChange: true },
+  simgrid: { statePrefix: "simgrid", fileName: "simgrid.png", resultsLink: false, repostOnChange: false },
+};
+
+// Discord allows 5 buttons per row and 5 rows per message. Each button kind (Only / by Class / Chart / Teams)
+// starts its own rows, so a pane's series have to fit that budget (checked at load rather than dropping rows).
+const BUTTONS_PER_ROW = 5;
+const MAX_BUTTON_ROWS = 5;
+
+function paneButtonRowCount(series) {
+  const rows = (n) => Math.ceil(n / BUTTONS_PER_ROW);
+  return rows(series.length) * 3 + rows(series.filter((s) => s.classSplit).length);
+}
+
+function buildPanes(series) {
+  const ids = [...new Set(series.map((s) => s.pane))];
+  return ids.map((id) => {
+    const paneSeries = series.filter((s) => s.pane === id);
+    const rows = paneButtonRowCount(paneSeries);
+    if (rows > MAX_BUTTON_ROWS) {
+      throw new Error(
+        `Pane '${id}' has ${paneSeries.length} series, which needs ${rows} button rows (Discord allows ${MAX_BUTTON_ROWS}); ` +
+          `move some series to another pane in config.json`
+      );
+    }
+    return {
+      id,
+      statePrefix: id,
+      fileName: `${id}.png`,
+      resultsLink: false,
+      repostOnChange: false,
+      ...(PANE_DEFAULTS[id] || {}),
+      series: paneSeries,
+    };
+  });
+}
+
+const SERIES = loadSeriesRegistry();
+const SERIES_BY_ID = new Map(SERIES.map((s) => [s.id, s]));
+
+// ------------------ teams ------------------
+// Optional team championship membership in config.json:
+//   "teams": [
+//     { "name": "Apex Motorsport",
+//       "drivers": ["Ava Nguyen", "Ben Walker"],   // matched by name…
+//       "carNos": ["27"],                          // …or car number
+//       "series": ["yellow", "red"],               // optional: only in these series (default: all)
+//       "logo": "https://…/apex.png" }             // optional: instead of the best-placed driver's car
+//   ],
+//   "teamCountBest": 2                             // optional: only a team's N best drivers score
+// Drivers outside every team are grouped by car make, so the Teams buttons work without any config.
+function loadTeamRegistry() {
+  if (config.teams === undefined) return [];
+  if (!Array.isArray(config.teams)) throw new Error("teams in config.json must be an array");
+
+  const seen = new Set();
+  return config.teams.map((t, i) => {
+    const name = normalize(t?.name);
+    if (!name) throw new Error(`Missing name for teams[${i}] in config.json`);
+    if (seen.has(name.toLowerCase())) throw new Error(`Duplicate team '${name}' in config.json`);
+    seen.add(name.toLowerCase());
+
+    const series = (Array.isArray(t.series) ? t.series : []).map((id) => normalize(id).toLowerCase());
+    const unknown = series.find((id) => !SERIES_BY_ID.has(id));
+    if (unknown) throw new Error(`Unknown series '${unknown}' for team '${name}' in config.json`);
+
+    const list = (v) => (Array.isArray(v) ? v : []).map(normalize).filter(Boolean);
+    return { name, drivers: list(t.drivers), carNos: list(t.carNos), series, logo: normalize(t.logo) };
+  });
+}
+
+const TEAMS = loadTeamRegistry();
+const TEAM_COUNT_BEST = Math.max(0, Math.floor(Number(config.teamCountBest) || 0));
+
+// ------------------ penalty sheet ------------------
+// Where the sprint penalty tables come from (Google Sheet via gviz by default; csv / xlsx / json URL or
+// local file, with per-split column mapping). See penalties.js for the config.json "penaltySource" format.
+const PENALTY_SOURCE = penaltySourceFromConfig(config.penaltySource);
+
+// ------------------ image cache ------------------
+// Flags, car icons and the watermark are kept in cache/logos across restarts (TTL + revalidation,
+// size cap); config.json "imageCache" tunes it, see imagecache.js.
+setImageCache(createImageCache(imageCacheOptionsFromConfig(config.imageCache)));
+
+// ------------------ identities ------------------
+// One driver, several spellings (OOR vs SimGrid vs penalty sheet); see identities.js for the
+// config.json "identities" format. Used to match drivers across series and the penalty sheet,
+// and to resolve /link'd Discord users (links are stored in state.json under the display name).
+const IDENTITIES = createIdentityRegistry(config.identities || []);
+
+// ------------------ themes ------------------
+// Named render looks (dark, light, high-contrast, broadcast + any defined in config.json "themes");
+// config.json "theme" picks the default. Boards may set their own, and image commands take a
+// theme option. See themes.js for the format; font files listed there are registered here.
+const THEMES = themeRegistryFromConfig(config.themes, config.theme);
+
+// ------------------ boards ------------------
+// A board is one channel the bot maintains (its own messages, series selection and cron cadence).
+// One process can serve several guilds/channels via config.json "boards":
+//   "boards": [
+//     { "id": "oor", "guildId": "…", "channelId": "…", "checkCron": "*/10 * * * *",
+//       "series": ["club50", "yellow", "red", "hypercar", "lmgt3"] },
+//     { "id": "partner", "guildId": "…", "channelId": "…", "checkCron": "*/30 * * * *",
+//       "series": ["hypercar", "lmgt3"], "theme": "light" }
+//   ]
+// "series" defaults to every registered series, "checkCron" to config.checkCron, "theme" to config.theme.
+// Without "boards", a single legacy board is built from channelId / guildId / checkCron.
+//
+// When a series' table changes, a summary embed (new leader, climbers/fallers, new penalty points,
+// newly active quali bans) is posted as well, so members get a notification. Per board, or on the
+// config root for every board:
+//   "announce": { "enabled": true, "channelId": "", "thread": false, "mentions": true }
+// - channelId: post somewhere other than the board channel
+// - thread:    post into a thread on the pane's board message instead of the channel
+// - mentions:  ping members whose /link'd driver appears in the summary
+function announceConfig(raw, label) {
+  const a = raw && typeof raw === "object" ? raw : {};
+  const channelId = normalize(a.channelId);
+  if (channelId && a.thread) throw new Error(`announce for ${label}: use either channelId or thread, not both`);
+  return { enabled: a.enabled !== false, channelId, thread: !!a.thread, mentions: a.mentions !== false };
+}
+
+function loadBoards() {
+  if (!Array.isArray(config.boards) || !config.boards.length) {
+    mustConfig(config.channelId, "channelId");
+    mustConfig(config.checkCron, "checkCron");
+    return [
+      {
+        id: LEGACY_BOARD_ID,
+        legacy: true,
+        guildId: normalize(config.guildId),
+        channelId: String(config.channelId).trim(),
+        checkCron: config.checkCron,
+        series: SERIES,
+        panes: buildPanes(SERIES),
+        theme: THEMES.defaultName,
+        announce: announceConfig(config.announce, "config.json"),
+      },
+    ];
+  }
+
+  const seen = new Set();
+  return config.boards.map((b, i) => {
+    const id = normalize(b?.id) || `board${i + 1}`;
+    if (seen.has(id)) throw new Error(`Duplicate board id '${id}' in config.json`);
+    seen.add(id);
+
+    mustConfig(b.channelId, `channelId for board '${id}'`);
+    const checkCron = normalize(b.checkCron) || config.checkCron;
+    mustConfig(checkCron, `checkCron for board '${id}'`);
+    if (!cron.validate(checkCron)) throw new Error(`Invalid checkCron '${checkCron}' for board '${id}' in config.json`);
+
+    const wanted = Array.isArray(b.series) && b.series.length ? b.series : SERIES.map((s) => s.id);
+    const series = wanted.map((sid) => {
+      const def = SERIES_BY_ID.get(normalize(sid).toLowerCase());
+      if (!def) throw new Error(`Unknown series '${sid}' for board '${id}' in config.json`);
+      return def;
+    });
+
+    const theme = normalize(b.theme).toLowerCase() || THEMES.defaultName;
+    if (!THEMES.has(theme)) throw new Error(`Unknown theme '${b.theme}' for board '${id}' in config.json`);
+
+    return {
+      id,
+      legacy: false,
+      guildId: normalize(b.guildId),
+      channelId: String(b.channelId).trim(),
+      checkCron,
+      series,
+      panes: buildPanes(series),
+      theme,
+      announce: announceConfig(b.announce ?? config.announce, `board '${id}'`),
+    };
+  });
+}
+
+const BOARDS = loadBoards();
+
+// ------------------ stewards ------------------
+// Optional alerts for the stewards, from the penalty sheet data already attached to sprint rows:
+//   "stewards": {
+//     "channelId": "…",
+//     "thresholds": [5, 10, 15],      // alert when a driver's penalty points reach one of these
+//     "digestCron": "0 9 * * *",      // optional: daily summary of active bans / drivers over the lowest threshold
+//     "series": ["yellow", "red"]     // optional: defaults to every series with a penaltyTab
+//   }
+// Newly active quali bans and "Ban Served" being filled in are always alerted.
+function loadStewardConfig() {
+  const raw = config.stewards;
+  if (!raw) return null;
+  if (typeof raw !== "object" || Array.isArray(raw)) throw new Error("stewards in config.json must be an object");
+
+  mustConfig(raw.channelId, "stewards.channelId");
+
+  const thresholds = (Array.isArray(raw.thresholds) ? raw.thresholds : []).map((t) => {
+    const n = Number(t);
+    if (!Number.isFinite(n) || n <= 0) throw new Error(`Invalid stewards threshold '${t}' in config.json`);
+    return n;
+  });
+
+  const digestCron = normalize(raw.digestCron);
+  if (digestCron && !cron.validate(digestCron)) throw new Error(`Invalid stewards.digestCron '${digestCron}' in config.json`);
+
+  const wanted = Array.isArray(raw.series) && raw.series.length ? raw.series : SERIES.filter((s) => s.penaltyTab).map((s) => s.id);
+  const series = wanted.map((sid) => {
+    const def = SERIES_BY_ID.get(normalize(sid).toLowerCase());
+    if (!def) throw new Error(`Unknown series '${sid}' in config.json stewards`);
+    if (!def.penaltyTab) throw new Error(`Series '${def.id}' in config.json stewards has no penaltyTab`);
+    return def;
+  });
+
+  return { channelId: String(raw.channelId).trim(), thresholds: [...new Set(thresholds)].sort((a, b) => a - b), digestCron, series };
+}
+
+const STEWARDS = loadStewardConfig();
+
+// Boards shown in a guild (boards without a guildId are visible everywhere).
+function boardsForGuild(guildId) {
+  return BOARDS.filter((b) => !b.guildId || b.guildId === guildId);
+}
+
+// Theme for an image reply: the command's "theme" option, else the board posted in this channel,
+// else the guild's first board, else the configured default.
+function themeForInteraction(interaction) {
+  const picked = interaction.isChatInputCommand?.() ? normalize(interaction.options.getString("theme")) : "";
+  if (picked) return THEMES.get(picked);
+
+  const boards = boardsForGuild(interaction.guildId);
+  const board = boards.find((b) => b.channelId === interaction.channelId) || boards[0];
+  return THEMES.get(board?.theme);
+}
+
+function seriesForGuild(guildId) {
+  const ids = new Set(boardsForGuild(guildId).flatMap((b) => b.series.map((s) => s.id)));
+  return SERIES.filter((s) => ids.has(s.id));
+}
+
+// ------------------ runtime state ------------------
+const PANE_STATE_KEYS = ["messageId", "lastHash", "lastUpdated", "lastChecked"];
+
+function legacyPaneStateKey(pane, key) {
+  if (!pane.statePrefix) return key;
+  return pane.statePrefix + key.charAt(0).toUpperCase() + key.slice(1);
+}
+
+// Moves pane state that older versions wrote into config.json over to state.json (once).
+function migrateConfigState() {
+  let moved = 0;
+
+  for (const board of BOARDS) {
+    const src = board.legacy ? config : config.boardState?.[board.id];
+    if (!src) continue;
+
+    for (const pane of board.panes) {
+      const target = paneState(board.id, pane.id);
+      for (const key of PANE_STATE_KEYS) {
+        const legacyKey = legacyPaneStateKey(pane, key);
+        if (!(legacyKey in src)) continue;
+        if (target[key] === undefined && src[legacyKey]) target[key] = src[legacyKey];
+        delete src[legacyKey];
+        moved++;
+      }
+    }
+  }
+
+  if (config.boardState) {
+    for (const [id, st] of Object.entries(config.boardState)) {
+      if (st && Object.keys(st).length) continue;
+      delete config.boardState[id];
+      moved++;
+    }
+    if (!Object.keys(config.boardState).length) delete config.boardState;
+  }
+
+  if (!moved) return;
+  // state.json first: if we crash in between, the keys still exist in config.json and get re-imported.
+  saveState();
+  saveConfig();
+  console.log("Migrated runtime state: config.json -> state.json");
+}
+
+loadState();
+migrateConfigState();
+
+function getPaneState(board, pane, key) {
+  return paneState(board.id, pane.id)[key];
+}
+
+function setPaneState(board, pane, patch) {
+  updatePaneState(board.id, pane.id, patch);
+}
 
 // ------------------ discord client ------------------
 const client = new Client({
@@ -114,15 +630,10 @@ function sha1(s) {
   return crypto.createHash("sha1").update(s).digest("hex");
 }
 
-function logPath(msg) {
-  if (DEBUG_OOR) {
-    console.log(`CHECK_AND_POST → ${msg}`);
-  }
-}
-
-function logPathSimgrid(msg) {
+function logPath(board, pane, msg) {
   if (DEBUG_OOR) {
-    console.log(`SIMGRID_CHECK_AND_POST → ${msg}`);
+    const prefix = pane.id === "main" ? "CHECK_AND_POST" : `${pane.id.toUpperCase()}_CHECK_AND_POST`;
+    console.log(`${board.legacy ? "" : `[${board.id}] `}${prefix} → ${msg}`);
   }
 }
 
@@ -130,7 +641,8 @@ function sleep(ms) {
   return new Promise((r) => setTimeout(r, ms));
 }
 
-async function fetchHtmlWithRetry(url, attempts = 3) {
+// marker: text the page must contain (catches error/maintenance pages served with HTTP 200).
+async function fetchHtmlWithRetry(url, attempts = 3, marker = "PageContent_TeamsView_DXMainTable") {
   if (typeof fetch !== "function") {
     throw new Error("Global fetch() not available (Node 18+ required).");
   }
@@ -149,17 +661,18 @@ async function fetchHtmlWithRetry(url, attempts = 3) {
         },
       });
 
-      if (!res.ok) throw new Error(`Fetch failed (${res.status}) for ${url}`);
+      if (!res.ok) throw Object.assign(new Error(`Fetch failed (${res.status}) for ${url}`), { status: res.status });
       const text = await res.text();
 
-      if (!text.includes("PageContent_TeamsView_DXMainTable")) {
-        throw new Error("HTML response missing expected standings table marker");
+      if (!text.includes(marker)) {
+        throw new Error(`HTML response missing expected table marker (${marker})`);
       }
 
       return text;
     } catch (e) {
       lastErr = e;
       if (DEBUG_OOR) console.warn(`Fetch attempt ${i + 1}/${attempts} failed:`, e?.message || e);
+      if (e?.status === 404) break; // a missing page (e.g. a round not run yet) won't appear on a retry
       if (i < attempts - 1) await sleep(700 + i * 500);
     }
   }
@@ -182,318 +695,416 @@ function normalizeCarNoKey(s) {
   return digits || t;
 }
 
-function getHeaderCaption($, td) {
-  const $td = $(td);
-  const cap1 = normalize($td.find(".dx-ellipsis").first().text());
-  if (cap1) return cap1;
-  return normalize($td.text());
+function extractSeasonFromUrl(url) {
+  try {
+    const u = new URL(url);
+    return u.searchParams.get("s") || "";
+  } catch {
+    return "";
+  }
 }
 
-function findColumnIndex(headers, possibleNames) {
-  const want = possibleNames.map((x) => x.toLowerCase());
-  for (let i = 0; i < headers.length; i++) {
-    const h = normalize(headers[i]).toLowerCase();
-    if (want.includes(h)) return i;
-  }
-  return -1;
+function simgridSeasonFromUrl(url) {
+  // SimGrid has no season param; the championship id identifies the season.
+  const m = String(url || "").match(/championships\/(\d+)/i);
+  return m ? m[1] : "";
 }
 
-function getBestTextFromCell($, td) {
-  const $td = $(td);
-  const a = normalize($td.find("a").first().text());
-  if (a) return a;
-  const t = normalize($td.text());
-  if (t) return t;
-  const title = normalize($td.attr("title"));
-  if (title) return title;
-  const aria = normalize($td.attr("aria-label"));
-  if (aria) return aria;
-  return "";
+function seasonForSeries(def) {
+  if (def.season) return def.season;
+  const fromUrl = def.source === "simgrid" ? simgridSeasonFromUrl(def.url) : extractSeasonFromUrl(def.url);
+  return fromUrl || "??";
 }
 
-function getImgSrcFromCell($, td) {
-  const src = $(td).find("img").first().attr("src");
-  return src ? String(src).trim() : "";
+function seriesTitle(def, rowCount) {
+  const base = def.title.replace(/\{season\}/gi, seasonForSeries(def));
+  return def.source === "simgrid" ? `${base} (${rowCount} Drivers)` : `${base} (${rowCount} drivers)`;
 }
 
-function parseStandingsTable(html, tableId, label) {
-  const $ = cheerio.load(html);
+// "Split Yellow Sprint Standings — Season {season}" -> "Split Yellow Sprint Standings"
+function classSplitLabel(def) {
+  return def.classLabel || def.title.replace(/\s*[—-]\s*Season\s*\{season\}.*$/i, "").trim() || def.name;
+}
 
-  const table = $(`table#${tableId}`);
-  if (!table.length) throw new Error(`Could not find table#${tableId}`);
+// Returns the hashed standings shape { title, subtitle, rows } (render decorations are added by seriesPanel).
+async function fetchSeries(def, penaltyIndex = null) {
+  if (def.source === "simgrid") {
+    const { rows } = await fetchSimgridStandings(def.url, `SimGrid ${def.name}`);
 
-  const headerRow = table.find("tr[id$='_DXHeadersRow0']").first();
-  if (!headerRow.length) throw new Error(`Could not find header row for ${label}`);
+    // Basic validation: driver names must not look like URLs
+    const bad = (rows || []).filter((r) => /https?:\/\//i.test(String(r.driver || ""))).length;
+    if (bad > 0) throw new Error(`${def.name}: scrape parsed but driver names look wrong (URL text)`);
 
-  // ✅ ONLY direct header TDs
-  const headerCells = headerRow.children("td").toArray();
-  const headers = headerCells.map((td) => getHeaderCaption($, td));
+    return {
+      title: seriesTitle(def, rows.length),
+      subtitle: "Auto-updates when SimGrid standings change",
+      rows,
+    };
+  }
 
-  const idx = {
-    pos: findColumnIndex(headers, ["#", "pos", "position"]),
-    driver: findColumnIndex(headers, ["driver"]),
-    carNo: findColumnIndex(headers, ["car#", "car #", "carno", "car no"]),
-    className: findColumnIndex(headers, ["class"]),
-    carImg: findColumnIndex(headers, ["car"]),
-    countryImg: findColumnIndex(headers, ["country", "cou..."]),
-    racePts: findColumnIndex(headers, ["race points", "race"]),
-    qualiPts: findColumnIndex(headers, ["quali points", "quali"]),
-    flPts: findColumnIndex(headers, ["fastest lap points", "fastest lap", "fl"]),
-    total: findColumnIndex(headers, ["total"]),
-    nett: findColumnIndex(headers, ["nett points", "nett"]),
-    diff: findColumnIndex(headers, ["diff.", "diff"]),
-  };
+  const html = await fetchHtmlWithRetry(def.url);
+  const rows = parseStandingsTable(html, "PageContent_TeamsView_DXMainTable", def.name);
+  validateRowsOrThrow(rows, def.name);
 
-  const dataRows = table.find("tr[id^='PageContent_TeamsView_DXDataRow']").toArray();
-  const rows = [];
-
-  for (const tr of dataRows) {
-    // ✅ ONLY direct TDs
-    const tds = $(tr).children("td").toArray();
-    if (!tds.length) continue;
-
-    const safeText = (i) => (i >= 0 && i < tds.length ? normalize($(tds[i]).text()) : "");
-
-    rows.push({
-      pos: safeText(idx.pos),
-      driver: idx.driver >= 0 ? getBestTextFromCell($, tds[idx.driver]) : "",
-      carNo: safeText(idx.carNo),
-      className: idx.className >= 0 ? safeText(idx.className) : "",
-      carImg: idx.carImg >= 0 ? getImgSrcFromCell($, tds[idx.carImg]) : "",
-      countryImg: idx.countryImg >= 0 ? getImgSrcFromCell($, tds[idx.countryImg]) : "",
-      racePts: safeText(idx.racePts),
-      qualiPts: safeText(idx.qualiPts),
-      flPts: safeText(idx.flPts),
-      total: safeText(idx.total),
-      nett: safeText(idx.nett),
-      diff: safeText(idx.diff),
-    });
-  }
+  // v1.044+: attach penalty points + quali ban info
+  const penaltyTab = def.penaltyTab ? penaltyIndex?.get?.(def.penaltyTab) : null;
+  if (penaltyTab) attachPenaltiesToSprintRows(rows, penaltyTab, def.name, { nameKey: IDENTITIES.key });
 
-  if (DEBUG_OOR) {
-    console.log("\n==============================");
-    console.log(`DEBUG_OOR: ${label}`);
-    console.log("Headers:", headers);
-    console.log("Column Map:", idx);
-    console.log("Parsed rows:", rows.length);
-    console.log("Sample row:", rows[0]);
-  }
+  const scored = def.scoring?.apply ? await applyComputedScoringSafe(def, rows) : null;
 
-  return rows;
+  return {
+    title: seriesTitle(def, rows.length),
+    subtitle: scored ? "Points recomputed from round results" : "Auto-updates when OOR standings change",
+    rows: scored || rows,
+  };
 }
 
-function validateRowsOrThrow(rows, label) {
-  if (!rows || rows.length === 0) throw new Error(`${label}: parsed 0 rows`);
-
-  const nonEmptyDrivers = rows.filter((r) => r.driver && r.driver.trim()).length;
-  const nonEmptyCars = rows.filter((r) => r.carImg && r.carImg.trim()).length;
+// Boards that share a series (and fire on the same cron minute) reuse one scrape.
+// Entries are cloned on the way out because index.js decorates rows after hashing.
+const SCRAPE_CACHE_MS = 60 * 1000;
+const scrapeCache = new Map(); // seriesId -> { at, standings }
 
-  if (nonEmptyDrivers < 3) throw new Error(`${label}: scrape looks empty (drivers missing).`);
-  if (nonEmptyCars < 3) throw new Error(`${label}: scrape looks empty (car images missing).`);
-}
+// Scrapes a list of series in order (penalty tabs fetched once up front).
+// fresh=true bypasses the short-lived scrape cache (/refresh).
+async function scrapeSeriesList(defs, fresh = false) {
+  const now = Date.now();
+  const cached = (def) => {
+    const hit = !fresh && scrapeCache.get(def.id);
+    return hit && now - hit.at < SCRAPE_CACHE_MS ? hit.standings : null;
+  };
 
-// ------------------ Penalty sheet scraping ------------------
-function parseGvizJson(text) {
-  // Google gviz response looks like:
-  //   /*O_o*/\ngoogle.visualization.Query.setResponse({...});
-  const s = String(text || "");
-  const marker = "google.visualization.Query.setResponse(";
-  const start = s.indexOf(marker);
-  if (start < 0) throw new Error("GVIZ: missing setResponse marker");
-  const jsonStart = s.indexOf("{", start);
-  const jsonEnd = s.lastIndexOf("}");
-  if (jsonStart < 0 || jsonEnd < 0 || jsonEnd <= jsonStart) {
-    throw new Error("GVIZ: could not locate JSON braces");
+  const missing = defs.filter((d) => !cached(d));
+  const penaltyIndex = missing.some((d) => d.penaltyTab)
+    ? await fetchPenaltyIndex(missing.map((d) => d.penaltyTab), PENALTY_SOURCE)
+    : null;
+
+  const out = [];
+  for (const def of defs) {
+    let standings = cached(def);
+    if (!standings) {
+      standings = await fetchSeries(def, penaltyIndex);
+      scrapeCache.set(def.id, { at: Date.now(), standings });
+    }
+    out.push({ def, standings: structuredClone(standings) });
   }
-  const payload = s.slice(jsonStart, jsonEnd + 1);
-  return JSON.parse(payload);
+  return out;
 }
 
-async function fetchPenaltyTab(tabName) {
-  const url =
-    `https://docs.google.com/spreadsheets/d/${PENALTY_SHEET_ID}/gviz/tq?tqx=out:json&sheet=${encodeURIComponent(
-      tabName
-    )}`;
+function seriesPanel(def, standings) {
+  return {
+    ...standings,
+    tint: def.tint,
+    mode: def.source === "simgrid" ? "simgrid" : "default",
+    isSprint: !!def.penaltyTab,
+  };
+}
 
-  const res = await fetch(url, {
-    headers: {
-      "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) OORBot/1.0",
-      Accept: "text/plain,*/*",
-      "Cache-Control": "no-cache",
-      Pragma: "no-cache",
-    },
-  });
-  if (!res.ok) throw new Error(`Penalty sheet fetch failed (${res.status}) for tab ${tabName}`);
-  const text = await res.text();
-  const json = parseGvizJson(text);
+// ---- standings history ----
+// Snapshots are only appended when a series' rows actually changed (hash dedupe in history.js).
+// Snapshots carry the rounds run (series with a resultsUrl) so /chart groups them by round, not by date.
+// The count is the shared forward-only one (see "rounds run"), so tagging costs one next-round check at most.
+async function recordHistorySafe(def, standings) {
+  if (!standings) return;
+  const round = await roundsRunSafe(def);
+  try {
+    recordSnapshot(def.id, seasonForSeries(def), { title: standings.title, rows: standings.rows, round });
+  } catch (e) {
+    console.warn(`History write failed for ${def.id} (non-fatal):`, e?.message || e);
+  }
+}
 
-  const table = json?.table;
-  const cols = table?.cols || [];
-  const rows = table?.rows || [];
+// ---- penalty ledger ----
+function recordPenaltyLedgerSafe(def, standings) {
+  if (!def.penaltyTab || !standings) return;
+  try {
+    recordPenaltyChanges(def.id, seasonForSeries(def), standings.rows, { key: IDENTITIES.key });
+  } catch (e) {
+    console.warn(`Penalty ledger write failed for ${def.id} (non-fatal):`, e?.message || e);
+  }
+}
 
-  const colLabels = cols.map((c) => normalize(c?.label));
-  const idxTotal = colLabels.findIndex((h) => h.toLowerCase() === "total");
-  const idxQualiBan = colLabels.findIndex((h) => h.toLowerCase() === "qualifying ban");
-  const idxBanServed = colLabels.findIndex((h) => h.toLowerCase() === "ban served");
+// ---- position change markers ----
+// Compares each row against the previous history snapshot of the same series and sets
+// r.posChange (places gained, negative = lost). Rows with no baseline get posChange = null.
+// Must run AFTER hashing/recording so the marker never feeds back into the data hash.
+function attachPositionChanges(def, standings) {
+  const rows = standings?.rows;
+  if (!Array.isArray(rows) || !rows.length) return rows;
 
-  if (idxTotal < 0) throw new Error(`Penalty sheet tab ${tabName}: missing 'Total' column`);
-  if (idxQualiBan < 0) throw new Error(`Penalty sheet tab ${tabName}: missing 'Qualifying Ban' column`);
-  if (idxBanServed < 0) throw new Error(`Penalty sheet tab ${tabName}: missing 'Ban Served' column`);
+  let prev = null;
+  try {
+    prev = previousSnapshot(def.id, seasonForSeries(def), rowsHash(rows));
+  } catch (e) {
+    console.warn(`History read failed for ${def.id} (non-fatal):`, e?.message || e);
+  }
+  if (!prev || !Array.isArray(prev.rows)) return rows;
 
   const byCarNo = new Map();
   const byName = new Map();
-
-  const cellV = (r, i) => {
-    const c = r?.c?.[i];
-    const v = c?.f !== undefined && c?.f !== null ? c.f : c?.v;
-    return v === null || v === undefined ? "" : String(v);
-  };
+  for (const p of prev.rows) {
+    const carKey = normalizeCarNoKey(p?.carNo);
+    const nameKey = normalizeNameKey(p?.driver);
+    if (carKey) byCarNo.set(carKey, p);
+    if (nameKey) byName.set(nameKey, p);
+  }
 
   for (const r of rows) {
-    // Car# is column A (0), Name is column B (1)
-    const carNo = normalizeCarNoKey(cellV(r, 0));
-    const name = normalize(cellV(r, 1));
-    if (!carNo && !name) continue;
-
-    const rec = {
-      penPoints: normalize(cellV(r, idxTotal)) || "0",
-      qualiBan: normalize(cellV(r, idxQualiBan)),
-      banServed: normalize(cellV(r, idxBanServed)),
-      _srcTab: tabName,
-    };
+    const carKey = normalizeCarNoKey(r?.carNo);
+    const nameKey = normalizeNameKey(r?.driver);
 
-    if (carNo) byCarNo.set(carNo, rec);
-    if (name) byName.set(normalizeNameKey(name), rec);
+    let before = null;
+    if (carKey && byCarNo.has(carKey)) before = byCarNo.get(carKey);
+    else if (nameKey && byName.has(nameKey)) before = byName.get(nameKey);
+
+    const oldPos = before ? toNumber(before.pos) : 0;
+    const newPos = toNumber(r.pos);
+    r.posChange = oldPos > 0 && newPos > 0 ? oldPos - newPos : null;
   }
 
   if (DEBUG_OOR) {
-    console.log(
-      `DEBUG_OOR: Penalty Sheet loaded tab='${tabName}' rows=${rows.length} (carKeys=${byCarNo.size}, nameKeys=${byName.size})`
-    );
+    const moved = rows.filter((r) => r.posChange).length;
+    console.log(`DEBUG_OOR: Position changes (${def.id}) vs ${prev.ts}: ${moved} drivers moved`);
   }
 
-  return { tabName, byCarNo, byName };
+  return rows;
 }
 
-async function fetchPenaltyIndex() {
-  const [yellow, red] = await Promise.all([
-    fetchPenaltyTab(PENALTY_TABS.yellow),
-    fetchPenaltyTab(PENALTY_TABS.red),
-  ]);
-  return { yellow, red };
+// ---- change announcements ----
+// Diffs the rows this pane last showed (found in history by hash) against the new scrape.
+function diffSeriesSince(def, standings, seenHash) {
+  try {
+    const season = seasonForSeries(def);
+    const before = snapshotByHash(def.id, season, seenHash) || previousSnapshot(def.id, season, rowsHash(standings.rows));
+    if (!before || !Array.isArray(before.rows)) return null;
+    return diffStandings(before.rows, standings.rows);
+  } catch (e) {
+    console.warn(`Change diff failed for ${def.id} (non-fatal):`, e?.message || e);
+    return null;
+  }
 }
 
-function attachPenaltiesToSprintRows(rows, penaltyTab, splitLabel) {
-  if (!Array.isArray(rows)) return rows;
-  for (const r of rows) {
-    const carKey = normalizeCarNoKey(r?.carNo);
-    const nameKey = normalizeNameKey(r?.driver);
+function buildAnnouncementEmbed(changes) {
+  const embed = new EmbedBuilder().setTitle("📣 Standings updated").setTimestamp(new Date());
 
-    let rec = null;
-    let method = "";
-    if (carKey && penaltyTab?.byCarNo?.has?.(carKey)) {
-      rec = penaltyTab.byCarNo.get(carKey);
-      method = "car#";
-    } else if (nameKey && penaltyTab?.byName?.has?.(nameKey)) {
-      rec = penaltyTab.byName.get(nameKey);
-      method = "name";
-    }
+  const tint = changes.find((c) => c.def.tint)?.def.tint;
+  if (tint) embed.setColor(tint);
 
-    const penPoints = String(rec?.penPoints ?? "0");
-    const qualiBan = String(rec?.qualiBan ?? "");
-    const banServed = String(rec?.banServed ?? "");
+  for (const { def, diff } of changes.slice(0, 25)) {
+    const lines = summaryLines(diff);
+    if (!lines.length) continue;
 
-    r.penPoints = penPoints || "0";
-    r.qualiBan = qualiBan;
-    r.banServed = banServed;
-    r.qbActive = !!(normalize(qualiBan) && !normalize(banServed));
+    let value = lines.join("\n");
+    if (value.length > 1024) value = value.slice(0, 1021) + "…";
+    embed.addFields({ name: `${def.emoji ? `${def.emoji} ` : ""}${def.name}`, value });
+  }
+  return embed;
+}
 
-    if (DEBUG_OOR) {
-      if (rec) {
-        console.log(
-          `DEBUG_OOR: Penalty match (${splitLabel}) ${method} car='${r.carNo}' driver='${r.driver}' -> penPoints='${r.penPoints}', qualiBan='${r.qualiBan}', banServed='${r.banServed}', qbActive=${r.qbActive}`
-        );
-      } else {
-        console.log(
-          `DEBUG_OOR: Penalty default (${splitLabel}) car='${r.carNo}' driver='${r.driver}' -> penPoints='0'`
-        );
-      }
+// Discord users (/link) whose driver shows up in any of the summary lines.
+function announcementMentions(changes) {
+  const byIdentity = linkedUsersByIdentity();
+  if (!byIdentity.size) return [];
+
+  const ids = new Set();
+  for (const { diff } of changes) {
+    const names = [
+      diff.leader?.changed ? diff.leader.driver : "",
+      ...[diff.climbers, diff.fallers, diff.newEntries, diff.penalties, diff.qualiBans].flat().map((e) => e.driver),
+    ];
+    for (const name of names.filter(Boolean)) {
+      for (const id of byIdentity.get(IDENTITIES.key(name)) || []) ids.add(id);
     }
   }
-  return rows;
+  return [...ids];
 }
 
-function extractSeasonFromUrl(url) {
+async function announcementTarget(board, channel, pane, messageId) {
+  if (board.announce.channelId) return client.channels.fetch(board.announce.channelId);
+  if (!board.announce.thread || !messageId) return channel;
+
+  const message = await channel.messages.fetch(messageId);
+  if (message.thread) return message.thread;
+  return message.startThread({
+    name: `${pane.series.map((s) => s.buttonLabel).join(" / ")} updates`.slice(0, 100),
+    autoArchiveDuration: 10080,
+  });
+}
+
+// Best-effort: the board message is already up to date, so a failed post only logs.
+async function postAnnouncementSafe(board, channel, pane, messageId, changes) {
   try {
-    const u = new URL(url);
-    return u.searchParams.get("s") || "";
-  } catch {
-    return "";
+    const embed = buildAnnouncementEmbed(changes);
+    if (!embed.data.fields?.length) return;
+
+    const target = await announcementTarget(board, channel, pane, messageId);
+    if (!target?.isTextBased?.()) throw new Error("announcement channel is not a text channel");
+    const mentions = board.announce.mentions ? announcementMentions(changes) : [];
+    await target.send({
+      content: mentions.length ? `🔔 ${mentions.map((id) => `<@${id}>`).join(" ")}` : undefined,
+      embeds: [embed],
+      allowedMentions: { users: mentions },
+    });
+    logPath(board, pane, `ANNOUNCED ${changes.map((c) => c.def.id).join(", ")}`);
+  } catch (e) {
+    console.warn(`Announcement failed for board '${board.id}' pane '${pane.id}' (non-fatal):`, e?.message || e);
   }
 }
 
-async function fetchClub50() {
-  const html = await fetchHtmlWithRetry(config.standingsUrl);
-  const rows = parseStandingsTable(html, "PageContent_TeamsView_DXMainTable", "Club50");
-  validateRowsOrThrow(rows, "Club50");
+// ---- personal DM alerts (/me notify) ----
+// Each opted-in user's last-notified values per series are kept on their link in state.json, so a
+// series shown on several boards (or re-scraped by /refresh) only DMs once per actual change.
+// The first scrape after linking/opting in just records a baseline.
+function personalSnapshot(row) {
+  return { pos: toNumber(row.pos), penPoints: toNumber(row.penPoints), qbActive: !!row.qbActive };
+}
 
-  const season = extractSeasonFromUrl(config.standingsUrl) || "??";
-  return {
-    title: `Club 50 Standings — Season ${season} (${rows.length} drivers)`,
-    subtitle: "Auto-updates when OOR standings change",
-    rows,
-  };
+function personalChangeLines(before, now, row) {
+  const lines = [];
+  if (before.pos !== now.pos && now.pos > 0) {
+    const delta = before.pos - now.pos;
+    lines.push(`Position **P${before.pos} → P${now.pos}** (${delta > 0 ? `+${delta}` : delta})`);
+  }
+  if (before.penPoints !== now.penPoints) lines.push(`Penalty points **${before.penPoints} → ${now.penPoints}**`);
+  if (before.qbActive !== now.qbActive) {
+    lines.push(
+      now.qbActive
+        ? `🚫 Quali ban now **active**${normalize(row.qualiBan) ? ` (${normalize(row.qualiBan)})` : ""}`
+        : "✅ Quali ban served"
+    );
+  }
+  return lines;
 }
 
-async function fetchSprintYellow(penaltyTab = null) {
-  const html = await fetchHtmlWithRetry(config.sprintSplitYellowStandingURL);
-  const rows = parseStandingsTable(html, "PageContent_TeamsView_DXMainTable", "SprintYellow");
-  validateRowsOrThrow(rows, "SprintYellow");
+// Returns [{ userId, seriesId, snapshot, text }]: the DMs to send (text is "" for a first baseline).
+// Nothing is saved here; sendPersonalAlertsSafe stores each snapshot once its DM went out, so a failed
+// render/post in between doesn't swallow the alert.
+function collectPersonalAlerts(def, rows) {
+  const out = [];
+
+  for (const [userId, link] of Object.entries(userLinks())) {
+    if (!link?.dm || !link.driver) continue;
+    const key = IDENTITIES.key(link.driver);
+    const row = (rows || []).find((r) => IDENTITIES.key(r.driver) === key);
+    if (!row) continue;
+
+    const now = personalSnapshot(row);
+    const before = link.notified?.[def.id];
+    if (before && JSON.stringify(before) === JSON.stringify(now)) continue;
+
+    const lines = before ? personalChangeLines(before, now, row) : [];
+    const text = lines.length ? [`🏁 **${def.name}** — ${IDENTITIES.displayName(row.driver)}`, ...lines].join("\n") : "";
+    out.push({ userId, seriesId: def.id, snapshot: now, text });
+  }
 
-  // v1.044+: attach penalty points + quali ban info
-  if (penaltyTab) attachPenaltiesToSprintRows(rows, penaltyTab, "Yellow");
+  return out;
+}
 
-  const season = extractSeasonFromUrl(config.sprintSplitYellowStandingURL) || "??";
-  return {
-    title: `Split Yellow Sprint Standings — Season ${season} (${rows.length} drivers)`,
-    subtitle: "Auto-updates when OOR standings change",
-    rows,
-  };
+// Discord "Cannot send messages to this user": DMs closed, retrying won't help.
+const DM_CLOSED_CODE = 50007;
+
+// Best-effort: members with DMs closed just get skipped. Other failures keep the old baseline,
+// so the alert is retried on the next scrape.
+async function sendPersonalAlertsSafe(alerts) {
+  let touched = false;
+  for (const { userId, seriesId, snapshot, text } of alerts) {
+    if (text) {
+      try {
+        const user = await client.users.fetch(userId);
+        await user.send(text);
+      } catch (e) {
+        console.warn(`DM alert to ${userId} failed (non-fatal):`, e?.message || e);
+        if (e?.code !== DM_CLOSED_CODE) continue;
+      }
+    }
+    const link = userLinks()[userId];
+    if (!link) continue;
+    link.notified = { ...(link.notified || {}), [seriesId]: snapshot };
+    touched = true;
+  }
+  if (touched) saveState();
 }
 
-async function fetchSprintRed(penaltyTab = null) {
-  const html = await fetchHtmlWithRetry(config.sprintSplitRedStandingURL);
-  const rows = parseStandingsTable(html, "PageContent_TeamsView_DXMainTable", "SprintRed");
-  validateRowsOrThrow(rows, "SprintRed");
+// ---- steward alerts ----
+// Baselines live in state.json (per series, not per board), so a series on several boards alerts once.
+// Like the personal DMs, the first scrape only records the baseline. Returns [{ def, events, snapshot }]
+// (events may be empty); postStewardAlertsSafe saves the snapshots once the alert is posted.
+function collectStewardAlerts(def, rows) {
+  if (!STEWARDS || !STEWARDS.series.some((s) => s.id === def.id)) return [];
 
-  // v1.044+: attach penalty points + quali ban info
-  if (penaltyTab) attachPenaltiesToSprintRows(rows, penaltyTab, "Red");
+  const st = stewardState(def.id);
+  const snapshot = penaltySnapshot(rows);
+  if (st.rows && JSON.stringify(st.rows) === JSON.stringify(snapshot)) return [];
 
-  const season = extractSeasonFromUrl(config.sprintSplitRedStandingURL) || "??";
-  return {
-    title: `Split Red Sprint Standings — Season ${season} (${rows.length} drivers)`,
-    subtitle: "Auto-updates when OOR standings change",
-    rows,
-  };
+  const events = st.rows ? stewardEvents(st.rows, rows, { thresholds: STEWARDS.thresholds }) : [];
+  return [{ def, events, snapshot }];
 }
 
-function discordTimestamp(date, style = "F") {
-  const unix = Math.floor(date.getTime() / 1000);
-  return `<t:${unix}:${style}>`;
+function stewardEmbed(title, sections) {
+  const embed = new EmbedBuilder().setTitle(title).setTimestamp(new Date());
+  const tint = sections.find((s) => s.def.tint)?.def.tint;
+  if (tint) embed.setColor(tint);
+
+  for (const { def, lines } of sections.slice(0, 25)) {
+    let value = lines.join("\n");
+    if (value.length > 1024) value = value.slice(0, 1021) + "…";
+    embed.addFields({ name: `${def.emoji ? `${def.emoji} ` : ""}${def.name}`, value });
+  }
+  return embed;
 }
 
-// ---- display names for 'These results are for' lines ----
-const DISPLAY_NAME = {
-  club50: "Club 50",
-  yellow: "Sprints Split Yellow",
-  red: "Sprints Split Red",
-  hypercar: "LMU Hypercar",
-  lmgt3: "LMU LMGT3",
-};
+async function stewardChannel() {
+  const channel = await client.channels.fetch(STEWARDS.channelId);
+  if (!channel?.isTextBased?.()) throw new Error("stewards.channelId is not a text channel");
+  return channel;
+}
+
+// A failed post keeps the old baselines, so the same events are alerted on the next scrape.
+async function postStewardAlertsSafe(alerts) {
+  try {
+    const sections = alerts
+      .filter(({ events }) => events.length)
+      .map(({ def, events }) => ({ def, lines: stewardAlertLines(events) }));
+    if (sections.length) await (await stewardChannel()).send({ embeds: [stewardEmbed("🚩 Steward alert", sections)] });
+  } catch (e) {
+    console.warn("Steward alert failed (non-fatal):", e?.message || e);
+    return;
+  }
+  for (const { def, snapshot } of alerts) stewardState(def.id).rows = snapshot;
+  saveState();
+}
 
-const CONTAINS_MAIN = `${DISPLAY_NAME.club50}, ${DISPLAY_NAME.yellow}, ${DISPLAY_NAME.red}`;
+async function postStewardDigestSafe() {
+  try {
+    const scraped = await scrapeSeriesList(STEWARDS.series);
+    const sections = scraped.map(({ def, standings }) => ({
+      def,
+      lines: stewardDigestLines(standings.rows, { thresholds: STEWARDS.thresholds }),
+    }));
+    await (await stewardChannel()).send({ embeds: [stewardEmbed("📋 Steward digest", sections)] });
+  } catch (e) {
+    console.warn("Steward digest failed (non-fatal):", e?.message || e);
+  }
+}
 
+function discordTimestamp(date, style = "F") {
+  const unix = Math.floor(date.getTime() / 1000);
+  return `<t:${unix}:${style}>`;
+}
 
+const RESULTS_LINK_URL = "https://results.octaneonlineracing.com/";
+const RESULTS_LINK_TITLE = "OCTANE ONLINE RACING STANDINGS - Click here for Full OOR Results Pages";
+
+function buildPaneContent(pane, lastUpdatedStr, lastCheckedStr) {
+  const contains = pane.series.map((s) => s.name).join(", ");
+  const lines = [];
+  if (pane.resultsLink) lines.push(`**[${RESULTS_LINK_TITLE}](${RESULTS_LINK_URL})**`);
+  lines.push(
+    `Last updated: **${lastUpdatedStr}**`,
+    `Last checked: **${lastCheckedStr}**`,
+    `These results are for: **${contains}**`
+  );
+  return lines.join("\n");
+}
 
 async function upsertMessage(channel, payload, messageId) {
   if (messageId) {
@@ -509,53 +1120,69 @@ async function upsertMessage(channel, payload, messageId) {
   return sent.id;
 }
 
+async function deleteMessageQuietly(channel, messageId, log) {
+  try {
+    const old = await channel.messages.fetch(messageId);
+    await old.delete();
+    log(`Deleted old message → id=${messageId}`);
+  } catch (e) {
+    const msg = String(e?.message || e);
+    const code = String(e?.code || "");
+    // If the message was manually deleted, Discord returns "Unknown Message" (code 10008).
+    if (code === "10008" || /Unknown Message/i.test(msg)) {
+      if (DEBUG_OOR) console.log("Old message already deleted (skipping)");
+    } else {
+      console.warn("Could not delete old message:", msg);
+    }
+  }
+}
+
 // ---- Buttons ----
-function buildMainActionRows() {
-  // Row 1: series-only renders (match tints)
-  const clubBtn = new ButtonBuilder()
-    .setCustomId("oor_series_club50")
-    .setLabel("🔵 Club 50 Only")
-    .setStyle(ButtonStyle.Secondary);
-
-  const yellowOnlyBtn = new ButtonBuilder()
-    .setCustomId("oor_series_yellow")
-    .setLabel("🟡 Split Yellow Only")
-    .setStyle(ButtonStyle.Secondary);
-
-  const redOnlyBtn = new ButtonBuilder()
-    .setCustomId("oor_series_red")
-    .setLabel("🔴 Split Red Only")
-    .setStyle(ButtonStyle.Secondary);
+function chunk(arr, size) {
+  const out = [];
+  for (let i = 0; i < arr.length; i += size) out.push(arr.slice(i, i + size));
+  return out;
+}
+
+function buildPaneActionRows(pane) {
+  // Row 1: series-only renders (labels match tints)
+  const seriesBtns = pane.series.map((s) =>
+    new ButtonBuilder()
+      .setCustomId(`oor_series_${s.id}`)
+      .setLabel(`${s.emoji} ${s.buttonLabel} Only`.trim())
+      .setStyle(ButtonStyle.Secondary)
+  );
 
   // Row 2: class split buttons (keep grouped together under the render)
-  const yellowClassBtn = new ButtonBuilder()
-    .setCustomId("oor_class_yellow")
-    .setLabel("🟡 Split Yellow by Class")
-    .setStyle(ButtonStyle.Secondary);
-
-  const redClassBtn = new ButtonBuilder()
-    .setCustomId("oor_class_red")
-    .setLabel("🔴 Split Red by Class")
-    .setStyle(ButtonStyle.Secondary);
-
-  return [
-    new ActionRowBuilder().addComponents(clubBtn, yellowOnlyBtn, redOnlyBtn),
-    new ActionRowBuilder().addComponents(yellowClassBtn, redClassBtn),
-  ];
-}
+  const classBtns = pane.series
+    .filter((s) => s.classSplit)
+    .map((s) =>
+      new ButtonBuilder()
+        .setCustomId(`oor_class_${s.id}`)
+        .setLabel(`${s.emoji} ${s.buttonLabel} by Class`.trim())
+        .setStyle(ButtonStyle.Secondary)
+    );
 
-function buildSimgridActionRows() {
-  const hyperOnly = new ButtonBuilder()
-    .setCustomId("oor_series_hypercar")
-    .setLabel("🔴 Hypercar Only")
-    .setStyle(ButtonStyle.Secondary);
+  // Row 3: points progression charts (from standings history)
+  const chartBtns = pane.series.map((s) =>
+    new ButtonBuilder()
+      .setCustomId(`oor_chart_${s.id}`)
+      .setLabel(`${s.emoji} ${s.buttonLabel} Chart`.trim())
+      .setStyle(ButtonStyle.Secondary)
+  );
 
-  const lmgt3Only = new ButtonBuilder()
-    .setCustomId("oor_series_lmgt3")
-    .setLabel("🟢 LMGT3 Only")
-    .setStyle(ButtonStyle.Secondary);
+  // Row 4: team / manufacturer standings
+  const teamBtns = pane.series.map((s) =>
+    new ButtonBuilder()
+      .setCustomId(`oor_teams_${s.id}`)
+      .setLabel(`${s.emoji} ${s.buttonLabel} Teams`.trim())
+      .setStyle(ButtonStyle.Secondary)
+  );
 
-  return [new ActionRowBuilder().addComponents(hyperOnly, lmgt3Only)];
+  // buildPanes already checked these fit in MAX_BUTTON_ROWS.
+  return [seriesBtns, classBtns, chartBtns, teamBtns]
+    .flatMap((btns) => chunk(btns, BUTTONS_PER_ROW))
+    .map((btns) => new ActionRowBuilder().addComponents(...btns));
 }
 
 // ---- Class split logic ----
@@ -591,7 +1218,9 @@ function buildClassPanels(standings, splitLabel) {
     const rebuilt = clsRows.map((r, i) => {
       const nett = toNumber(r.nett);
       const diff = i === 0 ? 0 : nett - leaderNett;
-      return { ...r, pos: String(i + 1), diff: String(diff) };
+      // posChange / titleStatus are relative to the overall table, so they'd be misleading next to a class pos.
+      const { posChange, titleStatus, ...rest } = r;
+      return { ...rest, pos: String(i + 1), diff: String(diff) };
     });
 
     panels.push({
@@ -605,455 +1234,1205 @@ function buildClassPanels(standings, splitLabel) {
 }
 
 // ---- runtime cache so buttons and /refresh use latest scraped data ----
-let latest = {
-  club50: null,
-  yellow: null,
-  red: null,
-  lastCheckedStr: null,
-  lastUpdatedStr: null,
-  lastHash: null,
-};
-
-let latestSimgrid = {
-  hyper: null,
-  lmgt3: null,
-};
+const latestSeries = new Map(); // seriesId -> { title, subtitle, rows, tint, mode, isSprint }
 
-async function scrapeAll() {
-  const penaltyIndex = await fetchPenaltyIndex();
-  const club50 = await fetchClub50();
-  const yellow = await fetchSprintYellow(penaltyIndex?.yellow);
-  const red = await fetchSprintRed(penaltyIndex?.red);
-  return { club50, yellow, red };
-}
+async function checkAndPostPane(board, channel, pane, force = false) {
+  const log = (msg) => logPath(board, pane, msg);
 
-async function renderAndPostToMainMessage(channel, club50, yellow, red, lastCheckedStr) {
   const now = new Date();
-  const png = await renderTripleStandingsPng(club50, yellow, red);
-  const dataHash = sha1(JSON.stringify({ club50, yellow, red }));
-
-  const lastUpdatedStr =
-    config.lastHash === dataHash ? (config.lastUpdated || lastCheckedStr) : discordTimestamp(now, "F");
+  const lastCheckedStr = discordTimestamp(now, "F");
 
-  config.lastHash = dataHash;
-  config.lastUpdated = lastUpdatedStr;
-  config.lastChecked = lastCheckedStr;
+  const scraped = await scrapeSeriesList(pane.series, force);
 
-  latest = { club50, yellow, red, lastCheckedStr, lastUpdatedStr, lastHash: dataHash };
+  const dataHash = sha1(
+    JSON.stringify(
+      Object.fromEntries(scraped.map(({ def, standings }) => [def.id, { ...standings, rows: hashableRows(standings.rows) }]))
+    )
+  );
+  const messageId = getPaneState(board, pane, "messageId") || "";
+  const unchanged = !!(getPaneState(board, pane, "lastHash") && getPaneState(board, pane, "lastHash") === dataHash);
 
-  const attachment = new AttachmentBuilder(png, { name: "standings.png" });
+  log(unchanged ? "DATA UNCHANGED (hash match)" : "DATA CHANGED (hash differs)");
 
-  const linkUrl = "https://results.octaneonlineracing.com/";
-  const titleLink = `OCTANE ONLINE RACING STANDINGS - Click here for Full OOR Results Pages`;
+  // Only bump "Last updated" when this pane's standings hash changes.
+  const lastUpdatedStr = unchanged
+    ? (getPaneState(board, pane, "lastUpdated") || lastCheckedStr)
+    : discordTimestamp(now, "F");
 
-  const content =
-    `**[${titleLink}](${linkUrl})**\n` +
-    `Last updated: **${lastUpdatedStr}**\n` +
-    `Last checked: **${lastCheckedStr}**\nThese results are for: **${CONTAINS_MAIN}**`;
+  // Per-series hashes this pane last rendered; a series whose hash moved gets an announcement.
+  // (No announcement the first time a pane sees a series, so upgrades/new boards stay quiet.)
+  const seenSeriesHashes = getPaneState(board, pane, "seriesHashes") || {};
+  const seriesHashes = {};
+  const changes = [];
+  const personalAlerts = [];
+  const stewardAlerts = [];
+
+  for (const { def, standings } of scraped) {
+    const hash = rowsHash(standings.rows);
+    seriesHashes[def.id] = hash;
+
+    if (!unchanged) await recordHistorySafe(def, standings);
+    recordPenaltyLedgerSafe(def, standings);
+    personalAlerts.push(...collectPersonalAlerts(def, standings.rows));
+    stewardAlerts.push(...collectStewardAlerts(def, standings.rows));
+
+    const seenHash = seenSeriesHashes[def.id];
+    if (board.announce.enabled && seenHash && seenHash !== hash) {
+      const diff = diffSeriesSince(def, standings, seenHash);
+      if (diff && summaryLines(diff).length) changes.push({ def, diff });
+    }
 
-  const payload = {
-    content,
-    files: [attachment],
-    components: buildMainActionRows(),
-  };
+    // After hashing/recording so the markers never feed back into the data hash.
+    attachPositionChanges(def, standings);
+    await attachTitleStatusSafe(def, standings);
+    // Always keep runtime cache fresh so buttons work
+    latestSeries.set(def.id, seriesPanel(def, standings));
+  }
 
-  const newMessageId = await upsertMessage(channel, payload, config.messageId || "");
-  config.messageId = newMessageId;
+  // DMs and steward alerts go out on every exit (unchanged edit, render/post failure); their baselines are
+  // only saved once they're sent, so nothing is lost when the board message can't be updated.
+  try {
+    const content = buildPaneContent(pane, lastUpdatedStr, lastCheckedStr);
+    const components = buildPaneActionRows(pane);
 
-  saveConfig();
-  return { lastUpdatedStr, dataHash };
-}
+    // ---------- UNCHANGED PATH: try edit existing message (text only) ----------
+    if (!force && unchanged && messageId) {
+      log(`UNCHANGED + messageId present (${messageId}) → attempting edit`);
+      try {
+        const existing = await channel.messages.fetch(messageId);
+        await existing.edit({ content, components });
+        log("UNCHANGED + edit SUCCESS → updated last checked only");
 
+        setPaneState(board, pane, { lastChecked: lastCheckedStr, seriesHashes });
+        return;
+      } catch {
+        // Message missing/unknown -> fall through and post new
+        log("UNCHANGED but message MISSING → will POST NEW message");
+      }
+    }
 
+    const png = await renderPaneStandingsPng(scraped.map(({ def }) => latestSeries.get(def.id)), {
+      theme: THEMES.get(board.theme),
+    });
+    const attachment = new AttachmentBuilder(png, { name: pane.fileName });
+    const payload = { content, files: [attachment], components };
+
+    let newMessageId = "";
+    if (pane.repostOnChange && !unchanged && !force) {
+      // CHANGED: post a fresh message, then delete the old one to avoid duplicates
+      log("POSTING NEW message (data changed)");
+      const sent = await channel.send(payload);
+      newMessageId = sent.id;
+      log(`NEW message posted → id=${sent.id}`);
+      if (messageId) await deleteMessageQuietly(channel, messageId, log);
+    } else {
+      // Prefer editing the existing message (keeps channel tidy). If it's missing, post a new one.
+      log(messageId ? `POST/EDIT path + messageId present (${messageId}) → attempting edit` : "POSTING NEW message");
+      newMessageId = await upsertMessage(channel, payload, messageId);
+    }
 
-async function checkAndPostSimgrid(channel, force = false) {
-  // Optional: if URLs not configured, skip quietly
-  const hyperUrl = (config.simgridHypercarUrl || "").trim();
-  const lmgt3Url = (config.simgridLmgt3Url || "").trim();
-  if (!hyperUrl || !lmgt3Url) {
-    if (DEBUG_OOR) console.log("SimGrid URLs not configured (simgridHypercarUrl/simgridLmgt3Url) — skipping.");
+    setPaneState(board, pane, {
+      messageId: newMessageId,
+      lastHash: dataHash,
+      lastUpdated: lastUpdatedStr,
+      lastChecked: lastCheckedStr,
+      seriesHashes,
+    });
+
+    if (changes.length) await postAnnouncementSafe(board, channel, pane, newMessageId, changes);
+  } finally {
+    if (personalAlerts.length) await sendPersonalAlertsSafe(personalAlerts);
+    if (stewardAlerts.length) await postStewardAlertsSafe(stewardAlerts);
+  }
+}
+
+// Runs every pane of a board; a failing pane keeps its existing Discord message and doesn't block the others.
+const boardLocks = new Set(); // boardId while a check/refresh is running
+
+async function checkAndPostBoard(board, force = false) {
+  if (boardLocks.has(board.id)) {
+    if (DEBUG_OOR) console.log(`Board '${board.id}' check already running — skipping.`);
+    return { failed: [], skipped: true };
+  }
+  boardLocks.add(board.id);
+
+  try {
+    const channel = await client.channels.fetch(board.channelId);
+    if (!channel || !channel.isTextBased()) {
+      throw new Error(`Configured channelId for board '${board.id}' is not a text channel`);
+    }
+
+    // Pre-registry versions posted a separate footer message; remove it once.
+    const bState = boardState(board.id);
+    if (bState.footerMessageId) {
+      await deleteMessageQuietly(channel, bState.footerMessageId, (msg) => {
+        if (DEBUG_OOR) console.log(`[${board.id}] FOOTER → ${msg}`);
+      });
+      delete bState.footerMessageId;
+      saveState();
+    }
+
+    const failed = [];
+    for (const pane of board.panes) {
+      try {
+        await checkAndPostPane(board, channel, pane, force);
+      } catch (e) {
+        failed.push(pane.id);
+        console.error(
+          `checkAndPost blocked for board '${board.id}' pane '${pane.id}' (keeping existing Discord message):`,
+          e?.message || e
+        );
+        setPaneState(board, pane, { lastChecked: discordTimestamp(new Date(), "F") });
+      }
+    }
+    return { failed, skipped: false };
+  } finally {
+    boardLocks.delete(board.id);
+  }
+}
+
+// ---- Interaction handler (buttons) ----
+async function safeAck(interaction) {
+  if (interaction.deferred || interaction.replied) return false;
+  await interaction.deferReply({ ephemeral: true });
+  return true;
+}
+
+function autoDeleteEphemeral(interaction, ms = 10000) {
+  setTimeout(async () => {
+    try {
+      if (interaction.deferred || interaction.replied) {
+        await interaction.deleteReply();
+      }
+    } catch {
+      // ignore
+    }
+  }, ms);
+}
+
+async function handleClassButton(interaction, seriesId) {
+  const channel = interaction.channel;
+  if (!channel || !channel.isTextBased()) throw new Error("Not a text channel");
+
+  const def = SERIES_BY_ID.get(seriesId);
+  const data = def ? latestSeries.get(def.id) : null;
+  if (!data) throw new Error("No cached standings yet — wait for the next scrape.");
+
+  const splitLabel = classSplitLabel(def);
+  const panels = classTitleRacePanels(buildClassPanels(data, splitLabel), await titleRaceOptionsSafe(def)).map((p) => ({
+    ...p,
+    isSprint: data.isSprint,
+  }));
+  const png = await renderClassGridPng(panels, { theme: themeForInteraction(interaction) });
+
+  const attachment = new AttachmentBuilder(png, { name: `class-${def.id}.png` });
+
+  const posted = await channel.send({
+    content: `**${splitLabel} by Class** (auto-generated)\nThis message will self-delete in **5 minutes**.`,
+    files: [attachment],
+  });
+
+  setTimeout(async () => {
+    try {
+      await posted.delete();
+    } catch {}
+  }, 5 * 60 * 1000);
+
+  await interaction.editReply("Posted the class standings render (will self-delete in 5 minutes).");
+  autoDeleteEphemeral(interaction, 10000);
+}
+
+async function handleSeriesButton(interaction, seriesId) {
+  const channel = interaction.channel;
+  if (!channel || !channel.isTextBased()) throw new Error("Not a text channel");
+
+  const cached = latestSeries.get(seriesId);
+  const panel = cached ? { ...cached } : null;
+  const fileName = `${seriesId}-only.png`;
+
+  if (!panel) throw new Error("No cached standings yet — wait for the next scrape.");
+
+  const png = await renderSeriesOnlyPng(panel, { maxRowsPerCol: 30, theme: themeForInteraction(interaction) });
+  const attachment = new AttachmentBuilder(png, { name: fileName });
+
+  const posted = await channel.send({
+    content: `**${panel.title}** (series-only render)\nThis message will self-delete in **5 minutes**.`,
+    files: [attachment],
+  });
+
+  setTimeout(async () => {
+    try {
+      await posted.delete();
+    } catch {}
+  }, 5 * 60 * 1000);
+
+  await interaction.editReply("Posted the series-only render (will self-delete in 5 minutes).");
+  autoDeleteEphemeral(interaction, 10000);
+}
+
+// ---- Team standings (teams buttons) ----
+function teamsPanel(def, data) {
+  const { rows, unassigned } = teamStandings(data.rows || [], {
+    seriesId: def.id,
+    teams: TEAMS,
+    countBest: TEAM_COUNT_BEST,
+  });
+
+  const notes = [
+    TEAM_COUNT_BEST ? `best ${TEAM_COUNT_BEST} drivers per team score` : "all drivers score",
+    TEAMS.length ? "unlisted drivers grouped by car make" : "grouped by car make",
+  ];
+  if (unassigned) notes.push(`${unassigned} driver${unassigned === 1 ? "" : "s"} without a team or make`);
+
+  return {
+    // SimGrid "seasons" are championship ids, not worth printing.
+    title: `${classSplitLabel(def)} — Teams${def.source === "simgrid" ? "" : ` — Season ${seasonForSeries(def)}`}`,
+    subtitle: `Nett points: ${notes.join(", ")}`,
+    rows,
+    tint: def.tint,
+    mode: "teams",
+  };
+}
+
+async function handleTeamsButton(interaction, seriesId) {
+  const channel = interaction.channel;
+  if (!channel || !channel.isTextBased()) throw new Error("Not a text channel");
+
+  const def = SERIES_BY_ID.get(seriesId);
+  const data = def ? latestSeries.get(def.id) : null;
+  if (!data) throw new Error("No cached standings yet — wait for the next scrape.");
+
+  const panel = teamsPanel(def, data);
+  if (!panel.rows.length) throw new Error(`No teams or car makes found in ${def.name}.`);
+
+  const png = await renderSeriesOnlyPng(panel, { maxRowsPerCol: 30, theme: themeForInteraction(interaction) });
+  const attachment = new AttachmentBuilder(png, { name: `teams-${def.id}.png` });
+
+  const posted = await channel.send({
+    content: `**${def.name} team standings** (auto-generated)\nThis message will self-delete in **5 minutes**.`,
+    files: [attachment],
+  });
+
+  setTimeout(async () => {
+    try {
+      await posted.delete();
+    } catch {}
+  }, 5 * 60 * 1000);
+
+  await interaction.editReply("Posted the team standings (will self-delete in 5 minutes).");
+  autoDeleteEphemeral(interaction, 10000);
+}
+
+// ---- Points progression chart (/chart + chart buttons) ----
+const CHART_DEFAULT_TOP = 10;
+const CHART_MAX_TOP = 20;
+
+// Returns the renderPointsChartPng input, or null when the series has no recorded history yet.
+function buildPointsChart(def, top = CHART_DEFAULT_TOP) {
+  const season = seasonForSeries(def);
+  const { rounds, drivers } = pointsProgression(def.id, season, { top, key: IDENTITIES.key });
+  if (!rounds.length || !drivers.length) return null;
+
+  return {
+    title: def.title.replace(/\{season\}/gi, season),
+    subtitle: `Nett points after each race night — top ${drivers.length} (from recorded standings history)`,
+    tint: def.tint,
+    rounds,
+    drivers,
+  };
+}
+
+async function handleChartButton(interaction, seriesId) {
+  const channel = interaction.channel;
+  if (!channel || !channel.isTextBased()) throw new Error("Not a text channel");
+
+  const def = SERIES_BY_ID.get(seriesId);
+  const chart = def ? buildPointsChart(def) : null;
+  if (!chart) throw new Error("No standings history recorded yet — the chart fills in as results come in.");
+
+  const png = await renderPointsChartPng(chart, { theme: themeForInteraction(interaction) });
+  const attachment = new AttachmentBuilder(png, { name: `chart-${def.id}.png` });
+
+  const posted = await channel.send({
+    content: `**${def.name} points progression** (auto-generated)\nThis message will self-delete in **5 minutes**.`,
+    files: [attachment],
+  });
+
+  setTimeout(async () => {
+    try {
+      await posted.delete();
+    } catch {}
+  }, 5 * 60 * 1000);
+
+  await interaction.editReply("Posted the points chart (will self-delete in 5 minutes).");
+  autoDeleteEphemeral(interaction, 10000);
+}
+
+async function handleChartCommand(interaction) {
+  await interaction.deferReply();
+
+  const seriesId = normalize(interaction.options.getString("series", true)).toLowerCase();
+  const top = interaction.options.getInteger("top") || CHART_DEFAULT_TOP;
+  const def = seriesForGuild(interaction.guildId).find((s) => s.id === seriesId);
+
+  if (!def) {
+    await interaction.editReply(`Series **${seriesId}** isn't shown on this server.`);
+    autoDeleteEphemeral(interaction, 10000);
+    return;
+  }
+
+  const chart = buildPointsChart(def, top);
+  if (!chart) {
+    await interaction.editReply(`No standings history recorded yet for ${def.name} — the chart fills in as results come in.`);
+    autoDeleteEphemeral(interaction, 10000);
+    return;
+  }
+
+  const png = await renderPointsChartPng(chart, { theme: themeForInteraction(interaction) });
+  const attachment = new AttachmentBuilder(png, { name: `chart-${def.id}.png` });
+
+  await interaction.editReply({
+    content: `📈 **${def.name}** points progression (${chart.rounds.length} round${chart.rounds.length === 1 ? "" : "s"}).`,
+    files: [attachment],
+  });
+}
+
+// ---- /penalties (ledger) ----
+// Two columns of 30 rows; older entries are left out of the image (the file keeps everything).
+const LEDGER_MAX_ROWS = 60;
+
+function penaltySeriesForGuild(guildId) {
+  return seriesForGuild(guildId).filter((d) => d.penaltyTab);
+}
+
+async function handlePenaltiesCommand(interaction) {
+  await interaction.deferReply();
+
+  const query = normalize(interaction.options.getString("driver"));
+  const splitId = normalize(interaction.options.getString("split")).toLowerCase();
+
+  if (!query && !splitId) {
+    await interaction.editReply("Pick a `driver`, a `split`, or both.");
+    autoDeleteEphemeral(interaction, 10000);
+    return;
+  }
+
+  const sprint = penaltySeriesForGuild(interaction.guildId);
+  const defs = splitId ? sprint.filter((d) => d.id === splitId) : sprint;
+  if (!defs.length) {
+    await interaction.editReply(`Split **${splitId}** isn't shown on this server.`);
+    autoDeleteEphemeral(interaction, 10000);
+    return;
+  }
+
+  let entries = defs.flatMap((def) => readPenaltyLedger(def.id, seasonForSeries(def)).map((e) => ({ ...e, def })));
+
+  let driverName = "";
+  let alsoMatched = "";
+  if (query) {
+    // Latest spelling per identity, best match wins (same scoring as /driver).
+    const names = new Map(entries.map((e) => [IDENTITIES.key(e.driver), e.driver]));
+    const scored = [...names.entries()]
+      .map(([key, name]) => ({ key, name, score: identityMatchScore(query, name) }))
+      .filter((m) => m.score > 0)
+      .sort((a, b) => b.score - a.score);
+
+    if (!scored.length) {
+      await interaction.editReply(`No penalty record found for **${query}**.`);
+      autoDeleteEphemeral(interaction, 10000);
+      return;
+    }
+
+    const best = scored[0];
+    driverName = IDENTITIES.displayName(best.name);
+    const others = scored.filter((m) => m.score === best.score && m.key !== best.key).map((m) => IDENTITIES.displayName(m.name));
+    if (others.length) alsoMatched = `\nAlso matched: ${others.slice(0, 5).join(", ")} — try a longer name.`;
+    entries = entries.filter((e) => IDENTITIES.key(e.driver) === best.key);
+  }
+
+  if (!entries.length) {
+    await interaction.editReply(`No penalty changes recorded yet for ${defs.map((d) => d.name).join(" / ")}.`);
+    autoDeleteEphemeral(interaction, 10000);
+    return;
+  }
+
+  entries.sort((a, b) => String(a.ts).localeCompare(String(b.ts)));
+  const shown = entries.slice(-LEDGER_MAX_ROWS);
+  // Flags come from the cached standings (the ledger only stores penalty fields).
+  const flags = new Map();
+  for (const def of defs) {
+    for (const r of latestSeries.get(def.id)?.rows || []) flags.set(IDENTITIES.key(r.driver), r.countryImg);
+  }
+  const rows = ledgerRows(shown).map((r, i) => ({
+    ...r,
+    countryImg: flags.get(IDENTITIES.key(r.driver)) || "",
+    // A driver's ledger can span both splits; say which one each line came from.
+    change: defs.length > 1 ? `${shown[i].def.buttonLabel}: ${r.change}` : r.change,
+  }));
+
+  const count = `${entries.length} change${entries.length === 1 ? "" : "s"}`;
+  const title = driverName
+    ? `${driverName} — Penalty ledger (${count})`
+    : `${defs[0].name} — Penalty ledger — Season ${seasonForSeries(defs[0])} (${count})`;
+  const subtitle =
+    entries.length > shown.length
+      ? `Latest ${shown.length} changes recorded from the penalty sheet (oldest first)`
+      : "Every change recorded from the penalty sheet (oldest first)";
+
+  const png = await renderSeriesOnlyPng(
+    { title, subtitle, rows, tint: defs[0].tint, mode: "penalties" },
+    { theme: themeForInteraction(interaction) }
+  );
+  const attachment = new AttachmentBuilder(png, { name: "penalties.png" });
+
+  const current = rows[rows.length - 1];
+  await interaction.editReply({
+    content: driverName
+      ? `⚖️ **${driverName}** — ${current.penPoints} penalty point${current.penPoints === "1" ? "" : "s"} as of ${current.date}.${alsoMatched}`
+      : `⚖️ **${defs[0].name}** penalty ledger.`,
+    files: [attachment],
+  });
+}
+
+// ---- /driver lookup ----
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// 0 = no match, 100 = exact. Prefix / token / substring matches beat edit distance.
+function driverMatchScore(query, name) {
+  const q = foldName(query);
+  const n = foldName(name);
+  if (!q || !n) return 0;
+  if (n === q) return 100;
+  if (n.startsWith(q)) return 85;
+
+  const qTokens = q.split(" ");
+  const nTokens = n.split(" ");
+  if (qTokens.every((t) => nTokens.some((nt) => nt.startsWith(t)))) return 75;
+  if (n.includes(q)) return 65;
+
+  const ratio = 1 - levenshtein(q, n) / Math.max(q.length, n.length);
+  return ratio >= 0.75 ? Math.round(60 * ratio) : 0;
+}
+
+// Best score against any known spelling of the row's identity (aliases from config.json "identities").
+function identityMatchScore(query, name) {
+  return Math.max(...IDENTITIES.spellings(name).map((n) => driverMatchScore(query, n)));
+}
+
+function cachedSeriesList(guildId) {
+  return seriesForGuild(guildId).map((def) => ({
+    id: def.id,
+    name: def.name,
+    tint: def.tint,
+    isSprint: !!def.penaltyTab,
+    data: latestSeries.get(def.id),
+  })).filter((s) => Array.isArray(s.data?.rows) && s.data.rows.length);
+}
+
+// Finds the best-matching driver across all cached series.
+// Returns { name, entries, candidates } where candidates lists other equally good names (ambiguous query).
+function findDriverAcrossSeries(query, guildId) {
+  const series = cachedSeriesList(guildId);
+
+  const scored = [];
+  for (const s of series) {
+    for (const r of s.data.rows) {
+      const score = identityMatchScore(query, r.driver);
+      if (score > 0) scored.push({ score, series: s, row: r });
+    }
+  }
+  if (!scored.length) return null;
+
+  scored.sort((a, b) => b.score - a.score);
+  const top = scored[0];
+  const canonical = IDENTITIES.key(top.row.driver);
+
+  const candidates = [
+    ...new Map(
+      scored
+        .filter((m) => m.score === top.score && IDENTITIES.key(m.row.driver) !== canonical)
+        .map((m) => [IDENTITIES.key(m.row.driver), IDENTITIES.displayName(m.row.driver)])
+    ).values(),
+  ];
+
+  const entries = [];
+  for (const s of series) {
+    const rows = s.data.rows;
+    const row = rows.find((r) => IDENTITIES.key(r.driver) === canonical);
+    if (!row) continue;
+
+    const leaderNett = toNumber(rows[0]?.nett);
+    entries.push({
+      ...row,
+      seriesId: s.id,
+      series: s.name,
+      tint: s.tint,
+      isSprint: s.isSprint,
+      of: rows.length,
+      gap: row === rows[0] ? 0 : toNumber(row.nett) - leaderNett,
+    });
+  }
+
+  return { name: IDENTITIES.displayName(top.row.driver), countryImg: top.row.countryImg, entries, candidates };
+}
+
+async function handleDriverCommand(interaction) {
+  await interaction.deferReply({ ephemeral: true });
+
+  if (!cachedSeriesList(interaction.guildId).length) {
+    await interaction.editReply("No cached standings yet — wait for the next scrape.");
+    autoDeleteEphemeral(interaction, 10000);
+    return;
+  }
+
+  const query = normalize(interaction.options.getString("name")) || linkedDriverFor(interaction.user.id);
+  if (!query) {
+    await interaction.editReply("Pass a driver name, or link your account once with `/link set`.");
+    autoDeleteEphemeral(interaction, 10000);
+    return;
+  }
+  const match = findDriverAcrossSeries(query, interaction.guildId);
+
+  if (!match || !match.entries.length) {
+    await interaction.editReply(`No driver found matching **${query}**.`);
+    autoDeleteEphemeral(interaction, 10000);
+    return;
+  }
+
+  const alsoMatched = match.candidates.length
+    ? `\nAlso matched: ${match.candidates.slice(0, 5).join(", ")} — try a longer name.`
+    : "";
+
+  await interaction.editReply({
+    content: `**${match.name}**${alsoMatched}`,
+    files: [await driverCardAttachment(match, `Found in ${match.entries.length} series`, themeForInteraction(interaction))],
+  });
+}
+
+async function driverCardAttachment(match, subtitle, theme) {
+  const png = await renderDriverCardPng(
+    {
+      driver: match.name,
+      countryImg: match.countryImg,
+      subtitle,
+      entries: match.entries,
+    },
+    { theme }
+  );
+  return new AttachmentBuilder(png, { name: "driver.png" });
+}
+
+// ---- /me (linked driver's card + DM opt-in) ----
+async function handleMeCommand(interaction) {
+  await interaction.deferReply({ ephemeral: true });
+
+  const userId = interaction.user.id;
+  const driver = linkedDriverFor(userId);
+  if (!driver) {
+    await interaction.editReply("You're not linked to a driver yet — claim yours with `/link set driver:<name>`.");
+    autoDeleteEphemeral(interaction, 10000);
+    return;
+  }
+
+  const notify = interaction.options.getBoolean("notify");
+  if (notify !== null) updateUserLink(userId, { dm: notify });
+  const dm = !!userLinks()[userId]?.dm;
+
+  const notifyLine =
+    notify === null
+      ? `DM alerts are **${dm ? "on" : "off"}** (\`/me notify:${dm ? "False" : "True"}\` to turn them ${dm ? "off" : "on"}).`
+      : dm
+      ? "✅ DM alerts **on**: I'll message you when your position, penalty points or quali ban change."
+      : "🔕 DM alerts **off**.";
+
+  const match = findDriverAcrossSeries(driver, interaction.guildId);
+  if (!match || !match.entries.length) {
+    await interaction.editReply(`**${driver}** isn't in any cached standings on this server right now.\n${notifyLine}`);
+    return;
+  }
+
+  await interaction.editReply({
+    content: `**${match.name}**\n${notifyLine}`,
+    files: [await driverCardAttachment(match, `Your standings across ${match.entries.length} series`, themeForInteraction(interaction))],
+  });
+}
+
+// ---- /link (Discord account <-> driver identity) ----
+function linkedDriverFor(userId) {
+  return userLinks()[String(userId)]?.driver || "";
+}
+
+// identity key -> [discord user ids]
+function linkedUsersByIdentity() {
+  const out = new Map();
+  for (const [userId, link] of Object.entries(userLinks())) {
+    const key = IDENTITIES.key(link?.driver);
+    if (!key) continue;
+    if (!out.has(key)) out.set(key, []);
+    out.get(key).push(userId);
+  }
+  return out;
+}
+
+async function handleLinkCommand(interaction) {
+  await interaction.deferReply({ ephemeral: true });
+  const sub = interaction.options.getSubcommand();
+  const userId = interaction.user.id;
+
+  if (sub === "show") {
+    const driver = linkedDriverFor(userId);
+    await interaction.editReply(
+      driver ? `You're linked to **${driver}**.` : "You're not linked to a driver yet — use `/link set`."
+    );
+    autoDeleteEphemeral(interaction, 10000);
+    return;
+  }
+
+  if (sub === "remove") {
+    // Server managers can clear someone else's link (e.g. a mistaken or disputed claim).
+    const target = interaction.options.getUser("user");
+    if (target && target.id !== userId && !interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+      await interaction.editReply("Only members with **Manage Server** can remove someone else's link.");
+      autoDeleteEphemeral(interaction, 10000);
+      return;
+    }
+    const removedFor = target?.id || userId;
+    const removed = unlinkUser(removedFor);
+    await interaction.editReply(
+      removed ? `Removed the driver link for <@${removedFor}>.` : `<@${removedFor}> isn't linked to a driver.`
+    );
+    autoDeleteEphemeral(interaction, 10000);
+    return;
+  }
+
+  // set
+  const query = normalize(interaction.options.getString("driver", true));
+  const match = findDriverAcrossSeries(query, interaction.guildId);
+  if (!match || !match.entries.length) {
+    await interaction.editReply(`No driver found matching **${query}** in the current standings.`);
+    autoDeleteEphemeral(interaction, 10000);
+    return;
+  }
+  if (match.candidates.length) {
+    await interaction.editReply(
+      `**${query}** matches several drivers (${[match.name, ...match.candidates].slice(0, 5).join(", ")}) — use the full name.`
+    );
+    autoDeleteEphemeral(interaction, 10000);
+    return;
+  }
+
+  const claimedBy = (linkedUsersByIdentity().get(IDENTITIES.key(match.name)) || []).filter((id) => id !== userId);
+  if (claimedBy.length) {
+    await interaction.editReply(
+      `**${match.name}** is already linked to <@${claimedBy[0]}>. Ask them (or a server manager) to run \`/link remove\` first.`
+    );
+    autoDeleteEphemeral(interaction, 10000);
+    return;
+  }
+
+  linkUser(userId, match.name);
+  await interaction.editReply(
+    `Linked you to **${match.name}** (${match.entries.map((e) => e.series).join(", ")}). ` +
+      "You'll be mentioned in standings announcements, and `/driver` works without a name."
+  );
+  autoDeleteEphemeral(interaction, 15000);
+}
+
+// ---- /logo (make logo overrides; see logos.js) ----
+// Drivers in the cached standings whose car icon is drawn with this make key.
+function driversUsingMake(key) {
+  const names = new Set();
+  for (const data of latestSeries.values()) {
+    for (const r of data.rows || []) {
+      if (detectLogoKey(normalize(r.carImg), r.carMakeKey) === key) names.add(IDENTITIES.key(r.driver));
+    }
+  }
+  return names.size;
+}
+
+async function downloadAttachment(attachment) {
+  const res = await fetch(attachment.url, { signal: AbortSignal.timeout(15000) });
+  if (!res.ok) throw new Error(`Couldn't download the upload (HTTP ${res.status})`);
+  return Buffer.from(await res.arrayBuffer());
+}
+
+async function handleLogoCommand(interaction) {
+  await interaction.deferReply({ ephemeral: true });
+
+  if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+    await interaction.editReply("Only members with **Manage Server** can change logos.");
+    autoDeleteEphemeral(interaction, 10000);
     return;
   }
 
-  // Scrape + parse
-  const hyper = await fetchSimgridStandings(hyperUrl, "SimGrid Hypercar");
-  const lmgt3 = await fetchSimgridStandings(lmgt3Url, "SimGrid LMGT3");
+  const sub = interaction.options.getSubcommand();
+
+  if (sub === "list") {
+    const logos = listLogos();
+    const uploads = new Set(logos.filter((l) => l.source === "upload").map((l) => l.key));
+    const lines = logos.map((l) => {
+      const note =
+        l.source === "upload"
+          ? `uploaded ${discordTimestamp(l.updatedAt, "R")}`
+          : uploads.has(l.key)
+          ? "bundled (replaced by the upload)"
+          : "bundled";
+      return `• \`${l.key}\` — ${note}, ${Math.ceil(l.bytes / 1024)} KB`;
+    });
+    await interaction.editReply(lines.length ? `**Make logos**\n${lines.join("\n")}` : "No make logos yet — add one with `/logo set`.");
+    return;
+  }
 
-  // Track check/updated timestamps for pane 2 independently of pane 1
-  const now = new Date();
-  const lastCheckedStr = discordTimestamp(now, "F");
+  let key;
+  try {
+    // Catalogue aliases ("astonmartin", "chevrolet") land on the key the renderer looks up.
+    key = canonicalMakeKey(normalizeLogoKey(interaction.options.getString("make", true)));
+  } catch (e) {
+    await interaction.editReply(e.message);
+    autoDeleteEphemeral(interaction, 10000);
+    return;
+  }
 
-  // Basic validation: driver names must not look like URLs
-  const bad = (rows) => (rows || []).filter(r => /https?:\/\//i.test(String(r.driver||""))).length;
-  if (bad(hyper.rows) > 0 || bad(lmgt3.rows) > 0) {
-    throw new Error("SimGrid: scrape parsed but driver names look wrong (URL text)");
+  if (sub === "reset") {
+    const removed = removeLogo(key);
+    clearLogoCache();
+    await interaction.editReply(
+      removed
+        ? `Removed the uploaded \`${key}\` logo; renders go back to the bundled or scraped icon.`
+        : `There's no uploaded \`${key}\` logo.`
+    );
+    autoDeleteEphemeral(interaction, 10000);
+    return;
   }
 
-  if (DEBUG_OOR) {
-    console.log("\n==============================");
-    console.log("DEBUG_OOR: SimGrid Hypercar");
-    console.log("Parsed rows:", hyper.rows.length);
-    console.log("Sample row:", hyper.rows[0]);
-    console.log("\n==============================");
-    console.log("DEBUG_OOR: SimGrid LMGT3");
-    console.log("Parsed rows:", lmgt3.rows.length);
-    console.log("Sample row:", lmgt3.rows[0]);
+  // set
+  const attachment = interaction.options.getAttachment("image", true);
+  let saved;
+  try {
+    checkLogoUpload(attachment);
+    saved = await saveLogo(key, await downloadAttachment(attachment));
+  } catch (e) {
+    await interaction.editReply(`Logo not saved: ${e?.message || e}`);
+    autoDeleteEphemeral(interaction, 15000);
+    return;
   }
+  clearLogoCache();
+
+  const used = driversUsingMake(key);
+  await interaction.editReply(
+    `Saved the \`${key}\` logo (${saved.width}x${saved.height}). ` +
+      (used
+        ? `${used} driver${used === 1 ? "" : "s"} in the current standings use it; it shows on the next board update or \`/refresh\`.`
+        : "No driver in the current standings has that make yet — check the key if that's unexpected.")
+  );
+}
 
-  const dataHash = sha1(JSON.stringify({ hyper: hyper.rows, lmgt3: lmgt3.rows }));
-  const unchanged = !!(config.simgridLastHash && config.simgridLastHash === dataHash);
+// ---- /compare (head-to-head) ----
+// Rounds where each driver scored more nett points than the other (from standings history).
+// Returns null when history doesn't cover both drivers for at least one round.
+function headToHeadFromHistory(def, leftName, rightName) {
+  const { rounds, drivers } = pointsProgression(def.id, seasonForSeries(def), { top: Infinity });
+  const find = (name) => drivers.find((d) => IDENTITIES.key(d.driver) === IDENTITIES.key(name));
+  const a = find(leftName)?.points;
+  const b = find(rightName)?.points;
+  if (!a || !b) return null;
+
+  const h2h = { left: 0, right: 0, rounds: 0 };
+  for (let i = 1; i < rounds.length; i++) {
+    if ([a[i], a[i - 1], b[i], b[i - 1]].some((p) => p === null)) continue;
+    const gainA = a[i] - a[i - 1];
+    const gainB = b[i] - b[i - 1];
+    h2h.rounds += 1;
+    if (gainA > gainB) h2h.left += 1;
+    else if (gainB > gainA) h2h.right += 1;
+  }
+  return h2h.rounds ? h2h : null;
+}
 
-  // For pane 2: only bump "Last updated" when the SimGrid standings hash changes.
-  const lastUpdatedStr = unchanged
-    ? (config.simgridLastUpdated || lastCheckedStr)
-    : discordTimestamp(now, "F");
+async function handleCompareCommand(interaction) {
+  await interaction.deferReply();
 
-  logPathSimgrid(unchanged ? "DATA UNCHANGED (hash match)" : "DATA CHANGED (hash differs)");
+  if (!cachedSeriesList(interaction.guildId).length) {
+    await interaction.editReply("No cached standings yet — wait for the next scrape.");
+    autoDeleteEphemeral(interaction, 10000);
+    return;
+  }
 
-  // Re-render when data changed OR message missing OR we explicitly force a refresh (e.g. /refresh)
-  let shouldRender = force || !unchanged || !config.simgridMessageId;
+  const queries = [interaction.options.getString("driver1", true), interaction.options.getString("driver2", true)].map(
+    normalize
+  );
+  const [left, right] = queries.map((q) => findDriverAcrossSeries(q, interaction.guildId));
 
-  // Prepare message content (pane 2)
-  const contains = `${DISPLAY_NAME.hypercar}, ${DISPLAY_NAME.lmgt3}`;
-  const content =
-    `Last updated: **${lastUpdatedStr}**\n` +
-    `Last checked: **${lastCheckedStr}**\n` +
-    `These results are for: **${contains}**`;
+  const missing = queries.filter((q, i) => ![left, right][i]?.entries.length);
+  if (missing.length) {
+    await interaction.editReply(`No driver found matching ${missing.map((q) => `**${q}**`).join(" or ")}.`);
+    autoDeleteEphemeral(interaction, 10000);
+    return;
+  }
+  if (IDENTITIES.key(left.name) === IDENTITIES.key(right.name)) {
+    await interaction.editReply(`Both names matched **${left.name}** — try longer names.`);
+    autoDeleteEphemeral(interaction, 10000);
+    return;
+  }
 
-  // Keep runtime cache fresh so series buttons work
-  latestSimgrid = {
-    hyper: {
-      title: `OOR WEC SERIES 6 — Hypercar (${hyper.rows.length} Drivers)`,
-      subtitle: "Auto-updates when SimGrid standings change",
-      rows: hyper.rows,
-      tint: "#ff3b3b",
-      mode: "simgrid",
-    },
-    lmgt3: {
-      title: `OOR WEC SERIES 6 — LMGT3 (${lmgt3.rows.length} Drivers)`,
-      subtitle: "Auto-updates when SimGrid standings change",
-      rows: lmgt3.rows,
-      tint: "#34c759",
-      mode: "simgrid",
-    },
-  };
+  const sections = [];
+  for (const l of left.entries) {
+    const r = right.entries.find((e) => e.seriesId === l.seriesId);
+    if (!r) continue;
+    const def = SERIES_BY_ID.get(l.seriesId);
+    sections.push({
+      series: l.series,
+      tint: l.tint,
+      isSprint: l.isSprint,
+      of: l.of,
+      left: l,
+      right: r,
+      h2h: def ? headToHeadFromHistory(def, left.name, right.name) : null,
+    });
+  }
 
-  // If unchanged and not forced, we can cheaply update text only
-  if (!shouldRender && unchanged && config.simgridMessageId) {
-    try {
-      logPathSimgrid(`UNCHANGED + messageId present (${config.simgridMessageId}) → attempting edit`);
-      const existing = await channel.messages.fetch(config.simgridMessageId);
-      await existing.edit({ content, components: buildSimgridActionRows() });
-      logPathSimgrid("UNCHANGED + edit SUCCESS → updated text only");
-
-      config.simgridLastChecked = lastCheckedStr;
-      // Preserve prior simgridLastUpdated when unchanged
-      config.simgridLastUpdated = config.simgridLastUpdated || lastUpdatedStr;
-      saveConfig();
-      return;
-    } catch {
-      // message missing -> fall through and re-render/post
-      logPathSimgrid("UNCHANGED but message MISSING → will POST NEW message");
-      shouldRender = true;
-    }
+  if (!sections.length) {
+    const where = (m) => m.entries.map((e) => e.series).join(", ");
+    await interaction.editReply(
+      `**${left.name}** (${where(left)}) and **${right.name}** (${where(right)}) don't share a series.`
+    );
+    autoDeleteEphemeral(interaction, 10000);
+    return;
   }
 
-  // Render image
-  const titleHyperBase = "OOR WEC SERIES 6 — Hypercar";
-  const titleLmgt3Base = "OOR WEC SERIES 6 — LMGT3";
-  const titleHyperWithCount = `${titleHyperBase} (${hyper.rows.length} Drivers)`;
-  const titleLmgt3WithCount = `${titleLmgt3Base} (${lmgt3.rows.length} Drivers)`;
-  const png = await renderDoubleStandingsPng(
-    {
-      title: titleHyperWithCount,
-      subtitle: "Auto-updates when SimGrid standings change",
-      rows: hyper.rows,
-      // tint is applied by render.js at the panel level
-      tint: "#ff3b3b",
-    },
+  const png = await renderCompareCardPng(
     {
-      title: titleLmgt3WithCount,
-      subtitle: "Auto-updates when SimGrid standings change",
-      rows: lmgt3.rows,
-      tint: "#34c759",
+      left: { driver: left.name, countryImg: left.countryImg },
+      right: { driver: right.name, countryImg: right.countryImg },
+      subtitle: `${sections.length} shared series`,
+      sections,
     },
-    {
-      titleLeft: titleHyperWithCount,
-      titleRight: titleLmgt3WithCount,
-      // SimGrid pane tinting (subtle overlay applied in render.js)
-      // Hypercar = red tint, LMGT3 = green tint
-      tintLeft: "#ff3b3b",
-      tintRight: "#34c759",
-    }
+    { theme: themeForInteraction(interaction) }
   );
+  const attachment = new AttachmentBuilder(png, { name: "compare.png" });
 
-  const attachment = new AttachmentBuilder(png, { name: "simgrid.png" });
+  await interaction.editReply({
+    content: `**${left.name}** vs **${right.name}**`,
+    files: [attachment],
+  });
+}
 
-  // Prefer editing the existing message (keeps channel tidy). If it's missing, post a new one.
-  if (config.simgridMessageId) {
-    try {
-      logPathSimgrid(`POST/EDIT path + messageId present (${config.simgridMessageId}) → attempting edit`);
-      const existing = await channel.messages.fetch(config.simgridMessageId);
-      await existing.edit({ content, files: [attachment], components: buildSimgridActionRows() });
-      config.simgridLastHash = dataHash;
-      config.simgridLastUpdated = lastUpdatedStr;
-      config.simgridLastChecked = lastCheckedStr;
-      saveConfig();
-
-      logPathSimgrid("edit SUCCESS → updated image/content");
-      return;
-    } catch {
-      // fall through to post new
-      logPathSimgrid("existing message missing/failed → will POST NEW message");
-    }
-  }
+// ---- /results (round classification) ----
+// Per-round pages come from the series "resultsUrl" template; parsed rows are cached briefly
+// so a burst of /results after a race night only hits the results site once per round.
+const ROUND_RESULTS_CACHE_MS = 5 * 60 * 1000;
+const roundResultsCache = new Map(); // `${seriesId}:${round}` -> { at, rows }
 
-  logPathSimgrid("POSTING NEW message");
-  const sent = await channel.send({ content, files: [attachment], components: buildSimgridActionRows() });
-  logPathSimgrid(`NEW message posted → id=${sent.id}`);
-  config.simgridMessageId = sent.id;
-  config.simgridLastHash = dataHash;
-  config.simgridLastUpdated = lastUpdatedStr;
-  config.simgridLastChecked = lastCheckedStr;
-  saveConfig();
+function resultsSeriesList() {
+  return SERIES.filter((s) => s.resultsUrl);
 }
 
-async function checkAndPost() {
-  const channel = await client.channels.fetch(config.channelId);
-  if (!channel || !channel.isTextBased()) {
-    throw new Error("Configured channelId is not a text channel");
-  }
+function roundResultsUrl(def, round) {
+  return def.resultsUrl.replace(/\{round\}/gi, String(round)).replace(/\{season\}/gi, seasonForSeries(def));
+}
 
-  const now = new Date();
-  const lastCheckedStr = discordTimestamp(now, "F"); // relative time
+async function fetchRoundResults(def, round, attempts = 3) {
+  const key = `${def.id}:${round}`;
+  const hit = roundResultsCache.get(key);
+  if (hit && Date.now() - hit.at < ROUND_RESULTS_CACHE_MS) return hit.rows;
 
+  // Round pages can hold several session grids with their own ids; any DevExpress grid will do.
+  const html = await fetchHtmlWithRetry(roundResultsUrl(def, round), attempts, "_DXMainTable");
+  const rows = parseRoundResultsHtml(html, `${def.name} round ${round}`);
+  roundResultsCache.set(key, { at: Date.now(), rows });
+  return rows;
+}
 
-  try {
-    const penaltyIndex = await fetchPenaltyIndex();
-    const club50 = await fetchClub50();
-    const yellow = await fetchSprintYellow(penaltyIndex?.yellow);
-    const red = await fetchSprintRed(penaltyIndex?.red);
+// ---- scoring engine (series "scoring") ----
+// A round that hasn't been run yet has no results grid; anything else (HTTP errors, timeouts) is a real failure.
+const ROUND_NOT_HELD_RE = /missing expected table marker|could not locate a results table|results table has no drivers|\(404\)/i;
 
-    const dataHash = sha1(JSON.stringify({ club50, yellow, red }));
-    const unchanged = !!(config.lastHash && config.lastHash === dataHash);
+async function fetchSeasonResults(def, maxRounds = def.scoring.maxRounds) {
+  const rounds = [];
+  for (let round = 1; round <= maxRounds; round++) {
+    try {
+      rounds.push({ round, rows: await fetchRoundResults(def, round) });
+    } catch (e) {
+      if (ROUND_NOT_HELD_RE.test(String(e?.message || e))) break;
+      throw e;
+    }
+  }
+  return rounds;
+}
 
-    logPath(unchanged ? "DATA UNCHANGED (hash match)" : "DATA CHANGED (hash differs)");
+async function computedStandingsFor(def) {
+  const rounds = await fetchSeasonResults(def);
+  return { rounds, rows: computeStandings(rounds, def.scoring, { key: IDENTITIES.key }) };
+}
 
-    const titleLink = `OCTANE ONLINE RACING STANDINGS - Click here for Full OOR Results Pages`;
-    const linkUrl = "https://results.octaneonlineracing.com/";
+// scoring.apply: the board shows computed points/positions; the scraped row keeps everything else
+// (flag, car, class, penalties). Drivers missing from the round results keep their scraped values at the bottom.
+// Returns null (scraped rows stay) when the round results can't be read.
+async function applyComputedScoringSafe(def, rows) {
+  try {
+    const { rounds, rows: computed } = await computedStandingsFor(def);
+    if (!rounds.length) return null;
+
+    const byKey = new Map(rows.map((r) => [IDENTITIES.key(r.driver), r]));
+    const used = new Set();
+    const out = computed.map((c) => {
+      const k = IDENTITIES.key(c.driver);
+      used.add(k);
+      const base = byKey.get(k) || { driver: c.driver, carNo: c.carNo };
+      const { pos, racePts, qualiPts, flPts, total, nett, diff } = c;
+      return { ...base, pos, racePts, qualiPts, flPts, total, nett, diff };
+    });
+    const rest = rows.filter((r) => !used.has(IDENTITIES.key(r.driver)));
 
-    // Always keep runtime cache fresh so buttons work
-    const lastUpdatedStrForCache = unchanged
-      ? (config.lastUpdated || lastCheckedStr)
-      : discordTimestamp(now, "F");
-
-    latest = {
-      club50,
-      yellow,
-      red,
-      lastCheckedStr,
-      lastUpdatedStr: lastUpdatedStrForCache,
-      lastHash: dataHash,
-    };
+    if (DEBUG_OOR) {
+      const diffs = standingsDiscrepancies(computed, rows, { key: IDENTITIES.key });
+      console.log(`DEBUG_OOR: Scoring (${def.id}) ${rounds.length} rounds, ${diffs.length} differences vs site`);
+    }
+    return [...out, ...rest];
+  } catch (e) {
+    console.warn(`Scoring recompute failed for ${def.id}; showing site points (non-fatal):`, e?.message || e);
+    return null;
+  }
+}
 
-    // ---------- UNCHANGED PATH: try edit existing message ----------
-    if (unchanged && config.messageId) {
-      logPath(`UNCHANGED + messageId present (${config.messageId}) → attempting edit`);
+function describeDiscrepancy(d) {
+  if (d.field === "missing") return `${d.driver}: in round results but not in the site table`;
+  if (d.field === "extra") return `${d.driver}: in the site table but in no round results`;
+  return `${d.driver}: ${d.field} ${d.scraped} on the site, ${d.computed} computed`;
+}
 
-      const content =
-        `**[${titleLink}](${linkUrl})**\n` +
-        `Last updated: **${config.lastUpdated || lastCheckedStr}**\n` +
-        `Last checked: **${lastCheckedStr}**\nThese results are for: **${CONTAINS_MAIN}**`;
+async function handleScoringCommand(interaction) {
+  await interaction.deferReply();
 
-      try {
-        const existing = await channel.messages.fetch(config.messageId);
-        await existing.edit({
-          content,
-          components: buildMainActionRows(),
-        });
-
-        logPath("UNCHANGED + edit SUCCESS → updated last checked only");
-
-        config.lastChecked = lastCheckedStr;
-        saveConfig();
-
-        if (DEBUG_OOR) console.log("No change; updated last checked only.");
-        try {
-          await checkAndPostSimgrid(channel);
-        } catch (e) {
-          console.error("SimGrid checkAndPost failed (non-fatal):", e?.message || e);
-        }
-        return; // ✅ only return if edit succeeded
-      } catch (e) {
-        // Message missing/unknown -> fall through and post new
-        logPath("UNCHANGED but message MISSING → will POST NEW message");
-        console.warn("Existing message missing, will post new.");
-        // do NOT wipe messageId yet; keep it for optional delete attempts
-      }
-    }
+  const seriesId = normalize(interaction.options.getString("series", true)).toLowerCase();
+  const def = seriesForGuild(interaction.guildId).find((s) => s.id === seriesId && s.scoring);
+  if (!def) {
+    await interaction.editReply(`Series **${seriesId}** has no scoring rules on this server.`);
+    autoDeleteEphemeral(interaction, 10000);
+    return;
+  }
 
-    // ---------- POST NEW MESSAGE PATH (changed OR message missing) ----------
-    logPath(
-      unchanged
-        ? "POSTING NEW message (message missing but data unchanged)"
-        : "POSTING NEW message (data changed)"
-    );
+  const { rounds, rows } = await computedStandingsFor(def);
+  if (!rounds.length) {
+    await interaction.editReply(`No round results published yet for ${def.name}.`);
+    autoDeleteEphemeral(interaction, 10000);
+    return;
+  }
 
-    const oldMessageId = config.messageId || ""; // keep for deletion attempt
+  // Compare against the site's own columns: a direct scrape, so neither the scrape cache nor
+  // scoring.apply's overrides get involved (penalties aren't needed here).
+  const standings = await fetchSeries({ ...def, scoring: null, penaltyTab: "" });
+  const diffs = standingsDiscrepancies(rows, standings.rows, { key: IDENTITIES.key });
+
+  const siteRows = new Map(standings.rows.map((r) => [IDENTITIES.key(r.driver), r]));
+  const panel = {
+    ...seriesPanel(def, {
+      title: `${seriesTitle(def, rows.length)} — Recomputed`,
+      subtitle: `${rounds.length} round${rounds.length === 1 ? "" : "s"}${
+        def.scoring.drop ? `, worst ${Math.min(def.scoring.drop, rounds.length - 1)} dropped` : ""
+      }`,
+      rows: rows.map((r) => ({ ...siteRows.get(IDENTITIES.key(r.driver)), ...r })),
+    }),
+    isSprint: false,
+  };
+  const png = await renderSeriesOnlyPng(panel, { theme: themeForInteraction(interaction) });
+  const attachment = new AttachmentBuilder(png, { name: `scoring-${def.id}.png` });
 
-    const png = await renderTripleStandingsPng(club50, yellow, red);
-    const attachment = new AttachmentBuilder(png, { name: "standings.png" });
+  const MAX_LINES = 15;
+  const lines = diffs.slice(0, MAX_LINES).map((d) => `• ${describeDiscrepancy(d)}`);
+  if (diffs.length > MAX_LINES) lines.push(`…and ${diffs.length - MAX_LINES} more`);
 
-    const lastUpdatedStr = unchanged
-      ? (config.lastUpdated || lastCheckedStr) // unchanged but missing message → preserve lastUpdated
-      : discordTimestamp(now, "F");
+  await interaction.editReply({
+    content: diffs.length
+      ? `⚠️ **${def.name}**: ${diffs.length} difference${diffs.length === 1 ? "" : "s"} vs the site standings\n${lines.join("\n")}`
+      : `✅ **${def.name}**: site standings match the recomputed points.`,
+    files: [attachment],
+  });
+}
 
-    const content =
-      `**[${titleLink}](${linkUrl})**\n` +
-      `Last updated: **${lastUpdatedStr}**\n` +
-      `Last checked: **${lastCheckedStr}**\nThese results are for: **${CONTAINS_MAIN}**`;
+// ---- rounds run ----
+// Taken from titleRace.completed, or counted from the round results pages (roundsrun.js): the count starts
+// at the round on the series' latest history snapshot (R1 without one), after that a board check asks for
+// round completed+1 only (one attempt: a round that isn't there yet is the usual answer, and one that's
+// missed is picked up on the next check). History snapshots and the title race share the count.
+const roundsRunCounter = createRoundsRunCounter({ recheckMs: ROUND_RESULTS_CACHE_MS });
+const ROUNDS_RUN_MAX = 30; // probe limit without titleRace.rounds / scoring.maxRounds (same as the scoring default)
 
-    const sent = await channel.send({
-      content,
-      files: [attachment],
-      components: buildMainActionRows(),
-    });
+async function roundHeld(def, round) {
+  try {
+    await fetchRoundResults(def, round, 1);
+    return true;
+  } catch (e) {
+    if (ROUND_NOT_HELD_RE.test(String(e?.message || e))) return false;
+    throw e;
+  }
+}
 
-    logPath(`NEW message posted → id=${sent.id}`);
+async function roundsRun(def) {
+  if (def.titleRace && def.titleRace.completed !== null) return def.titleRace.completed;
 
-    // If CHANGED: try delete old message to avoid duplicates
-    if (!unchanged && oldMessageId) {
-      try {
-        const old = await channel.messages.fetch(oldMessageId);
-        await old.delete();
-        logPath(`Deleted old message → id=${oldMessageId}`);
-      } catch (e) {
-        const msg = String(e?.message || e);
-        const code = String(e?.code || "");
-        // If the message was manually deleted, Discord returns "Unknown Message" (code 10008).
-        if (code === "10008" || /Unknown Message/i.test(msg)) {
-          if (DEBUG_OOR) console.log("Old message already deleted (skipping)");
-        } else {
-          console.warn("Could not delete old message:", msg);
-        }
-      }
-    }
+  const season = seasonForSeries(def);
+  const key = `${def.id}:${season}`;
+  if (roundsRunCounter.known(key) === null) roundsRunCounter.seed(key, latestSnapshot(def.id, season)?.round);
 
-    config.messageId = sent.id;
-    config.lastHash = dataHash;
-    config.lastUpdated = lastUpdatedStr;
-    config.lastChecked = lastCheckedStr;
-    saveConfig();
+  const max = def.titleRace?.rounds || def.scoring?.maxRounds || ROUNDS_RUN_MAX;
+  return roundsRunCounter.count(key, max, (round) => roundHeld(def, round));
+}
 
-    try {
-      await checkAndPostSimgrid(channel);
-    } catch (e) {
-      console.error("SimGrid checkAndPost failed (non-fatal):", e?.message || e);
-    }
+// null when the series has no resultsUrl / titleRace.completed, or the pages can't be read.
+async function roundsRunSafe(def) {
+  if (!def.resultsUrl && !(def.titleRace && def.titleRace.completed !== null)) return null;
+  try {
+    return await roundsRun(def);
+  } catch (e) {
+    console.warn(`Rounds run unavailable for ${def.id} (non-fatal):`, e?.message || e);
+    return null;
+  }
+}
 
-    if (DEBUG_OOR) {
-      console.log(
-        unchanged
-          ? "Message missing but no data change; posted new message to restore it."
-          : "Changed; posted new message and updated tracking."
-      );
-    }
+// ---- title race (series "titleRace") ----
+async function titleRaceOptions(def) {
+  const completed = await roundsRun(def);
+  return {
+    completed,
+    remaining: def.titleRace.rounds - completed,
+    maxRoundPoints: def.titleRace.maxRoundPoints,
+  };
+}
+
+// Returns null (renders stay unmarked) when the rounds run can't be worked out.
+async function titleRaceOptionsSafe(def) {
+  if (!def?.titleRace) return null;
+  try {
+    return await titleRaceOptions(def);
   } catch (e) {
-    console.error("checkAndPost blocked (keeping existing Discord message):", e?.message || e);
-    config.lastChecked = lastCheckedStr;
-    saveConfig();
+    console.warn(`Title race unavailable for ${def.id} (non-fatal):`, e?.message || e);
+    return null;
   }
 }
 
-// ---- Interaction handler (buttons) ----
-async function safeAck(interaction) {
-  if (interaction.deferred || interaction.replied) return false;
-  await interaction.deferReply({ ephemeral: true });
-  return true;
+// Board / series renders: sets r.titleStatus ("clinched" | "eliminated" | ""); render.js only adds
+// the marker column once somebody's status is decided. Runs after hashing, like the position markers.
+async function attachTitleStatusSafe(def, standings) {
+  if (!def.titleRace || !standings?.rows?.length) return;
+  const opts = await titleRaceOptionsSafe(def);
+  if (opts) standings.rows = markTitleStatus(standings.rows, titleRace(standings.rows, opts));
 }
 
-function autoDeleteEphemeral(interaction, ms = 10000) {
-  setTimeout(async () => {
-    try {
-      if (interaction.deferred || interaction.replied) {
-        await interaction.deleteReply();
-      }
-    } catch {
-      // ignore
-    }
-  }, ms);
+// Class grid: each class is its own title race (marks from the overall table don't carry over).
+function classTitleRacePanels(panels, opts) {
+  if (!opts) return panels;
+  return panels.map((p) => ({ ...p, rows: markTitleStatus(p.rows, titleRace(p.rows, opts)) }));
 }
 
-async function handleClassButton(interaction, which) {
-  const channel = interaction.channel;
-  if (!channel || !channel.isTextBased()) throw new Error("Not a text channel");
+async function handleTitleRaceCommand(interaction) {
+  await interaction.deferReply();
+
+  const seriesId = normalize(interaction.options.getString("series", true)).toLowerCase();
+  const def = seriesForGuild(interaction.guildId).find((s) => s.id === seriesId && s.titleRace);
+  if (!def) {
+    await interaction.editReply(`Series **${seriesId}** has no title race settings on this server.`);
+    autoDeleteEphemeral(interaction, 10000);
+    return;
+  }
 
-  const data = which === "yellow" ? latest.yellow : which === "red" ? latest.red : null;
+  const data = latestSeries.get(def.id);
   if (!data) throw new Error("No cached standings yet — wait for the next scrape.");
 
-  const splitLabel = which === "yellow" ? "Split Yellow Sprint Standings" : "Split Red Sprint Standings";
-  const panels = buildClassPanels(data, splitLabel);
-  const png = await renderClassGridPng(panels);
+  const opts = await titleRaceOptions(def);
+  const race = titleRace(data.rows, opts);
 
-  const attachment = new AttachmentBuilder(png, { name: `class-${which}.png` });
+  const lines = [
+    opts.remaining
+      ? `🏁 **${def.name}** — ${opts.completed} of ${def.titleRace.rounds} rounds run, ${opts.remaining} left ` +
+        `(up to ${race.maxGain} pts; ${opts.maxRoundPoints} per round)`
+      : `🏁 **${def.name}** — all ${def.titleRace.rounds} rounds run`,
+    "",
+    ...titleRaceLines(race, "Overall"),
+  ];
 
-  const posted = await channel.send({
-    content: `**${splitLabel} by Class** (auto-generated)\nThis message will self-delete in **5 minutes**.`,
-    files: [attachment],
+  if (def.classSplit) {
+    for (const p of buildClassPanels(data, classSplitLabel(def))) {
+      if (!p.rows.length) continue;
+      lines.push("", ...titleRaceLines(titleRace(p.rows, opts), p.rows[0].className));
+    }
+  }
+
+  const png = await renderSeriesOnlyPng({ ...data, rows: markTitleStatus(data.rows, race) }, {
+    maxRowsPerCol: 30,
+    theme: themeForInteraction(interaction),
   });
+  const attachment = new AttachmentBuilder(png, { name: `title-race-${def.id}.png` });
 
-  setTimeout(async () => {
-    try {
-      await posted.delete();
-    } catch {}
-  }, 5 * 60 * 1000);
+  await interaction.editReply({ content: lines.join("\n"), files: [attachment] });
+}
 
-  await interaction.editReply("Posted the class standings render (will self-delete in 5 minutes).");
-  autoDeleteEphemeral(interaction, 10000);
+function roundResultsPanel(def, round, rows) {
+  const decorated = rows.map((r, i) => {
+    const grid = toNumber(r.grid);
+    const pos = toNumber(r.pos);
+    return {
+      ...r,
+      // The winner's row has no gap on the results site; show the race time there instead.
+      gap: r.gap || (i === 0 ? r.totalTime : ""),
+      // Places gained/lost from the grid (drawn with the same markers as the standings +/- column).
+      posChange: grid > 0 && pos > 0 ? grid - pos : null,
+    };
+  });
+
+  return {
+    title: `${def.name} — Round ${round} — Season ${seasonForSeries(def)} (${rows.length} drivers)`,
+    subtitle: "Race classification from the OOR results site",
+    rows: decorated,
+    tint: def.tint,
+  };
 }
 
-async function handleSeriesButton(interaction, which) {
-  const channel = interaction.channel;
-  if (!channel || !channel.isTextBased()) throw new Error("Not a text channel");
+async function handleResultsCommand(interaction) {
+  await interaction.deferReply();
 
-  let panel = null;
-  let fileName = "series.png";
-
-  if (which === "club50") {
-    panel = { ...latest.club50, tint: "#2b6cff", mode: "default" };
-    fileName = "club50-only.png";
-  } else if (which === "yellow") {
-    panel = { ...latest.yellow, tint: "#f6c343", mode: "default" };
-    fileName = "yellow-only.png";
-  } else if (which === "red") {
-    panel = { ...latest.red, tint: "#ff3b3b", mode: "default" };
-    fileName = "red-only.png";
-  } else if (which === "hypercar") {
-    panel = latestSimgrid.hyper ? { ...latestSimgrid.hyper } : null;
-    fileName = "hypercar-only.png";
-  } else if (which === "lmgt3") {
-    panel = latestSimgrid.lmgt3 ? { ...latestSimgrid.lmgt3 } : null;
-    fileName = "lmgt3-only.png";
+  const seriesId = normalize(interaction.options.getString("series", true)).toLowerCase();
+  const round = interaction.options.getInteger("round", true);
+  const def = seriesForGuild(interaction.guildId).find((s) => s.id === seriesId && s.resultsUrl);
+
+  if (!def) {
+    await interaction.editReply(`No round results are configured for **${seriesId}** on this server.`);
+    autoDeleteEphemeral(interaction, 10000);
+    return;
   }
 
-  if (!panel) throw new Error("No cached standings yet — wait for the next scrape.");
+  let rows;
+  try {
+    rows = await fetchRoundResults(def, round);
+  } catch (e) {
+    console.warn(`Round results failed for ${def.id} round ${round}:`, e?.message || e);
+    await interaction.editReply(`Couldn't load ${def.name} round ${round} results: ${e?.message || e}`);
+    autoDeleteEphemeral(interaction, 10000);
+    return;
+  }
 
-  const png = await renderSeriesOnlyPng(panel, { maxRowsPerCol: 30 });
-  const attachment = new AttachmentBuilder(png, { name: fileName });
+  const png = await renderRaceResultsPng(roundResultsPanel(def, round, rows), { theme: themeForInteraction(interaction) });
+  const attachment = new AttachmentBuilder(png, { name: `results-${def.id}-r${round}.png` });
 
-  const posted = await channel.send({
-    content: `**${panel.title}** (series-only render)\nThis message will self-delete in **5 minutes**.`,
+  await interaction.editReply({
+    content: `🏆 **${rows[0].driver}** won ${def.name} round ${round}.`,
     files: [attachment],
   });
-
-  setTimeout(async () => {
-    try {
-      await posted.delete();
-    } catch {}
-  }, 5 * 60 * 1000);
-
-  await interaction.editReply("Posted the series-only render (will self-delete in 5 minutes).");
-  autoDeleteEphemeral(interaction, 10000);
 }
 
 // ---- Slash command registration ----
@@ -1061,77 +2440,250 @@ async function registerSlashCommands() {
   // You MUST set guildId in config.json for instant updates:
   // "guildId": "YOUR_SERVER_ID"
   // If you don't set it, we fall back to global commands (can take ages to appear).
+
+  // Optional on every command that replies with an image.
+  const themeOption = (o) =>
+    o
+      .setName("theme")
+      .setDescription("Render theme (defaults to this channel's board)")
+      .addChoices(...THEMES.names.slice(0, 25).map((name) => ({ name, value: name })));
+
   const commands = [
     new SlashCommandBuilder().setName("refresh").setDescription("Force a standings refresh now"),
-  ].map((c) => c.toJSON());
+    new SlashCommandBuilder()
+      .setName("driver")
+      .setDescription("Show a driver's position, points and penalties across every series")
+      .addStringOption((o) =>
+        o.setName("name").setDescription("Driver name (partial names are fine; defaults to your /link)")
+      )
+      .addStringOption(themeOption),
+    new SlashCommandBuilder()
+      .setName("me")
+      .setDescription("Show your own standings card (link your driver first with /link set)")
+      .addBooleanOption((o) =>
+        o.setName("notify").setDescription("DM me when my position, penalty points or quali ban change")
+      )
+      .addStringOption(themeOption),
+    new SlashCommandBuilder()
+      .setName("link")
+      .setDescription("Link your Discord account to your driver name")
+      .addSubcommand((sc) =>
+        sc
+          .setName("set")
+          .setDescription("Link yourself to a driver")
+          .addStringOption((o) => o.setName("driver").setDescription("Your driver name as shown in the standings").setRequired(true))
+      )
+      .addSubcommand((sc) => sc.setName("show").setDescription("Show which driver you're linked to"))
+      .addSubcommand((sc) =>
+        sc
+          .setName("remove")
+          .setDescription("Remove a driver link")
+          .addUserOption((o) => o.setName("user").setDescription("Someone else's link (needs Manage Server)"))
+      ),
+    new SlashCommandBuilder()
+      .setName("compare")
+      .setDescription("Compare two drivers head-to-head in every series they share")
+      .addStringOption((o) =>
+        o.setName("driver1").setDescription("First driver (partial names are fine)").setRequired(true)
+      )
+      .addStringOption((o) =>
+        o.setName("driver2").setDescription("Second driver (partial names are fine)").setRequired(true)
+      )
+      .addStringOption(themeOption),
+    new SlashCommandBuilder()
+      .setName("chart")
+      .setDescription("Show how the championship points developed round by round")
+      .addStringOption((o) =>
+        o
+          .setName("series")
+          .setDescription("Series")
+          .setRequired(true)
+          .addChoices(...SERIES.slice(0, 25).map((d) => ({ name: d.buttonLabel, value: d.id })))
+      )
+      .addIntegerOption((o) =>
+        o
+          .setName("top")
+          .setDescription(`Number of drivers to plot (default ${CHART_DEFAULT_TOP})`)
+          .setMinValue(1)
+          .setMaxValue(CHART_MAX_TOP)
+      )
+      .addStringOption(themeOption),
+  ];
+
+  // /penalties only when at least one series has a penalty sheet tab.
+  const penaltySeries = SERIES.filter((d) => d.penaltyTab);
+  if (penaltySeries.length) {
+    commands.push(
+      new SlashCommandBuilder()
+        .setName("penalties")
+        .setDescription("Show the penalty ledger (every recorded change) for a driver or a split")
+        .addStringOption((o) => o.setName("driver").setDescription("Driver name (fuzzy match)"))
+        .addStringOption((o) =>
+          o
+            .setName("split")
+            .setDescription("Sprint split")
+            .addChoices(...penaltySeries.slice(0, 25).map((d) => ({ name: d.buttonLabel, value: d.id })))
+        )
+        .addStringOption(themeOption)
+    );
+  }
+
+  // /scoring only when at least one series has scoring rules.
+  const scoringSeries = SERIES.filter((d) => d.scoring);
+  if (scoringSeries.length) {
+    commands.push(
+      new SlashCommandBuilder()
+        .setName("scoring")
+        .setDescription("Recompute the standings from round results and list differences vs the site")
+        .addStringOption((o) =>
+          o
+            .setName("series")
+            .setDescription("Series")
+            .setRequired(true)
+            .addChoices(...scoringSeries.slice(0, 25).map((d) => ({ name: d.buttonLabel, value: d.id })))
+        )
+        .addStringOption(themeOption)
+    );
+  }
+
+  commands.push(
+    new SlashCommandBuilder()
+      .setName("logo")
+      .setDescription("Manage make logo overrides (Manage Server)")
+      .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+      .addSubcommand((sc) =>
+        sc
+          .setName("set")
+          .setDescription("Upload a logo for a car make")
+          .addStringOption((o) => o.setName("make").setDescription("Make key, e.g. aston_martin").setRequired(true))
+          .addAttachmentOption((o) => o.setName("image").setDescription("PNG, JPEG or WebP, up to 2 MB").setRequired(true))
+      )
+      .addSubcommand((sc) => sc.setName("list").setDescription("List bundled and uploaded make logos"))
+      .addSubcommand((sc) =>
+        sc
+          .setName("reset")
+          .setDescription("Remove an uploaded logo")
+          .addStringOption((o) => o.setName("make").setDescription("Make key").setRequired(true))
+      )
+  );
+
+  // /title-race only when at least one series has titleRace settings.
+  const titleRaceSeries = SERIES.filter((d) => d.titleRace);
+  if (titleRaceSeries.length) {
+    commands.push(
+      new SlashCommandBuilder()
+        .setName("title-race")
+        .setDescription("Who can still win the title (overall and per class)")
+        .addStringOption((o) =>
+          o
+            .setName("series")
+            .setDescription("Series")
+            .setRequired(true)
+            .addChoices(...titleRaceSeries.slice(0, 25).map((d) => ({ name: d.buttonLabel, value: d.id })))
+        )
+        .addStringOption(themeOption)
+    );
+  }
+
+  // /results only when at least one series has a per-round results page configured.
+  const resultsSeries = resultsSeriesList();
+  if (resultsSeries.length) {
+    commands.push(
+      new SlashCommandBuilder()
+        .setName("results")
+        .setDescription("Show the race classification for one round")
+        .addIntegerOption((o) => o.setName("round").setDescription("Round number").setRequired(true).setMinValue(1))
+        .addStringOption((o) =>
+          o
+            .setName("series")
+            .setDescription("Series")
+            .setRequired(true)
+            .addChoices(...resultsSeries.slice(0, 25).map((d) => ({ name: d.buttonLabel, value: d.id })))
+        )
+        .addStringOption(themeOption)
+    );
+  }
+
+  const body = commands.map((c) => c.toJSON());
 
   const rest = new REST({ version: "10" }).setToken(config.token);
 
-  if (config.guildId && String(config.guildId).trim()) {
-    await rest.put(Routes.applicationGuildCommands(client.user.id, config.guildId), { body: commands });
-    console.log("Registered guild slash commands.");
+  const guildIds = [...new Set([normalize(config.guildId), ...BOARDS.map((b) => b.guildId)].filter(Boolean))];
+
+  if (guildIds.length) {
+    for (const guildId of guildIds) {
+      await rest.put(Routes.applicationGuildCommands(client.user.id, guildId), { body });
+    }
+    console.log(`Registered guild slash commands (${guildIds.length} guild${guildIds.length === 1 ? "" : "s"}).`);
   } else {
-    await rest.put(Routes.applicationCommands(client.user.id), { body: commands });
+    await rest.put(Routes.applicationCommands(client.user.id), { body });
     console.log("Registered GLOBAL slash commands (may take time to appear).");
   }
 }
 
 // ---- /refresh handling ----
-let refreshLock = false;
-let lastRefreshAt = 0;
+// Cooldown is per guild so one server's refresh doesn't block the other's.
+const lastRefreshAt = new Map(); // guildId -> ms
 const REFRESH_COOLDOWN_MS = 30_000;
 
 async function handleRefreshCommand(interaction) {
   // ACK once
   await interaction.deferReply({ ephemeral: true });
 
+  const boards = boardsForGuild(interaction.guildId);
+  if (!boards.length) {
+    await interaction.editReply("No standings boards are configured for this server.");
+    autoDeleteEphemeral(interaction, 10000);
+    return;
+  }
+
   const now = Date.now();
-  if (now - lastRefreshAt < REFRESH_COOLDOWN_MS) {
-    const wait = Math.ceil((REFRESH_COOLDOWN_MS - (now - lastRefreshAt)) / 1000);
+  const last = lastRefreshAt.get(interaction.guildId) || 0;
+  if (now - last < REFRESH_COOLDOWN_MS) {
+    const wait = Math.ceil((REFRESH_COOLDOWN_MS - (now - last)) / 1000);
     await interaction.editReply(`Please wait ${wait}s before refreshing again.`);
     autoDeleteEphemeral(interaction, 10000);
     return;
   }
 
-  if (refreshLock) {
+  if (boards.some((b) => boardLocks.has(b.id))) {
     await interaction.editReply("A refresh is already running, try again in a moment.");
     autoDeleteEphemeral(interaction, 10000);
     return;
   }
 
-  refreshLock = true;
-  lastRefreshAt = now;
+  lastRefreshAt.set(interaction.guildId, now);
 
   try {
-    const channel = await client.channels.fetch(config.channelId);
-    if (!channel || !channel.isTextBased()) throw new Error("Configured channelId is not a text channel");
-
-    // Use Discord timestamp so each viewer sees it in their own local timezone.
-    const stamp = discordTimestamp(new Date(), "F");
-    const { club50, yellow, red } = await scrapeAll();
-    await renderAndPostToMainMessage(channel, club50, yellow, red, stamp);
-
-    // Also refresh the SimGrid (second pane) immediately.
-    // Force=true so /refresh always re-scrapes and re-renders the SimGrid message.
-    let simgridOk = true;
-    try {
-      await checkAndPostSimgrid(channel, true);
-    } catch (e) {
-      simgridOk = false;
-      console.warn("/refresh: SimGrid refresh failed (non-fatal):", e?.message || e);
+    // Force=true so /refresh always re-scrapes and re-renders every pane (edits messages in place).
+    const failed = [];
+    for (const board of boards) {
+      try {
+        const res = await checkAndPostBoard(board, true);
+        failed.push(...res.failed.map((p) => (boards.length > 1 ? `${board.id}/${p}` : p)));
+      } catch (e) {
+        console.error(`Refresh failed for board '${board.id}':`, e?.message || e);
+        failed.push(board.id);
+      }
     }
 
     await interaction.editReply(
-      simgridOk
-        ? "✅ Refreshed and updated both standings panels."
-        : "⚠️ Refreshed the main standings panel, but SimGrid refresh failed. Check console logs."
+      failed.length
+        ? `⚠️ Refreshed, but these panes failed: **${failed.join(", ")}**. Check console logs.`
+        : "✅ Refreshed and updated all standings panels."
     );
     autoDeleteEphemeral(interaction, 10000);
   } catch (e) {
     await interaction.editReply(`❌ Refresh failed: ${e?.message || e}`);
     autoDeleteEphemeral(interaction, 10000);
-  } finally {
-    refreshLock = false;
+  }
+}
+
+async function runBoardCheck(board) {
+  try {
+    await checkAndPostBoard(board);
+  } catch (e) {
+    console.error(`checkAndPost failed for board '${board.id}':`, e?.message || e);
   }
 }
 
@@ -1146,11 +2698,15 @@ client.once(Events.ClientReady, async () => {
     console.warn("Slash command registration failed:", e?.message || e);
   }
 
-  await checkAndPost();
+  for (const board of BOARDS) {
+    await runBoardCheck(board);
 
-  cron.schedule(config.checkCron, async () => {
-    await checkAndPost();
-  });
+    cron.schedule(board.checkCron, async () => {
+      await runBoardCheck(board);
+    });
+  }
+
+  if (STEWARDS?.digestCron) cron.schedule(STEWARDS.digestCron, postStewardDigestSafe);
 });
 
 client.on(Events.InteractionCreate, async (interaction) => {
@@ -1167,34 +2723,13 @@ client.on(Events.InteractionCreate, async (interaction) => {
         return;
       }
 
-      if (interaction.customId === "oor_class_yellow") {
-        await handleClassButton(interaction, "yellow");
-        return;
-      }
-
-      if (interaction.customId === "oor_class_red") {
-        await handleClassButton(interaction, "red");
-        return;
-      }
-
-      if (interaction.customId === "oor_series_club50") {
-        await handleSeriesButton(interaction, "club50");
-        return;
-      }
-      if (interaction.customId === "oor_series_yellow") {
-        await handleSeriesButton(interaction, "yellow");
-        return;
-      }
-      if (interaction.customId === "oor_series_red") {
-        await handleSeriesButton(interaction, "red");
-        return;
-      }
-      if (interaction.customId === "oor_series_hypercar") {
-        await handleSeriesButton(interaction, "hypercar");
-        return;
-      }
-      if (interaction.customId === "oor_series_lmgt3") {
-        await handleSeriesButton(interaction, "lmgt3");
+      // oor_<series|class|chart|teams>_<seriesId> (generated from the series registry)
+      const m = String(interaction.customId).match(/^oor_(series|class|chart|teams)_(.+)$/);
+      if (m && SERIES_BY_ID.has(m[2])) {
+        if (m[1] === "class") await handleClassButton(interaction, m[2]);
+        else if (m[1] === "chart") await handleChartButton(interaction, m[2]);
+        else if (m[1] === "teams") await handleTeamsButton(interaction, m[2]);
+        else await handleSeriesButton(interaction, m[2]);
         return;
       }
 
@@ -1207,6 +2742,26 @@ client.on(Events.InteractionCreate, async (interaction) => {
     if (interaction.isChatInputCommand()) {
       if (interaction.commandName === "refresh") {
         await handleRefreshCommand(interaction);
+      } else if (interaction.commandName === "driver") {
+        await handleDriverCommand(interaction);
+      } else if (interaction.commandName === "results") {
+        await handleResultsCommand(interaction);
+      } else if (interaction.commandName === "me") {
+        await handleMeCommand(interaction);
+      } else if (interaction.commandName === "link") {
+        await handleLinkCommand(interaction);
+      } else if (interaction.commandName === "compare") {
+        await handleCompareCommand(interaction);
+      } else if (interaction.commandName === "chart") {
+        await handleChartCommand(interaction);
+      } else if (interaction.commandName === "penalties") {
+        await handlePenaltiesCommand(interaction);
+      } else if (interaction.commandName === "scoring") {
+        await handleScoringCommand(interaction);
+      } else if (interaction.commandName === "title-race") {
+        await handleTitleRaceCommand(interaction);
+      } else if (interaction.commandName === "logo") {
+        await handleLogoCommand(interaction);
       }
     }
   } catch (e) {
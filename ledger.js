@@ -0,0 +1,143 @@
+// ledger.js
+// Append-only penalty ledger (one JSONL file per sprint series + season), the audit trail behind /penalties.
+//
+// Whenever a driver's penalty total, quali ban or ban served differs from what the ledger last
+// recorded for them, one entry is appended:
+//   cache/penalties/<seriesId>__s<season>.jsonl
+//   {"ts":"2026-01-14T09:15:41.000Z","series":"yellow","season":"24","driver":"Ava Nguyen","carNo":"27",
+//    "from":{"penPoints":"2","qualiBan":"","banServed":""},"to":{"penPoints":"5","qualiBan":"Round 7","banServed":""}}
+// "from" is null the first time a driver shows up with anything on their record.
+//
+// Exports:
+// - penaltyChanges(entries, rows, { key, ts, series, season }) // new ledger entries (pure)
+// - recordPenaltyChanges(seriesId, season, rows, { key })       // appends + returns the new entries
+// - readPenaltyLedger(seriesId, season)                         // oldest -> newest
+// - ledgerRows(entries)                                         // render rows (mode "penalties") with running totals
+// - describeChange(entry)                                       // "+3 pts (2 → 5); quali ban: Round 7"
+// key(name) matches drivers across spellings (identities.js registry.key; default: lower-cased name).
+
+const fs = require("fs");
+const path = require("path");
+
+const DEBUG_OOR = process.env.DEBUG_OOR === "1";
+
+const LEDGER_DIR = path.join(__dirname, "cache", "penalties");
+
+const FIELDS = ["penPoints", "qualiBan", "banServed"];
+
+function normalize(s) {
+  return String(s || "").replace(/\s+/g, " ").trim();
+}
+
+function toNumber(v) {
+  const n = Number(String(v || "").replace(/[^\d.-]/g, ""));
+  return Number.isFinite(n) ? n : 0;
+}
+
+function defaultKey(name) {
+  return normalize(name).toLowerCase();
+}
+
+function safeKey(s) {
+  // Keep file names portable (series ids / seasons come from config + URLs)
+  return String(s || "").trim().replace(/[^a-z0-9_-]+/gi, "_") || "unknown";
+}
+
+function ledgerFile(seriesId, season) {
+  return path.join(LEDGER_DIR, `${safeKey(seriesId)}__s${safeKey(season)}.jsonl`);
+}
+
+function penaltyState(r) {
+  return {
+    penPoints: String(toNumber(r?.penPoints)),
+    qualiBan: normalize(r?.qualiBan),
+    banServed: normalize(r?.banServed),
+  };
+}
+
+function isClean(s) {
+  return toNumber(s.penPoints) === 0 && !s.qualiBan && !s.banServed;
+}
+
+function penaltyChanges(entries, rows, { key = defaultKey, ts = new Date().toISOString(), series = "", season = "" } = {}) {
+  const last = new Map();
+  for (const e of entries || []) last.set(key(e.driver), e.to);
+
+  const out = [];
+  for (const r of rows || []) {
+    const driver = normalize(r.driver);
+    if (!driver) continue;
+
+    const to = penaltyState(r);
+    const from = last.get(key(driver)) || null;
+    if (from ? FIELDS.every((f) => from[f] === to[f]) : isClean(to)) continue;
+
+    out.push({ ts, series, season, driver, carNo: normalize(r.carNo), from, to });
+  }
+  return out;
+}
+
+function readPenaltyLedger(seriesId, season) {
+  const file = ledgerFile(seriesId, season);
+  if (!fs.existsSync(file)) return [];
+
+  const out = [];
+  for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      out.push(JSON.parse(line));
+    } catch {
+      // A crash mid-append can leave a partial last line; skip it.
+      if (DEBUG_OOR) console.warn(`LEDGER: skipping malformed line in ${file}`);
+    }
+  }
+  return out;
+}
+
+function recordPenaltyChanges(seriesId, season, rows, { key = defaultKey } = {}) {
+  const added = penaltyChanges(readPenaltyLedger(seriesId, season), rows, { key, series: seriesId, season: String(season) });
+  if (!added.length) return [];
+
+  fs.mkdirSync(LEDGER_DIR, { recursive: true });
+  fs.appendFileSync(ledgerFile(seriesId, season), added.map((e) => JSON.stringify(e)).join("\n") + "\n");
+  if (DEBUG_OOR) console.log(`LEDGER: ${seriesId} s${season} +${added.length} entries`);
+  return added;
+}
+
+function describeChange(e) {
+  const to = e.to || {};
+  if (!e.from) {
+    // First sighting: the state as found, kept short (this line is often the longest in the ledger).
+    const parts = [`${toNumber(to.penPoints)} pts`];
+    if (to.qualiBan) parts.push(`quali ban: ${to.qualiBan}`);
+    if (to.banServed) parts.push(`served: ${to.banServed}`);
+    return `first recorded: ${parts.join("; ")}`;
+  }
+
+  const parts = [];
+  const delta = toNumber(to.penPoints) - toNumber(e.from.penPoints);
+  if (delta) parts.push(`${delta > 0 ? "+" : ""}${delta} pts (${toNumber(e.from.penPoints)} → ${toNumber(to.penPoints)})`);
+  if (to.qualiBan !== e.from.qualiBan) parts.push(to.qualiBan ? `quali ban: ${to.qualiBan}` : "quali ban cleared");
+  if (to.banServed !== e.from.banServed) parts.push(to.banServed ? `ban served: ${to.banServed}` : "ban served cleared");
+  return parts.join("; ");
+}
+
+function ledgerRows(entries) {
+  return (entries || []).map((e) => ({
+    date: String(e.ts || "").slice(0, 10),
+    driver: e.driver,
+    carNo: e.carNo,
+    change: describeChange(e),
+    penPoints: String(toNumber(e.to?.penPoints)),
+    qbActive: !!(e.to?.qualiBan && !e.to?.banServed),
+  }));
+}
+
+module.exports = {
+  LEDGER_DIR,
+  penaltyChanges,
+  recordPenaltyChanges,
+  readPenaltyLedger,
+  ledgerRows,
+  describeChange,
+};
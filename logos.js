@@ -0,0 +1,128 @@
+// logos.js
+// Make logos uploaded from Discord (/logo set|list|reset). render.js draws them instead of the scraped
+// car icon for any make key detectLogoKey finds, ahead of the bundled assets/logos/<key>.png files.
+//
+// Uploads live in assets/logos/custom/<key>.png (re-encoded as PNG, at most LOGO_MAX_SIDE px per side),
+// so "reset" only ever removes an upload and the bundled logo (if any) comes back.
+//
+// Exports:
+// - CUSTOM_LOGO_DIR / BUNDLED_LOGO_DIR
+// - LOGO_MAX_BYTES / LOGO_CONTENT_TYPES
+// - normalizeLogoKey(input)                        // "Aston Martin" -> "aston_martin"; throws when unusable
+// - checkLogoUpload({ contentType, size, name })   // throws a user-facing Error for a wrong format / too big
+// - saveLogo(key, buf)                             // -> { key, file, width, height, bytes }; throws for non-images
+// - customLogoFile(key)                            // absolute path (whether or not it exists)
+// - listLogos()                                    // [{ key, source: "upload" | "bundled", bytes, updatedAt }] by key
+// - removeLogo(key)                                // true when an upload was removed
+
+const fs = require("fs");
+const path = require("path");
+const { createCanvas, loadImage } = require("@napi-rs/canvas");
+
+const BUNDLED_LOGO_DIR = path.join(__dirname, "assets", "logos");
+const CUSTOM_LOGO_DIR = path.join(BUNDLED_LOGO_DIR, "custom");
+
+const LOGO_MAX_BYTES = 2 * 1024 * 1024;
+const LOGO_CONTENT_TYPES = ["image/png", "image/jpeg", "image/webp"];
+const LOGO_MIN_SIDE = 32;
+const LOGO_MAX_SIDE = 512;
+
+function normalizeLogoKey(input) {
+  const key = String(input || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[\s-]+/g, "_")
+    .replace(/[^a-z0-9_]/g, "");
+  if (!/^[a-z0-9][a-z0-9_]{1,31}$/.test(key)) {
+    throw new Error(`'${input}' isn't a usable make key (letters, digits and _ only, e.g. aston_martin)`);
+  }
+  return key;
+}
+
+function checkLogoUpload({ contentType, size, name } = {}) {
+  const type = String(contentType || "").split(";")[0].trim().toLowerCase();
+  if (!LOGO_CONTENT_TYPES.includes(type)) {
+    throw new Error(`${name || "That file"} isn't a PNG, JPEG or WebP image`);
+  }
+  if (Number(size) > LOGO_MAX_BYTES) {
+    throw new Error(`${name || "That file"} is too big (${Math.ceil(Number(size) / 1024)} KB; max ${LOGO_MAX_BYTES / 1024} KB)`);
+  }
+}
+
+function customLogoFile(key) {
+  return path.join(CUSTOM_LOGO_DIR, `${key}.png`);
+}
+
+async function saveLogo(key, buf) {
+  if (!buf?.length || buf.length > LOGO_MAX_BYTES) throw new Error("Logo upload is empty or too big");
+
+  let img;
+  try {
+    img = await loadImage(Buffer.from(buf));
+  } catch {
+    throw new Error("That file couldn't be read as an image");
+  }
+  if (img.width < LOGO_MIN_SIDE || img.height < LOGO_MIN_SIDE) {
+    throw new Error(`Logo is too small (${img.width}x${img.height}; at least ${LOGO_MIN_SIDE}px per side)`);
+  }
+
+  // Scale down (never up) so every stored logo is a small PNG with its transparency kept.
+  const scale = Math.min(1, LOGO_MAX_SIDE / Math.max(img.width, img.height));
+  const width = Math.max(1, Math.round(img.width * scale));
+  const height = Math.max(1, Math.round(img.height * scale));
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext("2d");
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = "high";
+  ctx.drawImage(img, 0, 0, width, height);
+  const png = canvas.toBuffer("image/png");
+
+  const file = customLogoFile(key);
+  fs.mkdirSync(CUSTOM_LOGO_DIR, { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, png);
+  fs.renameSync(tmp, file);
+
+  return { key, file, width, height, bytes: png.length };
+}
+
+function pngFiles(dir, source) {
+  let names = [];
+  try {
+    names = fs.readdirSync(dir);
+  } catch {
+    return [];
+  }
+  return names
+    .filter((n) => n.endsWith(".png"))
+    .map((n) => {
+      const stat = fs.statSync(path.join(dir, n));
+      return { key: n.replace(/\.png$/, ""), source, bytes: stat.size, updatedAt: stat.mtime };
+    });
+}
+
+function listLogos() {
+  return [...pngFiles(CUSTOM_LOGO_DIR, "upload"), ...pngFiles(BUNDLED_LOGO_DIR, "bundled")].sort(
+    (a, b) => a.key.localeCompare(b.key) || (a.source === "upload" ? -1 : 1)
+  );
+}
+
+function removeLogo(key) {
+  const file = customLogoFile(key);
+  if (!fs.existsSync(file)) return false;
+  fs.rmSync(file, { force: true });
+  return true;
+}
+
+module.exports = {
+  CUSTOM_LOGO_DIR,
+  BUNDLED_LOGO_DIR,
+  LOGO_MAX_BYTES,
+  LOGO_CONTENT_TYPES,
+  normalizeLogoKey,
+  checkLogoUpload,
+  saveLogo,
+  customLogoFile,
+  listLogos,
+  removeLogo,
+};
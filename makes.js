@@ -0,0 +1,157 @@
+// makes.js
+// Manufacturer catalogue (assets/makes.json) shared by the scrapers (standings.js, teams.js) and render.js,
+// so every module agrees on one key per make ("aston_martin", never "astonmartin").
+//
+// assets/makes.json:
+//   { "makes": [
+//     { "key": "mclaren",                 // stable id: logo files, /logo, history rows
+//       "label": "McLaren",               // team board / display name
+//       "aliases": ["mclaren"],           // matched (in catalogue order) inside car names: SimGrid alt/tooltip text
+//       "urlPatterns": ["mclaren"],       // matched inside car icon URL paths (SimGrid /assets/cars/…, OOR TEAMS-2021_McLaren.png)
+//       "colour": "#FF6A00",              // brand colour
+//       "colorize": "always",             // "always" = draw the icon as a brand-colour mask; "never" (default) = as-is
+//       "logo": "assets/logos/mclaren.png",  // optional local logo (default assets/logos/<key>.png if that file exists)
+//       "remoteLogo": "https://…" }       // optional fallback when the local logo is missing
+//   ] }
+//
+// Exports:
+// - MAKES_FILE
+// - parseMakeCatalogue(raw, source)     // validated entries (defaults filled in, plus rgb); throws naming the bad field
+// - loadMakeCatalogue(file)             // read + parse a catalogue file
+// - MAKES                               // the catalogue from MAKES_FILE, loaded once at startup
+// - makeKeyFromText(text)               // "Aston Martin Vantage AMR" -> "aston_martin" ("" when unknown)
+// - makeKeyFromUrl(url)                 // car icon URL -> key ("" when unknown)
+// - canonicalMakeKey(key)               // older/alias keys ("astonmartin", "chevrolet") -> catalogue key; unknown keys lower-cased
+// - makeInfo(key)                       // catalogue entry or null
+// - makeLabel(key)                      // display name; unknown keys are title-cased
+
+const fs = require("fs");
+const path = require("path");
+
+const MAKES_FILE = path.join(__dirname, "assets", "makes.json");
+
+const COLORIZE_POLICIES = ["always", "never"];
+
+function normalize(s) {
+  return String(s || "").replace(/\s+/g, " ").trim();
+}
+
+function compact(s) {
+  return String(s || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+function hexToRgb(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return { r: (n >> 16) & 255, g: (n >> 8) & 255, b: n & 255 };
+}
+
+function parseMakeCatalogue(raw, source = "assets/makes.json") {
+  if (!raw || !Array.isArray(raw.makes)) throw new Error(`${source} must have a "makes" array`);
+
+  const seen = new Set();
+  return raw.makes.map((m, i) => {
+    const where = `makes[${i}]`;
+    if (!m || typeof m !== "object") throw new Error(`${where} in ${source} must be an object`);
+
+    const key = normalize(m.key);
+    if (!/^[a-z0-9][a-z0-9_]*$/.test(key)) {
+      throw new Error(`${where}.key in ${source} must be lower-case letters, digits and _ (e.g. aston_martin)`);
+    }
+    if (seen.has(key)) throw new Error(`${where}.key '${key}' in ${source} is listed twice`);
+    seen.add(key);
+
+    const words = (list, field) => {
+      if (list === undefined) return null;
+      if (!Array.isArray(list) || !list.every((s) => normalize(s))) {
+        throw new Error(`${where}.${field} in ${source} must be a list of non-empty strings`);
+      }
+      return list.map((s) => normalize(s).toLowerCase());
+    };
+    const aliases = words(m.aliases, "aliases") || [key.replace(/_/g, " ")];
+    const urlPatterns = words(m.urlPatterns, "urlPatterns") || aliases;
+
+    const colour = m.colour === undefined ? "#FFFFFF" : normalize(m.colour);
+    if (!/^#[0-9a-f]{6}$/i.test(colour)) throw new Error(`${where}.colour in ${source} must be a #RRGGBB colour`);
+
+    const colorize = m.colorize === undefined ? "never" : m.colorize;
+    if (!COLORIZE_POLICIES.includes(colorize)) {
+      throw new Error(`${where}.colorize in ${source} must be one of ${COLORIZE_POLICIES.join(", ")}`);
+    }
+
+    return {
+      key,
+      label: normalize(m.label) || key,
+      aliases,
+      urlPatterns,
+      colour,
+      rgb: hexToRgb(colour),
+      colorize,
+      logo: normalize(m.logo),
+      remoteLogo: normalize(m.remoteLogo),
+    };
+  });
+}
+
+function loadMakeCatalogue(file = MAKES_FILE) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    throw new Error(`Couldn't read the make catalogue ${file}: ${e?.message || e}`);
+  }
+  return parseMakeCatalogue(raw, path.relative(__dirname, file) || file);
+}
+
+const MAKES = loadMakeCatalogue();
+const BY_KEY = new Map(MAKES.map((m) => [m.key, m]));
+
+function makeKeyFromText(text) {
+  const s = normalize(text).toLowerCase();
+  if (!s) return "";
+  const hit = MAKES.find((m) => m.aliases.some((a) => s.includes(a)));
+  return hit ? hit.key : "";
+}
+
+// Only the path counts (no host, query or fragment), URL-decoded so "Aston%20Martin" still matches.
+function makeKeyFromUrl(url) {
+  let p = String(url || "")
+    .split(/[?#]/)[0]
+    .replace(/^[a-z][a-z0-9+.-]*:\/\/[^/]*/i, "");
+  try {
+    p = decodeURIComponent(p);
+  } catch {}
+  p = p.toLowerCase();
+  if (!p) return "";
+  const hit = MAKES.find((m) => m.urlPatterns.some((u) => p.includes(u)));
+  return hit ? hit.key : "";
+}
+
+function canonicalMakeKey(key) {
+  const k = normalize(key).toLowerCase();
+  if (!k || BY_KEY.has(k)) return k;
+  const c = compact(k);
+  const hit = MAKES.find((m) => compact(m.key) === c || m.aliases.some((a) => compact(a) === c));
+  return hit ? hit.key : k;
+}
+
+function makeInfo(key) {
+  return BY_KEY.get(canonicalMakeKey(key)) || null;
+}
+
+function makeLabel(key) {
+  const info = makeInfo(key);
+  if (info) return info.label;
+  return normalize(key).replace(/_/g, " ").replace(/\b\w/g, (c) => c.toUpperCase());
+}
+
+module.exports = {
+  MAKES_FILE,
+  parseMakeCatalogue,
+  loadMakeCatalogue,
+  MAKES,
+  makeKeyFromText,
+  makeKeyFromUrl,
+  canonicalMakeKey,
+  makeInfo,
+  makeLabel,
+};
@@ -0,0 +1,332 @@
+// penalties.js
+// Sprint penalty sheet (v1.044+)
+// One table per sprint split (series "penaltyTab", e.g. Split Yellow / Split Red). Three columns are
+// attached to Sprint standings rows, matched on car # first, then driver name:
+// - Total -> penPoints
+// - Qualifying Ban -> qualiBan
+// - Ban Served -> banServed
+//
+// Where the tables come from is config.json "penaltySource" (default: the public Google Sheet below via gviz):
+//   "penaltySource": {
+//     "type": "gviz",                 // gviz | csv | xlsx | json
+//     "sheetId": "…",                 // gviz: Google Sheet id
+//     "url": "https://…?sheet={tab}", // csv / xlsx / json: "{tab}" is replaced by the (URL-encoded) tab name
+//     "file": "penalties.xlsx",       // csv / xlsx / json: local file instead of a URL (relative to the bot folder)
+//     "headerRow": 1,                 // csv / xlsx: 1-based row holding the column headers
+//     "columns": { "carNo": { "col": "A" }, "driver": { "col": "B" }, "penPoints": { "header": "Total" }, … },
+//     "tabs": { "Split Red": { "sheet": "Red", "columns": { "penPoints": "Points" } } }   // per-split overrides
+//   }
+// A column is { "col": "C" } (by letter), { "header": "Total" } (by label, case-insensitive) or a plain string,
+// which matches a header label first and falls back to column letters (see sheets.js). A csv/json file without "{tab}" holds
+// every split: xlsx picks the sheet named like the tab (or tabs[tab].sheet), a json file may be an object
+// keyed by tab name, and a shared csv needs a per-tab "url"/"file".
+const fs = require("fs");
+const path = require("path");
+const { csvTable, xlsxTable, jsonTable, columnSpec, columnIndex, describeColumn } = require("./sheets");
+
+const PENALTY_SHEET_ID = "1SJ3Sp-E-qFSxpR6caThRYBCH-Hm0YuOhT7jpINHTcKQ";
+
+const SOURCE_TYPES = ["gviz", "csv", "xlsx", "json"];
+
+const DEFAULT_COLUMNS = {
+  carNo: { col: "A" },
+  driver: { col: "B" },
+  penPoints: { header: "Total" },
+  qualiBan: { header: "Qualifying Ban" },
+  banServed: { header: "Ban Served" },
+};
+
+const DEBUG_OOR = process.env.DEBUG_OOR === "1";
+
+function normalize(s) {
+  return String(s || "").replace(/\s+/g, " ").trim();
+}
+
+function normalizeNameKey(s) {
+  return normalize(s).toLowerCase();
+}
+
+function normalizeCarNoKey(s) {
+  // Keep only digits to avoid mismatches like "#27" vs "27"
+  const t = normalize(s);
+  const digits = t.replace(/[^0-9]/g, "");
+  return digits || t;
+}
+
+function parseGvizJson(text) {
+  // Google gviz response looks like:
+  //   /*O_o*/\ngoogle.visualization.Query.setResponse({...});
+  const s = String(text || "");
+  const marker = "google.visualization.Query.setResponse(";
+  const start = s.indexOf(marker);
+  if (start < 0) throw new Error("GVIZ: missing setResponse marker");
+  const jsonStart = s.indexOf("{", start);
+  const jsonEnd = s.lastIndexOf("}");
+  if (jsonStart < 0 || jsonEnd < 0 || jsonEnd <= jsonStart) {
+    throw new Error("GVIZ: could not locate JSON braces");
+  }
+  const payload = s.slice(jsonStart, jsonEnd + 1);
+  return JSON.parse(payload);
+}
+
+// gviz response -> plain { headers, rows } table (see sheets.js). Formatted values win over raw ones.
+function gvizTable(text) {
+  const table = parseGvizJson(text)?.table;
+  const cellV = (r, i) => {
+    const c = r?.c?.[i];
+    const v = c?.f !== undefined && c?.f !== null ? c.f : c?.v;
+    return v === null || v === undefined ? "" : String(v);
+  };
+  const headers = (table?.cols || []).map((c) => normalize(c?.label));
+  return { headers, rows: (table?.rows || []).map((r) => headers.map((_, i) => cellV(r, i))) };
+}
+
+// Plain table -> car#/name lookups, using a column mapping (defaults: car # in A, name in B).
+function penaltyTabFromTable(table, tabName, columns = {}) {
+  const map = { ...DEFAULT_COLUMNS, ...columns };
+  const headers = table?.headers || [];
+  const rows = table?.rows || [];
+
+  const idx = {};
+  for (const key of Object.keys(DEFAULT_COLUMNS)) {
+    idx[key] = columnIndex(headers, map[key]);
+    if (idx[key] < 0) throw new Error(`Penalty sheet tab ${tabName}: missing ${describeColumn(map[key])}`);
+  }
+
+  const byCarNo = new Map();
+  const byName = new Map();
+
+  for (const r of rows) {
+    const carNo = normalizeCarNoKey(r[idx.carNo]);
+    const name = normalize(r[idx.driver]);
+    if (!carNo && !name) continue;
+
+    const rec = {
+      penPoints: normalize(r[idx.penPoints]) || "0",
+      qualiBan: normalize(r[idx.qualiBan]),
+      banServed: normalize(r[idx.banServed]),
+      _srcTab: tabName,
+    };
+
+    if (carNo) byCarNo.set(carNo, rec);
+    if (name) byName.set(normalizeNameKey(name), rec);
+  }
+
+  if (DEBUG_OOR) {
+    console.log(
+      `DEBUG_OOR: Penalty Sheet loaded tab='${tabName}' rows=${rows.length} (carKeys=${byCarNo.size}, nameKeys=${byName.size})`
+    );
+  }
+
+  return { tabName, byCarNo, byName };
+}
+
+// Parses one gviz tab response into car#/name lookups.
+function parsePenaltyTab(text, tabName, columns = {}) {
+  return penaltyTabFromTable(gvizTable(text), tabName, columns);
+}
+
+// ---- sources ----
+// Validates config.json "penaltySource" (missing = the built-in Google Sheet via gviz).
+function penaltySourceFromConfig(raw, baseDir = __dirname) {
+  if (raw === undefined || raw === null) return { type: "gviz", sheetId: PENALTY_SHEET_ID, columns: {}, tabs: {} };
+  if (typeof raw !== "object" || Array.isArray(raw)) throw new Error("penaltySource in config.json must be an object");
+
+  const type = normalize(raw.type || "gviz").toLowerCase();
+  if (!SOURCE_TYPES.includes(type)) {
+    throw new Error(`Unknown penaltySource.type '${raw.type}' in config.json (expected ${SOURCE_TYPES.join(", ")})`);
+  }
+
+  const columnsFrom = (c, label) => {
+    if (c === undefined) return {};
+    if (!c || typeof c !== "object" || Array.isArray(c)) throw new Error(`${label} in config.json must be an object`);
+    for (const key of Object.keys(c)) {
+      if (!(key in DEFAULT_COLUMNS)) {
+        throw new Error(`Unknown column '${key}' in ${label} in config.json (expected ${Object.keys(DEFAULT_COLUMNS).join(", ")})`);
+      }
+    }
+    return Object.fromEntries(
+      Object.entries(c).map(([k, v]) => {
+        const spec = columnSpec(v);
+        if (!spec) {
+          throw new Error(`${label}.${k} in config.json must be a header label, { "col": "C" } or { "header": "…" }`);
+        }
+        return [k, spec];
+      })
+    );
+  };
+
+  const location = (o) => ({
+    url: normalize(o.url),
+    file: normalize(o.file) ? path.resolve(baseDir, normalize(o.file)) : "",
+    sheet: normalize(o.sheet),
+    headerRow: o.headerRow === undefined ? undefined : Math.max(1, Math.floor(Number(o.headerRow) || 1)),
+  });
+
+  const source = {
+    type,
+    sheetId: normalize(raw.sheetId) || PENALTY_SHEET_ID,
+    ...location(raw),
+    columns: columnsFrom(raw.columns, "penaltySource.columns"),
+    tabs: {},
+  };
+  if (type !== "gviz" && !source.url && !source.file) {
+    throw new Error(`penaltySource.type '${type}' needs a url or file in config.json`);
+  }
+
+  const tabs = raw.tabs === undefined ? {} : raw.tabs;
+  if (!tabs || typeof tabs !== "object" || Array.isArray(tabs)) throw new Error("penaltySource.tabs in config.json must be an object");
+  for (const [tab, t] of Object.entries(tabs)) {
+    const o = t && typeof t === "object" ? t : {};
+    const loc = location(o);
+    source.tabs[tab] = {
+      ...Object.fromEntries(Object.entries(loc).filter(([, v]) => v !== "" && v !== undefined)),
+      columns: columnsFrom(o.columns, `penaltySource.tabs["${tab}"].columns`),
+    };
+  }
+
+  return source;
+}
+
+// Effective settings for one tab: per-tab overrides on top of the source defaults.
+function sourceForTab(source, tabName) {
+  const t = source.tabs?.[tabName] || {};
+  return {
+    ...source,
+    ...t,
+    columns: { ...source.columns, ...t.columns },
+    sheet: t.sheet || tabName,
+  };
+}
+
+function expandTab(url, tabName) {
+  return url.replace(/\{tab\}/g, encodeURIComponent(tabName));
+}
+
+async function fetchSource(url, what) {
+  const res = await fetch(url, {
+    headers: {
+      "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) OORBot/1.0",
+      Accept: "text/plain,*/*",
+      "Cache-Control": "no-cache",
+      Pragma: "no-cache",
+    },
+  });
+  if (!res.ok) throw new Error(`Penalty sheet fetch failed (${res.status}) for ${what}`);
+  return res;
+}
+
+// Raw bytes/text of one location; `loaded` memoises by location so a workbook holding every
+// split is only downloaded/read once per index.
+async function loadLocation(src, tabName, loaded) {
+  const binary = src.type === "xlsx";
+  const key = src.file || expandTab(src.url, tabName);
+  if (loaded.has(key)) return loaded.get(key);
+
+  const p = (async () => {
+    if (src.file) return binary ? fs.readFileSync(src.file) : fs.readFileSync(src.file, "utf8");
+    const res = await fetchSource(key, `tab ${tabName}`);
+    return binary ? Buffer.from(await res.arrayBuffer()) : res.text();
+  })();
+  loaded.set(key, p);
+  return p;
+}
+
+async function fetchPenaltyTab(tabName, source = PENALTY_SHEET_ID, loaded = new Map()) {
+  // Older callers pass a bare sheet id.
+  const src = sourceForTab(typeof source === "string" ? { ...penaltySourceFromConfig(null), sheetId: source } : source, tabName);
+
+  if (src.type === "gviz") {
+    const url = `https://docs.google.com/spreadsheets/d/${src.sheetId}/gviz/tq?tqx=out:json&sheet=${encodeURIComponent(
+      tabName
+    )}`;
+    const res = await fetchSource(url, `tab ${tabName}`);
+    return parsePenaltyTab(await res.text(), tabName, src.columns);
+  }
+
+  const data = await loadLocation(src, tabName, loaded);
+  const opts = { headerRow: src.headerRow };
+  let table;
+  if (src.type === "csv") {
+    table = csvTable(data, opts);
+  } else if (src.type === "xlsx") {
+    table = xlsxTable(data, src.sheet, opts);
+  } else {
+    const json = typeof data === "string" ? JSON.parse(data) : data;
+    const rows = Array.isArray(json) ? json : json?.[src.sheet] ?? json?.[tabName];
+    if (!rows) throw new Error(`Penalty sheet tab ${tabName}: not found in JSON source`);
+    table = jsonTable(rows);
+  }
+  return penaltyTabFromTable(table, tabName, src.columns);
+}
+
+async function fetchPenaltyIndex(tabNames, source = PENALTY_SHEET_ID) {
+  const names = [...new Set((tabNames || []).filter(Boolean))];
+  const loaded = new Map();
+  const tabs = await Promise.all(names.map((t) => fetchPenaltyTab(t, source, loaded)));
+  return new Map(tabs.map((t) => [t.tabName, t]));
+}
+
+// opts.nameKey: optional identity resolver (identities.js registry.key) used as a last resort,
+// so "J. Köhler" on the sheet still matches "Jürgen Köhler" in the standings.
+function attachPenaltiesToSprintRows(rows, penaltyTab, splitLabel, opts = {}) {
+  if (!Array.isArray(rows)) return rows;
+
+  let byIdentity = null;
+  if (typeof opts.nameKey === "function" && penaltyTab?.byName) {
+    byIdentity = new Map();
+    for (const [name, rec] of penaltyTab.byName) byIdentity.set(opts.nameKey(name), rec);
+  }
+
+  for (const r of rows) {
+    const carKey = normalizeCarNoKey(r?.carNo);
+    const nameKey = normalizeNameKey(r?.driver);
+
+    let rec = null;
+    let method = "";
+    if (carKey && penaltyTab?.byCarNo?.has?.(carKey)) {
+      rec = penaltyTab.byCarNo.get(carKey);
+      method = "car#";
+    } else if (nameKey && penaltyTab?.byName?.has?.(nameKey)) {
+      rec = penaltyTab.byName.get(nameKey);
+      method = "name";
+    } else if (byIdentity && r?.driver && byIdentity.has(opts.nameKey(r.driver))) {
+      rec = byIdentity.get(opts.nameKey(r.driver));
+      method = "identity";
+    }
+
+    const penPoints = String(rec?.penPoints ?? "0");
+    const qualiBan = String(rec?.qualiBan ?? "");
+    const banServed = String(rec?.banServed ?? "");
+
+    r.penPoints = penPoints || "0";
+    r.qualiBan = qualiBan;
+    r.banServed = banServed;
+    r.qbActive = !!(normalize(qualiBan) && !normalize(banServed));
+
+    if (DEBUG_OOR) {
+      if (rec) {
+        console.log(
+          `DEBUG_OOR: Penalty match (${splitLabel}) ${method} car='${r.carNo}' driver='${r.driver}' -> penPoints='${r.penPoints}', qualiBan='${r.qualiBan}', banServed='${r.banServed}', qbActive=${r.qbActive}`
+        );
+      } else {
+        console.log(
+          `DEBUG_OOR: Penalty default (${splitLabel}) car='${r.carNo}' driver='${r.driver}' -> penPoints='0'`
+        );
+      }
+    }
+  }
+  return rows;
+}
+
+module.exports = {
+  PENALTY_SHEET_ID,
+  DEFAULT_COLUMNS,
+  parseGvizJson,
+  parsePenaltyTab,
+  penaltyTabFromTable,
+  penaltySourceFromConfig,
+  fetchPenaltyTab,
+  fetchPenaltyIndex,
+  attachPenaltiesToSprintRows,
+};
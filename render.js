@@ -3,11 +3,26 @@
 // Node 18+ (uses global fetch). Node 24 OK.
 //
 // Exports:
+// - renderPaneStandingsPng(panels)  // board pane: row of N panels (2 SimGrid panels use the double layout)
+// - renderStandingsRowPng(panels)
 // - renderTripleStandingsPng(club50, yellow, red)
 // - renderClassGridPng(panels[4])  // Pro/Silver/Pro-Am/Am
 // - renderSeriesOnlyPng(panel, opts) // single series; auto-splits into 2 columns when >30 drivers
+// - renderDriverCardPng(card) // one driver across every cached series (/driver)
+// - renderPointsChartPng(chart) // nett points per round for the top N drivers (/chart)
+// - renderCompareCardPng(card) // two drivers side by side in every series they share (/compare)
+// - setImageSource(fn) / setImageCache(cache) // test stand-ins / on-disk image cache (imagecache.js)
+// - clearLogoCache() // after /logo set|reset
+// - detectLogoKey(url, makeKey) // make key a car icon is drawn with (logo overrides)
+// Every render takes a trailing opts.theme (a theme from themes.js; "dark" when omitted).
+// Text uses the fonts bundled in assets/fonts (fonts.js); driver names wider than their column end in "…".
 
 const { createCanvas, loadImage } = require("@napi-rs/canvas");
+const { createImageCache } = require("./imagecache");
+const { customLogoFile } = require("./logos");
+const { canonicalMakeKey, makeKeyFromUrl, makeInfo } = require("./makes");
+const { DEFAULT_THEME, classKey } = require("./themes");
+const { BUNDLED_FONTS, registerBundledFonts, fontStack } = require("./fonts");
 
 const DEBUG_OOR = process.env.DEBUG_OOR === "1";
 
@@ -19,52 +34,46 @@ const OOR_WATERMARK_URL =
   "https://octaneonlineracing.com/wp-content/uploads/2022/12/cropped-OOR-HEADER-2.0-01.png";
 
 // ---- Global styling ----
-const BG_GRAD_TOP = "#0b1220";
-const BG_GRAD_BOT = "#050a12";
-
-// Class tints
-const TINT_PRO     = "#f2f4f8";
-const TINT_SILVER  = "#8fa1b8";
-const TINT_PROAM   = "#1f2a36";
-const TINT_AM      = "#ff3b3b";
-
-// subtle tint strength
-const TINT_ALPHA = 0.08;      // overall wash strength
-const TINT_EDGE_ALPHA = 0.14; // slightly stronger on edges
-
-// Option B: make cards/rows more transparent so watermark shows through
-const CARD_BG_TOP = "rgba(18, 27, 43, 0.55)";
-const CARD_BG_BOT = "rgba(11, 18, 32, 0.45)";
-const CARD_STROKE = "rgba(255,255,255,0.06)";
-
-// Slightly more transparent rows/header strip
-const ROW_ODD = "rgba(255,255,255,0.015)";
-const ROW_EVEN = "rgba(255,255,255,0.007)";
-const GRID = "rgba(255,255,255,0.055)";
-
-const TEXT = "rgba(255,255,255,0.92)";
-const MUTED = "rgba(255,255,255,0.62)";
-const HEADER = "rgba(255,255,255,0.74)";
-
-// ---- Layout ----
-const OUTER_PAD = 22;
-const GAP = 22;
-
-const PAD_INNER = 18;
-const HEADER_H = 58;
-const HEAD_ROW_H = 26;
-const ROW_H = 26;
+// Colours, class tints/badges, fonts, table metrics and the watermark come from the render theme
+// (themes.js; "dark" unless the caller passes opts.theme). Each render binds its theme to the canvas
+// context in startCanvas, so the drawing helpers only need ctx.
+const CTX_THEMES = new WeakMap();
+
+function themeOf(ctx) {
+  return CTX_THEMES.get(ctx) || DEFAULT_THEME;
+}
+
+// e.g. themeFont(ctx, 700, 19) -> "700 19px <theme font family>, <bundled/host fallbacks>"
+function themeFont(ctx, weight, size) {
+  return `${weight} ${size}px ${fontStack(themeOf(ctx).font.family)}`;
+}
+
+// New canvas for one render: theme bound to the context, background gradient painted.
+function startCanvas(W, H, theme) {
+  const canvas = createCanvas(W, H);
+  const ctx = canvas.getContext("2d");
+  const t = theme || DEFAULT_THEME;
+  CTX_THEMES.set(ctx, t);
+
+  const bg = ctx.createLinearGradient(0, 0, 0, H);
+  bg.addColorStop(0, t.colors.bgTop);
+  bg.addColorStop(1, t.colors.bgBottom);
+  ctx.fillStyle = bg;
+  ctx.fillRect(0, 0, W, H);
+  return { canvas, ctx };
+}
+
+// ---- Bundled fonts (fonts.js) ----
+for (const file of registerBundledFonts().missing) {
+  const font = BUNDLED_FONTS.find((f) => f.file === file);
+  if (!font.optional) console.warn(`Font assets/fonts/${file} (${font.covers}) is missing (non-fatal): that text falls back to the host's fonts`);
+  else if (DEBUG_OOR) console.warn(`FONT NOT INSTALLED (optional): assets/fonts/${file} (${font.covers})`);
+}
 
 // ---- Single-series rendering ----
 // If a series has more than MAX_ROWS_PER_COL drivers, it overflows into a second panel column.
 const MAX_ROWS_PER_COL = 30;
 
-// ---- Watermark tuning ----
-const WATERMARK_WIDTH_PCT = 0.75;
-// slight bump vs previous (0.12 -> 0.16)
-const WATERMARK_OPACITY = 0.18;
-const WATERMARK_Y_OFFSET = 0;
-
 // ---- Helpers ----
 function parseNum(value) {
   if (value === null || value === undefined) return 0;
@@ -81,15 +90,34 @@ function formatDiff(n) {
 }
 
 // ---- Caches ----
-const imgCache = new Map(); // url -> Image | null
-let unFlagImage = null;
-let watermarkImage = null;
+// url -> { img: Image | null, at } in memory, backed by the on-disk cache in cache/logos (imagecache.js).
+// Entries expire with the disk cache's TTLs so a long-running bot still revalidates / retries failures
+// (the watermark and UN flag included).
+const imgCache = new Map();
+// absolute path -> Image | null for logo files under assets/logos; kept until clearLogoCache().
+const localImgCache = new Map();
+
+let diskCache = createImageCache();
+
+// index.js swaps in a cache built from config.json "imageCache".
+function setImageCache(cache) {
+  diskCache = cache || createImageCache();
+  imgCache.clear();
+}
 
-// ---- image loading ----
-async function loadImageFromUrl(url, { attempts = 4 } = {}) {
-  if (!url) return null;
-  if (imgCache.has(url)) return imgCache.get(url);
+// Optional replacement for remote image fetches: async (url) => Image | null.
+// Tests use it to render with local stand-in images (no watermark/flag/logo downloads).
+let imageSource = null;
+
+function setImageSource(fn) {
+  imageSource = typeof fn === "function" ? fn : null;
+  imgCache.clear();
+}
 
+// ---- image loading ----
+// One HTTP fetch with retries, for imagecache.js: resolves { status, body, etag, lastModified }
+// (304 when the validators in `headers` still match) and throws once every attempt has failed.
+async function fetchImageBytes(url, headers, attempts) {
   const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
   let lastErr = null;
@@ -101,8 +129,7 @@ async function loadImageFromUrl(url, { attempts = 4 } = {}) {
           // Some CDNs (and Wikimedia) can reject requests without a UA/Accept.
           "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) OORBot/1.0",
           Accept: "image/avif,image/webp,image/apng,image/*,*/*;q=0.8",
-          "Cache-Control": "no-cache",
-          Pragma: "no-cache",
+          ...headers,
         },
       });
 
@@ -120,12 +147,17 @@ async function loadImageFromUrl(url, { attempts = 4 } = {}) {
         }
       }
 
+      if (res.status === 304) return { status: 304 };
       if (!res.ok) throw new Error(`HTTP ${res.status}`);
 
-      const buf = Buffer.from(await res.arrayBuffer());
-      const img = await loadImage(buf);
-      imgCache.set(url, img);
-      return img;
+      const body = Buffer.from(await res.arrayBuffer());
+      await loadImage(body); // never cache an error page served as 200
+      return {
+        status: res.status,
+        body,
+        etag: res.headers?.get?.("etag") || "",
+        lastModified: res.headers?.get?.("last-modified") || "",
+      };
     } catch (e) {
       lastErr = e;
       if (i < attempts - 1) {
@@ -134,27 +166,37 @@ async function loadImageFromUrl(url, { attempts = 4 } = {}) {
       }
     }
   }
+  throw lastErr || new Error("no attempts made");
+}
+
+async function loadImageFromUrl(url, { attempts = 4 } = {}) {
+  if (!url) return null;
+
+  const hit = imgCache.get(url);
+  if (hit && (imageSource || Date.now() - hit.at < (hit.img ? diskCache.ttlMs : diskCache.negativeTtlMs))) return hit.img;
 
-  if (DEBUG_OOR) {
-    console.warn(`LOGO LOAD FAIL: ${url} → ${lastErr?.message || lastErr}`);
+  if (imageSource) {
+    const img = (await imageSource(url)) || null;
+    imgCache.set(url, { img, at: Date.now() });
+    return img;
   }
-  imgCache.set(url, null);
-  return null;
-}
 
-// Load an image from a local file (relative to this file) if it exists.
-// Used to avoid external rate limits for logo overrides.
-async function loadImageFromLocal(relPath) {
+  let img = null;
   try {
-    const fs = require("fs");
-    const path = require("path");
-    const abs = path.isAbsolute(relPath) ? relPath : path.join(__dirname, relPath);
-    if (!fs.existsSync(abs)) return null;
-    const buf = fs.readFileSync(abs);
-    return await loadImage(buf);
-  } catch {
-    return null;
+    const buf = await diskCache.get(url, (u, headers) => fetchImageBytes(u, headers, attempts));
+    img = buf ? await loadImage(buf) : null;
+  } catch (e) {
+    // Bytes on disk that no longer decode; imagecache.js already logged fetch failures.
+    if (DEBUG_OOR) console.warn(`LOGO LOAD FAIL: ${url} → ${e?.message || e}`);
   }
+
+  imgCache.set(url, { img, at: Date.now() });
+  return img;
+}
+
+// Country flag, or the UN flag when the row has none or it doesn't load.
+async function loadFlagImage(url) {
+  return (await loadImageFromUrl(url)) || (await loadImageFromUrl(UN_FLAG_URL));
 }
 
 // ---- drawing helpers ----
@@ -226,8 +268,74 @@ function hasAnyClass(rows) {
   return (rows || []).some((r) => normalizeText(r.className));
 }
 
+function hasAnyPositionChange(rows) {
+  return (rows || []).some((r) => typeof r?.posChange === "number");
+}
+
+function hasAnyValue(rows, key) {
+  return (rows || []).some((r) => normalizeText(r?.[key]));
+}
+
+// Round classification (mode "results"): race columns instead of season points.
+function resultColumnsFor(rows) {
+  const cols = [
+    { key: "pos", label: "#", w: 34, align: "right" },
+    { key: "driver", label: "Driver", w: 220, align: "left" },
+    { key: "carNo", label: "Car#", w: 46, align: "right" },
+  ];
+
+  // Places gained/lost vs the starting grid (index.js derives posChange from grid - pos).
+  if (hasAnyPositionChange(rows)) {
+    cols.splice(1, 0, { key: "posChange", label: "+/-", w: 40, align: "center" });
+  }
+
+  if (hasAnyClass(rows)) cols.push({ key: "className", label: "Class", w: 64, align: "left" });
+  cols.push({ key: "carImg", label: "Car", w: 44, align: "center", isIcon: true });
+
+  const optional = [
+    { key: "grid", label: "Grid", w: 44, align: "right" },
+    { key: "laps", label: "Laps", w: 44, align: "right" },
+    { key: "bestLap", label: "Best Lap", w: 80, align: "right" },
+    { key: "gap", label: "Gap", w: 84, align: "right" },
+    { key: "penalty", label: "Pen", w: 50, align: "right" },
+    { key: "points", label: "Pts", w: 44, align: "right" },
+  ];
+  for (const c of optional) {
+    if (hasAnyValue(rows, c.key)) cols.push(c);
+  }
+
+  return cols;
+}
+
+// Team / manufacturer championship (mode "teams", rows from teams.teamStandings).
+function teamColumnsFor() {
+  return [
+    { key: "pos", label: "#", w: 34, align: "right" },
+    { key: "team", label: "Team", w: 450, align: "left" },
+    { key: "carImg", label: "Make", w: 48, align: "center", isIcon: true },
+    { key: "drivers", label: "Drivers", w: 60, align: "right" },
+    { key: "nett", label: "Points", w: 60, align: "right" },
+    { key: "diff", label: "Diff", w: 52, align: "right" },
+  ];
+}
+
+// Penalty ledger (mode "penalties", rows from ledger.ledgerRows): one line per recorded change.
+function penaltyLedgerColumnsFor() {
+  return [
+    { key: "date", label: "Date", w: 84, align: "left" },
+    { key: "driver", label: "Driver", w: 190, align: "left" },
+    { key: "carNo", label: "Car#", w: 46, align: "right" },
+    { key: "change", label: "Change", w: 420, align: "left" },
+    { key: "penPoints", label: "Total", w: 50, align: "right" },
+  ];
+}
+
 function columnsFor(rows, opts = {}) {
   const mode = opts.mode || "default";
+  if (mode === "results") return resultColumnsFor(rows);
+  if (mode === "teams") return teamColumnsFor();
+  if (mode === "penalties") return penaltyLedgerColumnsFor();
+
   const showClass = hasAnyClass(rows);
 
   const cols = [
@@ -247,6 +355,11 @@ function columnsFor(rows, opts = {}) {
     cols.splice(2, 0, { key: "rating", label: "rating", w: 60, align: "right" });
   }
 
+  // Places gained/lost since the previous snapshot (only when index.js attached posChange).
+  if (hasAnyPositionChange(rows)) {
+    cols.splice(1, 0, { key: "posChange", label: "+/-", w: 40, align: "center" });
+  }
+
   if (showClass) cols.push({ key: "className", label: "Class", w: 64, align: "left" });
 
   cols.push({ key: "carImg", label: "Car", w: 44, align: "center", isIcon: true });
@@ -262,6 +375,9 @@ function columnsFor(rows, opts = {}) {
   cols.push({ key: "nett", label: "Nett", w: 44, align: "right" });
   cols.push({ key: "diff", label: "Diff", w: 44, align: "right" });
 
+  // Title race marks (index.js sets titleStatus once a driver has clinched or been eliminated).
+  if (hasAnyValue(rows, "titleStatus")) cols.push({ key: "titleStatus", label: "Title", w: 48, align: "center" });
+
   return cols;
 }
 
@@ -275,22 +391,33 @@ function drawText(ctx, text, x, y, align = "left") {
   ctx.fillText(text, x, y);
 }
 
-function classBadgeStyle(className) {
-  const c = String(className || "").toLowerCase();
-
-  if (c === "pro") {
-    return { bg: "#ffffff", fg: "#000000" };
+// Cut at grapheme boundaries so an ellipsis never splits an emoji sequence, a flag or a combining accent.
+const graphemes = new Intl.Segmenter(undefined, { granularity: "grapheme" });
+
+// Longest prefix of text + "…" that fits maxW in the current ctx.font (text as-is when it already fits).
+function ellipsize(ctx, text, maxW) {
+  const s = String(text || "");
+  if (ctx.measureText(s).width <= maxW) return s;
+
+  const parts = Array.from(graphemes.segment(s), (g) => g.segment);
+  const cut = (n) => `${parts.slice(0, n).join("").trimEnd()}…`;
+  let lo = 0;
+  let hi = parts.length - 1;
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2);
+    if (ctx.measureText(cut(mid)).width <= maxW) lo = mid;
+    else hi = mid - 1;
   }
-  if (c === "silver") {
-    return { bg: "#c0c0c0", fg: "#000000" }; // true silver
-  }
-  if (c === "pro-am" || c === "proam" || c === "pro-am") {
-    return { bg: "#000000", fg: "#ffffff" };
-  }
-  if (c === "am") {
-    return { bg: "#ff0000", fg: "#ffffff" };
-  }
-  return null;
+  if (lo > 0) return cut(lo);
+  return ctx.measureText("…").width <= maxW ? "…" : "";
+}
+
+// Pill colours for a class label ("Pro", "Silver", "Pro-Am", "Am") in the given theme; null for other labels.
+function classBadgeStyle(className, theme = DEFAULT_THEME) {
+  const k = classKey(className);
+  if (!k) return null;
+  const c = theme.classes[k];
+  return { bg: c.badgeBg, fg: c.badgeFg };
 }
 
 function splitDriversSuffix(title) {
@@ -316,7 +443,7 @@ function drawPill(ctx, x, yBaseline, text, style) {
   const r = 12;
 
   ctx.save();
-  ctx.font = "900 17px system-ui, -apple-system, Segoe UI, Roboto, Arial";
+  ctx.font = themeFont(ctx, 900, 17);
   ctx.textAlign = "left";
   ctx.textBaseline = "alphabetic";
 
@@ -340,55 +467,99 @@ function drawPill(ctx, x, yBaseline, text, style) {
   return w;
 }
 
+// ---- position change markers ----
+// Draws a green up / red down triangle with the number of places, or a grey dash for no change.
+// delta: places gained (positive) or lost (negative). null/undefined draws nothing (no baseline).
+function drawPositionChange(ctx, cellX, cellW, midY, delta) {
+  const { colors } = themeOf(ctx);
+
+  if (typeof delta !== "number" || !Number.isFinite(delta)) return;
+
+  ctx.save();
+  ctx.font = themeFont(ctx, 700, 11.5);
+  ctx.textAlign = "left";
+  ctx.textBaseline = "middle";
+
+  if (delta === 0) {
+    ctx.fillStyle = colors.moveNone;
+    ctx.fillRect(Math.round(cellX + cellW / 2 - 5), Math.round(midY - 1), 10, 2);
+    ctx.restore();
+    return;
+  }
+
+  const up = delta > 0;
+  const label = String(Math.abs(delta));
+  const tri = 7;
+  const gap = 3;
+  const textW = ctx.measureText(label).width;
+  const startX = cellX + (cellW - (tri + gap + textW)) / 2;
+
+  ctx.fillStyle = up ? colors.moveUp : colors.moveDown;
+  ctx.beginPath();
+  if (up) {
+    ctx.moveTo(startX, midY + tri / 2);
+    ctx.lineTo(startX + tri, midY + tri / 2);
+    ctx.lineTo(startX + tri / 2, midY - tri / 2);
+  } else {
+    ctx.moveTo(startX, midY - tri / 2);
+    ctx.lineTo(startX + tri, midY - tri / 2);
+    ctx.lineTo(startX + tri / 2, midY + tri / 2);
+  }
+  ctx.closePath();
+  ctx.fill();
+
+  ctx.fillText(label, startX + tri + gap, midY);
+  ctx.restore();
+}
+
+// ---- title race markers ----
+// "clinched" draws a gold CHAMP, "eliminated" a muted OUT; anything else (still in contention) stays blank.
+function drawTitleStatus(ctx, cellX, cellW, midY, status) {
+  const { colors } = themeOf(ctx);
+
+  const label = status === "clinched" ? "CHAMP" : status === "eliminated" ? "OUT" : "";
+  if (!label) return;
+
+  ctx.save();
+  ctx.font = themeFont(ctx, 800, 11);
+  ctx.fillStyle = status === "clinched" ? colors.titleClinched : colors.titleEliminated;
+  drawText(ctx, label, cellX + cellW / 2, midY, "center");
+  ctx.restore();
+}
+
 // ---- logo visibility corrections ----
 
 const fs = require("fs");
 const path = require("path");
 
-// SimGrid often serves tiny/low-contrast manufacturer icons.
-// Instead of fetching a dozen external brand marks (which can trigger HTTP 429), we:
-// 1) **Override only the worst offenders** (McLaren + Toyota Gazoo) to known-good sources.
-// 2) For all other makes, we keep the SimGrid icon but optionally apply a color treatment by make.
-//
-// You can also drop local PNGs into ./assets/logos/ to avoid *any* external fetch:
-// - assets/logos/mclaren.png
-// - assets/logos/toyota_gazoo.png
-// IMPORTANT:
-// - Wikimedia is rate-limiting you (HTTP 429), so **do not depend on it at runtime**.
-// - For Toyota Gazoo Racing (and any other make you want to standardise), put a local PNG in:
-//     ./assets/logos/<makeKey>.png
-//   Example: ./assets/logos/toyota_gazoo.png
-// - McLaren is additionally allowed to fall back to the OOR-hosted team logo (works reliably).
-const LOGO_OVERRIDES = {
-  // Honda (Sprint series): always use local logo to avoid external scraping / rate limits
-  honda: { local: "assets/logos/honda.png", remote: "" },
-
-  // Toyota Gazoo: use local file if present (recommended)
-  toyota_gazoo: { local: "assets/logos/toyota_gazoo.png", remote: "" },
-
-  // McLaren: local preferred, but safe remote fallback using the same McLaren logo as pane 1
-  mclaren: {
-    local: "assets/logos/mclaren.png",
-    remote: "https://octaneonlineracing.com.au/wp-content/uploads/2021/09/TEAMS-2021_McLaren.png",
-  },
-};
+// SimGrid often serves tiny/low-contrast manufacturer icons, and Wikimedia rate-limits brand marks (HTTP 429),
+// so make logos come from local files wherever possible. Per make (assets/makes.json, see makes.js), in order:
+// 1) an upload from /logo set (assets/logos/custom/<key>.png, see logos.js)
+// 2) the catalogue "logo" (default assets/logos/<key>.png), e.g. ./assets/logos/toyota_gazoo.png
+// 3) the catalogue "remoteLogo" (McLaren falls back to the OOR-hosted team logo, which works reliably)
+// 4) the scraped SimGrid/OOR icon
+// Makes with "colorize": "always" (McLaren papaya) are drawn as a brand-colour mask whichever source won.
+
+// /logo set|reset: forget every local logo read so far, so the next render picks up the change.
+function clearLogoCache() {
+  localImgCache.clear();
+}
 
 function tryLoadLocalPng(relPath) {
   try {
-    const abs = path.join(__dirname, relPath);
+    const abs = path.isAbsolute(relPath) ? relPath : path.join(__dirname, relPath);
     if (!fs.existsSync(abs)) return null;
-    const buf = fs.readFileSync(abs);
     // Cache by absolute path so we don't re-read each row
-    const cacheKey = `file:${abs}`;
-    if (imgCache.has(cacheKey)) return imgCache.get(cacheKey);
+    if (localImgCache.has(abs)) return localImgCache.get(abs);
+    const buf = fs.readFileSync(abs);
     // loadImage() can take a Buffer
     return loadImage(buf)
       .then((img) => {
-        imgCache.set(cacheKey, img);
+        localImgCache.set(abs, img);
         return img;
       })
       .catch(() => {
-        imgCache.set(cacheKey, null);
+        localImgCache.set(abs, null);
         return null;
       });
   } catch {
@@ -397,64 +568,8 @@ function tryLoadLocalPng(relPath) {
 }
 
 function detectLogoKey(url, makeKey) {
-  // If the scraper provided a make key, trust it.
-  const mk = String(makeKey || "").trim().toLowerCase();
-  if (mk) return mk;
-
-  const u = String(url || "").toLowerCase();
-
-  // Team / series specific first
-  if (u.includes("toyota") && (u.includes("gazoo") || u.includes("gr"))) return "toyota_gazoo";
-  if (u.includes("toyota")) return "toyota_gazoo";
-
-  // Marques
-  if (u.includes("mclaren")) return "mclaren";
-  if (u.includes("ferrari")) return "ferrari";
-  if (u.includes("porsche")) return "porsche";
-  if (u.includes("mercedes") || u.includes("amg")) return "mercedes";
-  if (u.includes("bmw")) return "bmw";
-  if (u.includes("cadillac")) return "cadillac";
-  if (u.includes("peugeot")) return "peugeot";
-  if (u.includes("alpine")) return "alpine";
-  if (u.includes("lamborghini") || u.includes("lambo")) return "lamborghini";
-  if (u.includes("aston")) return "aston_martin";
-  if (u.includes("lexus")) return "lexus";
-  if (u.includes("honda") || u.includes("acura")) return "honda";
-  if (u.includes("chevrolet") || u.includes("chevy")) return "chevrolet";
-  if (u.includes("corvette")) return "corvette";
-
-  return null;
-}
-
-function logoTargetColorByKey(key) {
-  const k = String(key || "").toLowerCase();
-  if (!k) return null;
-
-  // Keep it minimal: mostly white so icons read on dark backgrounds.
-  if (k === "mclaren") return { r: 255, g: 106, b: 0 }; // orange accent
-  if (k === "ferrari") return { r: 255, g: 215, b: 0 }; // yellow-ish
-
-  if (
-    [
-      "mercedes",
-      "bmw",
-      "porsche",
-      "aston_martin",
-      "lexus",
-      "honda",
-      "lamborghini",
-      "corvette",
-      "chevrolet",
-      "cadillac",
-      "peugeot",
-      "alpine",
-      "toyota_gazoo",
-    ].includes(k)
-  ) {
-    return { r: 255, g: 255, b: 255 };
-  }
-
-  return null;
+  // If the scraper provided a make key, trust it (older keys like "astonmartin" map to today's).
+  return canonicalMakeKey(makeKey) || makeKeyFromUrl(url) || null;
 }
 
 function drawColorizedLogo(ctx, img, x, y, w, h, rgb) {
@@ -490,6 +605,49 @@ function drawColorizedLogo(ctx, img, x, y, w, h, rgb) {
   ctx.drawImage(off, x, y);
 }
 
+// Draws a row's car/make icon centred in a box at (x, y).
+// Shared by table panels and stat cards so logo overrides behave the same everywhere.
+async function drawCarIcon(ctx, r, x, y, iconBox) {
+  const url = normalizeText(r?.carImg);
+
+  // Decide the brand key (prefer the scraper-provided make key).
+  const key = detectLogoKey(url, r?.carMakeKey);
+
+  // Uploaded logo first, then the catalogue logo (local file, then remote).
+  let img = null;
+
+  const make = key ? makeInfo(key) : null;
+  if (key) {
+    const local = make?.logo || `assets/logos/${key}.png`;
+    img = (await tryLoadLocalPng(customLogoFile(key))) || (await tryLoadLocalPng(local));
+    if (!img && make?.remoteLogo) img = await loadImageFromUrl(make.remoteLogo);
+
+    if (!img && DEBUG_OOR && (make?.logo || make?.remoteLogo)) {
+      console.warn(
+        `LOGO OVERRIDE MISS: key='${key}' local='${local}' remote='${make.remoteLogo}' (falling back to SimGrid icon)`
+      );
+    }
+  }
+
+  // Fall back to the original SimGrid/OOR icon.
+  if (!img) img = await loadImageFromUrl(url);
+  if (!img) return;
+
+  const fit = fitContain(img.width, img.height, iconBox, iconBox);
+  const dx = x + fit.x;
+  const dy = y + fit.y;
+
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = "high";
+
+  // McLaren must ALWAYS be papaya, even when using override logos; every other make renders as-is.
+  if (make?.colorize === "always") {
+    drawColorizedLogo(ctx, img, dx, dy, fit.w, fit.h, make.rgb);
+  } else {
+    ctx.drawImage(img, dx, dy, fit.w, fit.h);
+  }
+}
+
 // ---- Column scaling that DOES NOT drift ----
 function buildScaledColumns(cols, tableW) {
   const baseW = sumCols(cols);
@@ -515,18 +673,21 @@ function buildScaledColumns(cols, tableW) {
 
 // ---- Watermark ----
 async function drawWatermark(ctx, W, H) {
-  if (!watermarkImage) watermarkImage = await loadImageFromUrl(OOR_WATERMARK_URL);
+  const wm = themeOf(ctx).watermark;
+  if (!(wm.opacity > 0)) return;
+
+  const watermarkImage = await loadImageFromUrl(OOR_WATERMARK_URL);
   if (!watermarkImage) return;
 
-  const targetW = Math.floor(W * WATERMARK_WIDTH_PCT);
+  const targetW = Math.floor(W * wm.widthPct);
   const targetH = Math.floor(H * 0.6);
   const fit = fitContain(watermarkImage.width, watermarkImage.height, targetW, targetH);
 
   const x = Math.floor((W - targetW) / 2 + fit.x);
-  const y = Math.floor((H - targetH) / 2 + fit.y + WATERMARK_Y_OFFSET);
+  const y = Math.floor((H - targetH) / 2 + fit.y + wm.yOffset);
 
   ctx.save();
-  ctx.globalAlpha = WATERMARK_OPACITY;
+  ctx.globalAlpha = wm.opacity;
   ctx.imageSmoothingEnabled = true;
   ctx.imageSmoothingQuality = "high";
   ctx.drawImage(watermarkImage, x, y, fit.w, fit.h);
@@ -534,17 +695,20 @@ async function drawWatermark(ctx, W, H) {
 }
 
 async function drawPanel(ctx, panel) {
-  const { x, y, w, h, title, subtitle, rows, tint, mode } = panel;
+  const theme = themeOf(ctx);
+  const { colors, layout } = theme;
+
+  const { x, y, w, h, title, subtitle, rows, tint, mode, isSprint } = panel;
 
   // Card background
   const g = ctx.createLinearGradient(0, y, 0, y + h);
-  g.addColorStop(0, CARD_BG_TOP);
-  g.addColorStop(1, CARD_BG_BOT);
+  g.addColorStop(0, colors.cardTop);
+  g.addColorStop(1, colors.cardBottom);
 
   roundRect(ctx, x, y, w, h, 18);
   ctx.fillStyle = g;
   ctx.fill();
-  ctx.strokeStyle = CARD_STROKE;
+  ctx.strokeStyle = colors.cardStroke;
   ctx.lineWidth = 1;
   ctx.stroke();
 
@@ -553,16 +717,11 @@ async function drawPanel(ctx, panel) {
     const rgb = hexToRgb(tint);
     if (rgb) {
       // ---- per-class alpha tuning ----
-     let baseAlpha = TINT_ALPHA;
-     let edgeAlpha = TINT_EDGE_ALPHA;
-
-     if (tint === "#1f2a36") {        // Pro-Am (dark charcoal)
-       baseAlpha *= 1.65;
-       edgeAlpha *= 1.65;
-     } else if (tint === "#8fa1b8") { // Silver
-       baseAlpha *= 1.35;
-       edgeAlpha *= 1.35;
-     }
+      // Darker class tints (Silver, Pro-Am) need a stronger wash to show at all; class grid cells pass their key.
+      const cls = panel.classKey ? theme.classes[panel.classKey] : null;
+      const boost = cls ? cls.tintBoost : 1;
+      const baseAlpha = theme.tint.alpha * boost;
+      const edgeAlpha = theme.tint.edgeAlpha * boost;
 
       ctx.save();
       roundRect(ctx, x, y, w, h, 18);
@@ -581,7 +740,7 @@ async function drawPanel(ctx, panel) {
   }
 
 
-  const pad = PAD_INNER;
+  const pad = layout.padInner;
 
   ctx.save();
   roundRect(ctx, x, y, w, h, 18);
@@ -593,7 +752,7 @@ async function drawPanel(ctx, panel) {
  // Try class badge only if title starts with a class (your class grid titles do)
  const split = splitTitleLeadingClass(title);
 if (split) {
-  const style = classBadgeStyle(split.classLabel);
+  const style = classBadgeStyle(split.classLabel, theme);
   const yTitle = y + 25;
 
   // split "(x drivers)" to a second line
@@ -602,37 +761,43 @@ if (split) {
   const badgeW = style ? drawPill(ctx, x + pad, yTitle, split.classLabel, style) : 0;
 
   // main title text (without drivers)
-  ctx.font = "700 19px system-ui, -apple-system, Segoe UI, Roboto, Arial";
-  ctx.fillStyle = TEXT;
+  ctx.font = themeFont(ctx, 700, 19);
+  ctx.fillStyle = colors.text;
   ctx.textBaseline = "alphabetic";
   ctx.fillText(base, x + pad + badgeW + 10, yTitle);
 
   // drivers count on second line (smaller/muted)
   if (drivers) {
-    ctx.font = "600 13px system-ui, -apple-system, Segoe UI, Roboto, Arial";
-    ctx.fillStyle = MUTED;
+    ctx.font = themeFont(ctx, 600, 13);
+    ctx.fillStyle = colors.muted;
     ctx.fillText(drivers, x + pad + badgeW + 10, yTitle + 18);
   }
 } else {
   // Normal (main render titles)
   const { base, drivers } = splitDriversSuffix(title);
 
-  ctx.font = "700 19px system-ui, -apple-system, Segoe UI, Roboto, Arial";
-  ctx.fillStyle = TEXT;
+  ctx.font = themeFont(ctx, 700, 19);
+  ctx.fillStyle = colors.text;
   ctx.textBaseline = "alphabetic";
   ctx.fillText(base, x + pad, y + 25);
 
   if (drivers) {
-    ctx.font = "600 13px system-ui, -apple-system, Segoe UI, Roboto, Arial";
-    ctx.fillStyle = MUTED;
+    ctx.font = themeFont(ctx, 600, 13);
+    ctx.fillStyle = colors.muted;
     ctx.fillText(drivers, x + pad, y + 43);
   }
 }
 
-  ctx.font = "500 12.5px system-ui, -apple-system, Segoe UI, Roboto, Arial";
-  ctx.fillStyle = MUTED;
+  ctx.font = themeFont(ctx, 500, 12.5);
+  ctx.fillStyle = colors.muted;
   ctx.fillText(subtitle || "", x + pad, y + 64);
 
+  // Charts only borrow the card, tint wash and title block.
+  if (mode === "chart") {
+    ctx.restore();
+    return;
+  }
+
   // Table layout
   let drawRows = rows;
   const panelMode = mode || "default";
@@ -648,23 +813,25 @@ if (split) {
     });
   }
 
-  // Sprint Yellow/Red panels (all renders): detect via title so index.js doesn't need changes.
-  const sprintSplit = panelMode !== "simgrid" && isSprintSplitTitle(title);
+  // Sprint Yellow/Red panels (all renders): series registry sets isSprint explicitly;
+  // fall back to detecting via title for callers that don't pass it.
+  const sprintSplit =
+    panelMode === "default" && (typeof isSprint === "boolean" ? isSprint : isSprintSplitTitle(title));
 
   const cols = columnsFor(drawRows, { mode: panelMode, isSprint: sprintSplit });
   const tableX = x + pad;
-  const tableY = y + HEADER_H + 8;
+  const tableY = y + layout.headerH + 8;
   const tableW = w - pad * 2;
 
   const scaledCols = buildScaledColumns(cols, tableW);
 
   // Header row bg (more transparent)
-  ctx.fillStyle = "rgba(255,255,255,0.020)";
-  ctx.fillRect(tableX, tableY, tableW, HEAD_ROW_H);
+  ctx.fillStyle = colors.headerRow;
+  ctx.fillRect(tableX, tableY, tableW, layout.headRowH);
 
   // Header labels
-  ctx.font = "600 12.5px system-ui, -apple-system, Segoe UI, Roboto, Arial";
-  ctx.fillStyle = HEADER;
+  ctx.font = themeFont(ctx, 600, 12.5);
+  ctx.fillStyle = colors.header;
 
   let cx = tableX;
   for (const c of scaledCols) {
@@ -674,16 +841,16 @@ if (split) {
         : c.align === "center"
         ? cx + c.w / 2
         : cx + c.w - 8;
-    drawText(ctx, c.label, tx, tableY + HEAD_ROW_H / 2, c.align);
+    drawText(ctx, c.label, tx, tableY + layout.headRowH / 2, c.align);
     cx += c.w;
   }
 
   // Grid lines
-  ctx.strokeStyle = GRID;
+  ctx.strokeStyle = colors.grid;
   ctx.lineWidth = 1;
 
   const maxRows = drawRows.length;
-  const gridH = HEAD_ROW_H + ROW_H * maxRows;
+  const gridH = layout.headRowH + layout.rowH * maxRows;
 
   cx = tableX;
   for (let i = 0; i < scaledCols.length - 1; i++) {
@@ -695,35 +862,35 @@ if (split) {
   }
 
   // Rows
-  ctx.font = "500 12.5px system-ui, -apple-system, Segoe UI, Roboto, Arial";
+  ctx.font = themeFont(ctx, 500, 12.5);
 
   for (let i = 0; i < maxRows; i++) {
     const r = drawRows[i] || {};
-    const ry = tableY + HEAD_ROW_H + i * ROW_H;
+    const ry = tableY + layout.headRowH + i * layout.rowH;
 
     // Sprint QB highlight (bright red) when Qualifying Ban is set and Ban Served is blank.
-    // Prefer the explicit flag if index.js provided it.
+    // Prefer the explicit flag if index.js provided it. Ledger rows: the ban was active after that change.
     const qbActive =
-      sprintSplit &&
+      (sprintSplit || panelMode === "penalties") &&
       (r?.qbActive === true || (!!normalizeText(r?.qualiBan) && !normalizeText(r?.banServed)));
-    const rowTextColor = qbActive ? "#ff0000" : TEXT;
+    const rowTextColor = qbActive ? colors.penalty : colors.text;
 
-    ctx.fillStyle = i % 2 === 0 ? ROW_EVEN : ROW_ODD;
-    ctx.fillRect(tableX, ry, tableW, ROW_H);
+    ctx.fillStyle = i % 2 === 0 ? colors.rowEven : colors.rowOdd;
+    ctx.fillRect(tableX, ry, tableW, layout.rowH);
 
     let cellX = tableX;
     for (const c of scaledCols) {
-      const midY = ry + ROW_H / 2;
+      const midY = ry + layout.rowH / 2;
 
       if (c.key === "driver") {
         const name = normalizeText(r.driver);
         const flagUrl = normalizeText(r.countryImg);
-        const flagImg = (await loadImageFromUrl(flagUrl)) || unFlagImage;
+        const flagImg = await loadFlagImage(flagUrl);
 
         const iconSize = 14;
         const iconPad = 6;
         const ix = cellX + 8;
-        const iy = ry + (ROW_H - iconSize) / 2;
+        const iy = ry + (layout.rowH - iconSize) / 2;
 
         if (flagImg) {
           const fit = fitContain(flagImg.width, flagImg.height, iconSize, iconSize);
@@ -733,6 +900,8 @@ if (split) {
         }
 
         const textX = ix + iconSize + iconPad;
+        // Long names are cut to the column width computed by buildScaledColumns; penalty suffixes stay whole.
+        const maxTextW = cellX + c.w - 8 - textX;
 
         // For Sprint splits, draw the penalty suffix in bright red, but keep the driver name white.
         // If QB is active, the whole row stays bright red (per previous requirement).
@@ -745,24 +914,27 @@ if (split) {
           ctx.textAlign = "left";
           ctx.textBaseline = "middle";
 
+          const shown = ellipsize(ctx, base, maxTextW - (suffix ? ctx.measureText(suffix).width : 0));
+
           // Base name (white)
-          ctx.fillStyle = TEXT;
-          ctx.fillText(base, textX, midY);
+          ctx.fillStyle = colors.text;
+          ctx.fillText(shown, textX, midY);
 
           // Suffix (bright red) if present
           if (suffix) {
-            const baseW = ctx.measureText(base).width;
-            ctx.fillStyle = "#ff0000";
+            const baseW = ctx.measureText(shown).width;
+            ctx.fillStyle = colors.penalty;
             ctx.fillText(suffix, textX + baseW, midY);
           }
         } else {
           // QB-active rows stay fully red; just include the penalty suffix text.
-          let displayName = name;
+          let displayName = ellipsize(ctx, name, maxTextW);
 
           if (sprintSplit && qbActive) {
             const parts = splitPenaltySuffix(name);
             const dynSuffix = buildPenaltySuffixFromRow(r); // "(X - QB)" or ""
-            displayName = parts.base + (dynSuffix || parts.suffix);
+            const suffix = dynSuffix || parts.suffix;
+            displayName = ellipsize(ctx, parts.base, maxTextW - ctx.measureText(suffix).width) + suffix;
           }
 
           ctx.fillStyle = rowTextColor;
@@ -770,57 +942,13 @@ if (split) {
           ctx.textBaseline = "middle";
           ctx.fillText(displayName, textX, midY);
         }
+      } else if (c.key === "posChange") {
+        drawPositionChange(ctx, cellX, c.w, midY, r.posChange);
+      } else if (c.key === "titleStatus") {
+        drawTitleStatus(ctx, cellX, c.w, midY, r.titleStatus);
       } else if (c.isIcon && c.key === "carImg") {
-        const url = normalizeText(r.carImg);
-
-        // Decide the brand key (prefer the scraper-provided make key).
-        const key = detectLogoKey(url, r.carMakeKey);
-
-        // Override only where it matters (McLaren + Toyota Gazoo). Others are handled via color treatment.
-        let img = null;
-        let isOverride = false;
-
-        const ov = key && LOGO_OVERRIDES[key] ? LOGO_OVERRIDES[key] : null;
-        if (ov) {
-          // Try local file first (if present), then remote.
-          img = await tryLoadLocalPng(ov.local);
-          if (!img) img = await loadImageFromUrl(ov.remote);
-
-          if (img) {
-            isOverride = true;
-          } else if (DEBUG_OOR) {
-            console.warn(
-              `LOGO OVERRIDE MISS: key='${key}' local='${ov.local}' remote='${ov.remote}' (falling back to SimGrid icon)`
-            );
-          }
-        }
-
-        // Fall back to the original SimGrid/OOR icon.
-        if (!img) img = await loadImageFromUrl(url);
-
-        if (img) {
-          const iconBox = 16;
-          const ix = cellX + (c.w - iconBox) / 2;
-          const iy = ry + (ROW_H - iconBox) / 2;
-
-          const fit = fitContain(img.width, img.height, iconBox, iconBox);
-          const dx = ix + fit.x;
-          const dy = iy + fit.y;
-
-          ctx.imageSmoothingEnabled = true;
-          ctx.imageSmoothingQuality = "high";
-
-          // McLaren must ALWAYS be papaya, even when using override logos.
-          if (key === "mclaren") {
-            drawColorizedLogo(ctx, img, dx, dy, fit.w, fit.h, { r: 255, g: 106, b: 0 });
-          } else if (isOverride) {
-            // Other overrides (Toyota Gazoo etc.) render as-is.
-            ctx.drawImage(img, dx, dy, fit.w, fit.h);
-          } else {
-            // All other makes: render the original icon as-is (no recolour).
-            ctx.drawImage(img, dx, dy, fit.w, fit.h);
-          }
-        }
+        const iconBox = 16;
+        await drawCarIcon(ctx, r, cellX + (c.w - iconBox) / 2, ry + (layout.rowH - iconBox) / 2, iconBox);
       } else {
         const v = normalizeText(r[c.key]);
         ctx.fillStyle = rowTextColor;
@@ -842,83 +970,81 @@ if (split) {
 }
 
 // ---- compute height so we show ALL drivers ----
-function panelHeightForRows(rows) {
+function panelHeightForRows(rows, layout) {
   const n = (rows || []).length;
-  const innerTableH = HEAD_ROW_H + ROW_H * n;
-  const total = OUTER_PAD * 2 + HEADER_H + 8 + innerTableH + 18;
+  const innerTableH = layout.headRowH + layout.rowH * n;
+  const total = layout.outerPad * 2 + layout.headerH + 8 + innerTableH + 18;
   return Math.max(420, total);
 }
 
-// ---- Render: Triple main ----
-async function renderTripleStandingsPng(club50, yellow, red) {
-  if (!unFlagImage) unFlagImage = await loadImageFromUrl(UN_FLAG_URL);
+// ---- Render: N panels side by side (main pane layout) ----
+// panels: [{ title, subtitle, rows, tint, mode, isSprint }]
+const ROW_PANEL_W = 544;
 
-  const W = 1720;
-  const H = Math.max(
-    panelHeightForRows(club50.rows),
-    panelHeightForRows(yellow.rows),
-    panelHeightForRows(red.rows)
-  );
+async function renderStandingsRowPng(panels, opts = {}) {
+  const theme = opts.theme || DEFAULT_THEME;
+  const { layout } = theme;
 
-  const canvas = createCanvas(W, H);
-  const ctx = canvas.getContext("2d");
+  const list = (panels || []).filter(Boolean);
+  const n = Math.max(1, list.length);
 
-  const bg = ctx.createLinearGradient(0, 0, 0, H);
-  bg.addColorStop(0, BG_GRAD_TOP);
-  bg.addColorStop(1, BG_GRAD_BOT);
-  ctx.fillStyle = bg;
-  ctx.fillRect(0, 0, W, H);
+  const W = layout.outerPad * 2 + ROW_PANEL_W * n + layout.gap * (n - 1);
+  const H = Math.max(...list.map((p) => panelHeightForRows(p.rows, layout)), panelHeightForRows([], layout));
+
+  const { canvas, ctx } = startCanvas(W, H, theme);
 
   await drawWatermark(ctx, W, H);
 
-  const panelW = Math.floor((W - OUTER_PAD * 2 - GAP * 2) / 3);
-  const panelH = H - OUTER_PAD * 2;
+  const panelH = H - layout.outerPad * 2;
 
-  await drawPanel(ctx, {
-    x: OUTER_PAD,
-    y: OUTER_PAD,
-    w: panelW,
-    h: panelH,
-    title: club50.title,
-    subtitle: club50.subtitle,
-    rows: club50.rows,
-    tint: "#2b6cff", // optional / neutral blue for Club50
-  });
+  for (let i = 0; i < list.length; i++) {
+    const p = list[i];
+    await drawPanel(ctx, {
+      x: layout.outerPad + (ROW_PANEL_W + layout.gap) * i,
+      y: layout.outerPad,
+      w: ROW_PANEL_W,
+      h: panelH,
+      title: p.title,
+      subtitle: p.subtitle,
+      rows: p.rows,
+      tint: p.tint,
+      mode: p.mode,
+      isSprint: p.isSprint,
+    });
+  }
 
-  await drawPanel(ctx, {
-    x: OUTER_PAD + panelW + GAP,
-    y: OUTER_PAD,
-    w: panelW,
-    h: panelH,
-    title: yellow.title,
-    subtitle: yellow.subtitle,
-    rows: yellow.rows,
-    tint: "#f6c343", // Split Yellow tint
-  });
+  return canvas.toBuffer("image/png");
+}
 
-  await drawPanel(ctx, {
-    x: OUTER_PAD + (panelW + GAP) * 2,
-    y: OUTER_PAD,
-    w: panelW,
-    h: panelH,
-    title: red.title,
-    subtitle: red.subtitle,
-    rows: red.rows,
-    tint: "#ff3b3b", // Split Red tint
-  });
+// ---- Render: Triple main ----
+async function renderTripleStandingsPng(club50, yellow, red, opts = {}) {
+  return renderStandingsRowPng([
+    { ...club50, tint: club50.tint || "#2b6cff" }, // optional / neutral blue for Club50
+    { ...yellow, tint: yellow.tint || "#f6c343" }, // Split Yellow tint
+    { ...red, tint: red.tint || "#ff3b3b" }, // Split Red tint
+  ], opts);
+}
 
-  return canvas.toBuffer("image/png");
+// ---- Render: whole pane (picks the layout for the number/kind of panels) ----
+// Two SimGrid panels keep the dedicated 2-wide SimGrid layout; everything else is a row of panels.
+async function renderPaneStandingsPng(panels, opts = {}) {
+  const list = (panels || []).filter(Boolean);
+  if (list.length === 2 && list.every((p) => p.mode === "simgrid")) {
+    return renderDoubleStandingsPng(list[0], list[1], opts);
+  }
+  return renderStandingsRowPng(list, opts);
 }
 
 // ---- Render: 2x2 class grid ----
-async function renderClassGridPng(panels) {
-  if (!unFlagImage) unFlagImage = await loadImageFromUrl(UN_FLAG_URL);
+async function renderClassGridPng(panels, opts = {}) {
+  const theme = opts.theme || DEFAULT_THEME;
+  const { layout } = theme;
 
   const cellMinH = 360;
 
   function cellHeightFor(rows) {
     const n = (rows || []).length;
-    return Math.max(cellMinH, HEADER_H + 8 + HEAD_ROW_H + ROW_H * n + 28);
+    return Math.max(cellMinH, layout.headerH + 8 + layout.headRowH + layout.rowH * n + 28);
   }
 
   const p = (i) => (panels[i] ? panels[i] : { title: "—", subtitle: "", rows: [] });
@@ -932,30 +1058,23 @@ async function renderClassGridPng(panels) {
   const botH = Math.max(h2, h3);
 
   const W = 1200;
-  const H = OUTER_PAD * 2 + topH + GAP + botH;
+  const H = layout.outerPad * 2 + topH + layout.gap + botH;
 
-  const canvas = createCanvas(W, H);
-  const ctx = canvas.getContext("2d");
-
-  const bg = ctx.createLinearGradient(0, 0, 0, H);
-  bg.addColorStop(0, BG_GRAD_TOP);
-  bg.addColorStop(1, BG_GRAD_BOT);
-  ctx.fillStyle = bg;
-  ctx.fillRect(0, 0, W, H);
+  const { canvas, ctx } = startCanvas(W, H, theme);
 
   await drawWatermark(ctx, W, H);
 
-  const cellW = Math.floor((W - OUTER_PAD * 2 - GAP) / 2);
+  const cellW = Math.floor((W - layout.outerPad * 2 - layout.gap) / 2);
 
   const p0 = p(0);
   const p1 = p(1);
   const p2 = p(2);
   const p3 = p(3);
 
-  await drawPanel(ctx, { x: OUTER_PAD,                 y: OUTER_PAD,               w: cellW, h: h0, tint: TINT_PRO,    ...p0 });
-  await drawPanel(ctx, { x: OUTER_PAD + cellW + GAP,   y: OUTER_PAD,               w: cellW, h: h1, tint: TINT_SILVER, ...p1 });
-  await drawPanel(ctx, { x: OUTER_PAD,                 y: OUTER_PAD + topH + GAP,  w: cellW, h: h2, tint: TINT_PROAM,  ...p2 });
-  await drawPanel(ctx, { x: OUTER_PAD + cellW + GAP,   y: OUTER_PAD + topH + GAP,  w: cellW, h: h3, tint: TINT_AM,     ...p3 });
+  await drawPanel(ctx, { x: layout.outerPad,                 y: layout.outerPad,               w: cellW, h: h0, tint: theme.classes.pro.tint,   classKey: "pro",    ...p0 });
+  await drawPanel(ctx, { x: layout.outerPad + cellW + layout.gap,   y: layout.outerPad,               w: cellW, h: h1, tint: theme.classes.silver.tint, classKey: "silver", ...p1 });
+  await drawPanel(ctx, { x: layout.outerPad,                 y: layout.outerPad + topH + layout.gap,  w: cellW, h: h2, tint: theme.classes.proAm.tint, classKey: "proAm",  ...p2 });
+  await drawPanel(ctx, { x: layout.outerPad + cellW + layout.gap,   y: layout.outerPad + topH + layout.gap,  w: cellW, h: h3, tint: theme.classes.am.tint,    classKey: "am",     ...p3 });
 
   return canvas.toBuffer("image/png");
 }
@@ -963,37 +1082,31 @@ async function renderClassGridPng(panels) {
 // ---- Render: 2-wide row (used for SimGrid second pane) ----
 // IMPORTANT: This intentionally has NO overall heading.
 // Each panel carries its own title + subtitle so it matches the main 3-panel layout.
-async function renderDoubleStandingsPng(leftPanel, rightPanel) {
-  if (!unFlagImage) unFlagImage = await loadImageFromUrl(UN_FLAG_URL);
+async function renderDoubleStandingsPng(leftPanel, rightPanel, opts = {}) {
+  const theme = opts.theme || DEFAULT_THEME;
+  const { layout } = theme;
 
   const cellMinH = 360;
   const heightFor = (rows) => {
     const n = (rows || []).length;
-    return Math.max(cellMinH, HEADER_H + 8 + HEAD_ROW_H + ROW_H * n + 28);
+    return Math.max(cellMinH, layout.headerH + 8 + layout.headRowH + layout.rowH * n + 28);
   };
 
   const L = leftPanel || { title: "—", subtitle: "", rows: [], tint: undefined };
   const R = rightPanel || { title: "—", subtitle: "", rows: [], tint: undefined };
 
   const W = 1200;
-  const panelW = Math.floor((W - OUTER_PAD * 2 - GAP) / 2);
+  const panelW = Math.floor((W - layout.outerPad * 2 - layout.gap) / 2);
   const panelH = Math.max(heightFor(L.rows), heightFor(R.rows));
-  const H = OUTER_PAD * 2 + panelH;
+  const H = layout.outerPad * 2 + panelH;
 
-  const canvas = createCanvas(W, H);
-  const ctx = canvas.getContext("2d");
-
-  const bg = ctx.createLinearGradient(0, 0, 0, H);
-  bg.addColorStop(0, BG_GRAD_TOP);
-  bg.addColorStop(1, BG_GRAD_BOT);
-  ctx.fillStyle = bg;
-  ctx.fillRect(0, 0, W, H);
+  const { canvas, ctx } = startCanvas(W, H, theme);
 
   await drawWatermark(ctx, W, H);
 
   await drawPanel(ctx, {
-    x: OUTER_PAD,
-    y: OUTER_PAD,
+    x: layout.outerPad,
+    y: layout.outerPad,
     w: panelW,
     h: panelH,
     title: L.title,
@@ -1001,11 +1114,12 @@ async function renderDoubleStandingsPng(leftPanel, rightPanel) {
     rows: L.rows,
     tint: L.tint,
     mode: "simgrid",
+    isSprint: L.isSprint,
   });
 
   await drawPanel(ctx, {
-    x: OUTER_PAD + panelW + GAP,
-    y: OUTER_PAD,
+    x: layout.outerPad + panelW + layout.gap,
+    y: layout.outerPad,
     w: panelW,
     h: panelH,
     title: R.title,
@@ -1013,6 +1127,7 @@ async function renderDoubleStandingsPng(leftPanel, rightPanel) {
     rows: R.rows,
     tint: R.tint,
     mode: "simgrid",
+    isSprint: R.isSprint,
   });
 
   return canvas.toBuffer("image/png");
@@ -1020,9 +1135,10 @@ async function renderDoubleStandingsPng(leftPanel, rightPanel) {
 
 // ---- Render: Single series (auto 1 or 2 columns) ----
 // panel: { title, subtitle, rows, tint, mode }
-// opts: { maxRowsPerCol }
+// opts: { maxRowsPerCol, theme }
 async function renderSeriesOnlyPng(panel, opts = {}) {
-  if (!unFlagImage) unFlagImage = await loadImageFromUrl(UN_FLAG_URL);
+  const theme = opts.theme || DEFAULT_THEME;
+  const { layout } = theme;
 
   const maxRowsPerCol = Number.isFinite(opts.maxRowsPerCol)
     ? Math.max(5, Math.floor(opts.maxRowsPerCol))
@@ -1041,30 +1157,23 @@ async function renderSeriesOnlyPng(panel, opts = {}) {
   const cellMinH = 360;
   const heightFor = (rs) => {
     const n = (rs || []).length;
-    return Math.max(cellMinH, HEADER_H + 8 + HEAD_ROW_H + ROW_H * n + 28);
+    return Math.max(cellMinH, layout.headerH + 8 + layout.headRowH + layout.rowH * n + 28);
   };
 
   if (!needsTwo) {
     // Single panel render (narrower than 2-up)
     const W = 900;
-    const panelW = W - OUTER_PAD * 2;
+    const panelW = W - layout.outerPad * 2;
     const panelH = heightFor(leftRows);
-    const H = OUTER_PAD * 2 + panelH;
+    const H = layout.outerPad * 2 + panelH;
 
-    const canvas = createCanvas(W, H);
-    const ctx = canvas.getContext("2d");
-
-    const bg = ctx.createLinearGradient(0, 0, 0, H);
-    bg.addColorStop(0, BG_GRAD_TOP);
-    bg.addColorStop(1, BG_GRAD_BOT);
-    ctx.fillStyle = bg;
-    ctx.fillRect(0, 0, W, H);
+    const { canvas, ctx } = startCanvas(W, H, theme);
 
     await drawWatermark(ctx, W, H);
 
     await drawPanel(ctx, {
-      x: OUTER_PAD,
-      y: OUTER_PAD,
+      x: layout.outerPad,
+      y: layout.outerPad,
       w: panelW,
       h: panelH,
       title: P.title,
@@ -1072,6 +1181,7 @@ async function renderSeriesOnlyPng(panel, opts = {}) {
       rows: leftRows,
       tint: P.tint,
       mode,
+      isSprint: P.isSprint,
     });
 
     return canvas.toBuffer("image/png");
@@ -1079,24 +1189,17 @@ async function renderSeriesOnlyPng(panel, opts = {}) {
 
   // Two-panel render
   const W = 1200;
-  const panelW = Math.floor((W - OUTER_PAD * 2 - GAP) / 2);
+  const panelW = Math.floor((W - layout.outerPad * 2 - layout.gap) / 2);
   const panelH = Math.max(heightFor(leftRows), heightFor(rightRows));
-  const H = OUTER_PAD * 2 + panelH;
+  const H = layout.outerPad * 2 + panelH;
 
-  const canvas = createCanvas(W, H);
-  const ctx = canvas.getContext("2d");
-
-  const bg = ctx.createLinearGradient(0, 0, 0, H);
-  bg.addColorStop(0, BG_GRAD_TOP);
-  bg.addColorStop(1, BG_GRAD_BOT);
-  ctx.fillStyle = bg;
-  ctx.fillRect(0, 0, W, H);
+  const { canvas, ctx } = startCanvas(W, H, theme);
 
   await drawWatermark(ctx, W, H);
 
   await drawPanel(ctx, {
-    x: OUTER_PAD,
-    y: OUTER_PAD,
+    x: layout.outerPad,
+    y: layout.outerPad,
     w: panelW,
     h: panelH,
     title: P.title,
@@ -1104,11 +1207,12 @@ async function renderSeriesOnlyPng(panel, opts = {}) {
     rows: leftRows,
     tint: P.tint,
     mode,
+    isSprint: P.isSprint,
   });
 
   await drawPanel(ctx, {
-    x: OUTER_PAD + panelW + GAP,
-    y: OUTER_PAD,
+    x: layout.outerPad + panelW + layout.gap,
+    y: layout.outerPad,
     w: panelW,
     h: panelH,
     title: P.title,
@@ -1116,14 +1220,575 @@ async function renderSeriesOnlyPng(panel, opts = {}) {
     rows: rightRows,
     tint: P.tint,
     mode,
+    isSprint: P.isSprint,
   });
 
   return canvas.toBuffer("image/png");
 }
 
+// ---- Render: Points progression chart ----
+// chart: {
+//   title, subtitle, tint,
+//   rounds:  [{ label, ts }],                       // x axis (history.pointsProgression)
+//   drivers: [{ driver, carNo, carImg, carMakeKey, points: [n | null per round] }]  // standings order
+// }
+// The leader's line takes the series tint; the rest cycle through the theme's chartColors, then
+// repeat dashed.
+const CHART_LEGEND_W = 280;
+const CHART_LEGEND_ROW_H = 30;
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+function shortDate(ts) {
+  const d = new Date(ts);
+  if (!Number.isFinite(d.getTime())) return "";
+  return `${d.getUTCDate()} ${MONTHS[d.getUTCMonth()]}`;
+}
+
+function niceAxisMax(v) {
+  if (!(v > 0)) return 10;
+  const step = Math.pow(10, Math.floor(Math.log10(v)));
+  for (const m of [1, 2, 2.5, 5, 10]) {
+    if (v <= m * step) return m * step;
+  }
+  return 10 * step;
+}
+
+function chartLineStyle(i, tint, palette) {
+  if (i === 0 && hexToRgb(tint)) return { color: tint, dash: [] };
+  const k = i - 1;
+  return {
+    color: palette[k % palette.length],
+    dash: k >= palette.length ? [9, 6] : [],
+  };
+}
+
+async function renderPointsChartPng(chart, opts = {}) {
+  const theme = opts.theme || DEFAULT_THEME;
+  const { colors, layout } = theme;
+
+  const C = chart || { title: "—", rounds: [], drivers: [] };
+  const rounds = Array.isArray(C.rounds) ? C.rounds : [];
+  const drivers = Array.isArray(C.drivers) ? C.drivers : [];
+
+  const W = 1200;
+  const cardW = W - layout.outerPad * 2;
+  const cardH = Math.max(520, layout.headerH + 34 + drivers.length * CHART_LEGEND_ROW_H + layout.padInner * 2);
+  const H = layout.outerPad * 2 + cardH;
+
+  const { canvas, ctx } = startCanvas(W, H, theme);
+
+  await drawWatermark(ctx, W, H);
+
+  const x = layout.outerPad;
+  const y = layout.outerPad;
+  const pad = layout.padInner;
+
+  // Card, tint wash and title block come from the table panel.
+  await drawPanel(ctx, { x, y, w: cardW, h: cardH, title: C.title, subtitle: C.subtitle, rows: [], tint: C.tint, mode: "chart" });
+
+  const plotX = x + pad + 44;
+  const plotY = y + layout.headerH + 34;
+  const plotW = cardW - pad * 2 - 44 - CHART_LEGEND_W - 12;
+  const plotH = cardH - layout.headerH - 34 - pad - 34;
+
+  const maxPts = niceAxisMax(Math.max(0, ...drivers.flatMap((d) => (d.points || []).filter((p) => p !== null))));
+  const xAt = (i) => (rounds.length <= 1 ? plotX + plotW / 2 : plotX + (plotW * i) / (rounds.length - 1));
+  const yAt = (v) => plotY + plotH - (plotH * v) / maxPts;
+
+  // Y grid + labels
+  ctx.font = themeFont(ctx, 500, 12);
+  ctx.strokeStyle = colors.grid;
+  ctx.lineWidth = 1;
+  for (let k = 0; k <= 5; k++) {
+    const v = (maxPts * k) / 5;
+    const gy = Math.round(yAt(v)) + 0.5;
+    ctx.beginPath();
+    ctx.moveTo(plotX, gy);
+    ctx.lineTo(plotX + plotW, gy);
+    ctx.stroke();
+    ctx.fillStyle = colors.muted;
+    drawText(ctx, String(Math.round(v)), plotX - 10, gy, "right");
+  }
+
+  // X labels (round + race night date); thinned out when there are many rounds
+  const every = Math.max(1, Math.ceil(rounds.length / 16));
+  for (let i = 0; i < rounds.length; i++) {
+    if (i % every !== 0 && i !== rounds.length - 1) continue;
+    const rx = xAt(i);
+    ctx.font = themeFont(ctx, 600, 12);
+    ctx.fillStyle = colors.header;
+    drawText(ctx, normalizeText(rounds[i].label), rx, plotY + plotH + 14, "center");
+    ctx.font = themeFont(ctx, 500, 11);
+    ctx.fillStyle = colors.muted;
+    drawText(ctx, shortDate(rounds[i].ts), rx, plotY + plotH + 28, "center");
+  }
+
+  // Lines: draw bottom of the table first so the leader ends up on top.
+  ctx.save();
+  ctx.lineJoin = "round";
+  ctx.lineCap = "round";
+  for (let i = drivers.length - 1; i >= 0; i--) {
+    const { color, dash } = chartLineStyle(i, C.tint, theme.chartColors);
+    const pts = drivers[i].points || [];
+
+    ctx.strokeStyle = color;
+    ctx.fillStyle = color;
+    ctx.lineWidth = i === 0 ? 3.5 : 2.5;
+    ctx.setLineDash(dash);
+    ctx.beginPath();
+    let open = false;
+    for (let r = 0; r < rounds.length; r++) {
+      if (pts[r] === null || pts[r] === undefined) {
+        open = false;
+        continue;
+      }
+      if (open) ctx.lineTo(xAt(r), yAt(pts[r]));
+      else ctx.moveTo(xAt(r), yAt(pts[r]));
+      open = true;
+    }
+    ctx.stroke();
+
+    ctx.setLineDash([]);
+    for (let r = 0; r < rounds.length; r++) {
+      if (pts[r] === null || pts[r] === undefined) continue;
+      ctx.beginPath();
+      ctx.arc(xAt(r), yAt(pts[r]), i === 0 ? 4 : 3, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+  ctx.restore();
+
+  // Legend: swatch, position, car logo, driver, latest nett
+  const lx = x + cardW - pad - CHART_LEGEND_W;
+  const ly = plotY;
+  for (let i = 0; i < drivers.length; i++) {
+    const d = drivers[i];
+    const { color, dash } = chartLineStyle(i, C.tint, theme.chartColors);
+    const midY = ly + i * CHART_LEGEND_ROW_H + CHART_LEGEND_ROW_H / 2;
+
+    ctx.fillStyle = i % 2 === 0 ? colors.rowEven : colors.rowOdd;
+    ctx.fillRect(lx, midY - CHART_LEGEND_ROW_H / 2, CHART_LEGEND_W, CHART_LEGEND_ROW_H);
+
+    ctx.save();
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 3;
+    ctx.setLineDash(dash.length ? [5, 3] : []);
+    ctx.beginPath();
+    ctx.moveTo(lx + 8, midY);
+    ctx.lineTo(lx + 28, midY);
+    ctx.stroke();
+    ctx.restore();
+
+    ctx.font = themeFont(ctx, 600, 12.5);
+    ctx.fillStyle = colors.header;
+    drawText(ctx, normalizeText(d.pos) || String(i + 1), lx + 52, midY, "right");
+
+    await drawCarIcon(ctx, d, lx + 60, midY - 9, 18);
+
+    const last = [...(d.points || [])].reverse().find((p) => p !== null && p !== undefined);
+    ctx.font = themeFont(ctx, 600, 12.5);
+    ctx.fillStyle = colors.text;
+    drawText(ctx, String(last ?? "—"), lx + CHART_LEGEND_W - 8, midY, "right");
+
+    ctx.font = themeFont(ctx, 500, 12.5);
+    drawText(ctx, splitPenaltySuffix(d.driver).base || "—", lx + 86, midY, "left");
+  }
+
+  return canvas.toBuffer("image/png");
+}
+
+// ---- Render: Round results (race classification) ----
+// panel: { title, subtitle, rows, tint } with rows from standings.parseRoundResultsHtml
+// (+ optional numeric posChange for places gained vs grid)
+async function renderRaceResultsPng(panel, opts = {}) {
+  const theme = opts.theme || DEFAULT_THEME;
+  const { layout } = theme;
+
+  const P = panel || { title: "—", subtitle: "", rows: [] };
+  const rows = Array.isArray(P.rows) ? P.rows : [];
+
+  const W = 900;
+  const panelW = W - layout.outerPad * 2;
+  const panelH = Math.max(360, layout.headerH + 8 + layout.headRowH + layout.rowH * rows.length + 28);
+  const H = layout.outerPad * 2 + panelH;
+
+  const { canvas, ctx } = startCanvas(W, H, theme);
+
+  await drawWatermark(ctx, W, H);
+
+  await drawPanel(ctx, {
+    x: layout.outerPad,
+    y: layout.outerPad,
+    w: panelW,
+    h: panelH,
+    title: P.title,
+    subtitle: P.subtitle,
+    rows,
+    tint: P.tint,
+    mode: "results",
+  });
+
+  return canvas.toBuffer("image/png");
+}
+
+// ---- Render: Driver stat card (one row per series) ----
+// card: {
+//   driver, countryImg, subtitle,
+//   entries: [{ series, tint, pos, of, nett, gap, className, carNo, carImg, carMakeKey,
+//               isSprint, penPoints, qualiBan, banServed, qbActive }]
+// }
+const CARD_ENTRY_H = 62;
+const CARD_ENTRY_GAP = 10;
+const CARD_HEAD_H = 84;
+
+function drawCardStat(ctx, x, y, label, value, color) {
+  const { colors } = themeOf(ctx);
+  ctx.textAlign = "left";
+  ctx.textBaseline = "alphabetic";
+  ctx.font = themeFont(ctx, 600, 11.5);
+  ctx.fillStyle = colors.muted;
+  ctx.fillText(label, x, y + 22);
+  ctx.font = themeFont(ctx, 700, 18);
+  ctx.fillStyle = color || colors.text;
+  ctx.fillText(value, x, y + 46);
+}
+
+async function renderDriverCardPng(card, opts = {}) {
+  const theme = opts.theme || DEFAULT_THEME;
+  const { colors, layout } = theme;
+
+  const C = card || { driver: "—", entries: [] };
+  const entries = Array.isArray(C.entries) ? C.entries : [];
+
+  const W = 900;
+  const cardW = W - layout.outerPad * 2;
+  const cardH = CARD_HEAD_H + entries.length * (CARD_ENTRY_H + CARD_ENTRY_GAP) + layout.padInner;
+  const H = layout.outerPad * 2 + cardH;
+
+  const { canvas, ctx } = startCanvas(W, H, theme);
+
+  await drawWatermark(ctx, W, H);
+
+  const x = layout.outerPad;
+  const y = layout.outerPad;
+  const pad = layout.padInner;
+
+  const g = ctx.createLinearGradient(0, y, 0, y + cardH);
+  g.addColorStop(0, colors.cardTop);
+  g.addColorStop(1, colors.cardBottom);
+  roundRect(ctx, x, y, cardW, cardH, 18);
+  ctx.fillStyle = g;
+  ctx.fill();
+  ctx.strokeStyle = colors.cardStroke;
+  ctx.lineWidth = 1;
+  ctx.stroke();
+
+  // Header: flag + driver name
+  const flagImg = await loadFlagImage(normalizeText(C.countryImg));
+  const flagBox = 24;
+  let nameX = x + pad;
+  if (flagImg) {
+    const fit = fitContain(flagImg.width, flagImg.height, flagBox, flagBox);
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = "high";
+    ctx.drawImage(flagImg, nameX + fit.x, y + 16 + fit.y, fit.w, fit.h);
+    nameX += flagBox + 10;
+  }
+
+  ctx.textAlign = "left";
+  ctx.textBaseline = "alphabetic";
+  ctx.font = themeFont(ctx, 700, 24);
+  ctx.fillStyle = colors.text;
+  ctx.fillText(splitPenaltySuffix(C.driver).base || "—", nameX, y + 36);
+
+  ctx.font = themeFont(ctx, 500, 12.5);
+  ctx.fillStyle = colors.muted;
+  ctx.fillText(C.subtitle || `${entries.length} series`, x + pad, y + 62);
+
+  // Entries
+  const statCols = ["Pos", "Nett", "Gap", "Class", "Car", "Pen", "Quali Ban"];
+  const statWidths = [70, 70, 85, 105, 95, 60, 105];
+  const statX0 = x + pad + 230;
+
+  for (let i = 0; i < entries.length; i++) {
+    const e = entries[i];
+    const ey = y + CARD_HEAD_H + i * (CARD_ENTRY_H + CARD_ENTRY_GAP);
+    const ex = x + pad;
+    const ew = cardW - pad * 2;
+
+    ctx.save();
+    roundRect(ctx, ex, ey, ew, CARD_ENTRY_H, 12);
+    ctx.fillStyle = colors.strip;
+    ctx.fill();
+    ctx.clip();
+    const rgb = hexToRgb(e.tint);
+    if (rgb) {
+      ctx.fillStyle = `rgba(${rgb.r},${rgb.g},${rgb.b},0.85)`;
+      ctx.fillRect(ex, ey, 5, CARD_ENTRY_H);
+      ctx.fillStyle = `rgba(${rgb.r},${rgb.g},${rgb.b},${theme.tint.alpha})`;
+      ctx.fillRect(ex, ey, ew, CARD_ENTRY_H);
+    }
+    ctx.restore();
+
+    // Series name
+    ctx.textAlign = "left";
+    ctx.textBaseline = "alphabetic";
+    ctx.font = themeFont(ctx, 700, 15);
+    ctx.fillStyle = colors.text;
+    ctx.fillText(normalizeText(e.series), ex + 18, ey + 27);
+    ctx.font = themeFont(ctx, 500, 12);
+    ctx.fillStyle = colors.muted;
+    ctx.fillText(e.of ? `${e.of} drivers` : "", ex + 18, ey + 46);
+
+    const colX = (k) => statX0 + statWidths.slice(0, k).reduce((a, n) => a + n, 0);
+    const pen = parseNum(e.penPoints);
+    const qb = e.qbActive ? "ACTIVE" : normalizeText(e.qualiBan) ? "Served" : "—";
+
+    drawCardStat(ctx, colX(0), ey, statCols[0], `P${normalizeText(e.pos) || "?"}`);
+    drawCardStat(ctx, colX(1), ey, statCols[1], normalizeText(e.nett) || "0");
+    drawCardStat(ctx, colX(2), ey, statCols[2], e.gap === 0 ? "Leader" : formatDiff(e.gap));
+
+    const cls = normalizeText(e.className);
+    const clsStyle = classBadgeStyle(cls, theme);
+    if (cls && clsStyle) {
+      ctx.font = themeFont(ctx, 600, 11.5);
+      ctx.fillStyle = colors.muted;
+      ctx.fillText(statCols[3], colX(3), ey + 22);
+      drawPill(ctx, colX(3), ey + 48, cls, clsStyle);
+    } else {
+      drawCardStat(ctx, colX(3), ey, statCols[3], cls || "—");
+    }
+
+    drawCardStat(ctx, colX(4), ey, statCols[4], normalizeText(e.carNo) ? `#${normalizeCarLabel(e.carNo)}` : "—");
+    ctx.font = themeFont(ctx, 700, 18);
+    const carTextW = ctx.measureText(normalizeText(e.carNo) ? `#${normalizeCarLabel(e.carNo)}` : "—").width;
+    await drawCarIcon(ctx, e, colX(4) + carTextW + 6, ey + 31, 18);
+
+    drawCardStat(ctx, colX(5), ey, statCols[5], e.isSprint ? String(pen) : "—", e.isSprint && pen > 0 ? colors.penalty : colors.text);
+    drawCardStat(ctx, colX(6), ey, statCols[6], e.isSprint ? qb : "—", e.qbActive ? colors.penalty : colors.text);
+  }
+
+  return canvas.toBuffer("image/png");
+}
+
+// ---- Render: Head-to-head comparison (/compare) ----
+// card: {
+//   left:  { driver, countryImg },
+//   right: { driver, countryImg },
+//   subtitle,
+//   sections: [{ series, tint, isSprint, of, left: entry, right: entry, h2h: { left, right, rounds } | null }]
+// }
+// entry: the same row shape as renderDriverCardPng entries (pos, nett, gap, racePts, qualiPts, flPts, ...).
+// The better value of each stat is drawn in green.
+const CMP_HEAD_H = 92;
+const CMP_SECTION_HEAD_H = 40;
+const CMP_STAT_H = 30;
+const CMP_SECTION_GAP = 12;
+
+// [label, value(entry) -> string, score(entry) -> number | null, "high" | "low" is better]
+function compareStatsFor(section) {
+  const has = (key) => [section.left, section.right].some((e) => normalizeText(e?.[key]));
+  const num = (key) => (e) => (normalizeText(e?.[key]) ? parseNum(e[key]) : null);
+
+  const stats = [
+    ["Position", (e) => `P${normalizeText(e.pos) || "?"}`, num("pos"), "low"],
+    ["Nett", (e) => normalizeText(e.nett) || "0", num("nett"), "high"],
+    ["Gap to leader", (e) => (e.gap === 0 ? "Leader" : formatDiff(e.gap)), (e) => e.gap, "high"],
+  ];
+  if (has("racePts")) stats.push(["Race points", (e) => normalizeText(e.racePts) || "—", num("racePts"), "high"]);
+  if (has("qualiPts")) stats.push(["Quali points", (e) => normalizeText(e.qualiPts) || "—", num("qualiPts"), "high"]);
+  if (has("flPts")) stats.push(["Fastest lap points", (e) => normalizeText(e.flPts) || "—", num("flPts"), "high"]);
+  if (section.isSprint) {
+    stats.push(["Penalty points", (e) => String(parseNum(e.penPoints)), (e) => parseNum(e.penPoints), "low"]);
+  }
+  if (has("className")) stats.push(["Class", (e) => normalizeText(e.className) || "—", () => null, "high", "class"]);
+  stats.push(["Car", (e) => (normalizeText(e.carNo) ? `#${normalizeCarLabel(e.carNo)}` : "—"), () => null, "high", "car"]);
+  if (section.h2h && section.h2h.rounds > 0) {
+    stats.push([
+      `Rounds won head-to-head (of ${section.h2h.rounds})`,
+      (e) => String(e === section.left ? section.h2h.left : section.h2h.right),
+      (e) => (e === section.left ? section.h2h.left : section.h2h.right),
+      "high",
+    ]);
+  }
+  return stats;
+}
+
+function compareSectionHeight(section) {
+  return CMP_SECTION_HEAD_H + compareStatsFor(section).length * CMP_STAT_H + 10;
+}
+
+async function renderCompareCardPng(card, opts = {}) {
+  const theme = opts.theme || DEFAULT_THEME;
+  const { colors, layout } = theme;
+
+  const C = card || { left: {}, right: {}, sections: [] };
+  const sections = Array.isArray(C.sections) ? C.sections : [];
+
+  const W = 900;
+  const cardW = W - layout.outerPad * 2;
+  const cardH =
+    CMP_HEAD_H + sections.reduce((a, s) => a + compareSectionHeight(s) + CMP_SECTION_GAP, 0) + layout.padInner;
+  const H = layout.outerPad * 2 + cardH;
+
+  const { canvas, ctx } = startCanvas(W, H, theme);
+
+  await drawWatermark(ctx, W, H);
+
+  const x = layout.outerPad;
+  const y = layout.outerPad;
+  const pad = layout.padInner;
+
+  const g = ctx.createLinearGradient(0, y, 0, y + cardH);
+  g.addColorStop(0, colors.cardTop);
+  g.addColorStop(1, colors.cardBottom);
+  roundRect(ctx, x, y, cardW, cardH, 18);
+  ctx.fillStyle = g;
+  ctx.fill();
+  ctx.strokeStyle = colors.cardStroke;
+  ctx.lineWidth = 1;
+  ctx.stroke();
+
+  // Value columns sit either side of a centred label column.
+  const leftX = x + pad + 150;
+  const rightX = x + cardW - pad - 150;
+  const midX = x + cardW / 2;
+
+  // Header: flag + name on each side, "vs" in the middle
+  const flagBox = 24;
+  ctx.textBaseline = "alphabetic";
+  for (const [side, cx] of [["left", leftX], ["right", rightX]]) {
+    const d = C[side] || {};
+    const name = splitPenaltySuffix(d.driver).base || "—";
+    ctx.font = themeFont(ctx, 700, 22);
+    const nameW = ctx.measureText(name).width;
+    const startX = cx - (flagBox + 8 + nameW) / 2;
+
+    const flagImg = await loadFlagImage(normalizeText(d.countryImg));
+    if (flagImg) {
+      const fit = fitContain(flagImg.width, flagImg.height, flagBox, flagBox);
+      ctx.imageSmoothingEnabled = true;
+      ctx.imageSmoothingQuality = "high";
+      ctx.drawImage(flagImg, startX + fit.x, y + 18 + fit.y, fit.w, fit.h);
+    }
+
+    ctx.textAlign = "left";
+    ctx.fillStyle = colors.text;
+    ctx.fillText(name, startX + flagBox + 8, y + 38);
+  }
+
+  ctx.textAlign = "center";
+  ctx.font = themeFont(ctx, 900, 17);
+  ctx.fillStyle = colors.muted;
+  ctx.fillText("VS", midX, y + 37);
+
+  ctx.font = themeFont(ctx, 500, 12.5);
+  ctx.fillText(C.subtitle || "", midX, y + 66);
+
+  // Sections (one per shared series)
+  let sy = y + CMP_HEAD_H;
+  for (const s of sections) {
+    const sh = compareSectionHeight(s);
+    const sx = x + pad;
+    const sw = cardW - pad * 2;
+
+    ctx.save();
+    roundRect(ctx, sx, sy, sw, sh, 12);
+    ctx.fillStyle = colors.strip;
+    ctx.fill();
+    ctx.clip();
+    const rgb = hexToRgb(s.tint);
+    if (rgb) {
+      ctx.fillStyle = `rgba(${rgb.r},${rgb.g},${rgb.b},0.85)`;
+      ctx.fillRect(sx, sy, 5, sh);
+      ctx.fillStyle = `rgba(${rgb.r},${rgb.g},${rgb.b},${theme.tint.alpha})`;
+      ctx.fillRect(sx, sy, sw, sh);
+    }
+    ctx.restore();
+
+    ctx.textAlign = "left";
+    ctx.textBaseline = "alphabetic";
+    ctx.font = themeFont(ctx, 700, 15);
+    ctx.fillStyle = colors.text;
+    ctx.fillText(normalizeText(s.series), sx + 18, sy + 26);
+    if (s.of) {
+      ctx.textAlign = "right";
+      ctx.font = themeFont(ctx, 500, 12);
+      ctx.fillStyle = colors.muted;
+      ctx.fillText(`${s.of} drivers`, sx + sw - 14, sy + 26);
+    }
+
+    const stats = compareStatsFor(s);
+    for (let i = 0; i < stats.length; i++) {
+      const [label, valueOf, scoreOf, better, kind] = stats[i];
+      const ry = sy + CMP_SECTION_HEAD_H + i * CMP_STAT_H;
+      const midY = ry + CMP_STAT_H / 2;
+
+      ctx.fillStyle = i % 2 === 0 ? colors.rowEven : colors.rowOdd;
+      ctx.fillRect(sx + 10, ry, sw - 20, CMP_STAT_H);
+
+      ctx.font = themeFont(ctx, 600, 12.5);
+      ctx.fillStyle = colors.header;
+      drawText(ctx, label, midX, midY, "center");
+
+      const a = scoreOf(s.left);
+      const b = scoreOf(s.right);
+      const comparable = typeof a === "number" && typeof b === "number" && a !== b;
+      const leftWins = comparable && (better === "low" ? a < b : a > b);
+      const rightWins = comparable && !leftWins;
+
+      for (const [e, cx, wins] of [[s.left, leftX, leftWins], [s.right, rightX, rightWins]]) {
+        const text = valueOf(e || {});
+
+        if (kind === "class" && classBadgeStyle(text, theme)) {
+          ctx.save();
+          ctx.font = themeFont(ctx, 900, 17);
+          const pillW = Math.ceil(ctx.measureText(text).width) + 24;
+          ctx.restore();
+          drawPill(ctx, cx - pillW / 2, midY + 7, text, classBadgeStyle(text, theme));
+          continue;
+        }
+
+        ctx.font = themeFont(ctx, 700, 16);
+        ctx.fillStyle = wins ? colors.moveUp : colors.text;
+
+        if (kind === "car") {
+          // "#27" + make logo (detectLogoKey / assets/makes.json via drawCarIcon), centred together
+          const iconBox = 18;
+          const textW = ctx.measureText(text).width;
+          const startX = cx - (textW + 6 + iconBox) / 2;
+          drawText(ctx, text, startX, midY, "left");
+          await drawCarIcon(ctx, e, startX + textW + 6, midY - iconBox / 2, iconBox);
+          continue;
+        }
+
+        drawText(ctx, text, cx, midY, "center");
+      }
+    }
+
+    sy += sh + CMP_SECTION_GAP;
+  }
+
+  return canvas.toBuffer("image/png");
+}
+
+function normalizeCarLabel(carNo) {
+  return normalizeText(carNo).replace(/^#/, "");
+}
+
 module.exports = {
+  renderPaneStandingsPng,
+  renderStandingsRowPng,
   renderTripleStandingsPng,
   renderDoubleStandingsPng,
   renderSeriesOnlyPng,
   renderClassGridPng,
+  renderDriverCardPng,
+  renderRaceResultsPng,
+  renderPointsChartPng,
+  renderCompareCardPng,
+  setImageSource,
+  setImageCache,
+  clearLogoCache,
+  detectLogoKey,
 };
@@ -0,0 +1,53 @@
+// roundsrun.js
+// Rounds run per series, counted from the round results pages (series "resultsUrl").
+//
+// The count only moves forward. The first count walks R1, R2, … until a round isn't held; after that a check
+// only asks for round completed+1 (and carries on while rounds keep turning up, e.g. after a double header).
+// Checks within recheckMs of the last successful one answer from memory without asking at all.
+// A failed check (anything but "not held") throws and keeps whatever was counted so far.
+// seed() starts a count from a number recorded earlier (history.js snapshots carry "round"), so a restart
+// doesn't walk the season again.
+//
+// Exports:
+// - createRoundsRunCounter({ recheckMs, now })
+//     .count(key, max, isHeld) -> completed   // key: series + season; isHeld: async (round) -> boolean, throws on real failures
+//     .known(key)                            // last count for key, or null before the first successful check
+//     .seed(key, completed)                  // raise the starting point; never lowers a count
+
+function createRoundsRunCounter({ recheckMs = 5 * 60 * 1000, now = () => Date.now() } = {}) {
+  const entries = new Map(); // key -> { completed, checkedAt }
+  const pending = new Map(); // key -> in-flight check, so concurrent renders share one probe
+
+  async function check(entry, max, isHeld) {
+    while (entry.completed < max && (await isHeld(entry.completed + 1))) entry.completed++;
+    entry.checkedAt = now();
+    return entry.completed;
+  }
+
+  function count(key, max, isHeld) {
+    if (!entries.has(key)) entries.set(key, { completed: 0, checkedAt: null });
+    const entry = entries.get(key);
+    if (entry.checkedAt !== null && now() - entry.checkedAt < recheckMs) return Promise.resolve(entry.completed);
+
+    if (!pending.has(key)) pending.set(key, check(entry, max, isHeld).finally(() => pending.delete(key)));
+    return pending.get(key);
+  }
+
+  function known(key) {
+    const entry = entries.get(key);
+    return entry && entry.checkedAt !== null ? entry.completed : null;
+  }
+
+  function seed(key, completed) {
+    if (!Number.isInteger(completed) || completed < 0) return;
+    const entry = entries.get(key);
+    if (!entry) entries.set(key, { completed, checkedAt: null });
+    else entry.completed = Math.max(entry.completed, completed);
+  }
+
+  return { count, known, seed };
+}
+
+module.exports = {
+  createRoundsRunCounter,
+};
@@ -0,0 +1,219 @@
+// scoring.js
+// Recomputes championship points from per-round results, so standings don't depend on the site's
+// own total / nett columns (late updates on OOR, SimGrid copying nett from total).
+//
+// Per series, config.json "series[].scoring" (validated by scoringFromConfig):
+//   "scoring": {
+//     "points": [25, 18, 15, 12, 10, 8, 6, 4, 2, 1], // race points by finishing position, or "site" for the results page's Pts column
+//     "qualiPoints": [3, 2, 1],                      // optional: by grid position
+//     "fastestLap": 1,                               // optional: bonus for the round's best lap (classified finishers only)
+//     "drop": 2,                                     // optional: worst N rounds don't count toward nett
+//     "maxRounds": 20,                               // optional: stop looking for rounds after this many
+//     "apply": false                                 // optional: show the computed columns on the board
+//   }
+// Rounds a driver missed score 0 and are dropped first. Drops never exceed (rounds held - 1).
+//
+// Exports:
+// - scoringFromConfig(raw, label)                  // null when raw is missing
+// - scoreRound(rows, scoring)                      // [{ driver, carNo, pos, racePts, qualiPts, flPts, points }]
+// - computeStandings(rounds, scoring, { key })     // standings rows (see below), best first
+//     rounds: [{ round, rows }] in order; rows as parsed by standings.parseRoundResultsHtml
+//     -> [{ pos, driver, carNo, racePts, qualiPts, flPts, total, nett, diff, roundPoints: [n], dropped: [roundIdx] }]
+// - standingsDiscrepancies(computed, scraped, { key }) // [{ driver, field, scraped, computed }]
+// key(name) matches drivers across rounds / tables (identities.js registry.key; default: lower-cased name).
+
+function normalize(s) {
+  return String(s || "").replace(/\s+/g, " ").trim();
+}
+
+function toNumber(v) {
+  const n = Number(String(v || "").replace(/[^\d.-]/g, ""));
+  return Number.isFinite(n) ? n : 0;
+}
+
+function defaultKey(name) {
+  return normalize(name).toLowerCase();
+}
+
+// "1:31.402" / "91.402" -> seconds (0 when missing)
+function lapSeconds(s) {
+  const t = normalize(s);
+  if (!t) return 0;
+  const parts = t.split(":").map(Number);
+  if (parts.some((n) => !Number.isFinite(n))) return 0;
+  return parts.reduce((acc, n) => acc * 60 + n, 0);
+}
+
+function pointsList(v, label, name) {
+  if (v === undefined) return [];
+  if (!Array.isArray(v) || v.some((n) => !Number.isFinite(Number(n)) || Number(n) < 0)) {
+    throw new Error(`${name} for ${label} in config.json must be a list of non-negative numbers`);
+  }
+  return v.map(Number);
+}
+
+function scoringFromConfig(raw, label) {
+  if (raw === undefined || raw === null) return null;
+  if (typeof raw !== "object" || Array.isArray(raw)) throw new Error(`scoring for ${label} in config.json must be an object`);
+
+  const site = normalize(raw.points).toLowerCase() === "site";
+  const points = site ? [] : pointsList(raw.points, label, "scoring.points");
+  if (!site && !points.length) throw new Error(`scoring.points for ${label} in config.json must be a points list or "site"`);
+
+  const whole = (v, name, dflt) => {
+    if (v === undefined) return dflt;
+    const n = Number(v);
+    if (!Number.isInteger(n) || n < 0) throw new Error(`${name} for ${label} in config.json must be a whole number`);
+    return n;
+  };
+
+  return {
+    points,
+    sitePoints: site,
+    qualiPoints: pointsList(raw.qualiPoints, label, "scoring.qualiPoints"),
+    fastestLap: Number(raw.fastestLap) > 0 ? Number(raw.fastestLap) : 0,
+    drop: whole(raw.drop, "scoring.drop", 0),
+    maxRounds: whole(raw.maxRounds, "scoring.maxRounds", 30) || 30,
+    apply: !!raw.apply,
+  };
+}
+
+function scoreRound(rows, scoring) {
+  const list = (rows || []).filter((r) => normalize(r.driver));
+
+  // Fastest lap among classified finishers (a numeric finishing position).
+  let flRow = null;
+  if (scoring.fastestLap) {
+    let best = Infinity;
+    for (const r of list) {
+      const t = lapSeconds(r.bestLap);
+      if (toNumber(r.pos) > 0 && t > 0 && t < best) {
+        best = t;
+        flRow = r;
+      }
+    }
+  }
+
+  return list.map((r) => {
+    const pos = /^\d+$/.test(normalize(r.pos)) ? Number(normalize(r.pos)) : 0;
+    const grid = /^\d+$/.test(normalize(r.grid)) ? Number(normalize(r.grid)) : 0;
+
+    const racePts = scoring.sitePoints ? toNumber(r.points) : pos > 0 ? scoring.points[pos - 1] || 0 : 0;
+    const qualiPts = grid > 0 ? scoring.qualiPoints[grid - 1] || 0 : 0;
+    const flPts = r === flRow ? scoring.fastestLap : 0;
+
+    return {
+      driver: normalize(r.driver),
+      carNo: normalize(r.carNo),
+      pos,
+      racePts,
+      qualiPts,
+      flPts,
+      points: racePts + qualiPts + flPts,
+    };
+  });
+}
+
+// Countback: better best finishes first (most wins, then most 2nds, ...).
+function countback(a, b) {
+  const len = Math.max(a.finishes.length, b.finishes.length);
+  for (let i = 0; i < len; i++) {
+    const d = (b.finishes[i] || 0) - (a.finishes[i] || 0);
+    if (d) return d;
+  }
+  return 0;
+}
+
+function computeStandings(rounds, scoring, { key = defaultKey } = {}) {
+  const list = rounds || [];
+  const drivers = new Map(); // key -> accumulator
+
+  list.forEach(({ rows }, ri) => {
+    for (const s of scoreRound(rows, scoring)) {
+      const k = key(s.driver);
+      if (!drivers.has(k)) {
+        drivers.set(k, {
+          driver: s.driver,
+          carNo: s.carNo,
+          racePts: 0,
+          qualiPts: 0,
+          flPts: 0,
+          roundPoints: list.map(() => 0),
+          finishes: [],
+        });
+      }
+      const d = drivers.get(k);
+      // Latest spelling / car number wins.
+      d.driver = s.driver;
+      d.carNo = s.carNo || d.carNo;
+      d.racePts += s.racePts;
+      d.qualiPts += s.qualiPts;
+      d.flPts += s.flPts;
+      d.roundPoints[ri] += s.points;
+      if (s.pos > 0) d.finishes[s.pos - 1] = (d.finishes[s.pos - 1] || 0) + 1;
+    }
+  });
+
+  const drop = Math.min(scoring.drop || 0, Math.max(0, list.length - 1));
+
+  const out = [...drivers.values()].map((d) => {
+    const total = d.roundPoints.reduce((a, n) => a + n, 0);
+    const worst = d.roundPoints
+      .map((n, i) => ({ n, i }))
+      .sort((a, b) => a.n - b.n || b.i - a.i)
+      .slice(0, drop);
+    return {
+      ...d,
+      total,
+      nett: total - worst.reduce((a, w) => a + w.n, 0),
+      dropped: worst.map((w) => w.i).sort((a, b) => a - b),
+    };
+  });
+
+  out.sort((a, b) => b.nett - a.nett || b.total - a.total || countback(a, b) || a.driver.localeCompare(b.driver));
+
+  const leader = out.length ? out[0].nett : 0;
+  return out.map(({ finishes, ...d }, i) => ({
+    ...d,
+    pos: String(i + 1),
+    racePts: String(d.racePts),
+    qualiPts: String(d.qualiPts),
+    flPts: String(d.flPts),
+    total: String(d.total),
+    nett: String(d.nett),
+    diff: String(i === 0 ? 0 : d.nett - leader),
+  }));
+}
+
+function standingsDiscrepancies(computed, scraped, { key = defaultKey } = {}) {
+  const byKey = new Map((scraped || []).map((r) => [key(r.driver), r]));
+  const seen = new Set();
+  const out = [];
+
+  for (const c of computed || []) {
+    const k = key(c.driver);
+    seen.add(k);
+    const s = byKey.get(k);
+    if (!s) {
+      out.push({ driver: c.driver, field: "missing", scraped: "", computed: c.nett });
+      continue;
+    }
+    for (const field of ["total", "nett"]) {
+      if (toNumber(s[field]) !== toNumber(c[field])) {
+        out.push({ driver: c.driver, field, scraped: String(toNumber(s[field])), computed: c[field] });
+      }
+    }
+  }
+
+  for (const s of scraped || []) {
+    if (!seen.has(key(s.driver))) out.push({ driver: normalize(s.driver), field: "extra", scraped: String(toNumber(s.nett)), computed: "" });
+  }
+  return out;
+}
+
+module.exports = {
+  scoringFromConfig,
+  scoreRound,
+  computeStandings,
+  standingsDiscrepancies,
+};
@@ -0,0 +1,293 @@
+// sheets.js
+// Minimal spreadsheet readers for the penalty sheet sources (see penalties.js).
+// Every reader returns the same plain table: { headers: ["Car #", "Name", …], rows: [["27", "Ava Nguyen", …]] }
+// with every cell as a string ("" for blanks).
+//
+// Exports:
+// - parseCsv(text)                           // RFC 4180: quoted fields, "" escapes, CRLF/LF, BOM
+// - csvTable(text, { headerRow })            // headerRow is 1-based (default 1); rows above it are skipped
+// - xlsxSheetNames(buf)
+// - xlsxTable(buf, sheetName, { headerRow }) // .xlsx (Office Open XML); no formulas are evaluated, cached values are read;
+//                                            // date-formatted numbers come out as "2026-01-08" / "19:30:00" / "2026-01-01 19:30:00"
+// - jsonTable(value)                         // [{ "Car #": "27", … }] -> table (headers = keys in first-seen order)
+// - columnSpec(value)                        // config value -> { col } | { header } | shorthand string; null if unusable
+// - columnIndex(headers, spec)               // -> 0-based index, -1 when the header isn't there
+// - describeColumn(spec)                     // for error messages: "column C" / "'Total' column"
+//
+// Column specs:
+//   { "col": "C" }        the column at that letter ("c" works too), whatever its header says
+//   { "header": "Total" } the column whose header matches (case-insensitive)
+//   "Total" / "C"         shorthand: a matching header label wins, otherwise 1–2 column letters (any case)
+
+const zlib = require("zlib");
+const cheerio = require("cheerio");
+
+function cell(v) {
+  return v === null || v === undefined ? "" : String(v);
+}
+
+// ---- CSV ----
+function parseCsv(text) {
+  const s = String(text || "").replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+    if (quoted) {
+      if (ch === '"' && s[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && s[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+function tableFromGrid(grid, headerRow = 1) {
+  const at = Math.max(1, Math.floor(Number(headerRow) || 1)) - 1;
+  const headers = (grid[at] || []).map((h) => cell(h).trim());
+  const rows = grid.slice(at + 1).filter((r) => r.some((c) => cell(c).trim()));
+  return { headers, rows: rows.map((r) => Array.from({ length: Math.max(headers.length, r.length) }, (_, i) => cell(r[i]))) };
+}
+
+function csvTable(text, { headerRow = 1 } = {}) {
+  return tableFromGrid(parseCsv(text), headerRow);
+}
+
+// ---- XLSX (zip of XML parts) ----
+// Reads the central directory so entries written with data descriptors still get correct sizes.
+function unzipEntries(buf) {
+  const EOCD_SIG = 0x06054b50;
+  let eocd = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 22 - 0xffff); i--) {
+    if (buf.readUInt32LE(i) === EOCD_SIG) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error("XLSX: not a zip file");
+
+  const count = buf.readUInt16LE(eocd + 10);
+  let p = buf.readUInt32LE(eocd + 16);
+  const entries = new Map();
+
+  for (let n = 0; n < count; n++) {
+    if (buf.readUInt32LE(p) !== 0x02014b50) throw new Error("XLSX: corrupt zip directory");
+    const method = buf.readUInt16LE(p + 10);
+    const compressedSize = buf.readUInt32LE(p + 20);
+    const nameLen = buf.readUInt16LE(p + 28);
+    const extraLen = buf.readUInt16LE(p + 30);
+    const commentLen = buf.readUInt16LE(p + 32);
+    const localOffset = buf.readUInt32LE(p + 42);
+    const name = buf.toString("utf8", p + 46, p + 46 + nameLen);
+
+    entries.set(name, () => {
+      const dataStart = localOffset + 30 + buf.readUInt16LE(localOffset + 26) + buf.readUInt16LE(localOffset + 28);
+      const data = buf.subarray(dataStart, dataStart + compressedSize);
+      if (method === 0) return data.toString("utf8");
+      if (method === 8) return zlib.inflateRawSync(data).toString("utf8");
+      throw new Error(`XLSX: unsupported zip compression method ${method} for ${name}`);
+    });
+    p += 46 + nameLen + extraLen + commentLen;
+  }
+  return entries;
+}
+
+function xmlPart(entries, name) {
+  const read = entries.get(name);
+  return read ? cheerio.load(read(), { xml: true }) : null;
+}
+
+function xlsxWorkbook(buf) {
+  const entries = unzipEntries(Buffer.from(buf));
+  const wb = xmlPart(entries, "xl/workbook.xml");
+  if (!wb) throw new Error("XLSX: missing xl/workbook.xml");
+
+  const rels = xmlPart(entries, "xl/_rels/workbook.xml.rels");
+  const targets = new Map();
+  rels?.("Relationship").each((_, el) => targets.set(rels(el).attr("Id"), rels(el).attr("Target")));
+
+  const sheets = wb("sheet")
+    .toArray()
+    .map((el) => {
+      const target = String(targets.get(wb(el).attr("r:id")) || "");
+      return { name: wb(el).attr("name"), path: target.startsWith("/") ? target.slice(1) : `xl/${target}` };
+    });
+
+  return { entries, sheets, date1904: ["1", "true"].includes(wb("workbookPr").attr("date1904")) };
+}
+
+function xlsxSheetNames(buf) {
+  return xlsxWorkbook(buf).sheets.map((s) => s.name);
+}
+
+function columnNumber(letters) {
+  return [...letters.toUpperCase()].reduce((n, ch) => n * 26 + (ch.charCodeAt(0) - 64), 0) - 1;
+}
+
+// Text of an <si> / <is>: plain or rich-text runs, without the <rPh> phonetic (furigana) runs.
+function richText($, el) {
+  return $(el)
+    .find("t")
+    .toArray()
+    .filter((t) => !$(t).parents("rPh").length)
+    .map((t) => $(t).text())
+    .join("");
+}
+
+// Built-in number formats 14–22 are dates/times: 14–17 date, 18–21 time, 22 date + time.
+function builtinDateFormat(id) {
+  if (id >= 14 && id <= 17) return "date";
+  if (id >= 18 && id <= 21) return "time";
+  return id === 22 ? "datetime" : null;
+}
+
+// Custom format code -> "date" | "time" | "datetime" | null. Quoted text, escapes and [colour]/[locale] parts are
+// ignored; "m" alone is a month, next to h or s it's minutes.
+function customDateFormat(code) {
+  const bare = String(code || "")
+    .split(";")[0]
+    .replace(/"[^"]*"|\\.|_.|\*.|\[(?!h\]|m\]|s\])[^\]]*\]/gi, "");
+  const hasDate = /[yd]/i.test(bare) || (/m/i.test(bare) && !/[hs]/i.test(bare));
+  const hasTime = /[hs]/i.test(bare);
+  return hasDate && hasTime ? "datetime" : hasDate ? "date" : hasTime ? "time" : null;
+}
+
+// cellXfs index (a cell's "s") -> "date" | "time" | "datetime" | null
+function xlsxDateStyles(entries) {
+  const st = xmlPart(entries, "xl/styles.xml");
+  if (!st) return [];
+  const custom = new Map();
+  st("numFmts > numFmt").each((_, el) => custom.set(Number(st(el).attr("numFmtId")), st(el).attr("formatCode")));
+  return st("cellXfs > xf")
+    .toArray()
+    .map((xf) => {
+      const id = Number(st(xf).attr("numFmtId")) || 0;
+      return builtinDateFormat(id) || (custom.has(id) ? customDateFormat(custom.get(id)) : null);
+    });
+}
+
+// Serial day number -> ISO-style text. The 1900 system counts from 1899-12-30 (Excel's phantom 29 Feb 1900 makes
+// this right from March 1900 on), the 1904 system from 1904-01-01.
+function serialDate(serial, kind, date1904) {
+  const epoch = date1904 ? Date.UTC(1904, 0, 1) : Date.UTC(1899, 11, 30);
+  const iso = new Date(epoch + Math.round(serial * 86400) * 1000).toISOString();
+  if (kind === "date") return iso.slice(0, 10);
+  if (kind === "time") return iso.slice(11, 19);
+  return `${iso.slice(0, 10)} ${iso.slice(11, 19)}`;
+}
+
+function xlsxTable(buf, sheetName, { headerRow = 1 } = {}) {
+  const { entries, sheets, date1904 } = xlsxWorkbook(buf);
+  const sheet = sheets.find((s) => String(s.name).toLowerCase() === String(sheetName).toLowerCase());
+  if (!sheet) throw new Error(`XLSX: no sheet named '${sheetName}' (have: ${sheets.map((s) => s.name).join(", ")})`);
+
+  const ss = xmlPart(entries, "xl/sharedStrings.xml");
+  const shared = ss ? ss("si").toArray().map((si) => richText(ss, si)) : [];
+  const dateStyles = xlsxDateStyles(entries);
+
+  const $ = xmlPart(entries, sheet.path);
+  if (!$) throw new Error(`XLSX: missing ${sheet.path}`);
+
+  const grid = [];
+  $("sheetData > row").each((ri, rowEl) => {
+    const rowNo = Number($(rowEl).attr("r")) || ri + 1;
+    const out = [];
+    $(rowEl)
+      .children("c")
+      .each((ci, c) => {
+        const ref = String($(c).attr("r") || "");
+        const col = /^[A-Z]+/i.test(ref) ? columnNumber(ref.match(/^[A-Z]+/i)[0]) : ci;
+        const type = $(c).attr("t");
+        const v = $(c).children("v").text();
+        let value = v;
+        if (type === "s") value = shared[Number(v)] ?? "";
+        else if (type === "inlineStr") value = richText($, $(c).children("is"));
+        else if (type === "b") value = v === "1" ? "TRUE" : "FALSE";
+        else if ((!type || type === "n") && v !== "" && Number.isFinite(Number(v))) {
+          const kind = dateStyles[Number($(c).attr("s")) || 0];
+          if (kind) value = serialDate(Number(v), kind, date1904);
+        }
+        out[col] = value;
+      });
+    grid[rowNo - 1] = Array.from(out, cell);
+  });
+
+  return tableFromGrid(Array.from(grid, (r) => r || []), headerRow);
+}
+
+// ---- JSON ----
+function jsonTable(value) {
+  if (!Array.isArray(value)) throw new Error("JSON penalty data must be an array of row objects");
+  const headers = [];
+  for (const r of value) for (const k of Object.keys(r || {})) if (!headers.includes(k)) headers.push(k);
+  return { headers, rows: value.map((r) => headers.map((h) => cell(r?.[h]))) };
+}
+
+// ---- columns ----
+const COLUMN_LETTERS = /^[A-Z]{1,2}$/i;
+
+function columnSpec(value) {
+  if (typeof value === "string") return value.trim() ? value.replace(/\s+/g, " ").trim() : null;
+  if (!value || typeof value !== "object" || Array.isArray(value) || Object.keys(value).length !== 1) return null;
+  if (typeof value.col === "string" && COLUMN_LETTERS.test(value.col.trim())) return { col: value.col.trim().toUpperCase() };
+  if (typeof value.header === "string" && value.header.trim()) return { header: value.header.replace(/\s+/g, " ").trim() };
+  return null;
+}
+
+function headerIndex(headers, label) {
+  const want = String(label || "").trim().toLowerCase();
+  if (!want) return -1;
+  return headers.findIndex((h) => String(h).trim().toLowerCase() === want);
+}
+
+function columnIndex(headers, spec) {
+  if (spec && typeof spec === "object") {
+    if (spec.col !== undefined) return COLUMN_LETTERS.test(String(spec.col).trim()) ? columnNumber(String(spec.col).trim()) : -1;
+    return headerIndex(headers, spec.header);
+  }
+  const want = String(spec || "").trim();
+  const byLabel = headerIndex(headers, want);
+  if (byLabel >= 0) return byLabel;
+  return COLUMN_LETTERS.test(want) ? columnNumber(want) : -1;
+}
+
+function describeColumn(spec) {
+  if (spec && typeof spec === "object" && spec.col !== undefined) return `column ${String(spec.col).toUpperCase()}`;
+  return `'${spec && typeof spec === "object" ? spec.header : spec}' column`;
+}
+
+module.exports = {
+  parseCsv,
+  csvTable,
+  xlsxSheetNames,
+  xlsxTable,
+  jsonTable,
+  columnSpec,
+  columnIndex,
+  describeColumn,
+};
@@ -1,6 +1,7 @@
 // standings.js
 const axios = require("axios");
 const cheerio = require("cheerio");
+const { makeKeyFromText, makeKeyFromUrl } = require("./makes");
 
 const DEBUG = process.env.DEBUG_OOR === "1";
 
@@ -159,13 +160,15 @@ function parseRows($, $table, colMap, trimLast) {
     if (trimLast && $tds.length > 0) $tds = $tds.slice(0, -1);
 
     const getCell = (idx) => (idx >= 0 ? $tds.eq(idx) : null);
+    const carImg = cellImageSrc(getCell(colMap.carImg));
 
     const row = {
       pos: cellText(getCell(colMap.pos)),
       driver: cellText(getCell(colMap.driver)),
       carNo: cellText(getCell(colMap.carNo)),
       className: cellText(getCell(colMap.className)),
-      carImg: cellImageSrc(getCell(colMap.carImg)),
+      carImg,
+      carMakeKey: makeKeyFromUrl(carImg), // OOR only has the team logo URL (TEAMS-2021_McLaren.png)
       racePts: cellText(getCell(colMap.racePts)),
       qualiPts: cellText(getCell(colMap.qualiPts)),
       flPts: cellText(getCell(colMap.flPts)),
@@ -190,7 +193,12 @@ async function fetchStandingsGeneric(url, labelForLogs) {
     }
   });
 
-  const $ = cheerio.load(res.data);
+  return parseStandingsGenericHtml(res.data, labelForLogs, url);
+}
+
+// Parses any DevExpress grid page (picks the best-looking grid table, maps columns by header text).
+function parseStandingsGenericHtml(html, labelForLogs, url = "") {
+  const $ = cheerio.load(html);
 
   const $table = pickBestDxGridTable($);
   if (!$table) throw new Error("Could not locate the main DevExpress standings table.");
@@ -257,6 +265,249 @@ async function fetchSprintStandings(url) {
 }
 
 
+// ------------------------------
+// OOR results page (table#PageContent_TeamsView_DXMainTable) — used by index.js for every OOR series
+// ------------------------------
+function normalize(s) {
+  return String(s || "").replace(/\s+/g, " ").trim();
+}
+
+function getHeaderCaption($, td) {
+  const $td = $(td);
+  const cap1 = normalize($td.find(".dx-ellipsis").first().text());
+  if (cap1) return cap1;
+  return normalize($td.text());
+}
+
+function findColumnIndex(headers, possibleNames) {
+  const want = possibleNames.map((x) => x.toLowerCase());
+  for (let i = 0; i < headers.length; i++) {
+    const h = normalize(headers[i]).toLowerCase();
+    if (want.includes(h)) return i;
+  }
+  return -1;
+}
+
+function getBestTextFromCell($, td) {
+  const $td = $(td);
+  const a = normalize($td.find("a").first().text());
+  if (a) return a;
+  const t = normalize($td.text());
+  if (t) return t;
+  const title = normalize($td.attr("title"));
+  if (title) return title;
+  const aria = normalize($td.attr("aria-label"));
+  if (aria) return aria;
+  return "";
+}
+
+function getImgSrcFromCell($, td) {
+  const src = $(td).find("img").first().attr("src");
+  return src ? String(src).trim() : "";
+}
+
+function parseStandingsTable(html, tableId, label) {
+  const $ = cheerio.load(html);
+
+  const table = $(`table#${tableId}`);
+  if (!table.length) throw new Error(`Could not find table#${tableId}`);
+
+  const headerRow = table.find("tr[id$='_DXHeadersRow0']").first();
+  if (!headerRow.length) throw new Error(`Could not find header row for ${label}`);
+
+  // ✅ ONLY direct header TDs
+  const headerCells = headerRow.children("td").toArray();
+  const headers = headerCells.map((td) => getHeaderCaption($, td));
+
+  const idx = {
+    pos: findColumnIndex(headers, ["#", "pos", "position"]),
+    driver: findColumnIndex(headers, ["driver"]),
+    carNo: findColumnIndex(headers, ["car#", "car #", "carno", "car no"]),
+    className: findColumnIndex(headers, ["class"]),
+    carImg: findColumnIndex(headers, ["car"]),
+    countryImg: findColumnIndex(headers, ["country", "cou..."]),
+    racePts: findColumnIndex(headers, ["race points", "race"]),
+    qualiPts: findColumnIndex(headers, ["quali points", "quali"]),
+    flPts: findColumnIndex(headers, ["fastest lap points", "fastest lap", "fl"]),
+    total: findColumnIndex(headers, ["total"]),
+    nett: findColumnIndex(headers, ["nett points", "nett"]),
+    diff: findColumnIndex(headers, ["diff.", "diff"]),
+  };
+
+  const dataRows = table.find("tr[id^='PageContent_TeamsView_DXDataRow']").toArray();
+  const rows = [];
+
+  for (const tr of dataRows) {
+    // ✅ ONLY direct TDs
+    const tds = $(tr).children("td").toArray();
+    if (!tds.length) continue;
+
+    const safeText = (i) => (i >= 0 && i < tds.length ? normalize($(tds[i]).text()) : "");
+    const carImg = idx.carImg >= 0 ? getImgSrcFromCell($, tds[idx.carImg]) : "";
+
+    rows.push({
+      pos: safeText(idx.pos),
+      driver: idx.driver >= 0 ? getBestTextFromCell($, tds[idx.driver]) : "",
+      carNo: safeText(idx.carNo),
+      className: idx.className >= 0 ? safeText(idx.className) : "",
+      carImg,
+      carMakeKey: makeKeyFromUrl(carImg),
+      countryImg: idx.countryImg >= 0 ? getImgSrcFromCell($, tds[idx.countryImg]) : "",
+      racePts: safeText(idx.racePts),
+      qualiPts: safeText(idx.qualiPts),
+      flPts: safeText(idx.flPts),
+      total: safeText(idx.total),
+      nett: safeText(idx.nett),
+      diff: safeText(idx.diff),
+    });
+  }
+
+  if (DEBUG) {
+    console.log("\n==============================");
+    console.log(`DEBUG_OOR: ${label}`);
+    console.log("Headers:", headers);
+    console.log("Column Map:", idx);
+    console.log("Parsed rows:", rows.length);
+    console.log("Sample row:", rows[0]);
+  }
+
+  return rows;
+}
+
+function validateRowsOrThrow(rows, label) {
+  if (!rows || rows.length === 0) throw new Error(`${label}: parsed 0 rows`);
+
+  const nonEmptyDrivers = rows.filter((r) => r.driver && r.driver.trim()).length;
+  const nonEmptyCars = rows.filter((r) => r.carImg && r.carImg.trim()).length;
+
+  if (nonEmptyDrivers < 3) throw new Error(`${label}: scrape looks empty (drivers missing).`);
+  if (nonEmptyCars < 3) throw new Error(`${label}: scrape looks empty (car images missing).`);
+}
+
+
+// ------------------------------
+// OOR per-round results page (one DevExpress grid per session)
+// ------------------------------
+
+// Race classification columns; the standings columns (Race/Quali/Nett…) don't exist on round pages.
+function mapResultColumnIndexes(headers) {
+  const h = headers.map(norm);
+  const findIndex = (fn) => h.findIndex(fn);
+
+  return {
+    pos: findIndex((x) => x === "#" || x === "pos" || x === "pos." || x === "position" || x === "fin"),
+    driver: findIndex((x) => x === "driver" || x.includes("driver")),
+    carNo: findIndex((x) => x.includes("car#") || x.includes("car #") || x === "no" || x === "no."),
+    className: findIndex((x) => x === "class" || x.includes("class")),
+    carImg: findIndex((x) => x === "car"),
+    countryImg: findIndex((x) => x === "country" || x.startsWith("cou")),
+    grid: findIndex((x) => x === "grid" || x === "start" || x.includes("grid pos") || x.includes("starting")),
+    laps: findIndex((x) => x === "laps" || x === "lap count"),
+    bestLap: findIndex((x) => x.includes("best lap") || x.includes("fastest lap") || x === "best"),
+    totalTime: findIndex((x) => x === "time" || x.includes("total time") || x.includes("race time")),
+    gap: findIndex((x) => x === "gap" || x.includes("interval") || x.includes("behind") || x.includes("diff")),
+    penalty: findIndex((x) => x.startsWith("pen")),
+    points: findIndex((x) => x === "points" || x === "pts" || x.includes("race points")),
+  };
+}
+
+// Scores grids for "looks like a race classification" (laps/best lap/gap beat a quali table).
+function pickBestResultsGridTable($) {
+  let best = null;
+  let bestScore = -1;
+
+  $("table[id$='_DXMainTable']").each((_, t) => {
+    const $t = $(t);
+    const dataRows = $t.find("tr.dxgvDataRow_Moderno, tr.dxgvDataRow");
+    if (!dataRows.length) return;
+
+    const $headerRow = findHeaderRow($, $t);
+    if (!$headerRow.length) return;
+
+    const idx = mapResultColumnIndexes(extractHeaderCells($, $headerRow));
+    if (idx.driver < 0) return;
+
+    const score =
+      (idx.laps >= 0 ? 2 : 0) +
+      (idx.gap >= 0 ? 2 : 0) +
+      (idx.totalTime >= 0 ? 1 : 0) +
+      (idx.grid >= 0 ? 1 : 0) +
+      (idx.bestLap >= 0 ? 1 : 0) +
+      (idx.points >= 0 ? 1 : 0) +
+      Math.min(dataRows.length, 50) / 50;
+
+    if (score > bestScore) {
+      bestScore = score;
+      best = $t;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Parse an OOR round results page into a race classification.
+ * Rows: { pos, driver, carNo, className, carImg, carMakeKey, countryImg, grid, laps, bestLap, totalTime, gap, penalty, points }
+ * (columns missing from the page come back as "").
+ */
+function parseRoundResultsHtml(html, label = "Round results") {
+  const $ = cheerio.load(html);
+
+  const $table = pickBestResultsGridTable($);
+  if (!$table) throw new Error(`${label}: could not locate a results table`);
+
+  const $headerRow = findHeaderRow($, $table);
+  let headers = extractHeaderCells($, $headerRow);
+
+  const $firstTds = $table.find("tr.dxgvDataRow_Moderno, tr.dxgvDataRow").first().children("td");
+  headers = alignHeadersToData(headers, $firstTds.length);
+  const trimmed = trimTrailingUtilityColumn(headers, $firstTds);
+  headers = trimmed.headers;
+
+  const idx = mapResultColumnIndexes(headers);
+
+  const rows = [];
+  $table.find("tr.dxgvDataRow_Moderno, tr.dxgvDataRow").each((_, tr) => {
+    let $tds = $(tr).children("td");
+    if (trimmed.trimLast && $tds.length > 0) $tds = $tds.slice(0, -1);
+    const cell = (i) => (i >= 0 ? $tds.eq(i) : null);
+    const carImg = cellImageSrc(cell(idx.carImg));
+
+    const row = {
+      pos: cellText(cell(idx.pos)),
+      driver: cellText(cell(idx.driver)),
+      carNo: cellText(cell(idx.carNo)),
+      className: cellText(cell(idx.className)),
+      carImg,
+      carMakeKey: makeKeyFromUrl(carImg),
+      countryImg: cellImageSrc(cell(idx.countryImg)),
+      grid: cellText(cell(idx.grid)),
+      laps: cellText(cell(idx.laps)),
+      bestLap: cellText(cell(idx.bestLap)),
+      totalTime: cellText(cell(idx.totalTime)),
+      gap: cellText(cell(idx.gap)),
+      penalty: cellText(cell(idx.penalty)),
+      points: cellText(cell(idx.points)),
+    };
+
+    if (!row.driver) return;
+    rows.push(row);
+  });
+
+  if (DEBUG) {
+    console.log("\n==============================");
+    console.log(`DEBUG_OOR: ${label}`);
+    console.log("Headers:", headers);
+    console.log("Column Map:", idx);
+    console.log("Parsed rows:", rows.length);
+    console.log("Sample row:", rows[0]);
+  }
+
+  if (!rows.length) throw new Error(`${label}: results table has no drivers`);
+  return rows;
+}
+
+
 // ------------------------------
 // Shared HTML fetch helper (used by SimGrid parsing)
 // ------------------------------
@@ -316,62 +567,17 @@ function cleanText(t) {
     .trim();
 }
 
-function simgridMakeKeyFromText(t) {
-  const s = cleanText(t).toLowerCase();
-  if (!s) return "";
-
-  const has = (k) => s.includes(k);
-
-  // Hypercar / LMGT3 common makes
-  if (has("mclaren")) return "mclaren";
-  if (has("toyota") || has("gazoo")) return "toyota_gazoo";
-  if (has("ferrari")) return "ferrari";
-  if (has("porsche")) return "porsche";
-  if (has("bmw")) return "bmw";
-  if (has("mercedes") || has("amg")) return "mercedes";
-  if (has("cadillac")) return "cadillac";
-  if (has("peugeot")) return "peugeot";
-  if (has("alpine")) return "alpine";
-  if (has("lamborghini")) return "lamborghini";
-  if (has("aston")) return "astonmartin";
-  if (has("lexus")) return "lexus";
-  if (has("honda") || has("acura")) return "honda";
-  if (has("chevrolet") || has("corvette")) return "corvette";
-
-  return "";
-}
-
-function simgridMakeKeyFromSrc(src) {
-  const u = String(src || "").toLowerCase();
-  if (!u) return "";
-
-  // Some CDNs put the make in the filename/path
-  if (u.includes("mclaren")) return "mclaren";
-  if (u.includes("toyota")) return "toyota_gazoo";
-  if (u.includes("gazoo")) return "toyota_gazoo";
-  if (u.includes("ferrari")) return "ferrari";
-  if (u.includes("porsche")) return "porsche";
-  if (u.includes("bmw")) return "bmw";
-  if (u.includes("mercedes") || u.includes("amg")) return "mercedes";
-  if (u.includes("cadillac")) return "cadillac";
-  if (u.includes("peugeot")) return "peugeot";
-  if (u.includes("alpine")) return "alpine";
-  if (u.includes("lamborghini")) return "lamborghini";
-  if (u.includes("aston")) return "astonmartin";
-  if (u.includes("lexus")) return "lexus";
-  if (u.includes("honda") || u.includes("acura")) return "honda";
-  if (u.includes("chevrolet") || u.includes("corvette")) return "corvette";
-
-  return "";
-}
-
 /**
  * Fetch and parse a SimGrid standings table.
  * Returns rows compatible with render.js (pos, driver, carNo, className, carImg, countryImg, total, etc.).
  */
 async function fetchSimgridStandings(url, label = "SimGrid") {
-  const DEBUG_OOR_SIMGRID = process.env.DEBUG_OOR === "1";
   const html = await fetchHtml(url);
+  return parseSimgridStandingsHtml(html, label);
+}
+
+function parseSimgridStandingsHtml(html, label = "SimGrid") {
+  const DEBUG_OOR_SIMGRID = process.env.DEBUG_OOR === "1";
   const $ = cheerio.load(html);
 
   const table = $("table.table-results");
@@ -417,7 +623,7 @@ async function fetchSimgridStandings(url, label = "SimGrid") {
       carImg = `https://www.thesimgrid.com${carImg}`;
     }
 
-    // Make key detection: prefer alt/title/tooltip text; fall back to src
+    // Make key detection (assets/makes.json): prefer alt/title/tooltip text; fall back to src
     const hint =
       cleanText($carImg.attr("alt")) ||
       cleanText($carImg.attr("title")) ||
@@ -425,7 +631,7 @@ async function fetchSimgridStandings(url, label = "SimGrid") {
       cleanText($carCell.attr("title")) ||
       cleanText($carCell.text());
 
-    const carMakeKey = simgridMakeKeyFromText(hint) || simgridMakeKeyFromSrc(carImg);
+    const carMakeKey = makeKeyFromText(hint) || makeKeyFromUrl(carImg);
 
     // Points: the last td.fw-bold in the row
     const pts = cleanText($tr.find("td.fw-bold").last().text()) || "0";
@@ -463,5 +669,12 @@ async function fetchSimgridStandings(url, label = "SimGrid") {
 module.exports = {
   fetchSimgridStandings,
   fetchClub50Standings,
-  fetchSprintStandings
+  fetchSprintStandings,
+  fetchStandingsGeneric,
+  parseStandingsTable,
+  validateRowsOrThrow,
+  parseStandingsGenericHtml,
+  parseSimgridStandingsHtml,
+  parseRoundResultsHtml,
+  pickBestDxGridTable
 };
@@ -0,0 +1,225 @@
+// state.js
+// Runtime state store (state.json), kept separate from config.json so the file holding the
+// bot token is never rewritten by a routine check.
+//
+// Layout (schemaVersion 1):
+//   {
+//     "schemaVersion": 1,
+//     "boards": {
+//       "<boardId>": {
+//         "panes": {
+//           "<paneId>": { "messageId": "…", "lastHash": "…", "lastUpdated": "<t:…:F>", "lastChecked": "<t:…:F>" }
+//         }
+//       }
+//     },
+//     "links": {                                                            // /link, /me
+//       "<discordUserId>": { "driver": "Ava Nguyen", "linkedAt": "2026-…Z", "dm": true,
+//                            "notified": { "<seriesId>": { "pos": 3, "penPoints": 2, "qbActive": false } } }
+//     },
+//     "stewards": {                                                         // steward alert baselines
+//       "<seriesId>": { "rows": [{ "driver": "…", "carNo": "27", "penPoints": "2", "qualiBan": "", "banServed": "" }] }
+//     }
+//   }
+//
+// Writes go to a temp file that is fsync'd and renamed over state.json, so a crash mid-write
+// leaves either the old or the new file, never a truncated one.
+//
+// Exports:
+// - loadState()                              // reads + migrates state.json (cached after first call)
+// - saveState()
+// - boardState(boardId)                      // mutable object, created on demand
+// - paneState(boardId, paneId)               // mutable object, created on demand
+// - updatePaneState(boardId, paneId, patch)  // merge + save
+// - userLinks()                              // { userId: { driver, linkedAt } } (mutable)
+// - linkUser(userId, driver) / unlinkUser(userId)  // save immediately
+// - updateUserLink(userId, patch)            // merge + save; false when the user isn't linked
+// - stewardState(seriesId)                   // mutable object, created on demand (call saveState after changes)
+// - writeJsonAtomic(file, value)
+
+const fs = require("fs");
+const path = require("path");
+
+const DEBUG_OOR = process.env.DEBUG_OOR === "1";
+
+const STATE_PATH = path.join(__dirname, "state.json");
+const STATE_VERSION = 1;
+
+// Board that pre-board state (flat state.json, config.json root keys) belongs to.
+const LEGACY_BOARD_ID = "default";
+
+let state = null;
+
+function writeJsonAtomic(file, value) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmp, "w");
+  try {
+    fs.writeSync(fd, JSON.stringify(value, null, 2));
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmp, file);
+}
+
+function emptyState() {
+  return { schemaVersion: STATE_VERSION, boards: {} };
+}
+
+function discordTs(unixSeconds) {
+  return `<t:${Math.floor(unixSeconds)}:F>`;
+}
+
+// ---- migrations ----
+// v0: the flat file written by the pre-registry bot:
+//   { "lastHash": "…", "messageId": "…", "lastUpdatedTs": 1768364141, "footerMessageId": "…" }
+function migrateV0(raw) {
+  const out = emptyState();
+  const main = {};
+  if (raw.messageId) main.messageId = String(raw.messageId);
+  if (raw.lastHash) main.lastHash = String(raw.lastHash);
+  if (Number.isFinite(Number(raw.lastUpdatedTs)) && raw.lastUpdatedTs) main.lastUpdated = discordTs(raw.lastUpdatedTs);
+
+  const board = { panes: {} };
+  if (Object.keys(main).length) board.panes.main = main;
+  // The old bot posted a separate footer message; keep its id so it can be cleaned up.
+  if (raw.footerMessageId) board.footerMessageId = String(raw.footerMessageId);
+  if (Object.keys(board.panes).length || board.footerMessageId) out.boards[LEGACY_BOARD_ID] = board;
+  return out;
+}
+
+const MIGRATIONS = {
+  0: migrateV0,
+};
+
+function migrate(raw) {
+  let cur = raw && typeof raw === "object" && !Array.isArray(raw) ? raw : {};
+  let version = Number.isInteger(cur.schemaVersion) ? cur.schemaVersion : 0;
+
+  if (version > STATE_VERSION) {
+    throw new Error(`state.json schemaVersion ${version} is newer than this bot supports (${STATE_VERSION})`);
+  }
+
+  const from = version;
+  while (version < STATE_VERSION) {
+    cur = MIGRATIONS[version](cur);
+    version = cur.schemaVersion;
+  }
+
+  if (!cur.boards || typeof cur.boards !== "object") cur.boards = {};
+  return { state: cur, migrated: from !== STATE_VERSION };
+}
+
+function loadState() {
+  if (state) return state;
+
+  let raw = null;
+  if (fs.existsSync(STATE_PATH)) {
+    try {
+      raw = JSON.parse(fs.readFileSync(STATE_PATH, "utf8"));
+    } catch (e) {
+      // Don't silently overwrite something we can't read; park it next to the new file.
+      const aside = `${STATE_PATH}.corrupt-${Date.now()}`;
+      console.warn(`state.json is unreadable (${e?.message || e}); moving it to ${path.basename(aside)}`);
+      fs.renameSync(STATE_PATH, aside);
+    }
+  }
+
+  if (!raw) {
+    state = emptyState();
+    return state;
+  }
+
+  const res = migrate(raw);
+  state = res.state;
+  if (res.migrated) {
+    saveState();
+    console.log(`Migrated state.json to schemaVersion ${STATE_VERSION}`);
+  }
+  return state;
+}
+
+function saveState() {
+  writeJsonAtomic(STATE_PATH, loadState());
+  if (DEBUG_OOR) console.log("STATE: saved state.json");
+}
+
+function boardState(boardId) {
+  const s = loadState();
+  s.boards[boardId] = s.boards[boardId] || {};
+  s.boards[boardId].panes = s.boards[boardId].panes || {};
+  return s.boards[boardId];
+}
+
+function paneState(boardId, paneId) {
+  const b = boardState(boardId);
+  b.panes[paneId] = b.panes[paneId] || {};
+  return b.panes[paneId];
+}
+
+function updatePaneState(boardId, paneId, patch) {
+  Object.assign(paneState(boardId, paneId), patch);
+  saveState();
+}
+
+// ---- Discord user <-> driver links ----
+// "links" was added after schemaVersion 1 shipped; it's optional, so no migration is needed.
+function userLinks() {
+  const s = loadState();
+  if (!s.links || typeof s.links !== "object") s.links = {};
+  return s.links;
+}
+
+function linkUser(userId, driver, now = new Date()) {
+  const links = userLinks();
+  const prev = links[String(userId)] || {};
+  // Keep the DM opt-in; the last-notified values only make sense for the same driver.
+  links[String(userId)] = {
+    ...prev,
+    driver: String(driver),
+    linkedAt: now.toISOString(),
+    notified: prev.driver === String(driver) ? prev.notified : undefined,
+  };
+  saveState();
+}
+
+function updateUserLink(userId, patch) {
+  const link = userLinks()[String(userId)];
+  if (!link) return false;
+  Object.assign(link, patch);
+  saveState();
+  return true;
+}
+
+function unlinkUser(userId) {
+  const links = userLinks();
+  if (!links[String(userId)]) return false;
+  delete links[String(userId)];
+  saveState();
+  return true;
+}
+
+// ---- steward alert baselines ----
+// Optional like "links": the penalty fields last alerted on, per series, so each change alerts once.
+function stewardState(seriesId) {
+  const s = loadState();
+  if (!s.stewards || typeof s.stewards !== "object") s.stewards = {};
+  s.stewards[seriesId] = s.stewards[seriesId] || {};
+  return s.stewards[seriesId];
+}
+
+module.exports = {
+  STATE_PATH,
+  STATE_VERSION,
+  LEGACY_BOARD_ID,
+  loadState,
+  saveState,
+  boardState,
+  paneState,
+  updatePaneState,
+  userLinks,
+  linkUser,
+  unlinkUser,
+  updateUserLink,
+  stewardState,
+  writeJsonAtomic,
+};
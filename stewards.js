@@ -0,0 +1,106 @@
+// stewards.js
+// Penalty-sheet events for the stewards' channel (sprint series only; rows carry penPoints /
+// qualiBan / banServed / qbActive from penalties.js).
+//
+// stewardEvents(prevRows, rows, { thresholds }) ->
+//   [
+//     { kind: "threshold", driver, carNo, from, to, threshold },   // penalty points reached a threshold
+//     { kind: "qualiBan",  driver, carNo, qualiBan },              // quali ban newly active
+//     { kind: "banServed", driver, carNo, qualiBan, banServed },   // "Ban Served" filled in
+//   ]
+//   Only the highest threshold crossed in one step is reported.
+// stewardAlertLines(events)             -> markdown lines, one per event
+// stewardDigestLines(rows, { thresholds }) -> current picture: active bans + drivers at/over the lowest threshold
+// penaltySnapshot(rows)                 -> the fields above only (what state.json keeps as a baseline)
+
+const { previousRowLookup } = require("./announce");
+
+function normalize(s) {
+  return String(s || "").replace(/\s+/g, " ").trim();
+}
+
+function toNumber(v) {
+  const n = Number(String(v || "").replace(/[^\d.-]/g, ""));
+  return Number.isFinite(n) ? n : 0;
+}
+
+function isQbActive(r) {
+  if (typeof r?.qbActive === "boolean") return r.qbActive;
+  return !!(normalize(r?.qualiBan) && !normalize(r?.banServed));
+}
+
+function who(e) {
+  return e.carNo ? `**${e.driver}** (#${String(e.carNo).replace(/^#/, "")})` : `**${e.driver}**`;
+}
+
+function penaltySnapshot(rows) {
+  return (rows || []).map((r) => ({
+    driver: normalize(r.driver),
+    carNo: normalize(r.carNo),
+    penPoints: String(toNumber(r.penPoints)),
+    qualiBan: normalize(r.qualiBan),
+    banServed: normalize(r.banServed),
+  }));
+}
+
+function stewardEvents(prevRows, rows, { thresholds = [] } = {}) {
+  const findPrev = previousRowLookup(prevRows);
+  const limits = [...thresholds].sort((a, b) => b - a);
+  const events = [];
+
+  for (const r of rows || []) {
+    const before = findPrev(r);
+    if (!before) continue; // new to the table: nothing to compare against yet
+
+    const base = { driver: normalize(r.driver), carNo: normalize(r.carNo) };
+
+    const from = toNumber(before.penPoints);
+    const to = toNumber(r.penPoints);
+    const threshold = limits.find((t) => from < t && to >= t);
+    if (threshold !== undefined) events.push({ kind: "threshold", ...base, from, to, threshold });
+
+    if (isQbActive(r) && !isQbActive(before)) {
+      events.push({ kind: "qualiBan", ...base, qualiBan: normalize(r.qualiBan) });
+    }
+    if (normalize(r.banServed) && !normalize(before.banServed)) {
+      events.push({ kind: "banServed", ...base, qualiBan: normalize(r.qualiBan), banServed: normalize(r.banServed) });
+    }
+  }
+  return events;
+}
+
+function stewardAlertLines(events) {
+  return (events || []).map((e) => {
+    if (e.kind === "threshold") return `⚠️ ${who(e)} reached **${e.to}** penalty points (threshold ${e.threshold}; was ${e.from})`;
+    if (e.kind === "qualiBan") return `🚫 ${who(e)} quali ban now active${e.qualiBan ? `: ${e.qualiBan}` : ""}`;
+    return `✅ ${who(e)} quali ban served${e.banServed ? `: ${e.banServed}` : ""}${e.qualiBan ? ` (ban: ${e.qualiBan})` : ""}`;
+  });
+}
+
+function stewardDigestLines(rows, { thresholds = [] } = {}) {
+  const list = rows || [];
+  const lines = [];
+
+  const bans = list.filter(isQbActive);
+  if (bans.length) {
+    lines.push(`🚫 Active quali bans: ${bans.map((r) => `${normalize(r.driver)}${normalize(r.qualiBan) ? ` (${normalize(r.qualiBan)})` : ""}`).join(", ")}`);
+  }
+
+  const watch = thresholds.length ? Math.min(...thresholds) : 0;
+  const flagged = list
+    .filter((r) => watch > 0 && toNumber(r.penPoints) >= watch)
+    .sort((a, b) => toNumber(b.penPoints) - toNumber(a.penPoints));
+  if (flagged.length) {
+    lines.push(`⚠️ ${watch}+ penalty points: ${flagged.map((r) => `${normalize(r.driver)} ${toNumber(r.penPoints)}`).join(", ")}`);
+  }
+
+  if (!lines.length) lines.push("Nothing outstanding.");
+  return lines;
+}
+
+module.exports = {
+  penaltySnapshot,
+  stewardEvents,
+  stewardAlertLines,
+  stewardDigestLines,
+};
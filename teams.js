@@ -0,0 +1,116 @@
+// teams.js
+// Team / manufacturer championship derived from one series' driver rows.
+//
+// Membership (first match wins):
+// 1) a configured team (config.json "teams", validated in index.js) listing the driver by name or car number
+// 2) otherwise the car make (assets/makes.json): row.carMakeKey, or the make found in the car image URL
+// Drivers with neither are left out and counted in `unassigned`.
+//
+// teamStandings(rows, { seriesId, teams, countBest }) ->
+//   {
+//     rows: [{ pos, team, carImg, carMakeKey, drivers, nett, diff, isMake }], // render.js mode "teams"
+//     unassigned,
+//   }
+// countBest: only the N highest-scoring drivers of each team count (0 = everyone).
+
+const { canonicalMakeKey, makeKeyFromUrl, makeLabel } = require("./makes");
+
+function normalize(s) {
+  return String(s || "").replace(/\s+/g, " ").trim();
+}
+
+function toNumber(v) {
+  const n = Number(String(v || "").replace(/[^\d.-]/g, ""));
+  return Number.isFinite(n) ? n : 0;
+}
+
+function carKey(carNo) {
+  // Keep only digits to avoid mismatches like "#27" vs "27"
+  const t = normalize(carNo);
+  return t.replace(/[^0-9]/g, "") || t;
+}
+
+function nameKey(s) {
+  return normalize(s).toLowerCase();
+}
+
+// Scraped rows carry a make key; older history rows may not (or use a retired key like "astonmartin"),
+// so fall back to the car image URL (".../TEAMS-2021_McLaren.png").
+function makeKeyForRow(r) {
+  return canonicalMakeKey(r?.carMakeKey) || makeKeyFromUrl(r?.carImg);
+}
+
+function teamForRow(r, seriesId, teams) {
+  const car = carKey(r.carNo);
+  const name = nameKey(r.driver);
+  return (
+    (teams || []).find(
+      (t) =>
+        (!t.series?.length || t.series.includes(seriesId)) &&
+        ((name && (t.drivers || []).some((d) => nameKey(d) === name)) ||
+          (car && (t.carNos || []).some((c) => carKey(c) === car)))
+    ) || null
+  );
+}
+
+function teamStandings(rows, { seriesId = "", teams = [], countBest = 0 } = {}) {
+  const groups = new Map(); // key -> { team, isMake, logo, members: [row] }
+  let unassigned = 0;
+
+  for (const r of rows || []) {
+    const team = teamForRow(r, seriesId, teams);
+    const make = team ? "" : makeKeyForRow(r);
+    if (!team && !make) {
+      unassigned += 1;
+      continue;
+    }
+
+    const key = team ? `team:${team.name}` : `make:${make}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        team: team ? team.name : makeLabel(make),
+        isMake: !team,
+        logo: team?.logo || "",
+        makeKey: make,
+        members: [],
+      });
+    }
+    groups.get(key).members.push(r);
+  }
+
+  const out = [...groups.values()].map((g) => {
+    const members = [...g.members].sort((a, b) => toNumber(b.nett) - toNumber(a.nett));
+    const counted = countBest > 0 ? members.slice(0, countBest) : members;
+    const best = members[0];
+    return {
+      team: g.team,
+      // Logo: the team's own override, else the best-placed member's car
+      carImg: g.logo || best.carImg || "",
+      carMakeKey: g.logo ? "" : g.makeKey || best.carMakeKey || "",
+      drivers: String(members.length),
+      nett: counted.reduce((a, m) => a + toNumber(m.nett), 0),
+      isMake: g.isMake,
+      bestPos: Math.min(...members.map((m) => toNumber(m.pos) || Infinity)),
+    };
+  });
+
+  // Ties go to the team with the better-placed driver.
+  out.sort((a, b) => b.nett - a.nett || a.bestPos - b.bestPos || a.team.localeCompare(b.team));
+
+  const leader = out.length ? out[0].nett : 0;
+  return {
+    rows: out.map(({ bestPos, ...t }, i) => ({
+      ...t,
+      pos: String(i + 1),
+      nett: String(t.nett),
+      diff: String(i === 0 ? 0 : t.nett - leader),
+    })),
+    unassigned,
+  };
+}
+
+module.exports = {
+  makeLabel,
+  makeKeyForRow,
+  teamStandings,
+};
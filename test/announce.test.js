@@ -0,0 +1,65 @@
+// Change-summary tests for the "standings updated" announcement.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { diffStandings, summaryLines } = require("../announce");
+
+const before = [
+  { pos: "1", driver: "Ava Nguyen", carNo: "27", penPoints: "2", qualiBan: "", banServed: "" },
+  { pos: "2", driver: "Ben Walker", carNo: "5", penPoints: "7", qualiBan: "Round 4", banServed: "Round 5" },
+  { pos: "3", driver: "Chloe Smith", carNo: "12", penPoints: "0", qualiBan: "", banServed: "" },
+  { pos: "4", driver: "Dan O'Brien", carNo: "33", penPoints: "0", qualiBan: "", banServed: "" },
+];
+
+const after = [
+  { pos: "1", driver: "Chloe Smith", carNo: "12", penPoints: "0", qualiBan: "", banServed: "" },
+  { pos: "2", driver: "Ava Nguyen", carNo: "#27", penPoints: "5", qualiBan: "Round 7", banServed: "" },
+  { pos: "3", driver: "Ben Walker", carNo: "5", penPoints: "7", qualiBan: "Round 4", banServed: "Round 5" },
+  { pos: "4", driver: "Eli Jones", carNo: "9", penPoints: "0", qualiBan: "", banServed: "" },
+  { pos: "5", driver: "Dan O'Brien", carNo: "33", penPoints: "0", qualiBan: "", banServed: "" },
+];
+
+test("diffStandings reports leader, moves, penalties, quali bans and new entries", () => {
+  const diff = diffStandings(before, after);
+
+  assert.deepEqual(diff.leader, { driver: "Chloe Smith", previous: "Ava Nguyen", changed: true });
+  assert.deepEqual(diff.climbers, [{ driver: "Chloe Smith", from: 3, to: 1, delta: 2 }]);
+  assert.deepEqual(
+    diff.fallers.map((m) => [m.driver, m.delta]),
+    [["Ava Nguyen", -1], ["Ben Walker", -1], ["Dan O'Brien", -1]]
+  );
+  assert.deepEqual(diff.newEntries, [{ driver: "Eli Jones", pos: 4 }]);
+  assert.deepEqual(diff.penalties, [{ driver: "Ava Nguyen", from: 2, to: 5 }]);
+  assert.deepEqual(diff.qualiBans, [{ driver: "Ava Nguyen", qualiBan: "Round 7" }]);
+});
+
+test("diffStandings limits climbers/fallers", () => {
+  const diff = diffStandings(before, after, { limit: 1 });
+  assert.equal(diff.fallers.length, 1);
+});
+
+test("summaryLines renders one line per kind of change", () => {
+  const lines = summaryLines(diffStandings(before, after));
+  assert.deepEqual(lines, [
+    "🏆 New leader: **Chloe Smith** (takes over from Ava Nguyen)",
+    "📈 Climbers: Chloe Smith +2 (P3→P1)",
+    "📉 Fallers: Ava Nguyen -1 (P1→P2), Ben Walker -1 (P2→P3), Dan O'Brien -1 (P4→P5)",
+    "🆕 New: Eli Jones (P4)",
+    "⚠️ Penalty points: Ava Nguyen 2→5",
+    "🚫 Quali ban now active: Ava Nguyen (Round 7)",
+  ]);
+});
+
+test("points-only changes still produce a line", () => {
+  const bumped = before.map((r) => ({ ...r, nett: "10" }));
+  assert.deepEqual(summaryLines(diffStandings(before, bumped)), [
+    "Leader: **Ava Nguyen** — points updated, no position changes",
+  ]);
+});
+
+test("changes outside points, positions and penalties produce no lines", () => {
+  const cosmetic = before.map((r) => ({ ...r, carImg: "https://example.com/car.png", carMakeKey: "mclaren", countryImg: "x.png" }));
+  const diff = diffStandings(before, cosmetic);
+  assert.equal(diff.pointsChanged, false);
+  assert.deepEqual(summaryLines(diff), []);
+});
@@ -0,0 +1,59 @@
+// Bundled fonts: registration from assets/fonts and the font-family fallback chain.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { GlobalFonts, createCanvas } = require("@napi-rs/canvas");
+
+const { BUNDLED_FONTS, FALLBACK_FAMILIES, registerBundledFonts, fontStack } = require("../fonts");
+
+test("the shipped fonts register once; optional drop-ins may be missing", () => {
+  const first = registerBundledFonts();
+  const shipped = BUNDLED_FONTS.filter((f) => !f.optional).map((f) => f.file);
+  assert.deepEqual(first.registered.filter((f) => shipped.includes(f)), shipped);
+  assert.ok(first.missing.every((file) => BUNDLED_FONTS.find((f) => f.file === file).optional));
+  assert.ok(GlobalFonts.has("OOR Sans"));
+  assert.ok(GlobalFonts.has("OOR CJK") && GlobalFonts.has("OOR Hangul") && GlobalFonts.has("OOR Emoji"));
+  assert.ok(BUNDLED_FONTS.every((f) => f.covers)); // named in the warning when missing
+
+  assert.deepEqual(registerBundledFonts().registered, []);
+
+  const empty = fs.mkdtempSync(path.join(os.tmpdir(), "oor-fonts-"));
+  try {
+    assert.deepEqual(registerBundledFonts(empty), { registered: [], missing: BUNDLED_FONTS.map((f) => f.file) });
+  } finally {
+    fs.rmSync(empty, { recursive: true, force: true });
+  }
+});
+
+test("fontStack puts the theme family first and appends each fallback once", () => {
+  const stack = fontStack("OOR Sans");
+  assert.ok(stack.startsWith('"OOR Sans", "OOR CJK", "OOR Hangul", "OOR Emoji", "OOR CJK Full", "Noto Sans CJK SC"'));
+  assert.ok(stack.endsWith('system-ui, -apple-system, "Segoe UI", Roboto, Arial, sans-serif'));
+  assert.equal(stack.split(", ").length, FALLBACK_FAMILIES.length);
+
+  // Names already in the theme family (any case or quoting) aren't repeated.
+  const custom = fontStack("Inter, 'Segoe UI', arial").split(", ");
+  assert.deepEqual(custom.slice(0, 4), ["Inter", '"Segoe UI"', "arial", '"OOR Sans"']);
+  assert.equal(custom.length, FALLBACK_FAMILIES.length + 1);
+  assert.ok(!custom.includes("Arial"));
+  assert.equal(fontStack(""), fontStack(undefined));
+});
+
+test("CJK, Hangul and emoji draw from the bundled fonts, not as tofu", () => {
+  registerBundledFonts();
+  const draw = (text) => {
+    const canvas = createCanvas(40, 40);
+    const ctx = canvas.getContext("2d");
+    ctx.font = `28px ${fontStack("OOR Sans")}`;
+    ctx.fillStyle = "#000";
+    ctx.fillText(text, 4, 32);
+    return canvas.toBuffer("image/png");
+  };
+  const tofu = draw("\u{10FFFD}"); // private use: no font has it, so this is the missing-glyph box
+  assert.ok(draw("\u{20000}").equals(tofu)); // CJK Extension B is outside the subsets
+  for (const ch of ["王", "渡", "さ", "김", "🏁"]) {
+    assert.ok(!draw(ch).equals(tofu), ch);
+  }
+});
@@ -0,0 +1,89 @@
+// History helpers: points progression built from snapshots and the rows hash (pure; no files under cache/history are touched).
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { progressionFromSnapshots, rowsHash } = require("../history");
+
+function snap(ts, table) {
+  return {
+    ts,
+    rows: table.map(([driver, nett, extra = {}], i) => ({ pos: String(i + 1), driver, carNo: String(i + 1), nett: String(nett), ...extra })),
+  };
+}
+
+const snapshots = [
+  snap("2026-01-14T10:30:00.000Z", [["Ava Nguyen", 25], ["Ben Walker", 18]]),
+  // Same race night, results corrected: replaces the 10:30 snapshot.
+  snap("2026-01-14T11:45:00.000Z", [["Ava Nguyen", 25], ["Ben Walker", 20]]),
+  // Penalty sheet edit only: nett unchanged, not a round.
+  snap("2026-01-20T09:00:00.000Z", [["Ava Nguyen", 25, { penPoints: "3" }], ["Ben Walker", 20]]),
+  snap("2026-01-28T11:00:00.000Z", [["Ben Walker", 45], ["Ava Nguyen", 43], ["Chloe Smith", 25]]),
+];
+
+test("progressionFromSnapshots collapses race nights and skips points-neutral edits", () => {
+  const { rounds, drivers } = progressionFromSnapshots(snapshots);
+
+  assert.deepEqual(rounds, [
+    { label: "R1", ts: "2026-01-14T11:45:00.000Z" },
+    { label: "R2", ts: "2026-01-28T11:00:00.000Z" },
+  ]);
+  assert.deepEqual(
+    drivers.map((d) => [d.driver, d.points]),
+    [
+      ["Ben Walker", [20, 45]],
+      ["Ava Nguyen", [25, 43]],
+      ["Chloe Smith", [null, 25]],
+    ]
+  );
+});
+
+test("progressionFromSnapshots keeps the top N of the latest table", () => {
+  const { drivers } = progressionFromSnapshots(snapshots, { top: 2 });
+  assert.deepEqual(drivers.map((d) => d.driver), ["Ben Walker", "Ava Nguyen"]);
+});
+
+test("progressionFromSnapshots groups by the recorded round, not the date", () => {
+  const tagged = (round, ts, table) => ({ ...snap(ts, table), round });
+  const { rounds, drivers } = progressionFromSnapshots([
+    // Recorded before snapshots carried rounds: one per day, counting from R1.
+    snap("2026-01-07T10:00:00.000Z", [["Ava Nguyen", 10], ["Ben Walker", 8]]),
+    tagged(3, "2026-01-14T10:30:00.000Z", [["Ava Nguyen", 25], ["Ben Walker", 18]]),
+    // Steward correction two days later, still round 3.
+    tagged(3, "2026-01-16T09:00:00.000Z", [["Ava Nguyen", 25], ["Ben Walker", 20]]),
+    // Two rounds on one day (double header) stay apart.
+    tagged(4, "2026-01-21T10:00:00.000Z", [["Ben Walker", 38], ["Ava Nguyen", 37]]),
+    tagged(5, "2026-01-21T12:00:00.000Z", [["Ben Walker", 55], ["Ava Nguyen", 50]]),
+  ]);
+
+  assert.deepEqual(rounds.map((r) => r.label), ["R1", "R3", "R4", "R5"]);
+  assert.deepEqual(drivers.map((d) => d.points), [[8, 20, 38, 55], [10, 25, 37, 50]]);
+
+  // Nothing run yet: not a round.
+  assert.deepEqual(progressionFromSnapshots([tagged(0, "2026-01-01T00:00:00.000Z", [["Ava Nguyen", 0]])]).rounds, []);
+});
+
+test("progressionFromSnapshots follows a driver across renames with the identity key", () => {
+  const key = (name) => (/^(ava nguyen|a\. nguyen)$/i.test(String(name).trim()) ? "ava nguyen" : String(name).trim().toLowerCase());
+  const renamed = [
+    snap("2026-01-14T10:30:00.000Z", [["A. Nguyen", 25], ["Ben Walker", 18]]),
+    snap("2026-01-28T11:00:00.000Z", [["Ava Nguyen", 43], ["Ben Walker", 40]]),
+  ];
+
+  const [ava] = progressionFromSnapshots(renamed, { key }).drivers;
+  assert.equal(ava.driver, "Ava Nguyen");
+  assert.deepEqual(ava.points, [25, 43]);
+  assert.deepEqual(progressionFromSnapshots(renamed).drivers[0].points, [null, 43]);
+});
+
+test("progressionFromSnapshots handles an empty history", () => {
+  assert.deepEqual(progressionFromSnapshots([]), { rounds: [], drivers: [] });
+});
+
+test("rowsHash ignores derived fields, so a makes.json change doesn't read as new standings", () => {
+  const rows = [{ pos: "1", driver: "Ava Nguyen", carImg: "https://x/TEAMS-2021_McLaren.png", nett: "25" }];
+  const withMake = rows.map((r) => ({ ...r, carMakeKey: "mclaren" }));
+  assert.equal(rowsHash(withMake), rowsHash(rows));
+  assert.equal(rowsHash(withMake.map((r) => ({ ...r, carMakeKey: "" }))), rowsHash(rows));
+  assert.notEqual(rowsHash(rows.map((r) => ({ ...r, nett: "26" }))), rowsHash(rows));
+  assert.equal(withMake[0].carMakeKey, "mclaren");
+});
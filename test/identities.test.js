@@ -0,0 +1,37 @@
+// Driver identity registry: folding and config aliases.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { foldName, createIdentityRegistry } = require("../identities");
+
+test("foldName ignores case, accents, punctuation and penalty suffixes", () => {
+  assert.equal(foldName("  Jürgen  Köhler (3 - QB)"), "jurgen kohler");
+  assert.equal(foldName("Dan O'Brien"), "dan o brien");
+  assert.equal(foldName(""), "");
+});
+
+test("aliases resolve to the configured identity", () => {
+  const ids = createIdentityRegistry([
+    { name: "Jürgen Köhler", aliases: ["J. Kohler", "jkohler"] },
+    { name: "Ava Nguyen" },
+  ]);
+
+  assert.equal(ids.key("J. Köhler"), ids.key("Jurgen Kohler"));
+  assert.equal(ids.key("JKOHLER"), "jurgen kohler");
+  assert.equal(ids.displayName("j kohler"), "Jürgen Köhler");
+  assert.deepEqual(ids.spellings("jkohler"), ["Jürgen Köhler", "J. Kohler", "jkohler"]);
+
+  // Unlisted drivers are their own identity
+  assert.equal(ids.key("Ben Walker (7)"), "ben walker");
+  assert.equal(ids.displayName("Ben Walker"), "Ben Walker");
+  assert.deepEqual(ids.spellings("Ben Walker"), ["Ben Walker"]);
+});
+
+test("createIdentityRegistry rejects bad config", () => {
+  assert.throws(() => createIdentityRegistry({}), /must be an array/);
+  assert.throws(() => createIdentityRegistry([{ aliases: ["x"] }]), /Missing name for identities\[0\]/);
+  assert.throws(
+    () => createIdentityRegistry([{ name: "Ava Nguyen", aliases: ["AN"] }, { name: "Alex Norris", aliases: ["an"] }]),
+    /'an' is listed for both 'Ava Nguyen' and 'Alex Norris'/
+  );
+});
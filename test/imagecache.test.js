@@ -0,0 +1,117 @@
+// On-disk image cache: TTL, conditional revalidation, negative caching and the size cap (temp dir, fake fetcher).
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+
+const { createImageCache, imageCacheOptionsFromConfig } = require("../imagecache");
+
+const URL_A = "https://example.test/flags/au.png";
+const URL_B = "https://example.test/logos/honda.png";
+
+const dirs = [];
+function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "imagecache-"));
+  dirs.push(dir);
+  return dir;
+}
+
+test.after(() => dirs.forEach((d) => fs.rmSync(d, { recursive: true, force: true })));
+
+function sha1(s) {
+  return crypto.createHash("sha1").update(s).digest("hex");
+}
+
+// Fake clock + fetcher that records the conditional headers it was sent.
+function harness(opts = {}) {
+  const dir = tempDir();
+  let t = 1_000_000;
+  const calls = [];
+  let respond = () => ({ status: 200, body: Buffer.from("png-1"), etag: '"v1"', lastModified: "" });
+  const cache = createImageCache({ dir, ttlMs: 1000, negativeTtlMs: 500, now: () => t, ...opts });
+  const fetcher = async (url, headers) => {
+    calls.push({ url, headers });
+    return respond(url, headers);
+  };
+  return {
+    dir,
+    cache,
+    calls,
+    fetcher,
+    tick: (ms) => (t += ms),
+    respond: (fn) => (respond = fn),
+  };
+}
+
+test("imageCacheOptionsFromConfig converts units and validates", () => {
+  assert.deepEqual(imageCacheOptionsFromConfig({ ttlHours: 2, negativeTtlMinutes: 5, maxMB: 1 }), {
+    ttlMs: 2 * 60 * 60 * 1000,
+    negativeTtlMs: 5 * 60 * 1000,
+    maxBytes: 1024 * 1024,
+  });
+  assert.equal(imageCacheOptionsFromConfig(undefined).maxBytes, 50 * 1024 * 1024);
+  assert.throws(() => imageCacheOptionsFromConfig({ maxMB: 0 }), /imageCache\.maxMB in config\.json/);
+});
+
+test("fresh entries come from disk; stale ones are revalidated with ETag and kept on 304", async () => {
+  const h = harness();
+
+  assert.equal(String(await h.cache.get(URL_A, h.fetcher)), "png-1");
+  assert.equal(fs.readFileSync(path.join(h.dir, `${sha1(URL_A)}.img`), "utf8"), "png-1");
+
+  h.tick(999);
+  assert.equal(String(await h.cache.get(URL_A, h.fetcher)), "png-1");
+  assert.equal(h.calls.length, 1);
+
+  h.tick(2);
+  h.respond(() => ({ status: 304 }));
+  assert.equal(String(await h.cache.get(URL_A, h.fetcher)), "png-1");
+  assert.deepEqual(h.calls[1].headers, { "If-None-Match": '"v1"' });
+
+  // The 304 restarted the TTL.
+  h.tick(999);
+  await h.cache.get(URL_A, h.fetcher);
+  assert.equal(h.calls.length, 2);
+});
+
+test("failures are cached until the negative TTL expires, and stale bytes beat nothing", async () => {
+  const h = harness();
+  h.respond(() => {
+    throw new Error("HTTP 429");
+  });
+
+  assert.equal(await h.cache.get(URL_A, h.fetcher), null);
+  assert.equal(await h.cache.get(URL_A, h.fetcher), null);
+  assert.equal(h.calls.length, 1);
+
+  h.tick(500);
+  h.respond(() => ({ status: 200, body: Buffer.from("png-2"), etag: "", lastModified: "Tue, 01 Sep 2026 00:00:00 GMT" }));
+  assert.equal(String(await h.cache.get(URL_A, h.fetcher)), "png-2");
+
+  // Stale + failing: the old copy is served and the failure remembered.
+  h.tick(1000);
+  h.respond(() => {
+    throw new Error("HTTP 503");
+  });
+  assert.equal(String(await h.cache.get(URL_A, h.fetcher)), "png-2");
+  assert.deepEqual(h.calls[2].headers, { "If-Modified-Since": "Tue, 01 Sep 2026 00:00:00 GMT" });
+  assert.equal(String(await h.cache.get(URL_A, h.fetcher)), "png-2");
+  assert.equal(h.calls.length, 3);
+});
+
+test("files from older versions are reused, and the size cap evicts the oldest entries", async () => {
+  const h = harness({ maxBytes: 10 });
+  // A pre-sidecar .img written "now" counts as fresh.
+  fs.writeFileSync(path.join(h.dir, `${sha1(URL_A)}.img`), "legacy");
+  fs.utimesSync(path.join(h.dir, `${sha1(URL_A)}.img`), 1000, 1000); // 1000 s = the fake clock's start
+  assert.equal(String(await h.cache.get(URL_A, h.fetcher)), "legacy");
+  assert.equal(h.calls.length, 0);
+
+  h.tick(10);
+  h.respond(() => ({ status: 200, body: Buffer.from("honda-logo"), etag: "", lastModified: "" }));
+  assert.equal(String(await h.cache.get(URL_B, h.fetcher)), "honda-logo");
+
+  assert.deepEqual(fs.readdirSync(h.dir).sort(), [`${sha1(URL_B)}.img`, `${sha1(URL_B)}.json`].sort());
+});
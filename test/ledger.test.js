@@ -0,0 +1,59 @@
+// Penalty ledger entries and render rows (pure; nothing under cache/penalties is touched).
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { penaltyChanges, ledgerRows } = require("../ledger");
+
+const first = [
+  { driver: "Ava Nguyen", carNo: "27", penPoints: "2", qualiBan: "", banServed: "" },
+  { driver: "Ben Walker", carNo: "5", penPoints: "7", qualiBan: "Round 4", banServed: "" },
+  { driver: "Chloe Smith", carNo: "12", penPoints: "0", qualiBan: "", banServed: "" },
+];
+
+test("penaltyChanges records first sightings with something on record, then only changes", () => {
+  const e1 = penaltyChanges([], first, { ts: "2026-01-14T10:00:00.000Z", series: "yellow", season: "24" });
+  assert.deepEqual(
+    e1.map((e) => [e.driver, e.from, e.to.penPoints]),
+    [
+      ["Ava Nguyen", null, "2"],
+      ["Ben Walker", null, "7"],
+    ]
+  );
+  assert.equal(e1[0].series, "yellow");
+
+  const second = [
+    { driver: "ava nguyen", carNo: "#27", penPoints: "5", qualiBan: "Round 7", banServed: "" },
+    { driver: "Ben Walker", carNo: "5", penPoints: "7", qualiBan: "Round 4", banServed: "Round 5" },
+    { driver: "Chloe Smith", carNo: "12", penPoints: "", qualiBan: "", banServed: "" },
+  ];
+  const e2 = penaltyChanges(e1, second, { ts: "2026-01-21T10:00:00.000Z" });
+  assert.deepEqual(
+    e2.map((e) => [e.driver, e.from, e.to]),
+    [
+      ["ava nguyen", { penPoints: "2", qualiBan: "", banServed: "" }, { penPoints: "5", qualiBan: "Round 7", banServed: "" }],
+      ["Ben Walker", { penPoints: "7", qualiBan: "Round 4", banServed: "" }, { penPoints: "7", qualiBan: "Round 4", banServed: "Round 5" }],
+    ]
+  );
+
+  assert.deepEqual(penaltyChanges([...e1, ...e2], second), []);
+});
+
+test("penaltyChanges matches drivers through a key resolver", () => {
+  const e1 = penaltyChanges([], first);
+  const key = (n) => (/nguyen/i.test(n) ? "ava" : n.toLowerCase());
+  assert.deepEqual(penaltyChanges(e1, [{ ...first[0], driver: "A. Nguyen" }], { key }), []);
+});
+
+test("ledgerRows describes each change with the running total", () => {
+  const e1 = penaltyChanges([], first, { ts: "2026-01-14T10:00:00.000Z" });
+  const e2 = penaltyChanges(e1, [{ ...first[0], penPoints: "5", qualiBan: "Round 7" }, { ...first[1], penPoints: "4", qualiBan: "" }], {
+    ts: "2026-01-21T10:00:00.000Z",
+  });
+
+  assert.deepEqual(ledgerRows([...e1, ...e2]), [
+    { date: "2026-01-14", driver: "Ava Nguyen", carNo: "27", change: "first recorded: 2 pts", penPoints: "2", qbActive: false },
+    { date: "2026-01-14", driver: "Ben Walker", carNo: "5", change: "first recorded: 7 pts; quali ban: Round 4", penPoints: "7", qbActive: true },
+    { date: "2026-01-21", driver: "Ava Nguyen", carNo: "27", change: "+3 pts (2 → 5); quali ban: Round 7", penPoints: "5", qbActive: true },
+    { date: "2026-01-21", driver: "Ben Walker", carNo: "5", change: "-3 pts (7 → 4); quali ban cleared", penPoints: "4", qbActive: false },
+  ]);
+});
@@ -0,0 +1,34 @@
+// Logo uploads: make keys, upload checks and image validation (rejections only, nothing is written to assets/).
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { createCanvas } = require("@napi-rs/canvas");
+
+const { normalizeLogoKey, checkLogoUpload, saveLogo, customLogoFile, CUSTOM_LOGO_DIR, LOGO_MAX_BYTES } = require("../logos");
+
+test("normalizeLogoKey turns make names into detectLogoKey-style keys", () => {
+  assert.equal(normalizeLogoKey("Aston Martin"), "aston_martin");
+  assert.equal(normalizeLogoKey(" McLaren "), "mclaren");
+  assert.equal(normalizeLogoKey("Mercedes-AMG"), "mercedes_amg");
+  assert.throws(() => normalizeLogoKey("??"), /isn't a usable make key/);
+  assert.throws(() => normalizeLogoKey(""), /isn't a usable make key/);
+  assert.equal(normalizeLogoKey("../honda"), "honda");
+
+  assert.equal(customLogoFile("honda"), path.join(CUSTOM_LOGO_DIR, "honda.png"));
+});
+
+test("checkLogoUpload accepts PNG/JPEG/WebP up to the size limit", () => {
+  assert.doesNotThrow(() => checkLogoUpload({ contentType: "image/png", size: 1000, name: "a.png" }));
+  assert.doesNotThrow(() => checkLogoUpload({ contentType: "image/jpeg; charset=binary", size: LOGO_MAX_BYTES }));
+  assert.throws(() => checkLogoUpload({ contentType: "image/gif", size: 10, name: "a.gif" }), /a\.gif isn't a PNG, JPEG or WebP image/);
+  assert.throws(() => checkLogoUpload({ size: 10 }), /That file isn't a PNG/);
+  assert.throws(() => checkLogoUpload({ contentType: "image/webp", size: LOGO_MAX_BYTES + 1, name: "big.webp" }), /big\.webp is too big \(2049 KB; max 2048 KB\)/);
+});
+
+test("saveLogo rejects empty, unreadable and tiny images before writing anything", async () => {
+  await assert.rejects(saveLogo("honda", Buffer.alloc(0)), /empty or too big/);
+  await assert.rejects(saveLogo("honda", Buffer.from("not an image")), /couldn't be read as an image/);
+
+  const tiny = createCanvas(40, 20).toBuffer("image/png");
+  await assert.rejects(saveLogo("honda", tiny), /Logo is too small \(40x20; at least 32px per side\)/);
+});
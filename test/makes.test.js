@@ -0,0 +1,73 @@
+// Manufacturer catalogue: assets/makes.json validation and make detection from car names, icon URLs and old keys.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  parseMakeCatalogue,
+  MAKES,
+  makeKeyFromText,
+  makeKeyFromUrl,
+  canonicalMakeKey,
+  makeInfo,
+  makeLabel,
+} = require("../makes");
+
+test("the shipped catalogue loads with unique keys and the McLaren colour policy", () => {
+  assert.ok(MAKES.length >= 14);
+  assert.equal(new Set(MAKES.map((m) => m.key)).size, MAKES.length);
+  assert.deepEqual(
+    (({ colorize, rgb, remoteLogo }) => ({ colorize, rgb, remote: Boolean(remoteLogo) }))(makeInfo("mclaren")),
+    { colorize: "always", rgb: { r: 255, g: 106, b: 0 }, remote: true }
+  );
+  assert.equal(makeInfo("porsche").colorize, "never");
+});
+
+test("parseMakeCatalogue fills defaults and names the bad field", () => {
+  const [m] = parseMakeCatalogue({ makes: [{ key: "bentley", label: "Bentley" }] }, "x.json");
+  assert.deepEqual(m, {
+    key: "bentley",
+    label: "Bentley",
+    aliases: ["bentley"],
+    urlPatterns: ["bentley"],
+    colour: "#FFFFFF",
+    rgb: { r: 255, g: 255, b: 255 },
+    colorize: "never",
+    logo: "",
+    remoteLogo: "",
+  });
+
+  assert.throws(() => parseMakeCatalogue({}, "x.json"), /x\.json must have a "makes" array/);
+  assert.throws(() => parseMakeCatalogue({ makes: [{ key: "Aston Martin" }] }, "x.json"), /makes\[0\]\.key in x\.json/);
+  assert.throws(() => parseMakeCatalogue({ makes: [{ key: "bmw" }, { key: "bmw" }] }, "x.json"), /makes\[1\]\.key 'bmw' in x\.json is listed twice/);
+  assert.throws(() => parseMakeCatalogue({ makes: [{ key: "bmw", colour: "blue" }] }, "x.json"), /makes\[0\]\.colour in x\.json/);
+  assert.throws(() => parseMakeCatalogue({ makes: [{ key: "bmw", colorize: "sometimes" }] }, "x.json"), /one of always, never/);
+  assert.throws(() => parseMakeCatalogue({ makes: [{ key: "bmw", aliases: "bmw" }] }, "x.json"), /makes\[0\]\.aliases/);
+});
+
+test("make keys from SimGrid car names and icon URLs, and from OOR team logos", () => {
+  assert.equal(makeKeyFromText("Aston Martin Vantage AMR LMGT3"), "aston_martin");
+  assert.equal(makeKeyFromText("Corvette Z06 LMGT3.R"), "corvette");
+  assert.equal(makeKeyFromText("Acura ARX-06"), "honda");
+  assert.equal(makeKeyFromText("Ligier JS P320"), "");
+  assert.equal(makeKeyFromText(""), "");
+
+  assert.equal(makeKeyFromUrl("https://www.thesimgrid.com/assets/cars/ferrari-499p.png"), "ferrari");
+  assert.equal(makeKeyFromUrl("/assets/cars/chevy-c8r.png"), "corvette");
+  assert.equal(makeKeyFromUrl("https://octaneonlineracing.com.au/wp-content/uploads/2021/09/TEAMS-2021_Aston%20Martin.png?v=2"), "aston_martin");
+  assert.equal(makeKeyFromUrl("https://octaneonlineracing.com.au/wp-content/uploads/2021/09/TEAMS-2021_Toyota.png"), "toyota_gazoo");
+  // Host and query string never decide the make.
+  assert.equal(makeKeyFromUrl("https://bmw.example/images/car.png?make=porsche"), "");
+  assert.equal(makeKeyFromUrl(""), "");
+});
+
+test("canonicalMakeKey maps retired and alias keys onto the catalogue", () => {
+  assert.equal(canonicalMakeKey("astonmartin"), "aston_martin");
+  assert.equal(canonicalMakeKey("chevrolet"), "corvette");
+  assert.equal(canonicalMakeKey("Toyota_Gazoo"), "toyota_gazoo");
+  assert.equal(canonicalMakeKey("bentley"), "bentley");
+  assert.equal(canonicalMakeKey(""), "");
+
+  assert.equal(makeLabel("astonmartin"), "Aston Martin");
+  assert.equal(makeLabel("mercedes"), "Mercedes-AMG");
+  assert.equal(makeLabel("bentley_motors"), "Bentley Motors");
+});
@@ -0,0 +1,196 @@
+// Offline penalty sheet tests: saved gviz responses in test/fixtures, no network.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const {
+  parseGvizJson,
+  parsePenaltyTab,
+  fetchPenaltyTab,
+  fetchPenaltyIndex,
+  attachPenaltiesToSprintRows,
+} = require("../penalties");
+
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, "fixtures", name), "utf8");
+}
+
+test("parseGvizJson unwraps the setResponse callback", () => {
+  const json = parseGvizJson(fixture("gviz-split-yellow.txt"));
+  assert.equal(json.status, "ok");
+  assert.deepEqual(
+    json.table.cols.map((c) => c.label),
+    ["Car #", "Name", "R1", "R2", "Total", "Qualifying Ban", "Ban Served"]
+  );
+});
+
+test("parseGvizJson rejects non-gviz bodies", () => {
+  assert.throws(() => parseGvizJson("<html>Sign in</html>"), /missing setResponse marker/);
+  assert.throws(() => parseGvizJson("google.visualization.Query.setResponse("), /could not locate JSON braces/);
+});
+
+test("parsePenaltyTab indexes by car number and name", () => {
+  const tab = parsePenaltyTab(fixture("gviz-split-yellow.txt"), "Split Yellow");
+
+  assert.equal(tab.tabName, "Split Yellow");
+  assert.deepEqual(tab.byCarNo.get("5"), {
+    penPoints: "7",
+    qualiBan: "Round 4",
+    banServed: "Round 5",
+    _srcTab: "Split Yellow",
+  });
+  assert.equal(tab.byCarNo.get("27").penPoints, "2");
+  assert.equal(tab.byName.get("dan o'brien").qualiBan, "Round 6");
+});
+
+test("parsePenaltyTab requires the Total / Qualifying Ban / Ban Served columns", () => {
+  const text = fixture("gviz-split-yellow.txt").replace('"label": "Ban Served"', '"label": "Served"');
+  assert.throws(() => parsePenaltyTab(text, "Split Yellow"), /missing 'Ban Served' column/);
+});
+
+test("fetchPenaltyTab requests the tab by name and parses it", async (t) => {
+  const urls = [];
+  t.mock.method(globalThis, "fetch", async (url) => {
+    urls.push(String(url));
+    return new Response(fixture("gviz-split-red.txt"), { status: 200 });
+  });
+
+  const tab = await fetchPenaltyTab("Split Red", "SHEET");
+  assert.match(urls[0], /\/spreadsheets\/d\/SHEET\/gviz\/tq\?tqx=out:json&sheet=Split%20Red$/);
+  assert.equal(tab.byCarNo.get("16").penPoints, "1");
+  assert.equal(tab.byName.get("kate young").penPoints, "6");
+});
+
+test("fetchPenaltyTab surfaces HTTP errors", async (t) => {
+  t.mock.method(globalThis, "fetch", async () => new Response("nope", { status: 403 }));
+  await assert.rejects(fetchPenaltyTab("Split Red"), /Penalty sheet fetch failed \(403\) for tab Split Red/);
+});
+
+test("fetchPenaltyIndex fetches each tab once", async (t) => {
+  t.mock.method(globalThis, "fetch", async (url) =>
+    new Response(fixture(/Yellow/.test(String(url)) ? "gviz-split-yellow.txt" : "gviz-split-red.txt"), { status: 200 })
+  );
+
+  const index = await fetchPenaltyIndex(["Split Yellow", "Split Red", "Split Yellow", ""]);
+  assert.deepEqual([...index.keys()], ["Split Yellow", "Split Red"]);
+  assert.equal(globalThis.fetch.mock.callCount(), 2);
+});
+
+test("attachPenaltiesToSprintRows matches on car number, then name", () => {
+  const tab = parsePenaltyTab(fixture("gviz-split-yellow.txt"), "Split Yellow");
+  const rows = [
+    { carNo: "#5", driver: "Somebody Else" },
+    { carNo: "99", driver: "Dan O'Brien" },
+    { carNo: "12", driver: "Chloe Smith" },
+  ];
+
+  attachPenaltiesToSprintRows(rows, tab, "Split Yellow");
+
+  assert.deepEqual(
+    rows.map(({ penPoints, qualiBan, banServed, qbActive }) => ({ penPoints, qualiBan, banServed, qbActive })),
+    [
+      { penPoints: "7", qualiBan: "Round 4", banServed: "Round 5", qbActive: false },
+      { penPoints: "9", qualiBan: "Round 6", banServed: "", qbActive: true },
+      { penPoints: "0", qualiBan: "", banServed: "", qbActive: false },
+    ]
+  );
+});
+
+test("attachPenaltiesToSprintRows falls back to an identity resolver", () => {
+  const tab = parsePenaltyTab(fixture("gviz-split-yellow.txt"), "Split Yellow");
+  const rows = [{ carNo: "99", driver: "D. O'Brien" }];
+  const nameKey = (n) => (/o.?brien/i.test(n) ? "dan o brien" : n.toLowerCase());
+
+  attachPenaltiesToSprintRows(rows, tab, "Split Yellow", { nameKey });
+  assert.equal(rows[0].penPoints, "9");
+  assert.equal(rows[0].qbActive, true);
+});
+
+test("penaltySourceFromConfig defaults to the gviz sheet and validates the rest", () => {
+  const { PENALTY_SHEET_ID, penaltySourceFromConfig } = require("../penalties");
+  assert.deepEqual(penaltySourceFromConfig(undefined), { type: "gviz", sheetId: PENALTY_SHEET_ID, columns: {}, tabs: {} });
+
+  const src = penaltySourceFromConfig(
+    { type: "xlsx", file: "p.xlsx", tabs: { "Split Red": { sheet: "Red", columns: { penPoints: "Points" } } } },
+    "/bot"
+  );
+  assert.equal(src.file, path.resolve("/bot", "p.xlsx"));
+  assert.deepEqual(src.tabs["Split Red"], { sheet: "Red", columns: { penPoints: "Points" } });
+
+  assert.throws(() => penaltySourceFromConfig({ type: "ods" }), /Unknown penaltySource.type 'ods'/);
+  assert.throws(() => penaltySourceFromConfig({ type: "csv" }), /needs a url or file in config.json/);
+  assert.throws(() => penaltySourceFromConfig({ columns: { points: "Total" } }), /Unknown column 'points' in penaltySource.columns/);
+  assert.deepEqual(
+    penaltySourceFromConfig({ columns: { carNo: { col: "c" }, penPoints: { header: "Pts" }, driver: "Name" } }).columns,
+    { carNo: { col: "C" }, penPoints: { header: "Pts" }, driver: "Name" }
+  );
+  assert.throws(
+    () => penaltySourceFromConfig({ tabs: { Red: { columns: { carNo: { col: "C", header: "Car" } } } } }),
+    /penaltySource.tabs\["Red"\].columns.carNo in config.json must be a header label, \{ "col": "C" \} or \{ "header": "…" \}/
+  );
+});
+
+test("fetchPenaltyIndex reads one local workbook for every split, with per-tab columns", async (t) => {
+  const { penaltySourceFromConfig } = require("../penalties");
+  const readFileSync = t.mock.method(fs, "readFileSync");
+  const source = penaltySourceFromConfig(
+    {
+      type: "xlsx",
+      file: "fixtures/penalties.xlsx",
+      tabs: {
+        "Split Red": {
+          sheet: "Red",
+          columns: { carNo: "No.", driver: "Driver", penPoints: "Points", qualiBan: "QB", banServed: "Served" },
+        },
+      },
+    },
+    __dirname
+  );
+
+  const index = await fetchPenaltyIndex(["Split Yellow", "Split Red"], source);
+  assert.equal(readFileSync.mock.callCount(), 1);
+  assert.deepEqual(index.get("Split Yellow").byCarNo.get("5"), {
+    penPoints: "7",
+    qualiBan: "Round 4",
+    banServed: "Round 5",
+    _srcTab: "Split Yellow",
+  });
+  assert.equal(index.get("Split Red").byName.get("kate young").penPoints, "6");
+  assert.equal(index.get("Split Red").byCarNo.get("16").penPoints, "1");
+});
+
+test("csv and json sources: {tab} URLs, header rows and column mapping", async (t) => {
+  const { penaltySourceFromConfig } = require("../penalties");
+  const urls = [];
+  t.mock.method(globalThis, "fetch", async (url) => {
+    urls.push(String(url));
+    return new Response(fixture("penalties-split-yellow.csv"), { status: 200 });
+  });
+
+  const csv = await fetchPenaltyTab(
+    "Split Yellow",
+    penaltySourceFromConfig({ type: "csv", url: "https://x/pub?output=csv&sheet={tab}", headerRow: 2 })
+  );
+  assert.deepEqual(urls, ["https://x/pub?output=csv&sheet=Split%20Yellow"]);
+  assert.equal(csv.byName.get("dan o'brien").qualiBan, "Round 6");
+
+  const json = await fetchPenaltyTab(
+    "Split Yellow",
+    penaltySourceFromConfig(
+      {
+        type: "json",
+        file: "fixtures/penalties.json",
+        columns: { carNo: "car", driver: "driver", penPoints: "points", qualiBan: "ban", banServed: "served" },
+      },
+      __dirname
+    )
+  );
+  assert.equal(json.byCarNo.get("33").penPoints, "9");
+  assert.equal(json.byCarNo.get("27").qualiBan, "");
+
+  await assert.rejects(
+    fetchPenaltyTab("Split Yellow", penaltySourceFromConfig({ type: "csv", url: "https://x/{tab}", columns: { penPoints: "Pts" } })),
+    /Penalty sheet tab Split Yellow: missing 'Pts' column/
+  );
+});
@@ -0,0 +1,209 @@
+// Golden-image tests for render.js.
+//
+// Each case renders fixed standings (test/fixtures/render-panels.json) with generated stand-in
+// images instead of remote flags/logos/watermark, then compares against test/golden/<name>.png.
+//
+// - A pixel "differs" when any RGBA channel is off by more than CHANNEL_TOLERANCE.
+// - A case fails when more than MAX_DIFF_RATIO of its pixels differ (or the size changed);
+//   the actual render and a diff image (changed pixels in magenta over a dimmed reference)
+//   are written to test/golden/__diff__/.
+// - After an intentional visual change, refresh the references with:
+//     UPDATE_GOLDEN=1 npm test
+//
+// Text is rasterised with the fonts bundled in assets/fonts (fonts.js), so references don't depend on
+// the machine's fonts. Fixtures stick to scripts the shipped font covers (Latin, Greek, Cyrillic): CJK
+// and colour emoji come from optional drop-ins that would change the references.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { createCanvas, loadImage } = require("@napi-rs/canvas");
+
+const {
+  renderTripleStandingsPng,
+  renderDoubleStandingsPng,
+  renderSeriesOnlyPng,
+  renderClassGridPng,
+  renderRaceResultsPng,
+  renderPointsChartPng,
+  renderCompareCardPng,
+  setImageSource,
+} = require("../render");
+const { BUILTIN_THEMES } = require("../themes");
+
+const GOLDEN_DIR = path.join(__dirname, "golden");
+const DIFF_DIR = path.join(GOLDEN_DIR, "__diff__");
+const UPDATE = process.env.UPDATE_GOLDEN === "1";
+
+const CHANNEL_TOLERANCE = 4;
+const MAX_DIFF_RATIO = 0.002;
+
+const panels = JSON.parse(fs.readFileSync(path.join(__dirname, "fixtures", "render-panels.json"), "utf8"));
+
+// Deterministic stand-in per URL: a flat colour block (flag-ish for flags, square for logos).
+const standIns = new Map();
+function standInImage(url) {
+  if (!standIns.has(url)) {
+    const h = crypto.createHash("sha1").update(url).digest();
+    const isFlag = /flag|twemoji/i.test(url);
+    const isWatermark = /OOR-HEADER/i.test(url);
+    const w = isWatermark ? 400 : isFlag ? 36 : 48;
+    const hgt = isWatermark ? 100 : isFlag ? 24 : 48;
+
+    const c = createCanvas(w, hgt);
+    const ctx = c.getContext("2d");
+    ctx.fillStyle = `rgb(${h[0]}, ${h[1]}, ${h[2]})`;
+    ctx.fillRect(0, 0, w, hgt);
+    ctx.fillStyle = `rgb(${h[3]}, ${h[4]}, ${h[5]})`;
+    ctx.fillRect(0, 0, w, Math.round(hgt / 3));
+    standIns.set(url, loadImage(c.toBuffer("image/png")));
+  }
+  return standIns.get(url);
+}
+
+test.before(() => setImageSource(standInImage));
+test.after(() => setImageSource(null));
+
+async function decode(png) {
+  const img = await loadImage(png);
+  const c = createCanvas(img.width, img.height);
+  const ctx = c.getContext("2d");
+  ctx.drawImage(img, 0, 0);
+  return { width: img.width, height: img.height, data: ctx.getImageData(0, 0, img.width, img.height).data, canvas: c };
+}
+
+function diffImage(ref, differs) {
+  const c = createCanvas(ref.width, ref.height);
+  const ctx = c.getContext("2d");
+  ctx.fillStyle = "#000";
+  ctx.fillRect(0, 0, ref.width, ref.height);
+  ctx.globalAlpha = 0.25;
+  ctx.drawImage(ref.canvas, 0, 0);
+  ctx.globalAlpha = 1;
+
+  const out = ctx.getImageData(0, 0, ref.width, ref.height);
+  for (const i of differs) {
+    out.data[i] = 255;
+    out.data[i + 1] = 0;
+    out.data[i + 2] = 255;
+    out.data[i + 3] = 255;
+  }
+  ctx.putImageData(out, 0, 0);
+  return c.toBuffer("image/png");
+}
+
+async function assertMatchesGolden(name, png) {
+  const refPath = path.join(GOLDEN_DIR, `${name}.png`);
+
+  if (UPDATE) {
+    fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+    fs.writeFileSync(refPath, png);
+    return;
+  }
+  if (!fs.existsSync(refPath)) {
+    assert.fail(`Missing reference ${path.relative(process.cwd(), refPath)} (run UPDATE_GOLDEN=1 npm test)`);
+  }
+
+  const [ref, actual] = await Promise.all([decode(fs.readFileSync(refPath)), decode(png)]);
+
+  const writeArtifacts = (diffPng) => {
+    fs.mkdirSync(DIFF_DIR, { recursive: true });
+    fs.writeFileSync(path.join(DIFF_DIR, `${name}.actual.png`), png);
+    if (diffPng) fs.writeFileSync(path.join(DIFF_DIR, `${name}.diff.png`), diffPng);
+  };
+
+  if (ref.width !== actual.width || ref.height !== actual.height) {
+    writeArtifacts(null);
+    assert.fail(`${name}: size changed ${ref.width}x${ref.height} -> ${actual.width}x${actual.height}`);
+  }
+
+  const differs = [];
+  for (let i = 0; i < ref.data.length; i += 4) {
+    for (let c = 0; c < 4; c++) {
+      if (Math.abs(ref.data[i + c] - actual.data[i + c]) > CHANNEL_TOLERANCE) {
+        differs.push(i);
+        break;
+      }
+    }
+  }
+
+  const ratio = differs.length / (ref.width * ref.height);
+  if (ratio > MAX_DIFF_RATIO) {
+    writeArtifacts(diffImage(ref, differs));
+    assert.fail(
+      `${name}: ${differs.length} pixels differ (${(ratio * 100).toFixed(3)}% > ${(MAX_DIFF_RATIO * 100).toFixed(3)}%); ` +
+        `see ${path.relative(process.cwd(), DIFF_DIR)}/${name}.diff.png`
+    );
+  }
+}
+
+test("golden: triple standings (Club50 | Split Yellow | Split Red)", async () => {
+  const png = await renderTripleStandingsPng(panels.club50, panels.yellow, panels.red);
+  await assertMatchesGolden("triple", png);
+});
+
+test("golden: double SimGrid standings", async () => {
+  const png = await renderDoubleStandingsPng(panels.hypercar, panels.lmgt3);
+  await assertMatchesGolden("double-simgrid", png);
+});
+
+test("golden: series-only (sprint split)", async () => {
+  const png = await renderSeriesOnlyPng(panels.yellow);
+  await assertMatchesGolden("series-yellow", png);
+});
+
+test("golden: over-long and non-Latin driver names are cut with an ellipsis", async () => {
+  const png = await renderSeriesOnlyPng(panels.longNames);
+  await assertMatchesGolden("series-long-names", png);
+});
+
+test("golden: series-only split into two columns", async () => {
+  const png = await renderSeriesOnlyPng(panels.club50, { maxRowsPerCol: 5 });
+  await assertMatchesGolden("series-club50-two-col", png);
+});
+
+test("golden: class grid", async () => {
+  const png = await renderClassGridPng(panels.classGrid);
+  await assertMatchesGolden("class-grid", png);
+});
+
+test("golden: class grid (light theme)", async () => {
+  const png = await renderClassGridPng(panels.classGrid, { theme: BUILTIN_THEMES.light });
+  await assertMatchesGolden("class-grid-light", png);
+});
+
+test("golden: series-only (broadcast theme)", async () => {
+  const png = await renderSeriesOnlyPng(panels.yellow, { theme: BUILTIN_THEMES.broadcast });
+  await assertMatchesGolden("series-yellow-broadcast", png);
+});
+
+test("golden: round results", async () => {
+  const png = await renderRaceResultsPng(panels.roundResults);
+  await assertMatchesGolden("round-results", png);
+});
+
+test("golden: points progression chart", async () => {
+  const png = await renderPointsChartPng(panels.progression);
+  await assertMatchesGolden("points-chart", png);
+});
+
+test("golden: head-to-head compare card", async () => {
+  const png = await renderCompareCardPng(panels.compare);
+  await assertMatchesGolden("compare", png);
+});
+
+test("golden: team standings", async () => {
+  const png = await renderSeriesOnlyPng(panels.teams);
+  await assertMatchesGolden("teams", png);
+});
+
+test("golden: penalty ledger", async () => {
+  const png = await renderSeriesOnlyPng(panels.penalties);
+  await assertMatchesGolden("penalty-ledger", png);
+});
+
+test("golden: title race marks", async () => {
+  const png = await renderSeriesOnlyPng(panels.titleRace);
+  await assertMatchesGolden("title-race", png);
+});
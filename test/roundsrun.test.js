@@ -0,0 +1,71 @@
+// Rounds run counter: one full walk, then only the next round, and never backwards.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createRoundsRunCounter } = require("../roundsrun");
+
+// Results site stand-in: rounds 1..held.count exist; held.failOn answers with a server error.
+function site(held) {
+  const asked = [];
+  return {
+    asked,
+    held,
+    isHeld: async (round) => {
+      asked.push(round);
+      if (round === held.failOn) throw new Error("Fetch failed (500)");
+      return round <= held.count;
+    },
+  };
+}
+
+test("the first count walks the season, later checks only ask for the next round", async () => {
+  let t = 0;
+  const counter = createRoundsRunCounter({ recheckMs: 1000, now: () => t });
+  const s = site({ count: 3 });
+
+  assert.equal(counter.known("red:24"), null);
+  assert.equal(await counter.count("red:24", 12, s.isHeld), 3);
+  assert.deepEqual(s.asked, [1, 2, 3, 4]);
+
+  // Within recheckMs: answered from memory.
+  t = 500;
+  assert.equal(await counter.count("red:24", 12, s.isHeld), 3);
+  assert.deepEqual(s.asked, [1, 2, 3, 4]);
+
+  // Later: round 4 only, then 4 and 5 (double header) and on to 6.
+  t = 2000;
+  assert.equal(await counter.count("red:24", 12, s.isHeld), 3);
+  s.held.count = 5;
+  t = 4000;
+  assert.equal(await counter.count("red:24", 12, s.isHeld), 5);
+  assert.deepEqual(s.asked, [1, 2, 3, 4, 4, 4, 5, 6]);
+  assert.equal(counter.known("red:24"), 5);
+});
+
+test("the count stops at max, shares one in-flight check and keeps progress on failures", async () => {
+  let t = 0;
+  const counter = createRoundsRunCounter({ recheckMs: 1000, now: () => t });
+  const s = site({ count: 9 });
+
+  assert.deepEqual(await Promise.all([counter.count("y:24", 2, s.isHeld), counter.count("y:24", 2, s.isHeld)]), [2, 2]);
+  assert.deepEqual(s.asked, [1, 2]);
+
+  const f = site({ count: 9, failOn: 3 });
+  await assert.rejects(counter.count("x:24", 12, f.isHeld), /500/);
+  assert.equal(counter.known("x:24"), null);
+  f.held.failOn = undefined;
+  assert.equal(await counter.count("x:24", 12, f.isHeld), 9);
+  assert.deepEqual(f.asked, [1, 2, 3, 3, 4, 5, 6, 7, 8, 9, 10]);
+});
+
+test("a seeded count (from recorded history) only asks for the rounds after it", async () => {
+  const counter = createRoundsRunCounter({ recheckMs: 1000, now: () => 0 });
+  const s = site({ count: 7 });
+
+  counter.seed("red:24", 6);
+  counter.seed("red:24", 4); // never backwards
+  counter.seed("red:24", null);
+  assert.equal(counter.known("red:24"), null);
+  assert.equal(await counter.count("red:24", 12, s.isHeld), 7);
+  assert.deepEqual(s.asked, [7, 8]);
+});
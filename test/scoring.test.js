@@ -0,0 +1,94 @@
+// Scoring engine: points per round, drop rounds, countback and differences vs the scraped standings.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const { parseRoundResultsHtml } = require("../standings");
+const { scoringFromConfig, scoreRound, computeStandings, standingsDiscrepancies } = require("../scoring");
+
+const roundRows = parseRoundResultsHtml(fs.readFileSync(path.join(__dirname, "fixtures", "oor-round-yellow.html"), "utf8"));
+
+function row(pos, driver, extra = {}) {
+  return { pos: String(pos), driver, carNo: "", grid: "", bestLap: "", points: "", ...extra };
+}
+
+test("scoringFromConfig validates and fills defaults", () => {
+  assert.equal(scoringFromConfig(undefined, "series 'yellow'"), null);
+  assert.deepEqual(scoringFromConfig({ points: [10, 5], drop: 1 }, "series 'yellow'"), {
+    points: [10, 5],
+    sitePoints: false,
+    qualiPoints: [],
+    fastestLap: 0,
+    drop: 1,
+    maxRounds: 30,
+    apply: false,
+  });
+  assert.equal(scoringFromConfig({ points: "site" }, "x").sitePoints, true);
+
+  assert.throws(() => scoringFromConfig({}, "series 'yellow'"), /scoring\.points for series 'yellow' in config\.json/);
+  assert.throws(() => scoringFromConfig({ points: [10, -1] }, "x"), /non-negative numbers/);
+  assert.throws(() => scoringFromConfig({ points: [10], drop: 1.5 }, "x"), /scoring\.drop .* whole number/);
+});
+
+test("scoreRound applies race, quali and fastest-lap points", () => {
+  const scored = scoreRound(roundRows, scoringFromConfig({ points: [25, 18, 15, 12, 10, 8], qualiPoints: [3, 2, 1], fastestLap: 1 }, "x"));
+  assert.deepEqual(
+    scored.map((r) => [r.driver, r.racePts, r.qualiPts, r.flPts, r.points]),
+    [
+      ["Ben Walker", 25, 2, 0, 27],
+      ["Ava Nguyen", 18, 3, 1, 22],
+      ["Chloe Smith", 15, 1, 0, 16],
+      ["Dan O'Brien", 12, 0, 0, 12],
+      ["Eli Jones", 10, 0, 0, 10],
+      ["Grace Kelly", 8, 0, 0, 8],
+    ]
+  );
+
+  // "site" takes the results page's own Pts column; an unclassified best lap never earns the bonus.
+  const site = scoreRound([row("DNF", "Quick", { bestLap: "1:20.000", points: "0" }), row(1, "Slow", { bestLap: "1:30.000", points: "25" })], scoringFromConfig({ points: "site", fastestLap: 1 }, "x"));
+  assert.deepEqual(site.map((r) => [r.driver, r.pos, r.points]), [["Quick", 0, 0], ["Slow", 1, 26]]);
+});
+
+test("computeStandings drops the worst rounds (missed rounds first) and breaks ties on countback", () => {
+  const scoring = scoringFromConfig({ points: [10, 6, 4], drop: 1 }, "x");
+  const rounds = [
+    { round: 1, rows: [row(1, "Ava"), row(2, "Ben"), row(3, "Cat")] },
+    { round: 2, rows: [row(1, "Ben"), row(2, "ava"), row(3, "Cat")] },
+    { round: 3, rows: [row(1, "Cat"), row(2, "Ben")] },
+  ];
+
+  const standings = computeStandings(rounds, scoring);
+  assert.deepEqual(
+    standings.map((r) => [r.pos, r.driver, r.total, r.nett, r.diff, r.roundPoints, r.dropped]),
+    [
+      ["1", "Ben", "22", "16", "0", [6, 10, 6], [2]],
+      ["2", "ava", "16", "16", "0", [10, 6, 0], [2]],
+      ["3", "Cat", "18", "14", "-2", [4, 4, 10], [1]],
+    ]
+  );
+
+  // Ben and Ava tie on nett 16: Ben ahead on total; with equal totals countback decides.
+  const tied = computeStandings([{ round: 1, rows: [row(1, "Ava"), row(2, "Ben")] }, { round: 2, rows: [row(2, "Ava"), row(2, "Ben")] }], scoringFromConfig({ points: [10, 10] }, "x"));
+  assert.deepEqual(tied.map((r) => r.driver), ["Ava", "Ben"]);
+
+  // Drops never exceed rounds held - 1.
+  const single = computeStandings(rounds.slice(0, 1), scoringFromConfig({ points: [10, 6, 4], drop: 3 }, "x"));
+  assert.equal(single[0].nett, "10");
+});
+
+test("standingsDiscrepancies lists mismatched totals and missing or extra drivers", () => {
+  const computed = [
+    { driver: "Ben", total: "22", nett: "16" },
+    { driver: "Ava", total: "16", nett: "16" },
+  ];
+  const scraped = [
+    { driver: "ben", total: "22", nett: "22" },
+    { driver: "Zed", total: "3", nett: "3" },
+  ];
+  assert.deepEqual(standingsDiscrepancies(computed, scraped), [
+    { driver: "Ben", field: "nett", scraped: "22", computed: "16" },
+    { driver: "Ava", field: "missing", scraped: "", computed: "16" },
+    { driver: "Zed", field: "extra", scraped: "3", computed: "" },
+  ]);
+});
@@ -0,0 +1,85 @@
+// Spreadsheet readers used by the penalty sources (fixtures in test/fixtures, no network).
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const { parseCsv, csvTable, xlsxSheetNames, xlsxTable, jsonTable, columnSpec, columnIndex, describeColumn } = require("../sheets");
+
+function fixturePath(name) {
+  return path.join(__dirname, "fixtures", name);
+}
+
+test("parseCsv handles quotes, escaped quotes, CRLF and a BOM", () => {
+  assert.deepEqual(parseCsv('\uFEFFa,"b, c","say ""hi"""\r\n1,,3\n'), [
+    ["a", "b, c", 'say "hi"'],
+    ["1", "", "3"],
+  ]);
+  assert.deepEqual(parseCsv('x,"multi\nline"'), [["x", "multi\nline"]]);
+});
+
+test("csvTable skips rows above the header row and blank rows", () => {
+  const table = csvTable(fs.readFileSync(fixturePath("penalties-split-yellow.csv"), "utf8"), { headerRow: 2 });
+  assert.deepEqual(table.headers, ["Car #", "Name", "Notes", "Total", "Qualifying Ban", "Ban Served"]);
+  assert.equal(table.rows.length, 3);
+  assert.deepEqual(table.rows[1], ["5", "Ben Walker", 'Said "sorry"', "7", "Round 4", "Round 5"]);
+});
+
+test("xlsxTable reads shared strings, inline strings, numbers and gaps", () => {
+  const buf = fs.readFileSync(fixturePath("penalties.xlsx"));
+  assert.deepEqual(xlsxSheetNames(buf), ["Split Yellow", "Red"]);
+
+  const yellow = xlsxTable(buf, "split yellow");
+  assert.deepEqual(yellow.headers, ["Car #", "Name", "R1", "R2", "Total", "Qualifying Ban", "Ban Served"]);
+  assert.deepEqual(yellow.rows[0], ["27", "Ava Nguyen", "2", "0", "2", "", ""]);
+  assert.equal(yellow.rows[2][1], "Dan O'Brien");
+
+  const red = xlsxTable(buf, "Red");
+  assert.deepEqual(red.rows[1], ["", "Kate Young", "6", "", ""]);
+
+  assert.throws(() => xlsxTable(buf, "Blue"), /no sheet named 'Blue' \(have: Split Yellow, Red\)/);
+  assert.throws(() => xlsxTable(Buffer.from("not a zip"), "Red"), /not a zip file/);
+});
+
+test("xlsxTable turns date-formatted serials into dates and drops phonetic runs", () => {
+  const table = xlsxTable(fs.readFileSync(fixturePath("penalties-dates.xlsx")), "Bans");
+  assert.deepEqual(table.headers, ["Car #", "Name", "Incident", "Ban Served", "Start"]);
+  // Formats 22, 14 and 20 (built-in) and "dd/mm/yyyy" (custom); '"Day "0' is custom but not a date.
+  assert.deepEqual(table.rows[0], ["27", "佐藤 健", "2026-01-01 19:30:00", "2026-01-08", "19:30:00"]);
+  // Rich-text runs join up; a text or empty cell keeps its value whatever its style.
+  assert.deepEqual(table.rows[1], ["5", "Ben Walker", "2026-01-15", "Ban Served", ""]);
+});
+
+test("jsonTable and columnIndex", () => {
+  const table = jsonTable([{ car: 5, driver: "Ben" }, { driver: "Ava", points: 2 }]);
+  assert.deepEqual(table, { headers: ["car", "driver", "points"], rows: [["5", "Ben", ""], ["", "Ava", "2"]] });
+
+  assert.equal(columnIndex(table.headers, "POINTS"), 2);
+  assert.equal(columnIndex(table.headers, "B"), 1);
+  assert.equal(columnIndex(table.headers, "AA"), 26);
+  assert.equal(columnIndex(table.headers, "Total"), -1);
+
+  // Shorthand: a header label wins, then column letters in any case.
+  assert.equal(columnIndex(table.headers, "b"), 1);
+  assert.equal(columnIndex(["car", "b", "a"], "a"), 2);
+  assert.equal(columnIndex(["car", "b", "a"], "c"), 2);
+
+  // Explicit specs never fall back to the other kind.
+  assert.equal(columnIndex(["car", "b", "a"], { col: "a" }), 0);
+  assert.equal(columnIndex(table.headers, { header: "Points" }), 2);
+  assert.equal(columnIndex(table.headers, { header: "B" }), -1);
+  assert.equal(columnIndex(table.headers, { col: "Points" }), -1);
+});
+
+test("columnSpec validates config values and describeColumn names them", () => {
+  assert.equal(columnSpec("  Qualifying   Ban "), "Qualifying Ban");
+  assert.deepEqual(columnSpec({ col: "ab" }), { col: "AB" });
+  assert.deepEqual(columnSpec({ header: " Total " }), { header: "Total" });
+  for (const bad of ["", 3, null, [], { col: "A1" }, { header: "" }, { col: "A", header: "Total" }, { column: "A" }]) {
+    assert.equal(columnSpec(bad), null, JSON.stringify(bad));
+  }
+
+  assert.equal(describeColumn({ col: "C" }), "column C");
+  assert.equal(describeColumn({ header: "Total" }), "'Total' column");
+  assert.equal(describeColumn("Pts"), "'Pts' column");
+});
@@ -0,0 +1,183 @@
+// Offline parser tests: saved OOR (DevExpress) and SimGrid pages in test/fixtures, no network.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+
+const {
+  parseStandingsTable,
+  validateRowsOrThrow,
+  parseStandingsGenericHtml,
+  fetchStandingsGeneric,
+  parseSimgridStandingsHtml,
+  fetchSimgridStandings,
+  parseRoundResultsHtml,
+} = require("../standings");
+
+const OOR_TABLE_ID = "PageContent_TeamsView_DXMainTable";
+
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, "fixtures", name), "utf8");
+}
+
+function pick(rows, keys) {
+  return rows.map((r) => Object.fromEntries(keys.map((k) => [k, r[k]])));
+}
+
+// ---- OOR results page (index.js path) ----
+test("parseStandingsTable: Club50 rows", () => {
+  const rows = parseStandingsTable(fixture("oor-club50.html"), OOR_TABLE_ID, "Club50");
+
+  assert.equal(rows.length, 6);
+  assert.deepEqual(pick(rows, ["pos", "driver", "carNo", "className", "nett", "diff"]).slice(0, 3), [
+    { pos: "1", driver: "Liam Carter", carNo: "7", className: "", nett: "226", diff: "0" },
+    { pos: "2", driver: "Sophie Tran", carNo: "21", className: "", nett: "214", diff: "-12" },
+    { pos: "3", driver: "Marco Rossi", carNo: "3", className: "", nett: "200", diff: "-26" },
+  ]);
+  assert.equal(rows[3].driver, "Jürgen Köhler");
+  assert.equal(rows[0].countryImg, "https://results.octaneonlineracing.com/images/flags/au.png");
+  assert.match(rows[0].carImg, /TEAMS-2021_McLaren\.png$/);
+  assert.deepEqual(rows.map((r) => r.carMakeKey), ["mclaren", "porsche", "ferrari", "bmw", "mercedes", "toyota_gazoo"]);
+});
+
+test("parseStandingsTable: sprint split rows carry class and points breakdown", () => {
+  const rows = parseStandingsTable(fixture("oor-sprint-yellow.html"), OOR_TABLE_ID, "Split Yellow");
+
+  assert.equal(rows.length, 7);
+  assert.deepEqual(rows[1], {
+    pos: "2",
+    driver: "Ben Walker",
+    carNo: "5",
+    className: "Silver",
+    carImg: "https://octaneonlineracing.com.au/wp-content/uploads/2021/09/TEAMS-2021_McLaren.png",
+    carMakeKey: "mclaren",
+    countryImg: "https://results.octaneonlineracing.com/images/flags/au.png",
+    racePts: "132",
+    qualiPts: "10",
+    flPts: "2",
+    total: "144",
+    nett: "140",
+    diff: "-10",
+  });
+  assert.deepEqual(
+    [...new Set(rows.map((r) => r.className))].sort(),
+    ["Am", "Pro", "Pro-Am", "Silver"]
+  );
+});
+
+test("parseStandingsTable: missing table throws", () => {
+  assert.throws(() => parseStandingsTable("<html><body></body></html>", OOR_TABLE_ID, "Empty"), /Could not find table#/);
+});
+
+test("validateRowsOrThrow rejects empty scrapes", () => {
+  assert.throws(() => validateRowsOrThrow([], "X"), /parsed 0 rows/);
+  assert.throws(
+    () => validateRowsOrThrow([{ driver: "A", carImg: "" }, { driver: "B", carImg: "" }, { driver: "C", carImg: "" }], "X"),
+    /car images missing/
+  );
+
+  const rows = parseStandingsTable(fixture("oor-sprint-red.html"), OOR_TABLE_ID, "Split Red");
+  assert.doesNotThrow(() => validateRowsOrThrow(rows, "Split Red"));
+});
+
+// ---- generic DevExpress parser (pickBestDxGridTable) ----
+test("parseStandingsGenericHtml matches the table-id parser and drops the utility column", () => {
+  const html = fixture("oor-sprint-yellow.html");
+  const generic = parseStandingsGenericHtml(html, "Split Yellow");
+  const byId = parseStandingsTable(html, OOR_TABLE_ID, "Split Yellow");
+
+  const keys = ["pos", "driver", "carNo", "className", "carImg", "total", "nett", "diff"];
+  assert.deepEqual(pick(generic, keys), pick(byId, keys));
+});
+
+test("fetchStandingsGeneric parses the response body without network", async (t) => {
+  t.mock.method(axios, "get", async () => ({ data: fixture("oor-club50.html") }));
+
+  const rows = await fetchStandingsGeneric("https://results.example/Standings.aspx?s=24", "Club50");
+  assert.equal(rows.length, 6);
+  assert.equal(rows[0].driver, "Liam Carter");
+  assert.equal(axios.get.mock.callCount(), 1);
+});
+
+test("parseStandingsGenericHtml throws when there is no grid", () => {
+  assert.throws(() => parseStandingsGenericHtml("<table><tr><td>x</td></tr></table>", "None"), /DevExpress standings table/);
+});
+
+// ---- OOR round results ----
+test("parseRoundResultsHtml picks the race grid over qualifying", () => {
+  const rows = parseRoundResultsHtml(fixture("oor-round-yellow.html"), "Yellow R6");
+
+  assert.equal(rows.length, 6);
+  assert.deepEqual(rows[0], {
+    pos: "1",
+    driver: "Ben Walker",
+    carNo: "5",
+    className: "Silver",
+    carImg: "https://octaneonlineracing.com.au/wp-content/uploads/2021/09/TEAMS-2021_McLaren.png",
+    carMakeKey: "mclaren",
+    countryImg: "https://results.octaneonlineracing.com/images/flags/au.png",
+    grid: "2",
+    laps: "24",
+    bestLap: "1:31.402",
+    totalTime: "40:12.881",
+    gap: "",
+    penalty: "",
+    points: "25",
+  });
+  assert.deepEqual(pick(rows, ["pos", "driver", "gap", "penalty"]).slice(3), [
+    { pos: "4", driver: "Dan O'Brien", gap: "+31.004", penalty: "5s" },
+    { pos: "5", driver: "Eli Jones", gap: "1 Lap", penalty: "" },
+    { pos: "6", driver: "Grace Kelly", gap: "DNF", penalty: "" },
+  ]);
+});
+
+test("parseRoundResultsHtml throws when no grid has a driver column", () => {
+  assert.throws(() => parseRoundResultsHtml("<html><body></body></html>", "Empty"), /Empty: could not locate a results table/);
+});
+
+// ---- SimGrid ----
+test("parseSimgridStandingsHtml: hypercar rows", () => {
+  const { rows } = parseSimgridStandingsHtml(fixture("simgrid-hypercar.html"), "Hypercar");
+
+  assert.deepEqual(pick(rows, ["pos", "driver", "rating", "carNo", "nett", "carMakeKey"]), [
+    { pos: "1", driver: "Liam Carter", rating: "2,450", carNo: "7", nett: "43", carMakeKey: "toyota_gazoo" },
+    { pos: "2", driver: "Oscar Hughes", rating: "1,980", carNo: "50", nett: "43", carMakeKey: "ferrari" },
+    { pos: "3", driver: "Sophie Tran", rating: "2,202", carNo: "6", nett: "30", carMakeKey: "porsche" },
+    { pos: "4", driver: "Élodie Martin", rating: "1,512", carNo: "93", nett: "24", carMakeKey: "peugeot" },
+  ]);
+  assert.equal(rows[0].countryImg, "https://cdnjs.cloudflare.com/ajax/libs/twemoji/14.0.2/72x72/1f1e6-1f1fa.png");
+});
+
+test("parseSimgridStandingsHtml: LMGT3 rows resolve relative car icons", () => {
+  const { rows } = parseSimgridStandingsHtml(fixture("simgrid-lmgt3.html"), "LMGT3");
+
+  assert.equal(rows.length, 3);
+  assert.deepEqual(rows[1], {
+    pos: "2",
+    driver: "Dan O'Brien",
+    rating: "1,870",
+    carNo: "27",
+    className: "",
+    carImg: "https://www.thesimgrid.com/assets/cars/aston-vantage.png",
+    carMakeKey: "aston_martin",
+    countryImg: "https://cdnjs.cloudflare.com/ajax/libs/twemoji/14.0.2/72x72/1f1fa-1f1f8.png",
+    racePts: "",
+    qualiPts: "",
+    flPts: "",
+    total: "36",
+    nett: "36",
+    diff: "",
+  });
+});
+
+test("parseSimgridStandingsHtml throws without a results table", () => {
+  assert.throws(() => parseSimgridStandingsHtml("<html></html>", "LMGT3"), /LMGT3: standings table not found/);
+});
+
+test("fetchSimgridStandings parses the fetched page without network", async (t) => {
+  t.mock.method(globalThis, "fetch", async () => new Response(fixture("simgrid-lmgt3.html"), { status: 200 }));
+
+  const { rows } = await fetchSimgridStandings("https://www.thesimgrid.com/championships/902/standings", "LMGT3");
+  assert.deepEqual(rows.map((r) => r.driver), ["Ava Nguyen", "Dan O'Brien", "Grace Kelly"]);
+});
@@ -0,0 +1,43 @@
+// Steward alerts: threshold crossings, quali bans and served bans between two penalty snapshots.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { penaltySnapshot, stewardEvents, stewardAlertLines, stewardDigestLines } = require("../stewards");
+
+const before = [
+  { driver: "Ava Nguyen", carNo: "27", penPoints: "4", qualiBan: "", banServed: "" },
+  { driver: "Ben Walker", carNo: "5", penPoints: "9", qualiBan: "Round 4", banServed: "" },
+  { driver: "Chloe Smith", carNo: "12", penPoints: "0", qualiBan: "", banServed: "" },
+];
+
+const after = [
+  { driver: "Ava Nguyen", carNo: "#27", penPoints: "11", qualiBan: "Round 7", banServed: "" },
+  { driver: "Ben Walker", carNo: "5", penPoints: "9", qualiBan: "Round 4", banServed: "Round 5" },
+  { driver: "Chloe Smith", carNo: "12", penPoints: "3", qualiBan: "", banServed: "" },
+  { driver: "Eli Jones", carNo: "9", penPoints: "6", qualiBan: "", banServed: "" },
+];
+
+test("stewardEvents reports the highest threshold crossed, new bans and served bans", () => {
+  assert.deepEqual(stewardEvents(penaltySnapshot(before), after, { thresholds: [5, 10] }), [
+    { kind: "threshold", driver: "Ava Nguyen", carNo: "#27", from: 4, to: 11, threshold: 10 },
+    { kind: "qualiBan", driver: "Ava Nguyen", carNo: "#27", qualiBan: "Round 7" },
+    { kind: "banServed", driver: "Ben Walker", carNo: "5", qualiBan: "Round 4", banServed: "Round 5" },
+  ]);
+});
+
+test("stewardAlertLines renders one line per event", () => {
+  const lines = stewardAlertLines(stewardEvents(before, after, { thresholds: [5, 10] }));
+  assert.deepEqual(lines, [
+    "⚠️ **Ava Nguyen** (#27) reached **11** penalty points (threshold 10; was 4)",
+    "🚫 **Ava Nguyen** (#27) quali ban now active: Round 7",
+    "✅ **Ben Walker** (#5) quali ban served: Round 5 (ban: Round 4)",
+  ]);
+});
+
+test("stewardDigestLines lists active bans and drivers over the lowest threshold", () => {
+  assert.deepEqual(stewardDigestLines(after, { thresholds: [10, 5] }), [
+    "🚫 Active quali bans: Ava Nguyen (Round 7)",
+    "⚠️ 5+ penalty points: Ava Nguyen 11, Ben Walker 9, Eli Jones 6",
+  ]);
+  assert.deepEqual(stewardDigestLines(before.slice(2), { thresholds: [5] }), ["Nothing outstanding."]);
+});
@@ -0,0 +1,68 @@
+// Team / manufacturer standings from parsed fixture rows.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const { parseStandingsTable, parseSimgridStandingsHtml } = require("../standings");
+const { teamStandings, makeKeyForRow } = require("../teams");
+
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, "fixtures", name), "utf8");
+}
+
+const yellow = parseStandingsTable(fixture("oor-sprint-yellow.html"), "PageContent_TeamsView_DXMainTable", "Split Yellow");
+
+function pick(rows) {
+  return rows.map(({ pos, team, drivers, nett, diff }) => ({ pos, team, drivers, nett, diff }));
+}
+
+test("makeKeyForRow reads OOR logo file names and SimGrid make keys", () => {
+  assert.equal(makeKeyForRow({ carImg: "https://x/uploads/2021/09/TEAMS-2021_Aston-Martin.png?v=2" }), "aston_martin");
+  assert.equal(makeKeyForRow({ carImg: "", carMakeKey: "astonmartin" }), "aston_martin");
+  assert.equal(makeKeyForRow({ carImg: "https://x/TEAMS-2021_McLaren.png", carMakeKey: "" }), "mclaren");
+  assert.equal(makeKeyForRow({ carImg: "https://x/unknown.png", carMakeKey: "porsche" }), "porsche");
+  assert.equal(makeKeyForRow({ carImg: "" }), "");
+});
+
+test("teamStandings groups OOR drivers by car make without team config", () => {
+  const { rows, unassigned } = teamStandings(yellow, { seriesId: "yellow" });
+
+  assert.equal(unassigned, 0);
+  const total = rows.reduce((a, r) => a + Number(r.nett), 0);
+  assert.equal(total, yellow.reduce((a, r) => a + Number(r.nett), 0));
+  assert.deepEqual(rows.map((r) => r.pos), rows.map((_, i) => String(i + 1)));
+  assert.equal(rows[0].diff, "0");
+  assert.ok(rows.every((r) => r.isMake));
+});
+
+test("configured teams take precedence, match by name or car number and respect countBest", () => {
+  const teams = [
+    { name: "Apex Motorsport", drivers: ["ava nguyen"], carNos: ["#5"], series: [] },
+    { name: "Red Only", drivers: ["Chloe Smith"], carNos: [], series: ["red"] },
+  ];
+
+  const all = teamStandings(yellow, { seriesId: "yellow", teams });
+  const apex = all.rows.find((r) => r.team === "Apex Motorsport");
+  assert.deepEqual({ drivers: apex.drivers, nett: apex.nett, isMake: apex.isMake }, { drivers: "2", nett: "290", isMake: false });
+  assert.ok(!all.rows.some((r) => r.team === "Red Only"));
+
+  const best1 = teamStandings(yellow, { seriesId: "yellow", teams, countBest: 1 });
+  assert.equal(best1.rows.find((r) => r.team === "Apex Motorsport").nett, "150");
+});
+
+test("teamStandings: SimGrid rows by make, logo override and unassigned drivers", () => {
+  const { rows: hypercar } = parseSimgridStandingsHtml(fixture("simgrid-hypercar.html"), "Hypercar");
+  const { rows, unassigned } = teamStandings([...hypercar, { driver: "Mystery", nett: "5", carImg: "" }], {
+    teams: [{ name: "Works", drivers: ["Élodie Martin"], carNos: [], series: [], logo: "https://x/works.png" }],
+  });
+
+  assert.equal(unassigned, 1);
+  assert.deepEqual(pick(rows), [
+    { pos: "1", team: "Toyota Gazoo Racing", drivers: "1", nett: "43", diff: "0" },
+    { pos: "2", team: "Ferrari", drivers: "1", nett: "43", diff: "0" },
+    { pos: "3", team: "Porsche", drivers: "1", nett: "30", diff: "-13" },
+    { pos: "4", team: "Works", drivers: "1", nett: "24", diff: "-19" },
+  ]);
+  assert.equal(rows[3].carImg, "https://x/works.png");
+});
@@ -0,0 +1,97 @@
+// Render themes: built-ins, config.json "themes" overrides / base chains, validation and class keys.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { BUILTIN_THEMES, DEFAULT_THEME, DEFAULT_THEME_NAME, classKey, themeRegistryFromConfig } = require("../themes");
+
+test("dark is the default and keeps the original look", () => {
+  assert.equal(DEFAULT_THEME_NAME, "dark");
+  assert.equal(DEFAULT_THEME, BUILTIN_THEMES.dark);
+  assert.equal(DEFAULT_THEME.colors.bgTop, "#0b1220");
+  assert.deepEqual(DEFAULT_THEME.layout, { outerPad: 22, gap: 22, padInner: 18, headerH: 58, headRowH: 26, rowH: 26 });
+  assert.deepEqual(DEFAULT_THEME.watermark, { widthPct: 0.75, opacity: 0.18, yOffset: 0 });
+  assert.deepEqual(
+    Object.fromEntries(Object.entries(DEFAULT_THEME.classes).map(([k, c]) => [k, c.tintBoost])),
+    { pro: 1, silver: 1.35, proAm: 1.65, am: 1 }
+  );
+
+  // Built-ins only override what they change.
+  assert.equal(BUILTIN_THEMES["high-contrast"].watermark.opacity, 0);
+  assert.equal(BUILTIN_THEMES.broadcast.layout.rowH, 30);
+  assert.equal(BUILTIN_THEMES.broadcast.layout.outerPad, 22);
+  assert.equal(BUILTIN_THEMES.light.classes.am.badgeBg, "#ff0000");
+});
+
+test("registry without config serves the built-ins and falls back to the default", () => {
+  const themes = themeRegistryFromConfig(undefined, undefined);
+  assert.deepEqual(themes.names, ["dark", "light", "high-contrast", "broadcast"]);
+  assert.equal(themes.defaultName, "dark");
+  assert.equal(themes.get("Light"), BUILTIN_THEMES.light);
+  assert.equal(themes.get("nope"), BUILTIN_THEMES.dark);
+  assert.equal(themes.get(""), BUILTIN_THEMES.dark);
+  assert.equal(themes.has("broadcast"), true);
+  assert.equal(themes.has("nope"), false);
+
+  assert.equal(themeRegistryFromConfig(undefined, "light").get("nope"), BUILTIN_THEMES.light);
+});
+
+test("custom themes merge onto their base, and can tweak a built-in in place", () => {
+  const themes = themeRegistryFromConfig(
+    {
+      "club-night": { base: "light", colors: { text: "#111111" }, classes: { am: { tint: "#ff5555" } }, layout: { rowH: 28 } },
+      "club-night-big": { base: "club-night", layout: { headerH: 70 } },
+      dark: { watermark: { opacity: 0.3 } },
+    },
+    "club-night"
+  );
+
+  const t = themes.get("club-night");
+  assert.equal(t.name, "club-night");
+  assert.equal(t.colors.text, "#111111");
+  assert.equal(t.colors.bgTop, BUILTIN_THEMES.light.colors.bgTop);
+  assert.deepEqual(t.classes.am, { ...BUILTIN_THEMES.light.classes.am, tint: "#ff5555" });
+  assert.equal(t.layout.rowH, 28);
+
+  const big = themes.get("club-night-big");
+  assert.equal(big.layout.rowH, 28);
+  assert.equal(big.layout.headerH, 70);
+
+  // "dark" without a base builds on the built-in dark, leaving the exported one untouched.
+  assert.equal(themes.get("dark").watermark.opacity, 0.3);
+  assert.equal(themes.get("dark").colors.bgTop, "#0b1220");
+  assert.equal(BUILTIN_THEMES.dark.watermark.opacity, 0.18);
+
+  assert.equal(themes.defaultName, "club-night");
+  assert.equal(themes.get("nope"), t);
+});
+
+test("theme config errors name the bad field", () => {
+  const bad = (themes, def) => () => themeRegistryFromConfig(themes, def);
+  assert.throws(bad(undefined, "neon"), /Unknown theme 'neon' in config\.json/);
+  assert.throws(bad([]), /themes in config\.json must be an object/);
+  assert.throws(bad({ "bad name": {} }), /Theme name 'bad name'/);
+  assert.throws(bad({ x: { base: "neon" } }), /Unknown base theme 'neon' for themes\.x/);
+  assert.throws(bad({ x: { colour: {} } }), /Unknown themes\.x\.colour in config\.json/);
+  assert.throws(bad({ x: { colors: { background: "#000" } } }), /Unknown themes\.x\.colors\.background/);
+  assert.throws(bad({ x: { classes: { gold: {} } } }), /Unknown themes\.x\.classes\.gold/);
+  assert.throws(bad({ x: { classes: { am: { tint: "red" } } } }), /themes\.x\.classes\.am\.tint in config\.json must be a #RRGGBB colour/);
+  assert.throws(bad({ x: { layout: { rowH: 0 } } }), /themes\.x\.layout\.rowH/);
+  assert.throws(bad({ x: { tint: { alpha: 2 } } }), /themes\.x\.tint\.alpha .* from 0 to 1/);
+  assert.throws(bad({ x: { watermark: { opacity: -1 } } }), /themes\.x\.watermark\.opacity/);
+  assert.throws(bad({ x: { chartColors: [] } }), /themes\.x\.chartColors/);
+  assert.throws(bad({ x: { font: { files: [{ path: "x.ttf" }] } } }), /themes\.x\.font\.files\[0\] in config\.json needs a path and a family/);
+  assert.throws(
+    bad({ x: { font: { files: [{ path: "assets/fonts/missing.ttf", family: "Missing" }] } } }),
+    /Font file 'assets\/fonts\/missing\.ttf' for themes\.x in config\.json not found/
+  );
+});
+
+test("classKey maps class labels onto theme.classes keys", () => {
+  assert.equal(classKey("Pro"), "pro");
+  assert.equal(classKey("SILVER"), "silver");
+  assert.equal(classKey("Pro-Am"), "proAm");
+  assert.equal(classKey("proam"), "proAm");
+  assert.equal(classKey("Am"), "am");
+  assert.equal(classKey("Hypercar"), null);
+  assert.equal(classKey(""), null);
+});
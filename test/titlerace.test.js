@@ -0,0 +1,76 @@
+// Title race: clinch / elimination bounds from standings, rounds left and the best possible round.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { scoringFromConfig } = require("../scoring");
+const { titleRaceFromConfig, maxRoundPoints, titleRace, markTitleStatus, titleRaceLines } = require("../titlerace");
+
+const rows = [
+  { pos: "1", driver: "Ben Walker", carNo: "5", nett: "150" },
+  { pos: "2", driver: "Ava Nguyen", carNo: "27", nett: "120" },
+  { pos: "3", driver: "Chloe Smith", carNo: "12", nett: "100" },
+  { pos: "4", driver: "Dan O'Brien", carNo: "33", nett: "40" },
+];
+
+test("titleRaceFromConfig takes the points table from titleRace or the series scoring", () => {
+  const scoring = scoringFromConfig({ points: [25, 18, 15], qualiPoints: [3, 2, 1], fastestLap: 1 }, "x");
+  assert.equal(maxRoundPoints(scoring), 29);
+
+  assert.equal(titleRaceFromConfig(undefined, scoring, "x"), null);
+  assert.deepEqual(titleRaceFromConfig({ rounds: 12 }, scoring, "x"), { rounds: 12, completed: null, maxRoundPoints: 29 });
+  assert.deepEqual(titleRaceFromConfig({ rounds: 12, completed: 9, points: [10, 5] }, scoring, "x"), {
+    rounds: 12,
+    completed: 9,
+    maxRoundPoints: 10,
+  });
+
+  assert.throws(() => titleRaceFromConfig({}, scoring, "series 'yellow'"), /titleRace\.rounds for series 'yellow' in config\.json/);
+  assert.throws(() => titleRaceFromConfig({ rounds: 12, completed: 13 }, scoring, "x"), /from 0 to 12/);
+  assert.throws(() => titleRaceFromConfig({ rounds: 12 }, null, "x"), /needs a points table/);
+  assert.throws(() => titleRaceFromConfig({ rounds: 12 }, scoringFromConfig({ points: "site" }, "x"), "x"), /needs a points table/);
+});
+
+test("titleRace eliminates drivers who can't reach the leader and keeps possible ties in", () => {
+  // 2 rounds x 15 = 30 to play for: Ava can still tie (120 + 30 = 150), Chloe and Dan can't.
+  const race = titleRace(rows, { remaining: 2, maxRoundPoints: 15 });
+  assert.equal(race.maxGain, 30);
+  assert.equal(race.leader.driver, "Ben Walker");
+  assert.deepEqual(
+    race.rows.map((r) => [r.driver, r.gap, r.maxPoints, r.status]),
+    [
+      ["Ben Walker", 0, 180, ""],
+      ["Ava Nguyen", -30, 150, ""],
+      ["Chloe Smith", -50, 130, "eliminated"],
+      ["Dan O'Brien", -110, 70, "eliminated"],
+    ]
+  );
+
+  assert.deepEqual(
+    markTitleStatus(rows, titleRace(rows, { remaining: 2, maxRoundPoints: 14 })).map((r) => r.titleStatus),
+    ["clinched", "eliminated", "eliminated", "eliminated"]
+  );
+});
+
+test("titleRace only clinches when a driver on 0 couldn't catch up either, and settles ties at the end", () => {
+  const early = titleRace(rows.slice(0, 1), { remaining: 10, maxRoundPoints: 25 });
+  assert.equal(early.leader.status, "");
+
+  const tied = [
+    { pos: "1", driver: "Ava", total: "90" },
+    { pos: "2", driver: "Ben", total: "90" },
+  ];
+  assert.deepEqual(titleRace(tied, { remaining: 1, maxRoundPoints: 25 }).rows.map((r) => r.status), ["", ""]);
+  assert.deepEqual(titleRace(tied, { remaining: 0, maxRoundPoints: 25 }).rows.map((r) => r.status), ["clinched", "eliminated"]);
+});
+
+test("titleRaceLines summarises contenders or the champion", () => {
+  assert.deepEqual(titleRaceLines(titleRace(rows, { remaining: 2, maxRoundPoints: 15 }), "Overall"), [
+    "**Overall**: 2 still in contention — leader Ben Walker 150 pts",
+    "Can still catch them: Ava Nguyen -30 (max 150)",
+    "Eliminated: 2 drivers",
+  ]);
+  assert.deepEqual(titleRaceLines(titleRace(rows, { remaining: 1, maxRoundPoints: 25 }), "Pro"), [
+    "🏆 **Pro**: Ben Walker has clinched the title (150 pts, 1 round to spare).",
+  ]);
+  assert.deepEqual(titleRaceLines(titleRace([], { remaining: 1, maxRoundPoints: 25 }), "Am"), ["**Am**: no drivers yet."]);
+});
@@ -0,0 +1,324 @@
+// themes.js
+// Named looks for render.js: colours, class tints/badges, fonts, table metrics and the watermark.
+//
+// Built in: "dark" (default; the original look), "light", "high-contrast" (no watermark, solid text, strong grid)
+// and "broadcast" (taller rows and brighter text for streams / projectors).
+//
+// config.json (all optional):
+//   "theme": "dark",                                // default for every board and image command
+//   "themes": {
+//     "club-night": {                               // a new name, or a built-in name to tweak it
+//       "base": "dark",                             // start from this theme (default "dark")
+//       "colors": { "bgTop": "#101010", "text": "#ffffff" },
+//       "classes": { "am": { "tint": "#ff5555", "badgeBg": "#ff5555" } },
+//       "tint": { "alpha": 0.1 },
+//       "layout": { "rowH": 28 },
+//       "watermark": { "opacity": 0.1 },           // 0 = no watermark
+//       "font": { "family": "Inter", "files": [{ "path": "assets/fonts/Inter.ttf", "family": "Inter" }] }
+//     }
+//   },
+//   "boards": [{ …, "theme": "broadcast" }]
+// Font files are registered with the canvas GlobalFonts API when config.json is loaded, so every host
+// renders with the same glyphs instead of whatever system-ui resolves to. render.js appends the bundled
+// fallback chain (fonts.js) to font.family, so names in other scripts and emoji still render.
+//
+// Exports:
+// - BUILTIN_THEMES / DEFAULT_THEME_NAME / DEFAULT_THEME
+// - CLASS_KEYS                                    // theme.classes keys: pro, silver, proAm, am
+// - classKey(className)                           // "Pro-Am" -> "proAm" (null for anything else)
+// - themeRegistryFromConfig(rawThemes, rawDefault) -> { names, defaultName, has(name), get(name) }
+
+const fs = require("fs");
+const path = require("path");
+const { GlobalFonts } = require("@napi-rs/canvas");
+
+const DEFAULT_THEME_NAME = "dark";
+
+const CLASS_KEYS = ["pro", "silver", "proAm", "am"];
+
+const DARK = {
+  name: "dark",
+  colors: {
+    bgTop: "#0b1220",
+    bgBottom: "#050a12",
+    // Cards/rows are semi-transparent so the watermark shows through.
+    cardTop: "rgba(18, 27, 43, 0.55)",
+    cardBottom: "rgba(11, 18, 32, 0.45)",
+    cardStroke: "rgba(255,255,255,0.06)",
+    headerRow: "rgba(255,255,255,0.020)",
+    rowOdd: "rgba(255,255,255,0.015)",
+    rowEven: "rgba(255,255,255,0.007)",
+    strip: "rgba(255,255,255,0.025)",
+    grid: "rgba(255,255,255,0.055)",
+    text: "rgba(255,255,255,0.92)",
+    muted: "rgba(255,255,255,0.62)",
+    header: "rgba(255,255,255,0.74)",
+    penalty: "#ff0000",
+    moveUp: "#34c759",
+    moveDown: "#ff3b3b",
+    moveNone: "rgba(255,255,255,0.40)",
+    titleClinched: "#f6c343",
+    titleEliminated: "rgba(255,255,255,0.40)",
+  },
+  // tintBoost: the darker/greyer washes need more strength to show up at all.
+  classes: {
+    pro: { tint: "#f2f4f8", badgeBg: "#ffffff", badgeFg: "#000000", tintBoost: 1 },
+    silver: { tint: "#8fa1b8", badgeBg: "#c0c0c0", badgeFg: "#000000", tintBoost: 1.35 },
+    proAm: { tint: "#1f2a36", badgeBg: "#000000", badgeFg: "#ffffff", tintBoost: 1.65 },
+    am: { tint: "#ff3b3b", badgeBg: "#ff0000", badgeFg: "#ffffff", tintBoost: 1 },
+  },
+  tint: { alpha: 0.08, edgeAlpha: 0.14 },
+  chartColors: ["#f2f4f8", "#ff3b3b", "#8fa1b8", "#34c759", "#4fa3ff", "#b37bff", "#ff9f0a", "#64d2ff", "#ff6fb5"],
+  layout: { outerPad: 22, gap: 22, padInner: 18, headerH: 58, headRowH: 26, rowH: 26 },
+  watermark: { widthPct: 0.75, opacity: 0.18, yOffset: 0 },
+  font: { family: "OOR Sans", files: [] },
+};
+
+const LIGHT_OVERRIDES = {
+  colors: {
+    bgTop: "#eef2f7",
+    bgBottom: "#dde3ec",
+    cardTop: "rgba(255,255,255,0.88)",
+    cardBottom: "rgba(246,248,251,0.82)",
+    cardStroke: "rgba(15,23,42,0.10)",
+    headerRow: "rgba(15,23,42,0.05)",
+    rowOdd: "rgba(15,23,42,0.035)",
+    rowEven: "rgba(15,23,42,0.015)",
+    strip: "rgba(15,23,42,0.04)",
+    grid: "rgba(15,23,42,0.08)",
+    text: "rgba(15,23,42,0.92)",
+    muted: "rgba(15,23,42,0.60)",
+    header: "rgba(15,23,42,0.74)",
+    penalty: "#d00000",
+    moveUp: "#1f9d45",
+    moveDown: "#d92d20",
+    moveNone: "rgba(15,23,42,0.35)",
+    titleClinched: "#b8860b",
+    titleEliminated: "rgba(15,23,42,0.40)",
+  },
+  classes: {
+    pro: { tint: "#2b3a55", badgeBg: "#e5e7eb" },
+    silver: { tint: "#5b7088", badgeBg: "#c0c0c0", tintBoost: 1 },
+    proAm: { tint: "#1f2a36", tintBoost: 1 },
+  },
+  chartColors: ["#1f2937", "#d92d20", "#5b7088", "#1f9d45", "#2563eb", "#7c3aed", "#d97706", "#0891b2", "#db2777"],
+  watermark: { opacity: 0.1 },
+};
+
+const HIGH_CONTRAST_OVERRIDES = {
+  colors: {
+    bgTop: "#000000",
+    bgBottom: "#000000",
+    cardTop: "rgba(0,0,0,0.92)",
+    cardBottom: "rgba(0,0,0,0.92)",
+    cardStroke: "rgba(255,255,255,0.60)",
+    headerRow: "rgba(255,255,255,0.16)",
+    rowOdd: "rgba(255,255,255,0.10)",
+    rowEven: "rgba(255,255,255,0)",
+    strip: "rgba(255,255,255,0.10)",
+    grid: "rgba(255,255,255,0.35)",
+    text: "#ffffff",
+    muted: "#e0e0e0",
+    header: "#ffffff",
+    penalty: "#ff4040",
+    moveUp: "#00ff66",
+    moveDown: "#ff4040",
+    moveNone: "#bbbbbb",
+    titleClinched: "#ffd700",
+    titleEliminated: "#bbbbbb",
+  },
+  classes: { proAm: { badgeBg: "#333333" } },
+  tint: { alpha: 0, edgeAlpha: 0 },
+  watermark: { opacity: 0 },
+};
+
+const BROADCAST_OVERRIDES = {
+  colors: {
+    bgTop: "#05070d",
+    bgBottom: "#000000",
+    text: "#ffffff",
+    muted: "rgba(255,255,255,0.75)",
+    header: "rgba(255,255,255,0.85)",
+    rowOdd: "rgba(255,255,255,0.04)",
+    rowEven: "rgba(255,255,255,0.01)",
+  },
+  tint: { alpha: 0.12, edgeAlpha: 0.2 },
+  layout: { headRowH: 28, rowH: 30 },
+  watermark: { opacity: 0.08 },
+};
+
+const GROUPS = ["colors", "tint", "layout", "watermark"];
+
+function mergeTheme(base, o, name) {
+  const out = { ...base, name };
+  for (const g of GROUPS) out[g] = { ...base[g], ...(o[g] || {}) };
+  out.classes = Object.fromEntries(CLASS_KEYS.map((k) => [k, { ...base.classes[k], ...(o.classes?.[k] || {}) }]));
+  out.chartColors = o.chartColors || base.chartColors;
+  out.font = { ...base.font, ...(o.font || {}) };
+  return out;
+}
+
+const BUILTIN_THEMES = {
+  dark: DARK,
+  light: mergeTheme(DARK, LIGHT_OVERRIDES, "light"),
+  "high-contrast": mergeTheme(DARK, HIGH_CONTRAST_OVERRIDES, "high-contrast"),
+  broadcast: mergeTheme(DARK, BROADCAST_OVERRIDES, "broadcast"),
+};
+
+const DEFAULT_THEME = BUILTIN_THEMES[DEFAULT_THEME_NAME];
+
+function classKey(className) {
+  const c = String(className || "").toLowerCase();
+  if (c === "pro") return "pro";
+  if (c === "silver") return "silver";
+  if (c === "pro-am" || c === "proam") return "proAm";
+  if (c === "am") return "am";
+  return null;
+}
+
+// ---- config validation ----
+function isObject(v) {
+  return v && typeof v === "object" && !Array.isArray(v);
+}
+
+const HEX = /^#[0-9a-f]{6}$/i;
+const TOP_LEVEL_KEYS = ["base", "colors", "classes", "tint", "chartColors", "layout", "watermark", "font"];
+
+function validateOverrides(raw, label) {
+  if (!isObject(raw)) throw new Error(`${label} in config.json must be an object`);
+  const badKey = Object.keys(raw).find((k) => !TOP_LEVEL_KEYS.includes(k));
+  if (badKey) throw new Error(`Unknown ${label}.${badKey} in config.json (expected one of ${TOP_LEVEL_KEYS.join(", ")})`);
+
+  const known = (group, keys) => {
+    const v = raw[group];
+    if (v === undefined) return;
+    if (!isObject(v)) throw new Error(`${label}.${group} in config.json must be an object`);
+    const bad = Object.keys(v).find((k) => !keys.includes(k));
+    if (bad) throw new Error(`Unknown ${label}.${group}.${bad} in config.json (expected one of ${keys.join(", ")})`);
+  };
+
+  known("colors", Object.keys(DARK.colors));
+  for (const [k, v] of Object.entries(raw.colors || {})) {
+    if (typeof v !== "string" || !v.trim()) throw new Error(`${label}.colors.${k} in config.json must be a CSS colour`);
+  }
+
+  known("classes", CLASS_KEYS);
+  for (const [k, c] of Object.entries(raw.classes || {})) {
+    if (!isObject(c)) throw new Error(`${label}.classes.${k} in config.json must be an object`);
+    for (const f of ["tint", "badgeBg", "badgeFg"]) {
+      // Tints feed the hex -> rgba wash, so they must be plain #RRGGBB.
+      if (c[f] !== undefined && !HEX.test(String(c[f]))) {
+        throw new Error(`${label}.classes.${k}.${f} in config.json must be a #RRGGBB colour`);
+      }
+    }
+    if (c.tintBoost !== undefined && !(Number(c.tintBoost) > 0)) {
+      throw new Error(`${label}.classes.${k}.tintBoost in config.json must be a positive number`);
+    }
+  }
+
+  const numbers = (group, keys, { max = Infinity, zero = false } = {}) => {
+    known(group, keys);
+    for (const [k, v] of Object.entries(raw[group] || {})) {
+      const n = Number(v);
+      if (!Number.isFinite(n) || n < 0 || (!zero && n === 0) || n > max) {
+        throw new Error(`${label}.${group}.${k} in config.json must be a number${max < Infinity ? ` from 0 to ${max}` : " above 0"}`);
+      }
+    }
+  };
+  numbers("tint", Object.keys(DARK.tint), { max: 1, zero: true });
+  numbers("layout", Object.keys(DARK.layout));
+  known("watermark", Object.keys(DARK.watermark));
+  const wm = raw.watermark || {};
+  if (wm.opacity !== undefined && !(Number(wm.opacity) >= 0 && Number(wm.opacity) <= 1)) {
+    throw new Error(`${label}.watermark.opacity in config.json must be a number from 0 to 1`);
+  }
+  if (wm.widthPct !== undefined && !(Number(wm.widthPct) > 0 && Number(wm.widthPct) <= 1)) {
+    throw new Error(`${label}.watermark.widthPct in config.json must be a number above 0, up to 1`);
+  }
+  if (wm.yOffset !== undefined && !Number.isFinite(Number(wm.yOffset))) {
+    throw new Error(`${label}.watermark.yOffset in config.json must be a number`);
+  }
+
+  if (raw.chartColors !== undefined) {
+    if (!Array.isArray(raw.chartColors) || !raw.chartColors.length || !raw.chartColors.every((c) => typeof c === "string" && c.trim())) {
+      throw new Error(`${label}.chartColors in config.json must be a list of colours`);
+    }
+  }
+
+  if (raw.font !== undefined) {
+    known("font", ["family", "files"]);
+    if (raw.font.family !== undefined && (typeof raw.font.family !== "string" || !raw.font.family.trim())) {
+      throw new Error(`${label}.font.family in config.json must be a CSS font-family list`);
+    }
+    if (raw.font.files !== undefined) {
+      if (!Array.isArray(raw.font.files)) throw new Error(`${label}.font.files in config.json must be an array`);
+      raw.font.files.forEach((f, i) => {
+        if (!isObject(f) || !String(f.path || "").trim() || !String(f.family || "").trim()) {
+          throw new Error(`${label}.font.files[${i}] in config.json needs a path and a family`);
+        }
+      });
+    }
+  }
+}
+
+// Registers each font file once per process (several themes may share a file).
+const registeredFonts = new Set();
+
+function registerThemeFonts(theme, label) {
+  for (const f of theme.font.files || []) {
+    const abs = path.isAbsolute(f.path) ? f.path : path.join(__dirname, f.path);
+    const id = `${abs}\n${f.family}`;
+    if (registeredFonts.has(id)) continue;
+    if (!fs.existsSync(abs)) throw new Error(`Font file '${f.path}' for ${label} in config.json not found`);
+    if (!GlobalFonts.registerFromPath(abs, f.family)) {
+      throw new Error(`Font file '${f.path}' for ${label} in config.json couldn't be loaded`);
+    }
+    registeredFonts.add(id);
+  }
+}
+
+function themeRegistryFromConfig(rawThemes, rawDefault) {
+  const themes = new Map(Object.entries(BUILTIN_THEMES));
+
+  if (rawThemes !== undefined && rawThemes !== null) {
+    if (!isObject(rawThemes)) throw new Error("themes in config.json must be an object of named themes");
+
+    // Resolve bases in order, so a theme may build on another custom theme listed before it.
+    for (const [rawName, raw] of Object.entries(rawThemes)) {
+      const name = String(rawName).trim().toLowerCase();
+      const label = `themes.${rawName}`;
+      if (!/^[a-z0-9][a-z0-9_-]{0,31}$/.test(name)) {
+        throw new Error(`Theme name '${rawName}' in config.json must be letters, digits, - or _`);
+      }
+      validateOverrides(raw, label);
+
+      const baseName = raw.base === undefined ? (themes.has(name) ? name : DEFAULT_THEME_NAME) : String(raw.base).trim().toLowerCase();
+      const base = themes.get(baseName);
+      if (!base) throw new Error(`Unknown base theme '${raw.base}' for ${label} in config.json`);
+
+      const theme = mergeTheme(base, raw, name);
+      registerThemeFonts(theme, label);
+      themes.set(name, theme);
+    }
+  }
+
+  const defaultName = rawDefault === undefined || rawDefault === null ? DEFAULT_THEME_NAME : String(rawDefault).trim().toLowerCase();
+  if (!themes.has(defaultName)) throw new Error(`Unknown theme '${rawDefault}' in config.json`);
+
+  return {
+    names: [...themes.keys()],
+    defaultName,
+    has: (name) => themes.has(String(name || "").trim().toLowerCase()),
+    // Unknown / empty names fall back to the default theme.
+    get: (name) => themes.get(String(name || "").trim().toLowerCase()) || themes.get(defaultName),
+  };
+}
+
+module.exports = {
+  BUILTIN_THEMES,
+  DEFAULT_THEME_NAME,
+  DEFAULT_THEME,
+  CLASS_KEYS,
+  classKey,
+  themeRegistryFromConfig,
+};
@@ -0,0 +1,154 @@
+// titlerace.js
+// Who can still win the championship: mathematical elimination / clinch from the current standings,
+// the rounds left and the most points one driver can score in a round.
+//
+// Per series, config.json "series[].titleRace" (validated by titleRaceFromConfig):
+//   "titleRace": {
+//     "rounds": 12,                       // rounds in the season
+//     "completed": 9,                     // optional: rounds run so far (default: counted from the resultsUrl pages)
+//     "points": [25, 18, 15, …],          // optional: race points table (default: the series "scoring" rules)
+//     "qualiPoints": [3, 2, 1],           // optional, with "points"
+//     "fastestLap": 1                     // optional, with "points"
+//   }
+//
+// Bounds (safe with drop rounds too: a new round never lowers a driver's nett, and raises it by at most
+// one round's maximum): a driver is eliminated when nett + remaining * max < the leader's nett today;
+// the leader has clinched when every other driver (and a newcomer on 0) is eliminated. A possible tie on points is still "in it"
+// (countback can't be decided ahead of time) until no rounds are left.
+//
+// Exports:
+// - titleRaceFromConfig(raw, scoring, label) // null when raw is missing -> { rounds, completed (null = count), maxRoundPoints }
+// - maxRoundPoints(scoring)                  // best possible haul in one round (race win + pole + fastest lap)
+// - titleRace(rows, { remaining, maxRoundPoints })
+//     -> { remaining, maxGain, leader, rows: [{ driver, carNo, points, maxPoints, gap, status }] }  (rows in input order)
+//     status: "clinched" (leader only) | "eliminated" | "" (still in contention)
+// - markTitleStatus(rows, race)              // copies of rows with titleStatus set (render.js draws the marker)
+// - titleRaceLines(race, label)              // Discord text summary
+
+const { scoringFromConfig } = require("./scoring");
+
+function normalize(s) {
+  return String(s || "").replace(/\s+/g, " ").trim();
+}
+
+function toNumber(v) {
+  const n = Number(String(v || "").replace(/[^\d.-]/g, ""));
+  return Number.isFinite(n) ? n : 0;
+}
+
+// Standings are ranked on nett; SimGrid-style rows without a nett fall back to total.
+function standingsPoints(r) {
+  return normalize(r?.nett) ? toNumber(r.nett) : toNumber(r?.total);
+}
+
+function maxRoundPoints(scoring) {
+  const best = (list) => Math.max(0, ...(list || []));
+  return best(scoring.points) + best(scoring.qualiPoints) + (scoring.fastestLap || 0);
+}
+
+function titleRaceFromConfig(raw, scoring, label) {
+  if (raw === undefined || raw === null) return null;
+  if (typeof raw !== "object" || Array.isArray(raw)) throw new Error(`titleRace for ${label} in config.json must be an object`);
+
+  const rounds = Number(raw.rounds);
+  if (!Number.isInteger(rounds) || rounds < 1) {
+    throw new Error(`titleRace.rounds for ${label} in config.json must be the number of rounds in the season`);
+  }
+
+  let completed = null;
+  if (raw.completed !== undefined) {
+    completed = Number(raw.completed);
+    if (!Number.isInteger(completed) || completed < 0 || completed > rounds) {
+      throw new Error(`titleRace.completed for ${label} in config.json must be a whole number from 0 to ${rounds}`);
+    }
+  }
+
+  const table =
+    raw.points !== undefined
+      ? scoringFromConfig({ points: raw.points, qualiPoints: raw.qualiPoints, fastestLap: raw.fastestLap }, label)
+      : scoring;
+  if (!table || table.sitePoints) {
+    throw new Error(`titleRace for ${label} in config.json needs a points table (titleRace.points or scoring.points)`);
+  }
+
+  return { rounds, completed, maxRoundPoints: maxRoundPoints(table) };
+}
+
+function titleRace(rows, { remaining = 0, maxRoundPoints: perRound = 0 } = {}) {
+  const list = (rows || []).map((r) => ({
+    driver: normalize(r.driver),
+    carNo: normalize(r.carNo),
+    pos: toNumber(r.pos),
+    points: standingsPoints(r),
+  }));
+  const maxGain = Math.max(0, remaining) * Math.max(0, perRound);
+
+  // Leader: most points, the site's own order (countback) breaking ties.
+  const leader = list.reduce(
+    (best, r) => (!best || r.points > best.points || (r.points === best.points && r.pos && r.pos < best.pos) ? r : best),
+    null
+  );
+
+  const out = list.map((r) => ({
+    driver: r.driver,
+    carNo: r.carNo,
+    points: r.points,
+    maxPoints: r.points + maxGain,
+    gap: leader ? r.points - leader.points : 0,
+    // With nothing left to race, the site's order (countback included) is final.
+    status: r !== leader && leader && (remaining <= 0 || r.points + maxGain < leader.points) ? "eliminated" : "",
+  }));
+
+  const li = list.indexOf(leader);
+  // A driver who hasn't scored yet (or joins late) must be out of reach too.
+  const clear = leader && (remaining <= 0 || maxGain < leader.points);
+  if (clear && out.every((r, i) => i === li || r.status === "eliminated")) out[li].status = "clinched";
+
+  return {
+    remaining: Math.max(0, remaining),
+    maxGain,
+    leader: li >= 0 ? out[li] : null,
+    rows: out,
+  };
+}
+
+function markTitleStatus(rows, race) {
+  return (rows || []).map((r, i) => ({ ...r, titleStatus: race?.rows?.[i]?.status || "" }));
+}
+
+const MAX_CONTENDERS_LISTED = 8;
+
+function titleRaceLines(race, label) {
+  const { leader } = race;
+  if (!leader) return [`**${label}**: no drivers yet.`];
+
+  if (leader.status === "clinched") {
+    return [
+      race.remaining
+        ? `🏆 **${label}**: ${leader.driver} has clinched the title (${leader.points} pts, ${race.remaining} round${race.remaining === 1 ? "" : "s"} to spare).`
+        : `🏆 **${label}**: ${leader.driver} won the title (${leader.points} pts).`,
+    ];
+  }
+
+  const rivals = race.rows
+    .filter((r) => r !== leader && r.status !== "eliminated")
+    .sort((a, b) => b.points - a.points);
+  const eliminated = race.rows.filter((r) => r.status === "eliminated").length;
+
+  const listed = rivals.slice(0, MAX_CONTENDERS_LISTED).map((r) => `${r.driver} ${r.gap} (max ${r.maxPoints})`);
+  if (rivals.length > MAX_CONTENDERS_LISTED) listed.push(`+${rivals.length - MAX_CONTENDERS_LISTED} more`);
+
+  return [
+    `**${label}**: ${rivals.length + 1} still in contention — leader ${leader.driver} ${leader.points} pts`,
+    `Can still catch them: ${listed.join(", ")}`,
+    ...(eliminated ? [`Eliminated: ${eliminated} driver${eliminated === 1 ? "" : "s"}`] : []),
+  ];
+}
+
+module.exports = {
+  titleRaceFromConfig,
+  maxRoundPoints,
+  titleRace,
+  markTitleStatus,
+  titleRaceLines,
+};